@@ -1,7 +1,79 @@
 const { sendReply } = require('../utils/messageUtils');
 const config = require('../config');
-const { getUser, updateUser } = require('../database/db');
-const { formatNumber } = require('../utils/formatter');
+const { getUser, getAllUsers, updateUser, hasActiveEffect, getTermDeposit, getTermDepositsForUser, transaction, transferCoins, walletAccount, bankAccount, LEDGER_ACCOUNTS } = require('../database/db');
+const { formatNumber, formatDuration } = require('../utils/formatter');
+const { getTermDepositInterest, getLockedAmount, openTermDeposit, matureTermDeposit, breakTermDeposit, getMaturedTermDeposits } = require('../utils/termDeposits');
+const { formatCreditDetails } = require('./loans');
+const { parseStatementMonth, buildStatement } = require('../utils/statement');
+const { createStatementImage } = require('../utils/imageUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Gets a user's daily interest rate
+ * @param {Object} user - User data
+ * @returns {Number} Interest rate (0.01 = 1%)
+ */
+function getInterestRate(user) {
+  let interestRate = config.baseBankInterestRate + (user.prestige * 0.001); // +0.1% per prestige level
+  
+  // Bank Boost adds a flat bonus while active
+  if (hasActiveEffect(user.id, 'bankboost')) {
+    interestRate += config.shopItems.bankboost.value;
+  }
+  
+  return interestRate;
+}
+
+/**
+ * Gets the start of the (local) calendar day a time falls on
+ * @param {Number} time - Timestamp
+ * @returns {Number} Timestamp of midnight
+ */
+function getStartOfDay(time) {
+  const day = new Date(time);
+  day.setHours(0, 0, 0, 0);
+  return day.getTime();
+}
+
+/**
+ * Pays the interest a user would have claimed with .int on days that have ended without a
+ * claim, one day at a time up to their bank capacity. Today's interest is left to claim.
+ * Only the last config.maxUnclaimedInterestDays days are paid, since every day is worked out
+ * from today's balance and rate.
+ * @param {String} userId - User ID
+ * @param {Number} [now] - Current time
+ * @returns {Number} Coins paid
+ */
+function payUnclaimedInterest(userId, now = Date.now()) {
+  const user = getUser(userId);
+  if (!user.isRegistered) return 0;
+  
+  // Unclaimed days start the day after the last claim, or the day the user joined
+  const firstDay = user.lastInterestClaim
+    ? getStartOfDay(user.lastInterestClaim) + DAY_MS
+    : getStartOfDay(user.joinDate || now);
+  const today = getStartOfDay(now);
+  
+  // Rounded because days around clock changes aren't exactly 24 hours
+  const days = Math.min(Math.round((today - firstDay) / DAY_MS), config.maxUnclaimedInterestDays);
+  if (days <= 0) return 0;
+  
+  const interestRate = getInterestRate(user);
+  let bankBalance = user.bankBalance;
+  for (let day = 0; day < days; day++) {
+    const interest = Math.min(Math.floor(bankBalance * interestRate), user.bankCapacity - bankBalance);
+    if (interest <= 0) break;
+    bankBalance += interest;
+  }
+  
+  transaction(() => {
+    transferCoins(LEDGER_ACCOUNTS.REWARDS, bankAccount(userId), bankBalance - user.bankBalance, { reason: 'Unclaimed bank interest' });
+    updateUser(userId, { lastInterestClaim: today - 1 });
+  });
+  
+  return bankBalance - user.bankBalance;
+}
 
 /**
  * Handles deposit command
@@ -53,11 +125,8 @@ async function handleDeposit(sock, message, args, user) {
       return;
     }
     
-    // Update user's balance and bank balance
-    updateUser(user.id, {
-      balance: user.balance - amount,
-      bankBalance: user.bankBalance + amount
-    });
+    // Move the coins from wallet to bank
+    transferCoins(walletAccount(user.id), bankAccount(user.id), amount, { reason: 'Bank deposit' });
     
     // Send confirmation
     await sendReply(sock, message, `✅ Successfully deposited ${formatNumber(amount)} coins to your bank!\n\nWallet: ${formatNumber(user.balance - amount)} coins\nBank: ${formatNumber(user.bankBalance + amount)} / ${formatNumber(user.bankCapacity)} coins`);
@@ -104,11 +173,8 @@ async function handleWithdraw(sock, message, args, user) {
       return;
     }
     
-    // Update user's balance and bank balance
-    updateUser(user.id, {
-      balance: user.balance + amount,
-      bankBalance: user.bankBalance - amount
-    });
+    // Move the coins from bank to wallet
+    transferCoins(bankAccount(user.id), walletAccount(user.id), amount, { reason: 'Bank withdrawal' });
     
     // Send confirmation
     await sendReply(sock, message, `✅ Successfully withdrew ${formatNumber(amount)} coins from your bank!\n\nWallet: ${formatNumber(user.balance + amount)} coins\nBank: ${formatNumber(user.bankBalance - amount)} / ${formatNumber(user.bankCapacity)} coins`);
@@ -126,6 +192,11 @@ async function handleWithdraw(sock, message, args, user) {
  */
 async function handleInterest(sock, message, user) {
   try {
+    // Pay any days the scheduler hasn't got to yet, so claiming today doesn't skip them
+    if (payUnclaimedInterest(user.id) > 0) {
+      user = getUser(user.id);
+    }
+    
     // Check if user has claimed interest today
     const now = new Date();
     const lastInterestClaim = user.lastInterestClaim ? new Date(user.lastInterestClaim) : null;
@@ -145,7 +216,7 @@ async function handleInterest(sock, message, user) {
     }
     
     // Calculate interest
-    const interestRate = config.baseBankInterestRate + (user.prestige * 0.001); // +0.1% per prestige level
+    const interestRate = getInterestRate(user);
     const interestAmount = Math.floor(user.bankBalance * interestRate);
     
     if (interestAmount <= 0) {
@@ -163,18 +234,18 @@ async function handleInterest(sock, message, user) {
         return;
       }
       
-      // Update user's bank balance and last interest claim
-      updateUser(user.id, {
-        bankBalance: user.bankCapacity,
-        lastInterestClaim: Date.now()
+      // Pay the interest and update last interest claim
+      transaction(() => {
+        transferCoins(LEDGER_ACCOUNTS.REWARDS, bankAccount(user.id), adjustedInterest, { reason: 'Bank interest' });
+        updateUser(user.id, { lastInterestClaim: Date.now() });
       });
       
       await sendReply(sock, message, `✅ You've earned ${formatNumber(adjustedInterest)} coins in interest (bank full)!\n\nBank: ${formatNumber(user.bankCapacity)} / ${formatNumber(user.bankCapacity)} coins\nInterest Rate: ${(interestRate * 100).toFixed(2)}%`);
     } else {
-      // Update user's bank balance and last interest claim
-      updateUser(user.id, {
-        bankBalance: newBankBalance,
-        lastInterestClaim: Date.now()
+      // Pay the interest and update last interest claim
+      transaction(() => {
+        transferCoins(LEDGER_ACCOUNTS.REWARDS, bankAccount(user.id), interestAmount, { reason: 'Bank interest' });
+        updateUser(user.id, { lastInterestClaim: Date.now() });
       });
       
       await sendReply(sock, message, `✅ You've earned ${formatNumber(interestAmount)} coins in interest!\n\nBank: ${formatNumber(newBankBalance)} / ${formatNumber(user.bankCapacity)} coins\nInterest Rate: ${(interestRate * 100).toFixed(2)}%`);
@@ -205,10 +276,10 @@ async function handleBankUpgrade(sock, message, user) {
     // Calculate new capacity
     const newCapacity = Math.floor(user.bankCapacity * (1 + config.bankCapacityIncreasePercent));
     
-    // Update user's balance and bank capacity
-    updateUser(user.id, {
-      balance: user.balance - upgradeCost,
-      bankCapacity: newCapacity
+    // Pay for the upgrade and raise the bank capacity
+    transaction(() => {
+      transferCoins(walletAccount(user.id), LEDGER_ACCOUNTS.FEES, upgradeCost, { reason: 'Bank upgrade' });
+      updateUser(user.id, { bankCapacity: newCapacity });
     });
     
     // Calculate next upgrade cost
@@ -222,6 +293,125 @@ async function handleBankUpgrade(sock, message, user) {
   }
 }
 
+/**
+ * Formats one of a user's term deposits
+ * @param {Object} deposit - Term deposit
+ * @returns {String} Formatted deposit
+ */
+function formatTermDeposit(deposit) {
+  return `#${deposit.id} • ${deposit.term} • ${formatNumber(deposit.amount)} coins → ` +
+    `${formatNumber(deposit.amount + deposit.interest)} coins in ${formatDuration(Math.max(0, deposit.maturesAt - Date.now()))}`;
+}
+
+/**
+ * Formats the term deposit products, with what a deposit would be worth at maturity,
+ * and the user's own deposits
+ * @param {Object} user - User data
+ * @returns {String} Formatted term deposits
+ */
+function formatTermDeposits(user) {
+  const deposits = getTermDepositsForUser(user.id).sort((a, b) => a.id - b.id);
+  const room = user.bankCapacity - getLockedAmount(user.id);
+  const example = Math.max(config.termDepositMinAmount, Math.min(user.balance, room));
+  
+  const products = Object.entries(config.termDeposits).map(([term, { rate }]) =>
+    `${term} at ${(rate * 100).toFixed(1)}%: ${formatNumber(example + getTermDepositInterest(example, term))} coins`);
+  
+  return `Value at maturity of ${formatNumber(example)} coins:\n${products.join('\n')}\n\n` +
+    `Your deposits (${deposits.length}/${config.maxTermDeposits}):\n` +
+    (deposits.length > 0 ? deposits.map(formatTermDeposit).join('\n') : 'None');
+}
+
+/**
+ * Handles term deposit command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} user - User data
+ */
+async function handleTermDeposit(sock, message, args, user) {
+  try {
+    const terms = Object.keys(config.termDeposits).join('/');
+    const action = args.length > 0 ? args[0].toLowerCase() : null;
+    
+    if (!action) {
+      await sendReply(sock, message, `📈 *TERM DEPOSITS* 📈\n\n` +
+        `${formatTermDeposits(user)}\n\n` +
+        `Use "${config.prefix}term [${terms}] [amount/all]" to lock coins from your wallet until the term ends.\n` +
+        `Breaking a deposit early (${config.prefix}term break [id]) gives up its interest and ${config.termDepositEarlyPenalty * 100}% of the amount.`);
+      return;
+    }
+    
+    if (action === 'break') {
+      const deposit = getTermDeposit(parseInt(args[1]));
+      if (!deposit || deposit.userId !== user.id) {
+        await sendReply(sock, message, `❌ You don't have a term deposit #${args[1] || ''}. Use ${config.prefix}term to see yours.`);
+        return;
+      }
+      
+      if ((args[2] || '').toLowerCase() !== 'confirm') {
+        const penalty = Math.floor(deposit.amount * config.termDepositEarlyPenalty);
+        await sendReply(sock, message, `⚠️ *BREAK TERM DEPOSIT* ⚠️\n\n` +
+          `${formatTermDeposit(deposit)}\n\n` +
+          `Breaking it now gives up ${formatNumber(deposit.interest)} coins of interest and costs a ${formatNumber(penalty)} coin penalty, ` +
+          `so you'd get ${formatNumber(deposit.amount - penalty)} coins back.\n\n` +
+          `Type "${config.prefix}term break ${deposit.id} confirm" to break it.`);
+        return;
+      }
+      
+      const { returned, penalty } = breakTermDeposit(deposit.id);
+      await sendReply(sock, message, `✅ Term deposit #${deposit.id} closed early.\n\n` +
+        `Returned: ${formatNumber(returned)} coins\nPenalty: ${formatNumber(penalty)} coins\n\n` +
+        `Wallet: ${formatNumber(user.balance + returned)} coins`);
+      return;
+    }
+    
+    const product = config.termDeposits[action];
+    if (!product || args.length < 2) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}term [${terms}] [amount/all]`);
+      return;
+    }
+    
+    // Deposits together can't be more than the bank capacity
+    const room = user.bankCapacity - getLockedAmount(user.id);
+    const amount = args[1].toLowerCase() === 'all' ? Math.min(user.balance, room) : parseInt(args[1]);
+    
+    if (isNaN(amount) || amount <= 0) {
+      await sendReply(sock, message, "❌ Please enter a valid amount.");
+      return;
+    }
+    
+    if (amount < config.termDepositMinAmount) {
+      await sendReply(sock, message, `❌ Minimum term deposit is ${formatNumber(config.termDepositMinAmount)} coins.`);
+      return;
+    }
+    
+    if (amount > user.balance) {
+      await sendReply(sock, message, "❌ You don't have enough coins in your wallet.");
+      return;
+    }
+    
+    if (getTermDepositsForUser(user.id).length >= config.maxTermDeposits) {
+      await sendReply(sock, message, `❌ You can only have ${config.maxTermDeposits} term deposits at once.`);
+      return;
+    }
+    
+    if (amount > room) {
+      await sendReply(sock, message, `❌ Your term deposits can't add up to more than your bank capacity (${formatNumber(Math.max(0, room))} coins left).`);
+      return;
+    }
+    
+    const deposit = openTermDeposit(user.id, action, amount);
+    await sendReply(sock, message, `📈 *TERM DEPOSIT OPENED* 📈\n\n` +
+      `${formatNumber(amount)} coins are locked for ${formatDuration(product.duration)} at ${(product.rate * 100).toFixed(1)}%.\n\n` +
+      `${formatTermDeposit(deposit)}\n\n` +
+      `Wallet: ${formatNumber(user.balance - amount)} coins`);
+  } catch (error) {
+    console.error('Error handling term deposit command:', error);
+    await sendReply(sock, message, "❌ An error occurred while managing your term deposits.");
+  }
+}
+
 /**
  * Handles bank info command
  * @param {Object} sock - WhatsApp connection
@@ -231,7 +421,7 @@ async function handleBankUpgrade(sock, message, user) {
 async function handleBankInfo(sock, message, user) {
   try {
     // Calculate interest rate
-    const interestRate = config.baseBankInterestRate + (user.prestige * 0.001); // +0.1% per prestige level
+    const interestRate = getInterestRate(user);
     
     // Calculate daily interest
     const dailyInterest = Math.floor(user.bankBalance * interestRate);
@@ -271,18 +461,73 @@ async function handleBankInfo(sock, message, user) {
       `${capacityBar} ${capacityPercentage.toFixed(1)}% full\n\n` +
       `Interest Rate: ${(interestRate * 100).toFixed(2)}% daily\n` +
       `Daily Interest: ${formatNumber(dailyInterest)} coins\n` +
-      `Next Interest: ${interestStatus}\n\n` +
+      `Next Interest: ${interestStatus}\n` +
+      `Interest you don't claim is paid automatically the next day.\n\n` +
       `Upgrade Cost: ${formatNumber(upgradeCost)} coins\n` +
       `New Capacity After Upgrade: ${formatNumber(Math.floor(user.bankCapacity * (1 + config.bankCapacityIncreasePercent)))} coins\n\n` +
+      `📈 *Term Deposits*\n${formatTermDeposits(user)}\n\n` +
+      `💳 *Credit*\n${formatCreditDetails(user.id)}\n\n` +
       `Use "${config.prefix}deposit [amount]" to add coins to your bank.\n` +
       `Use "${config.prefix}withdraw [amount]" to take coins from your bank.\n` +
-      `Use "${config.prefix}bank-upgrade" to increase your bank capacity.`);
+      `Use "${config.prefix}bank-upgrade" to increase your bank capacity.\n` +
+      `Use "${config.prefix}term" to lock coins in a term deposit.`);
   } catch (error) {
     console.error('Error handling bank info command:', error);
     await sendReply(sock, message, "❌ An error occurred while displaying bank information.");
   }
 }
 
+/**
+ * Handles statement command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} user - User data
+ */
+async function handleStatement(sock, message, args, user) {
+  try {
+    const period = parseStatementMonth(args);
+    if (!period) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}statement [month] [year], e.g. ${config.prefix}statement may or ${config.prefix}statement 2024-05`);
+      return;
+    }
+    
+    if (new Date(period.year, period.month, 1).getTime() > Date.now()) {
+      await sendReply(sock, message, "❌ That month hasn't started yet.");
+      return;
+    }
+    
+    const statement = buildStatement(user, period.year, period.month);
+    
+    // The figures are in the caption too, so the statement still arrives if the image can't be made
+    let image = null;
+    try {
+      image = await createStatementImage(statement);
+    } catch (imageError) {
+      console.error('Error creating statement image:', imageError);
+    }
+    
+    const otherLine = statement.other !== 0
+      ? `Other: ${statement.other < 0 ? '-' : '+'}${formatNumber(Math.abs(statement.other))} coins\n`
+      : '';
+    
+    await sendReply(sock, message, `🧾 *BANK STATEMENT* 🧾\n\n` +
+      `${statement.period}\n\n` +
+      `Opening balance: ${formatNumber(statement.openingBalance)} coins\n` +
+      `Deposits: +${formatNumber(statement.deposits)} coins\n` +
+      `Withdrawals: -${formatNumber(statement.withdrawals)} coins\n` +
+      `Interest earned: +${formatNumber(statement.interest)} coins\n` +
+      otherLine +
+      `Closing balance: ${formatNumber(statement.closingBalance)} coins\n\n` +
+      `Term deposit interest: +${formatNumber(statement.termInterest)} coins\n` +
+      `Bank upgrades: ${statement.upgrades} (${formatNumber(statement.upgradeCost)} coins)\n` +
+      `Fees paid: ${formatNumber(statement.fees)} coins`, image);
+  } catch (error) {
+    console.error('Error handling statement command:', error);
+    await sendReply(sock, message, "❌ An error occurred while creating your statement.");
+  }
+}
+
 /**
  * Generates a visual capacity bar
  * @param {Number} percentage - Capacity percentage
@@ -305,10 +550,172 @@ function generateCapacityBar(percentage) {
   return bar;
 }
 
+/**
+ * Pays out term deposits that have matured, telling their owners, and pays interest
+ * nobody claimed on days that have ended
+ * @param {Object} sock - WhatsApp connection
+ * @returns {Promise<Object>} { matured, interestPaid } (deposits paid out, users paid interest)
+ */
+async function runBankJobs(sock) {
+  const now = Date.now();
+  const matured = [];
+  
+  for (const deposit of getMaturedTermDeposits(now)) {
+    try {
+      matured.push(matureTermDeposit(deposit.id));
+    } catch (error) {
+      console.error(`Error paying out term deposit #${deposit.id}:`, error);
+    }
+  }
+  
+  let interestPaid = 0;
+  for (const user of getAllUsers()) {
+    try {
+      if (payUnclaimedInterest(user.id, now) > 0) interestPaid++;
+    } catch (error) {
+      console.error(`Error paying unclaimed interest to ${user.id}:`, error);
+    }
+  }
+  
+  for (const deposit of matured) {
+    if (!sock) {
+      console.log(`Term deposit #${deposit.id} notice not sent: no active connection`);
+      continue;
+    }
+    
+    try {
+      await sock.sendMessage(deposit.userId, {
+        text: `📈 *TERM DEPOSIT MATURED* 📈\n\n` +
+          `Your ${deposit.term} deposit #${deposit.id} has matured.\n\n` +
+          `Deposit: ${formatNumber(deposit.amount)} coins\n` +
+          `Interest: ${formatNumber(deposit.interest)} coins\n\n` +
+          `${formatNumber(deposit.amount + deposit.interest)} coins have been added to your wallet.`
+      });
+    } catch (error) {
+      console.error(`Error sending term deposit notice to ${deposit.userId}:`, error);
+    }
+  }
+  
+  return { matured: matured.length, interestPaid };
+}
+
+// Latest WhatsApp connection for term deposit notices (replaced on every reconnect)
+let bankSock = null;
+let bankInterval = null;
+
+/**
+ * Starts paying out term deposits and unclaimed interest on time, or hands the scheduler a
+ * new connection after a reconnect
+ * @param {Object} sock - WhatsApp connection
+ */
+function startBankScheduler(sock) {
+  bankSock = sock;
+  
+  if (bankInterval) return;
+  
+  bankInterval = setInterval(() => {
+    runBankJobs(bankSock).catch(error => console.error('Error running bank jobs:', error));
+  }, config.bankCheckInterval);
+}
+
+/**
+ * Stops the bank scheduler
+ */
+function stopBankScheduler() {
+  if (bankInterval) {
+    clearInterval(bankInterval);
+    bankInterval = null;
+  }
+}
+
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'deposit',
+    aliases: ['dep'],
+    category: 'bank',
+    usage: '[amount/all]',
+    description: 'Add coins to your bank',
+    examples: ['5000', 'all'],
+    execute: ({ sock, message, args, user }) => handleDeposit(sock, message, args, user)
+  },
+  {
+    name: 'withdraw',
+    aliases: ['with'],
+    category: 'bank',
+    usage: '[amount/all]',
+    description: 'Take coins from your bank',
+    examples: ['2000', 'all'],
+    execute: ({ sock, message, args, user }) => handleWithdraw(sock, message, args, user)
+  },
+  {
+    name: 'interest',
+    aliases: ['int'],
+    category: 'bank',
+    description: 'Claim daily interest on your bank balance',
+    details: [
+      `Interest rate: ${config.baseBankInterestRate * 100}% base + prestige bonus`,
+      'Interest you don\'t claim is paid automatically after the day ends'
+    ],
+    execute: ({ sock, message, user }) => handleInterest(sock, message, user)
+  },
+  {
+    name: 'upgradebank',
+    aliases: ['bank-upgrade'],
+    category: 'bank',
+    description: 'Increase your bank capacity',
+    details: [`Capacity increases by ${config.bankCapacityIncreasePercent * 100}%, cost is ${config.bankUpgradeCostPercent * 100}% of current capacity`],
+    execute: ({ sock, message, user }) => handleBankUpgrade(sock, message, user)
+  },
+  {
+    name: 'bank',
+    aliases: ['bank-info'],
+    category: 'bank',
+    description: 'View your bank details',
+    details: ['Shows balance, capacity, interest rate, upgrade costs, term deposits and any loan'],
+    execute: ({ sock, message, user }) => handleBankInfo(sock, message, user)
+  },
+  {
+    name: 'statement',
+    category: 'bank',
+    usage: '[month] [year]',
+    description: 'Get a monthly bank statement as an image',
+    examples: ['may', 'may 2024', '2024-05'],
+    details: [
+      'Shows opening and closing balances, deposits, withdrawals, interest, upgrades and fees, with a chart of your balance',
+      'Without a month it covers this month so far'
+    ],
+    cooldown: 10,
+    execute: ({ sock, message, args, user }) => handleStatement(sock, message, args, user)
+  },
+  {
+    name: 'term',
+    aliases: ['termdeposit'],
+    category: 'bank',
+    usage: '[term] [amount/all]',
+    description: 'Lock coins for a fixed term at a higher interest rate',
+    examples: ['7d 5000', '30d all', 'break 3'],
+    details: [
+      `Terms: ${Object.entries(config.termDeposits).map(([term, { rate }]) => `${term} at ${(rate * 100).toFixed(1)}%`).join(', ')}`,
+      'The deposit and its interest go to your wallet when the term ends',
+      `break [id] - Get a deposit back early, giving up its interest and ${config.termDepositEarlyPenalty * 100}% of the amount`,
+      `Up to ${config.maxTermDeposits} deposits at once, together no more than your bank capacity`
+    ],
+    execute: ({ sock, message, args, user }) => handleTermDeposit(sock, message, args, user)
+  }
+];
+
 module.exports = {
   handleDeposit,
   handleWithdraw,
   handleInterest,
   handleBankUpgrade,
-  handleBankInfo
+  handleBankInfo,
+  handleStatement,
+  handleTermDeposit,
+  payUnclaimedInterest,
+  runBankJobs,
+  startBankScheduler,
+  stopBankScheduler,
+  commands
 };
@@ -1,7 +1,12 @@
 const { sendReply } = require('../utils/messageUtils');
 const config = require('../config');
-const { getUser, updateUser, getCompany, getAllCompanies, createCompany, updateCompany } = require('../database/db');
-const { formatNumber } = require('../utils/formatter');
+const { getUser, updateUser, getCompany, getAllCompanies, createCompany, updateCompany, renameCompany, getEconomy, recordEconomyCycle, getAllApprovedGroups, hasActiveEffect, transaction, transferCoins, transferShares, walletAccount, companyAccount, LEDGER_ACCOUNTS } = require('../database/db');
+const { formatNumber, formatSigned, formatDate, formatDuration } = require('../utils/formatter');
+const { isInDefault } = require('../utils/loans');
+const { getCategoryImage } = require('../utils/imageUtils');
+const { getSharePrice, formatSharePrice, getBuybackValue, issueShares, buyBackShares } = require('../utils/equity');
+const { getSectorVolatility, rollSectorEvent, getCompanyReturn, getRetainedEarnings, getDividendPayouts, getUpgradeCost, getHourlyIncome, getPendingIncome, getCompanyValuation } = require('../utils/economy');
+const { hasControllingStake } = require('../utils/governance');
 
 /**
  * Handles create company command
@@ -19,6 +24,12 @@ async function handleCreateCompany(sock, message, args, user, sender) {
       return;
     }
     
+    // Players with a loan in default can't start companies
+    if (isInDefault(user.id)) {
+      await sendReply(sock, message, `❌ Your loan is in default. Repay it with ${config.prefix}repay before creating a company.`);
+      return;
+    }
+    
     // Validate amount
     const amount = parseInt(args[0]);
     if (isNaN(amount) || amount <= 0) {
@@ -53,20 +64,19 @@ async function handleCreateCompany(sock, message, args, user, sender) {
       return;
     }
     
-    // Create company
-    const company = createCompany(companyName, sender, amount);
-    
     // Update user balance and investments
     const investedCompanies = { ...user.investedCompanies };
     investedCompanies[companyName] = amount;
     
-    const shares = { ...user.shares };
-    shares[companyName] = 100; // Owner gets 100% shares initially
-    
-    updateUser(user.id, {
-      balance: user.balance - amount,
-      investedCompanies,
-      shares
+    // Create the company and pay for it in one step
+    const company = transaction(() => {
+      const newCompany = createCompany(companyName, sender, amount);
+      
+      transferCoins(walletAccount(user.id), companyAccount(companyName), amount, { reason: 'Company founded' });
+      transferShares(companyAccount(companyName), walletAccount(user.id), companyName, newCompany.totalShares, { reason: 'Founder shares' }); // Owner gets 100% shares initially
+      updateUser(user.id, { investedCompanies });
+      
+      return newCompany;
     });
     
     // Send confirmation
@@ -110,38 +120,71 @@ async function handleCompanyInfo(sock, message, args) {
     // Format company creation date
     const creationDate = new Date(company.createdAt).toLocaleDateString();
     
-    // Format top investors
-    const investors = Object.entries(company.investors)
+    // Format top shareholders
+    const shareholders = Object.entries(company.shareDistribution || {})
       .sort(([, a], [, b]) => b - a)
       .slice(0, 5);
     
-    let investorsText = '';
-    for (const [investorId, investment] of investors) {
-      const investorPercentage = ((investment / company.value) * 100).toFixed(1);
-      // Get investor name from username if available
-      const investor = getUser(investorId);
-      const investorName = investor && investor.username ? investor.username : investorId.split('@')[0];
-      investorsText += `- ${investorName}: ${formatNumber(investment)} coins (${investorPercentage}%)\n`;
+    let shareholdersText = '';
+    for (const [holderId, shares] of shareholders) {
+      const holderPercentage = ((shares / company.totalShares) * 100).toFixed(1);
+      // Get shareholder name from username if available
+      const holder = getUser(holderId);
+      const holderName = holder && holder.username ? holder.username : holderId.split('@')[0];
+      shareholdersText += `- ${holderName}: ${shares} shares (${holderPercentage}%)\n`;
     }
     
-    if (investorsText === '') {
-      investorsText = 'No investors yet';
+    if (shareholdersText === '') {
+      shareholdersText = 'No shareholders yet';
     }
     
     // Get owner info
     const owner = getUser(company.owner);
     const ownerName = owner && owner.username ? owner.username : company.owner.split('@')[0];
     
+    // Latest cycle of the economy and what's been paid out
+    let earningsText = '';
+    if (company.assetValue) {
+      earningsText += `Valuation: ${formatNumber(getCompanyValuation(company))} coins (including upgrades)\n`;
+    }
+    earningsText += `Earnings: ${formatNumber(getRetainedEarnings(company))} coins\n`;
+    if (company.lastRevenueAt) {
+      earningsText += `Last Cycle: ${formatSigned(company.lastRevenue)} coins\n`;
+    }
+    if (company.dividendsPaid) {
+      earningsText += `Dividends Paid: ${formatNumber(company.dividendsPaid)} coins\n`;
+    }
+    
+    // Upgrades and the income they've earned
+    let upgradesText = '';
+    for (const [upgradeId, upgrade] of Object.entries(config.companyUpgrades)) {
+      const level = (company.upgrades || {})[upgradeId] || 0;
+      if (level > 0) {
+        upgradesText += `${upgrade.emoji} ${upgrade.name}: Level ${level}/${upgrade.maxLevel}\n`;
+      }
+    }
+    
+    if (upgradesText === '') {
+      upgradesText = `No upgrades yet (see ${config.prefix}cupgrade ${companyName})\n`;
+    } else {
+      upgradesText += `Income: ${formatNumber(getHourlyIncome(company))} coins/hour\n` +
+        `Waiting to be collected: ${formatNumber(getPendingIncome(company))} coins\n`;
+    }
+    
     // Send company info
+    const infoImage = await getCategoryImage('companyinfo');
     await sendReply(sock, message, `🏢 *COMPANY INFORMATION* 🏢\n\n` +
       `Name: ${company.name}\n` +
       `Sector: ${company.sector}\n` +
       `Value: ${formatNumber(company.value)} coins\n` +
+      earningsText +
       `Owner: ${ownerName}\n` +
       `Created: ${creationDate}\n` +
-      `Total Shares: ${company.totalShares}\n\n` +
-      `*Top Investors:*\n${investorsText}\n\n` +
-      `Use "${config.prefix}ci ${companyName} [amount]" to invest in this company.`);
+      `Total Shares: ${company.totalShares}\n` +
+      `Share Price: ${formatSharePrice(getSharePrice(company))} coins\n\n` +
+      `*Upgrades:*\n${upgradesText}\n` +
+      `*Top Shareholders:*\n${shareholdersText}\n\n` +
+      `Use "${config.prefix}ci ${companyName} [amount]" to invest in this company.`, infoImage);
   } catch (error) {
     console.error('Error handling company info command:', error);
     await sendReply(sock, message, "❌ An error occurred while displaying company information.");
@@ -193,54 +236,30 @@ async function handleCompanyInvest(sock, message, args, user, sender) {
       return;
     }
     
-    // Update company
-    const currentInvestment = company.investors[sender] || 0;
-    const newInvestment = currentInvestment + amount;
-    
-    const investors = { ...company.investors };
-    investors[sender] = newInvestment;
-    
-    const newCompanyValue = company.value + amount;
-    
-    // Calculate shares to give
-    const sharesToGive = Math.floor((amount / newCompanyValue) * company.totalShares);
-    
-    // Update share distribution
-    const shareDistribution = { ...company.shareDistribution };
-    shareDistribution[sender] = (shareDistribution[sender] || 0) + sharesToGive;
-    
-    // Update company
-    updateCompany(companyName, {
-      value: newCompanyValue,
-      investors,
-      shareDistribution
-    });
-    
-    // Update user balance and investments
-    const investedCompanies = { ...user.investedCompanies };
-    investedCompanies[companyName] = newInvestment;
-    
-    const shares = { ...user.shares };
-    shares[companyName] = (shares[companyName] || 0) + sharesToGive;
+    // Shares are whole, so the investment buys as many as it covers
+    const sharePrice = getSharePrice(company);
+    const sharesToIssue = Math.floor(amount / sharePrice);
+    if (sharesToIssue < 1) {
+      await sendReply(sock, message, `❌ One share of "${companyName}" costs ${formatSharePrice(sharePrice)} coins.`);
+      return;
+    }
     
-    updateUser(user.id, {
-      balance: user.balance - amount,
-      investedCompanies,
-      shares
-    });
+    const { cost } = issueShares(companyName, user.id, sharesToIssue, 'Company investment');
     
-    // Calculate ownership percentage
-    const ownershipPercentage = (newInvestment / newCompanyValue) * 100;
+    const updated = getCompany(companyName);
+    const sharesHeld = updated.shareDistribution[sender];
+    const ownershipPercentage = (sharesHeld / updated.totalShares) * 100;
     
     // Send confirmation
     await sendReply(sock, message, `💼 *INVESTMENT SUCCESSFUL* 💼\n\n` +
       `Company: ${companyName}\n` +
-      `Investment: ${formatNumber(amount)} coins\n` +
-      `Shares Acquired: ${sharesToGive}\n` +
-      `Your Total Investment: ${formatNumber(newInvestment)} coins\n` +
+      `Investment: ${formatNumber(cost)} coins\n` +
+      `Shares Acquired: ${sharesToIssue} at ${formatSharePrice(sharePrice)} coins each\n` +
+      (cost < amount ? `Not Needed: ${formatNumber(amount - cost)} coins (less than a share, kept in your wallet)\n` : '') +
+      `Your Shares: ${sharesHeld} of ${updated.totalShares}\n` +
       `Ownership: ${ownershipPercentage.toFixed(2)}%\n\n` +
-      `New Company Value: ${formatNumber(newCompanyValue)} coins\n` +
-      `Your Wallet Balance: ${formatNumber(user.balance - amount)} coins`);
+      `New Company Value: ${formatNumber(updated.value)} coins\n` +
+      `Your Wallet Balance: ${formatNumber(user.balance - cost)} coins`);
   } catch (error) {
     console.error('Error handling company invest command:', error);
     await sendReply(sock, message, "❌ An error occurred while investing in the company.");
@@ -264,7 +283,7 @@ async function handleCompanyWithdraw(sock, message, args, user, sender) {
     }
     
     // Get amount (last argument)
-    let amount = args[args.length - 1];
+    const amountArg = args[args.length - 1];
     
     // Get company name (all arguments except the last one)
     const companyName = args.slice(0, -1).join(' ');
@@ -276,100 +295,68 @@ async function handleCompanyWithdraw(sock, message, args, user, sender) {
       return;
     }
     
-    // Check if user has invested in the company
-    if (!company.investors[sender]) {
-      await sendReply(sock, message, "❌ You don't have any investment in this company.");
+    // Check if user holds shares in the company
+    const sharesHeld = (user.shares || {})[companyName] || 0;
+    if (sharesHeld === 0) {
+      await sendReply(sock, message, "❌ You don't have any shares in this company.");
       return;
     }
     
-    // Check if amount is 'all'
-    if (amount.toLowerCase() === 'all') {
-      amount = company.investors[sender];
+    // Sell back as many shares as the amount covers, or all of them
+    const sharePrice = getSharePrice(company);
+    let sharesToSell;
+    if (amountArg.toLowerCase() === 'all') {
+      sharesToSell = sharesHeld;
     } else {
-      // Convert to number
-      amount = parseInt(amount);
-    }
-    
-    // Validate amount
-    if (isNaN(amount) || amount <= 0) {
-      await sendReply(sock, message, "❌ Please enter a valid withdrawal amount.");
-      return;
+      const amount = parseInt(amountArg);
+      
+      // Validate amount
+      if (isNaN(amount) || amount <= 0) {
+        await sendReply(sock, message, "❌ Please enter a valid withdrawal amount.");
+        return;
+      }
+      
+      sharesToSell = Math.floor(amount / sharePrice);
+      if (sharesToSell < 1) {
+        await sendReply(sock, message, `❌ One share of "${companyName}" is worth ${formatSharePrice(sharePrice)} coins. Withdraw at least that much.`);
+        return;
+      }
     }
     
-    // Check if user has enough invested
-    if (amount > company.investors[sender]) {
-      await sendReply(sock, message, `❌ You only have ${formatNumber(company.investors[sender])} coins invested in this company.`);
+    // Check if user has enough shares
+    if (sharesToSell > sharesHeld) {
+      await sendReply(sock, message, `❌ You only have ${sharesHeld} shares in this company, worth ${formatNumber(getBuybackValue(company, sharesHeld))} coins.`);
       return;
     }
     
-    // Calculate withdrawal fee
-    const withdrawalFee = Math.floor(amount * config.companyWithdrawalFee);
-    const withdrawalAmount = amount - withdrawalFee;
-    
-    // Calculate shares to remove
-    const sharesToRemove = Math.floor((amount / company.value) * company.totalShares);
-    
     // Check if owner is trying to withdraw everything
-    if (sender === company.owner && amount === company.investors[sender]) {
+    if (sender === company.owner && sharesToSell === sharesHeld) {
       await sendReply(sock, message, `❌ As the owner, you cannot withdraw all your investment. Use "${config.prefix}cclose ${companyName}" to close the company instead.`);
       return;
     }
     
-    // Update company
-    const currentInvestment = company.investors[sender];
-    const newInvestment = currentInvestment - amount;
-    
-    const investors = { ...company.investors };
-    if (newInvestment <= 0) {
-      delete investors[sender];
-    } else {
-      investors[sender] = newInvestment;
-    }
-    
-    const newCompanyValue = company.value - amount;
-    
-    // Update share distribution
-    const shareDistribution = { ...company.shareDistribution };
-    shareDistribution[sender] = Math.max(0, (shareDistribution[sender] || 0) - sharesToRemove);
-    
-    // Update company
-    updateCompany(companyName, {
-      value: newCompanyValue,
-      investors,
-      shareDistribution
-    });
-    
-    // Update user balance and investments
-    const investedCompanies = { ...user.investedCompanies };
-    if (newInvestment <= 0) {
-      delete investedCompanies[companyName];
-    } else {
-      investedCompanies[companyName] = newInvestment;
-    }
-    
-    const shares = { ...user.shares };
-    if (shareDistribution[sender] <= 0) {
-      delete shares[companyName];
-    } else {
-      shares[companyName] = shareDistribution[sender];
+    // Calculate withdrawal fee (Company Analyst discounts it while active)
+    let feeRate = config.companyWithdrawalFee;
+    if (hasActiveEffect(sender, 'companyanalyst')) {
+      feeRate *= 1 - config.shopItems.companyanalyst.value;
     }
     
-    updateUser(user.id, {
-      balance: user.balance + withdrawalAmount,
-      investedCompanies,
-      shares
+    const { value, fee, net } = buyBackShares(companyName, user.id, sharesToSell, {
+      feeRate,
+      reason: 'Company withdrawal',
+      feeReason: 'Company withdrawal fee'
     });
     
     // Send confirmation
     await sendReply(sock, message, `💸 *WITHDRAWAL SUCCESSFUL* 💸\n\n` +
       `Company: ${companyName}\n` +
-      `Withdrawn: ${formatNumber(amount)} coins\n` +
-      `Fee (${config.companyWithdrawalFee * 100}%): ${formatNumber(withdrawalFee)} coins\n` +
-      `Net Amount: ${formatNumber(withdrawalAmount)} coins\n` +
-      `Shares Lost: ${sharesToRemove}\n\n` +
-      `Your Remaining Investment: ${formatNumber(newInvestment)} coins\n` +
-      `New Company Value: ${formatNumber(newCompanyValue)} coins\n` +
-      `Your New Balance: ${formatNumber(user.balance + withdrawalAmount)} coins`);
+      `Shares Sold: ${sharesToSell} at ${formatSharePrice(sharePrice)} coins each\n` +
+      `Withdrawn: ${formatNumber(value)} coins\n` +
+      `Fee (${+(feeRate * 100).toFixed(2)}%): ${formatNumber(fee)} coins\n` +
+      `Net Amount: ${formatNumber(net)} coins\n\n` +
+      `Your Remaining Shares: ${sharesHeld - sharesToSell}\n` +
+      `New Company Value: ${formatNumber(getCompany(companyName).value)} coins\n` +
+      `Your New Balance: ${formatNumber(user.balance + net)} coins`);
   } catch (error) {
     console.error('Error handling company withdraw command:', error);
     await sendReply(sock, message, "❌ An error occurred while withdrawing from the company.");
@@ -386,8 +373,8 @@ async function handleCompanyTop(sock, message) {
     // Get all companies
     const companies = getAllCompanies();
     
-    // Sort companies by value
-    const sortedCompanies = companies.sort((a, b) => b.value - a.value).slice(0, 10);
+    // Sort companies by valuation
+    const sortedCompanies = companies.sort((a, b) => getCompanyValuation(b) - getCompanyValuation(a)).slice(0, 10);
     
     if (sortedCompanies.length === 0) {
       await sendReply(sock, message, "No companies found. Be the first to create one!");
@@ -402,7 +389,7 @@ async function handleCompanyTop(sock, message) {
       const owner = getUser(company.owner);
       // Use username if available, otherwise use the phone number
       const ownerName = owner && owner.username ? owner.username : company.owner.split('@')[0];
-      topCompaniesText += `${i + 1}. ${company.name} (${company.sector}) - ${formatNumber(company.value)} coins\n   Owner: ${ownerName}\n`;
+      topCompaniesText += `${i + 1}. ${company.name} (${company.sector}) - ${formatNumber(getCompanyValuation(company))} coins\n   Owner: ${ownerName}\n`;
     }
     
     // Send top companies
@@ -507,31 +494,14 @@ async function handleCompanyRename(sock, message, args, sender) {
       return;
     }
     
-    // Create new company with new name
-    const newCompany = { ...company, name: newName };
-    
-    // Update company
-    updateCompany(oldName, { name: newName });
+    // Without most of the shares, the other shareholders have to agree
+    if (!hasControllingStake(company, sender)) {
+      await sendReply(sock, message, `❌ Other shareholders hold most of "${oldName}", so renaming it needs their vote.\n\nPropose it with ${config.prefix}cpropose ${oldName} rename ${newName}`);
+      return;
+    }
     
-    // Update all investors
-    Object.keys(company.investors).forEach(investorId => {
-      const investor = getUser(investorId);
-      if (investor) {
-        const investedCompanies = { ...investor.investedCompanies };
-        if (investedCompanies[oldName]) {
-          investedCompanies[newName] = investedCompanies[oldName];
-          delete investedCompanies[oldName];
-        }
-        
-        const shares = { ...investor.shares };
-        if (shares[oldName]) {
-          shares[newName] = shares[oldName];
-          delete shares[oldName];
-        }
-        
-        updateUser(investorId, { investedCompanies, shares });
-      }
-    });
+    // Move the company and its shares to the new name
+    transaction(() => renameCompany(oldName, newName));
     
     // Send confirmation
     await sendReply(sock, message, `✅ Company successfully renamed from "${oldName}" to "${newName}"!`);
@@ -541,6 +511,64 @@ async function handleCompanyRename(sock, message, args, sender) {
   }
 }
 
+/**
+ * Closes a company: every shareholder's shares are bought back (with a fee) and they're told why
+ * @param {Object} sock - WhatsApp connection
+ * @param {String} companyName - Company name
+ * @param {Object} options - { closedBy: who closed it, for the notice (e.g. "the owner"); skip: user ID not to notify }
+ * @returns {Promise<Number>} Share price the shares were bought back at
+ */
+async function closeCompany(sock, companyName, { closedBy, skip = null }) {
+  const sharePrice = getSharePrice(getCompany(companyName));
+  
+  // Everyone is bought out at once, so a failure part way leaves the company as it was.
+  // Holders who never registered are paid like everyone else; the coins wait in their wallet.
+  const buybacks = transaction(() => {
+    const results = Object.entries(getCompany(companyName).shareDistribution || {}).map(([holderId, shares]) => ({
+      holderId,
+      ...buyBackShares(companyName, holderId, shares, {
+        feeRate: config.companyWithdrawalFee,
+        reason: 'Company closed',
+        feeReason: 'Company closure fee'
+      })
+    }));
+    
+    // Investors who have since sold their shares on the market are no longer invested either
+    for (const investorId of Object.keys(getCompany(companyName).investors)) {
+      const investedCompanies = { ...getUser(investorId).investedCompanies };
+      delete investedCompanies[companyName];
+      updateUser(investorId, { investedCompanies });
+    }
+    
+    // Remove company (in a real implementation, we might want to keep a record)
+    updateCompany(companyName, { closed: true, closedAt: Date.now(), investors: {} });
+    
+    return results;
+  });
+  
+  for (const { holderId, shares, value, fee, net } of buybacks) {
+    if (holderId === skip || !getUser(holderId).isRegistered) continue;
+    
+    try {
+      await sock.sendMessage(
+        holderId,
+        {
+          text: `📢 *COMPANY CLOSED* 📢\n\n` +
+            `The company "${companyName}" has been closed by ${closedBy}.\n\n` +
+            `Your ${shares} shares have been bought back at ${formatSharePrice(sharePrice)} coins each (${formatNumber(value)} coins), minus a ${config.companyWithdrawalFee * 100}% fee.\n\n` +
+            `Amount returned: ${formatNumber(net)} coins\n` +
+            `Fee: ${formatNumber(fee)} coins\n\n` +
+            `The amount has been added to your wallet.`
+        }
+      );
+    } catch (notifyError) {
+      console.error('Error notifying investor about company closure:', notifyError);
+    }
+  }
+  
+  return sharePrice;
+}
+
 /**
  * Handles company close command
  * @param {Object} sock - WhatsApp connection
@@ -572,63 +600,59 @@ async function handleCompanyClose(sock, message, args, sender) {
       return;
     }
     
-    // Return investments to all investors (with a fee)
-    const investors = Object.keys(company.investors);
-    
-    for (const investorId of investors) {
-      const investor = getUser(investorId);
-      const investmentAmount = company.investors[investorId];
-      
-      if (investor) {
-        // Calculate withdrawal fee
-        const withdrawalFee = Math.floor(investmentAmount * config.companyWithdrawalFee);
-        const withdrawalAmount = investmentAmount - withdrawalFee;
-        
-        // Update investor's balance and investments
-        const investedCompanies = { ...investor.investedCompanies };
-        delete investedCompanies[companyName];
-        
-        const shares = { ...investor.shares };
-        delete shares[companyName];
-        
-        updateUser(investorId, {
-          balance: investor.balance + withdrawalAmount,
-          investedCompanies,
-          shares
-        });
-        
-        // Notify investor if not the owner
-        if (investorId !== sender) {
-          try {
-            await sock.sendMessage(
-              investorId,
-              {
-                text: `📢 *COMPANY CLOSED* 📢\n\n` +
-                  `The company "${companyName}" has been closed by the owner.\n\n` +
-                  `Your investment of ${formatNumber(investmentAmount)} coins has been returned, minus a ${config.companyWithdrawalFee * 100}% fee.\n\n` +
-                  `Amount returned: ${formatNumber(withdrawalAmount)} coins\n` +
-                  `Fee: ${formatNumber(withdrawalFee)} coins\n\n` +
-                  `The amount has been added to your wallet.`
-              }
-            );
-          } catch (notifyError) {
-            console.error('Error notifying investor about company closure:', notifyError);
-          }
-        }
-      }
+    // Without most of the shares, the other shareholders have to agree
+    if (!hasControllingStake(company, sender)) {
+      await sendReply(sock, message, `❌ Other shareholders hold most of "${companyName}", so closing it needs their vote.\n\nPropose it with ${config.prefix}cpropose ${companyName} close`);
+      return;
     }
     
-    // Remove company (in a real implementation, we might want to keep a record)
-    updateCompany(companyName, { closed: true, closedAt: Date.now() });
+    const sharePrice = await closeCompany(sock, companyName, { closedBy: 'the owner', skip: sender });
     
     // Send confirmation to owner
-    await sendReply(sock, message, `✅ Company "${companyName}" has been successfully closed.\n\nAll investors have been refunded their investments (minus ${config.companyWithdrawalFee * 100}% fee) and notified of the closure.`);
+    await sendReply(sock, message, `✅ Company "${companyName}" has been successfully closed.\n\nAll shareholders have had their shares bought back at ${formatSharePrice(sharePrice)} coins each (minus ${config.companyWithdrawalFee * 100}% fee) and been notified of the closure.`);
   } catch (error) {
     console.error('Error handling company close command:', error);
     await sendReply(sock, message, "❌ An error occurred while closing the company.");
   }
 }
 
+/**
+ * Removes a shareholder: all their shares are bought back (like withdrawing everything, but
+ * forced, with double the fee) and they're told who removed them
+ * @param {Object} sock - WhatsApp connection
+ * @param {String} companyName - Company name
+ * @param {String} userId - Shareholder's user ID
+ * @param {String} removedBy - Who removed them, for the notice (e.g. "the owner")
+ * @returns {Promise<Object>} { shares, value, fee, net, feeRate }
+ */
+async function kickShareholder(sock, companyName, userId, removedBy) {
+  const sharesHeld = getCompany(companyName).shareDistribution[userId];
+  const feeRate = config.companyWithdrawalFee * 2;
+  const { value, fee, net } = buyBackShares(companyName, userId, sharesHeld, {
+    feeRate,
+    reason: 'Kicked from company',
+    feeReason: 'Company kick fee'
+  });
+  
+  try {
+    await sock.sendMessage(
+      userId,
+      {
+        text: `⚠️ *COMPANY INVESTMENT TERMINATED* ⚠️\n\n` +
+          `You have been removed from "${companyName}" by ${removedBy}.\n\n` +
+          `Your ${sharesHeld} shares have been bought back for ${formatNumber(value)} coins, minus a ${feeRate * 100}% fee.\n\n` +
+          `Amount returned: ${formatNumber(net)} coins\n` +
+          `Fee: ${formatNumber(fee)} coins\n\n` +
+          `The amount has been added to your wallet.`
+      }
+    );
+  } catch (notifyError) {
+    console.error('Error notifying kicked investor:', notifyError);
+  }
+  
+  return { shares: sharesHeld, value, fee, net, feeRate };
+}
+
 /**
  * Handles company kick command
  * @param {Object} sock - WhatsApp connection
@@ -680,8 +704,9 @@ async function handleCompanyKick(sock, message, args, sender) {
       return;
     }
     
-    // Check if user is an investor
-    if (!company.investors[kickUser]) {
+    // Check if user is a shareholder
+    const sharesHeld = (company.shareDistribution || {})[kickUser] || 0;
+    if (sharesHeld === 0 || !getUser(kickUser)) {
       await sendReply(sock, message, "❌ This user is not an investor in your company.");
       return;
     }
@@ -692,74 +717,605 @@ async function handleCompanyKick(sock, message, args, sender) {
       return;
     }
     
-    // Process the kick (same as withdraw all, but forced)
-    const investmentAmount = company.investors[kickUser];
-    
-    // Calculate withdrawal fee (higher fee for being kicked)
-    const kickFee = Math.floor(investmentAmount * (config.companyWithdrawalFee * 2)); // Double fee for being kicked
-    const withdrawalAmount = investmentAmount - kickFee;
+    // Without most of the shares, the other shareholders have to agree
+    if (!hasControllingStake(company, sender)) {
+      await sendReply(sock, message, `❌ Other shareholders hold most of "${companyName}", so removing a shareholder needs their vote.\n\nPropose it with ${config.prefix}cpropose ${companyName} kick @user`);
+      return;
+    }
     
-    // Update company
-    const investors = { ...company.investors };
-    delete investors[kickUser];
+    const { value, feeRate } = await kickShareholder(sock, companyName, kickUser, 'the owner');
     
-    const shareDistribution = { ...company.shareDistribution };
-    delete shareDistribution[kickUser];
+    // Get kicked user's username
+    const kickedUserObj = getUser(kickUser);
+    const kickedUsername = kickedUserObj && kickedUserObj.username ? kickedUserObj.username : kickUser.split('@')[0];
     
-    const newCompanyValue = company.value - investmentAmount;
+    // Send confirmation to owner
+    await sendReply(sock, message, `✅ Investor ${kickedUsername} has been removed from "${companyName}".\n\nTheir ${sharesHeld} shares have been bought back for ${formatNumber(value)} coins, minus a ${feeRate * 100}% fee.\n\nNew company value: ${formatNumber(getCompany(companyName).value)} coins`);
+  } catch (error) {
+    console.error('Error handling company kick command:', error);
+    await sendReply(sock, message, "❌ An error occurred while kicking the investor.");
+  }
+}
+
+/**
+ * Pays a dividend out of a company's earnings to its shareholders and lets them know
+ * @param {Object} sock - WhatsApp connection
+ * @param {String} companyName - Company name
+ * @param {Number} amount - Coins to pay out (already checked against the company's earnings)
+ * @param {String} [skip] - User ID not to notify
+ * @returns {Promise<Object>} { payouts, totalPaid }
+ */
+async function payDividend(sock, companyName, amount, skip = null) {
+  const company = getCompany(companyName);
+  
+  // Shareholders who have since left the bot can't be paid
+  const payouts = getDividendPayouts(company, amount).filter(payout => payout.amount > 0 && getUser(payout.userId));
+  const totalPaid = payouts.reduce((total, payout) => total + payout.amount, 0);
+  
+  transaction(() => {
+    for (const payout of payouts) {
+      transferCoins(companyAccount(companyName), walletAccount(payout.userId), payout.amount, { reason: 'Dividend' });
+    }
     
-    // Update company
     updateCompany(companyName, {
-      value: newCompanyValue,
-      investors,
-      shareDistribution
+      value: company.value - totalPaid,
+      dividendsPaid: (company.dividendsPaid || 0) + totalPaid
     });
+  });
+  
+  // Notify the other shareholders
+  for (const payout of payouts) {
+    if (payout.userId === skip) continue;
     
-    // Update kicked user
-    const kickedUser = getUser(kickUser);
-    if (kickedUser) {
-      const investedCompanies = { ...kickedUser.investedCompanies };
-      delete investedCompanies[companyName];
+    try {
+      await sock.sendMessage(payout.userId, {
+        text: `💰 *DIVIDEND PAID* 💰\n\n` +
+          `"${companyName}" has paid a dividend of ${formatNumber(amount)} coins.\n\n` +
+          `Your shares: ${payout.shares}\n` +
+          `Your payout: ${formatNumber(payout.amount)} coins\n\n` +
+          `The amount has been added to your wallet.`
+      });
+    } catch (notifyError) {
+      console.error('Error notifying shareholder about dividend:', notifyError);
+    }
+  }
+  
+  return { payouts, totalPaid };
+}
+
+/**
+ * Handles company dividend command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {String} sender - Sender ID
+ */
+async function handleCompanyDividend(sock, message, args, sender) {
+  try {
+    // Check arguments
+    if (args.length < 2) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}cdiv [company name] [amount/all]`);
+      return;
+    }
+    
+    // Get company name (all arguments except the last one)
+    const companyName = args.slice(0, -1).join(' ');
+    
+    // Get company
+    const company = getCompany(companyName);
+    if (!company || company.closed) {
+      await sendReply(sock, message, `❌ Company "${companyName}" not found.`);
+      return;
+    }
+    
+    // Check if sender is the owner
+    if (company.owner !== sender) {
+      await sendReply(sock, message, "❌ Only the company owner can declare dividends.");
+      return;
+    }
+    
+    // Only earnings can be paid out, never the coins investors put in
+    const earnings = getRetainedEarnings(company);
+    const amountArg = args[args.length - 1].toLowerCase();
+    const amount = amountArg === 'all' ? earnings : parseInt(amountArg);
+    
+    if (amountArg !== 'all' && (isNaN(amount) || amount <= 0)) {
+      await sendReply(sock, message, "❌ Please enter a valid dividend amount.");
+      return;
+    }
+    
+    if (amount > earnings) {
+      await sendReply(sock, message, `❌ "${companyName}" only has ${formatNumber(earnings)} coins of earnings to pay out.`);
+      return;
+    }
+    
+    if (amount < config.minDividend) {
+      await sendReply(sock, message, `❌ The minimum dividend is ${formatNumber(config.minDividend)} coins.`);
+      return;
+    }
+    
+    // Without most of the shares, the other shareholders have to agree
+    if (!hasControllingStake(company, sender)) {
+      await sendReply(sock, message, `❌ Other shareholders hold most of "${companyName}", so paying a dividend needs their vote.\n\nPropose it with ${config.prefix}cpropose ${companyName} dividend ${amountArg}`);
+      return;
+    }
+    
+    const { payouts, totalPaid } = await payDividend(sock, companyName, amount, sender);
+    
+    let payoutsText = '';
+    for (const payout of payouts) {
+      const holder = getUser(payout.userId);
+      const holderName = holder.username || payout.userId.split('@')[0];
+      payoutsText += `- ${holderName}: ${formatNumber(payout.amount)} coins (${payout.shares} shares)\n`;
+    }
+    
+    await sendReply(sock, message, `💰 *DIVIDEND DECLARED* 💰\n\n` +
+      `Company: ${companyName}\n` +
+      `Paid Out: ${formatNumber(totalPaid)} coins\n\n` +
+      `*Shareholders:*\n${payoutsText}\n` +
+      `Earnings Left: ${formatNumber(earnings - totalPaid)} coins\n` +
+      `New Company Value: ${formatNumber(company.value - totalPaid)} coins`);
+  } catch (error) {
+    console.error('Error handling company dividend command:', error);
+    await sendReply(sock, message, "❌ An error occurred while paying the dividend.");
+  }
+}
+
+/**
+ * Handles company upgrade command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} user - User data
+ * @param {String} sender - Sender ID
+ */
+async function handleCompanyUpgrade(sock, message, args, user, sender) {
+  try {
+    // Check arguments
+    if (args.length < 1) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}cupgrade [company name] [upgrade]`);
+      return;
+    }
+    
+    // The upgrade is the last argument, if there is one
+    const lastArg = args[args.length - 1].toLowerCase();
+    const upgradeId = args.length > 1 && config.companyUpgrades[lastArg] ? lastArg : null;
+    const companyName = upgradeId ? args.slice(0, -1).join(' ') : args.join(' ');
+    
+    // Get company
+    const company = getCompany(companyName);
+    if (!company || company.closed) {
+      await sendReply(sock, message, `❌ Company "${companyName}" not found.`);
+      return;
+    }
+    
+    const upgrades = company.upgrades || {};
+    
+    // Without an upgrade, list what can be bought
+    if (!upgradeId) {
+      let upgradesText = '';
+      for (const [id, upgrade] of Object.entries(config.companyUpgrades)) {
+        const level = upgrades[id] || 0;
+        const cost = getUpgradeCost(company, id);
+        upgradesText += `${upgrade.emoji} *${upgrade.name}* (${id}) - Level ${level}/${upgrade.maxLevel}\n` +
+          `   ${upgrade.description}\n` +
+          `   +${formatNumber(upgrade.income)} coins/hour per level\n` +
+          `   ${cost === null ? 'Max level reached' : `Next level: ${formatNumber(cost)} coins`}\n\n`;
+      }
       
-      const shares = { ...kickedUser.shares };
-      delete shares[companyName];
+      const upgradeImage = await getCategoryImage('companyupgrade');
+      await sendReply(sock, message, `🏗️ *COMPANY UPGRADES* 🏗️\n\n` +
+        `Company: ${companyName}\n` +
+        `Income: ${formatNumber(getHourlyIncome(company))} coins/hour\n\n` +
+        upgradesText +
+        `The owner can buy one with "${config.prefix}cupgrade ${companyName} [upgrade]".`, upgradeImage);
+      return;
+    }
+    
+    // Check if sender is the owner
+    if (company.owner !== sender) {
+      await sendReply(sock, message, "❌ Only the company owner can buy upgrades.");
+      return;
+    }
+    
+    const upgrade = config.companyUpgrades[upgradeId];
+    const cost = getUpgradeCost(company, upgradeId);
+    if (cost === null) {
+      await sendReply(sock, message, `❌ ${upgrade.name} is already at its highest level (${upgrade.maxLevel}).`);
+      return;
+    }
+    
+    // Check if player has enough balance
+    if (cost > user.balance) {
+      await sendReply(sock, message, `❌ You need ${formatNumber(cost)} coins for the next ${upgrade.name} level.`);
+      return;
+    }
+    
+    // Income earned so far is kept at the old rate
+    const now = Date.now();
+    const level = (upgrades[upgradeId] || 0) + 1;
+    const updated = transaction(() => {
+      transferCoins(walletAccount(user.id), LEDGER_ACCOUNTS.SHOP, cost, { reason: 'Company upgrade' });
       
-      updateUser(kickUser, {
-        balance: kickedUser.balance + withdrawalAmount,
-        investedCompanies,
-        shares
+      return updateCompany(companyName, {
+        upgrades: { ...upgrades, [upgradeId]: level },
+        assetValue: (company.assetValue || 0) + Math.floor(cost * config.companyAssetShare),
+        pendingIncome: getPendingIncome(company, now),
+        incomeSince: now
       });
-      
-      // Notify kicked user
-      try {
-        await sock.sendMessage(
-          kickUser,
-          {
-            text: `⚠️ *COMPANY INVESTMENT TERMINATED* ⚠️\n\n` +
-              `You have been removed from "${companyName}" by the owner.\n\n` +
-              `Your investment of ${formatNumber(investmentAmount)} coins has been returned, minus a ${(config.companyWithdrawalFee * 2) * 100}% fee.\n\n` +
-              `Amount returned: ${formatNumber(withdrawalAmount)} coins\n` +
-              `Fee: ${formatNumber(kickFee)} coins\n\n` +
-              `The amount has been added to your wallet.`
-          }
-        );
-      } catch (notifyError) {
-        console.error('Error notifying kicked investor:', notifyError);
-      }
+    });
+    
+    const buyImage = await getCategoryImage('companybuy');
+    await sendReply(sock, message, `🏗️ *UPGRADE BOUGHT* 🏗️\n\n` +
+      `Company: ${companyName}\n` +
+      `Upgrade: ${upgrade.emoji} ${upgrade.name} (Level ${level}/${upgrade.maxLevel})\n` +
+      `Cost: ${formatNumber(cost)} coins\n\n` +
+      `Income: ${formatNumber(getHourlyIncome(updated))} coins/hour (+${formatNumber(upgrade.income)})\n` +
+      `Valuation: ${formatNumber(getCompanyValuation(updated))} coins\n\n` +
+      `Collect the income with "${config.prefix}ccollect ${companyName}".\n\n` +
+      `New balance: ${formatNumber(user.balance - cost)} coins`, buyImage);
+  } catch (error) {
+    console.error('Error handling company upgrade command:', error);
+    await sendReply(sock, message, "❌ An error occurred while upgrading the company.");
+  }
+}
+
+/**
+ * Handles company collect command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {String} sender - Sender ID
+ */
+async function handleCompanyCollect(sock, message, args, sender) {
+  try {
+    // Check arguments
+    if (args.length < 1) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}ccollect [company name]`);
+      return;
     }
     
-    // Get kicked user's username
-    const kickedUserObj = getUser(kickUser);
-    const kickedUsername = kickedUserObj && kickedUserObj.username ? kickedUserObj.username : kickUser.split('@')[0];
+    // Get company name
+    const companyName = args.join(' ');
     
-    // Send confirmation to owner
-    await sendReply(sock, message, `✅ Investor ${kickedUsername} has been removed from "${companyName}".\n\nTheir investment of ${formatNumber(investmentAmount)} coins has been returned to them, minus a ${(config.companyWithdrawalFee * 2) * 100}% fee.\n\nNew company value: ${formatNumber(newCompanyValue)} coins`);
+    // Get company
+    const company = getCompany(companyName);
+    if (!company || company.closed) {
+      await sendReply(sock, message, `❌ Company "${companyName}" not found.`);
+      return;
+    }
+    
+    // Check if sender is the owner
+    if (company.owner !== sender) {
+      await sendReply(sock, message, "❌ Only the company owner can collect income.");
+      return;
+    }
+    
+    const hourlyIncome = getHourlyIncome(company);
+    if (hourlyIncome === 0) {
+      await sendReply(sock, message, `❌ "${companyName}" doesn't earn any income yet. Buy upgrades with "${config.prefix}cupgrade ${companyName}".`);
+      return;
+    }
+    
+    // Check the cooldown
+    const now = Date.now();
+    const nextCollect = (company.lastCollectedAt || 0) + config.companyCollectCooldown;
+    if (now < nextCollect) {
+      await sendReply(sock, message, `⏳ Income was collected recently. You can collect again in ${formatDuration(nextCollect - now)}.`);
+      return;
+    }
+    
+    const income = getPendingIncome(company, now);
+    if (income <= 0) {
+      await sendReply(sock, message, `❌ "${companyName}" has no income to collect yet.`);
+      return;
+    }
+    
+    // Income goes into the company, where it counts as earnings
+    transaction(() => {
+      transferCoins(LEDGER_ACCOUNTS.REWARDS, companyAccount(companyName), income, { reason: 'Company income' });
+      updateCompany(companyName, {
+        value: company.value + income,
+        pendingIncome: 0,
+        incomeSince: now,
+        lastCollectedAt: now
+      });
+    });
+    
+    const collectImage = await getCategoryImage('companycollect');
+    await sendReply(sock, message, `💰 *INCOME COLLECTED* 💰\n\n` +
+      `Company: ${companyName}\n` +
+      `Collected: ${formatNumber(income)} coins\n` +
+      `Income: ${formatNumber(hourlyIncome)} coins/hour\n\n` +
+      `New Company Value: ${formatNumber(company.value + income)} coins\n\n` +
+      `Income stops building up after ${formatDuration(config.companyIncomeCap)} uncollected. ` +
+      `Pay it out to shareholders with "${config.prefix}cdiv ${companyName} all".`, collectImage);
   } catch (error) {
-    console.error('Error handling company kick command:', error);
-    await sendReply(sock, message, "❌ An error occurred while kicking the investor.");
+    console.error('Error handling company collect command:', error);
+    await sendReply(sock, message, "❌ An error occurred while collecting company income.");
   }
 }
 
+/**
+ * Describes a sector event
+ * @param {Object} event - Sector event
+ * @returns {String} e.g. "Energy crisis: Energy -15%"
+ */
+function formatSectorEvent(event) {
+  return `${event.name}: ${event.sector} ${event.effect < 0 ? '-' : '+'}${+(Math.abs(event.effect) * 100).toFixed(1)}%`;
+}
+
+/**
+ * Handles sectors command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ */
+async function handleSectors(sock, message) {
+  try {
+    let sectorsText = '';
+    for (const sector of config.companySectors) {
+      sectorsText += `- ${sector}: ±${(getSectorVolatility(sector) * 100).toFixed(1)}% a cycle\n`;
+    }
+    
+    const economy = getEconomy();
+    let eventsText = '';
+    for (const event of economy.events) {
+      eventsText += `- ${formatDate(event.at)}: ${formatSectorEvent(event)}\n`;
+    }
+    
+    const nextCycle = economy.lastCycleAt ? Math.max(0, economy.lastCycleAt + config.companyCycleInterval - Date.now()) : 0;
+    
+    await sendReply(sock, message, `📊 *SECTORS* 📊\n\n` +
+      `Companies earn or lose money every ${formatDuration(config.companyCycleInterval)}, ` +
+      `${(config.companyBaseReturn * 100).toFixed(1)}% on average plus a swing that depends on their sector.\n\n` +
+      `${sectorsText}\n` +
+      `*Recent Events:*\n${eventsText || 'None yet\n'}\n` +
+      `Next cycle: ${nextCycle > 0 ? `in ${formatDuration(nextCycle)}` : 'soon'}`);
+  } catch (error) {
+    console.error('Error handling sectors command:', error);
+    await sendReply(sock, message, "❌ An error occurred while displaying sectors.");
+  }
+}
+
+/**
+ * Runs a cycle of the company economy if one is due: every open company earns or loses
+ * money, and any sector event is announced in every approved group
+ * @param {Object} sock - WhatsApp connection
+ * @param {Number} [now] - Current time
+ * @param {Function} [random] - Returns a float in [0, 1)
+ * @returns {Promise<Object|null>} { events, companies } (sector events, companies updated), or null if no cycle was due
+ */
+async function runCompanyCycle(sock, now = Date.now(), random = Math.random) {
+  const { lastCycleAt } = getEconomy();
+  if (lastCycleAt && now - lastCycleAt < config.companyCycleInterval) return null;
+  
+  const event = rollSectorEvent(random);
+  const events = event ? [{ ...event, at: now }] : [];
+  const results = [];
+  
+  for (const company of getAllCompanies().filter(company => !company.closed)) {
+    try {
+      const rate = getCompanyReturn(company, events, random);
+      // A company can't lose more than it's worth
+      const revenue = Math.max(-company.value, Math.round(company.value * rate));
+      
+      transaction(() => {
+        if (revenue > 0) {
+          transferCoins(LEDGER_ACCOUNTS.REWARDS, companyAccount(company.name), revenue, { reason: 'Company revenue' });
+        } else {
+          transferCoins(companyAccount(company.name), LEDGER_ACCOUNTS.REWARDS, -revenue, { reason: 'Company loss' });
+        }
+        
+        updateCompany(company.name, {
+          value: company.value + revenue,
+          lastRevenue: revenue,
+          lastRevenueAt: now
+        });
+      });
+      
+      results.push({ company, revenue });
+    } catch (error) {
+      console.error(`Error running the economy cycle for company ${company.name}:`, error);
+    }
+  }
+  
+  recordEconomyCycle(now, events);
+  
+  for (const sectorEvent of events) {
+    if (!sock) {
+      console.log('Sector event not announced: no active connection');
+      continue;
+    }
+    
+    let companiesText = '';
+    for (const { company, revenue } of results) {
+      if (company.sector !== sectorEvent.sector) continue;
+      companiesText += `- ${company.name}: ${formatSigned(revenue)} coins\n`;
+    }
+    
+    const announcement = `${sectorEvent.effect < 0 ? '📉' : '📈'} *SECTOR NEWS* ${sectorEvent.effect < 0 ? '📉' : '📈'}\n\n` +
+      `${formatSectorEvent(sectorEvent)}\n\n` +
+      `*${sectorEvent.sector} companies this cycle:*\n${companiesText || 'No companies in this sector yet\n'}\n` +
+      `See every sector with "${config.prefix}sectors".`;
+    
+    for (const group of getAllApprovedGroups()) {
+      try {
+        await sock.sendMessage(group.id, { text: announcement });
+      } catch (error) {
+        console.error(`Error announcing sector event in group ${group.id}:`, error);
+      }
+    }
+  }
+  
+  return { events: events.length, companies: results.length };
+}
+
+// Latest WhatsApp connection for sector event announcements (replaced on every reconnect)
+let companySock = null;
+let companyInterval = null;
+
+/**
+ * Starts running the company economy on time, or hands the scheduler a new connection
+ * after a reconnect
+ * @param {Object} sock - WhatsApp connection
+ */
+function startCompanyScheduler(sock) {
+  companySock = sock;
+  
+  if (companyInterval) return;
+  
+  companyInterval = setInterval(() => {
+    runCompanyCycle(companySock).catch(error => console.error('Error running the company economy:', error));
+  }, config.companyCheckInterval);
+}
+
+/**
+ * Stops the company scheduler
+ */
+function stopCompanyScheduler() {
+  if (companyInterval) {
+    clearInterval(companyInterval);
+    companyInterval = null;
+  }
+}
+
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'cc',
+    aliases: ['createcompany'],
+    category: 'company',
+    usage: '[amount] [name]',
+    description: 'Create a company',
+    examples: ['6000 TechCorp'],
+    details: ['A random sector will be assigned', `Min investment: ${config.minCompanyInvestment} coins`],
+    execute: ({ sock, message, args, user, sender }) => handleCreateCompany(sock, message, args, user, sender)
+  },
+  {
+    name: 'cinfo',
+    category: 'company',
+    usage: '[name]',
+    description: 'View company details',
+    examples: ['TechCorp'],
+    requiresRegistration: false,
+    execute: ({ sock, message, args }) => handleCompanyInfo(sock, message, args)
+  },
+  {
+    name: 'ci',
+    aliases: ['companyinvest'],
+    category: 'company',
+    usage: '[name] [amount]',
+    description: 'Invest in a company',
+    examples: ['TechCorp 5000'],
+    details: [
+      'New shares are issued at the share price (company value ÷ shares)',
+      'Only whole shares are sold; coins left over stay in your wallet'
+    ],
+    execute: ({ sock, message, args, user, sender }) => handleCompanyInvest(sock, message, args, user, sender)
+  },
+  {
+    name: 'cw',
+    aliases: ['companywithdraw'],
+    category: 'company',
+    usage: '[name] [amount]',
+    description: 'Withdraw investment',
+    examples: ['TechCorp 2000', 'TechCorp all'],
+    details: [
+      'The company buys back as many of your shares as the amount covers, at the share price',
+      `Withdrawal fee: ${config.companyWithdrawalFee * 100}%`
+    ],
+    execute: ({ sock, message, args, user, sender }) => handleCompanyWithdraw(sock, message, args, user, sender)
+  },
+  {
+    name: 'ctop',
+    category: 'company',
+    description: 'View top companies',
+    requiresRegistration: false,
+    execute: ({ sock, message }) => handleCompanyTop(sock, message)
+  },
+  {
+    name: 'crq',
+    aliases: ['companyrequest'],
+    category: 'company',
+    usage: '[name]',
+    description: 'Request to invest in a company',
+    examples: ['TechCorp'],
+    execute: ({ sock, message, args, sender }) => handleCompanyRequest(sock, message, args, sender)
+  },
+  {
+    name: 'crn',
+    aliases: ['companyrename'],
+    category: 'company',
+    usage: '[oldName] [newName]',
+    description: 'Rename your company (company owner only)',
+    execute: ({ sock, message, args, sender }) => handleCompanyRename(sock, message, args, sender)
+  },
+  {
+    name: 'cclose',
+    category: 'company',
+    usage: '[name]',
+    description: 'Close your company (company owner only)',
+    execute: ({ sock, message, args, sender }) => handleCompanyClose(sock, message, args, sender)
+  },
+  {
+    name: 'ckick',
+    category: 'company',
+    usage: '[name] @user',
+    description: 'Remove an investor (company owner only)',
+    execute: ({ sock, message, args, sender }) => handleCompanyKick(sock, message, args, sender)
+  },
+  {
+    name: 'cdiv',
+    aliases: ['dividend'],
+    category: 'company',
+    usage: '[name] [amount/all]',
+    description: 'Pay earnings to shareholders (company owner only)',
+    examples: ['TechCorp 5000', 'TechCorp all'],
+    details: [
+      'Each shareholder gets a part in proportion to their shares',
+      'Only earnings can be paid out, not the coins investors put in',
+      `Owners without most of the shares need a vote (${config.prefix}cpropose)`,
+      `Min dividend: ${config.minDividend} coins`
+    ],
+    execute: ({ sock, message, args, sender }) => handleCompanyDividend(sock, message, args, sender)
+  },
+  {
+    name: 'cupgrade',
+    aliases: ['companyupgrade'],
+    category: 'company',
+    usage: '[name] [upgrade]',
+    description: 'View or buy company upgrades (buying is company owner only)',
+    examples: ['TechCorp', 'TechCorp office'],
+    details: [
+      `Upgrades: ${Object.entries(config.companyUpgrades).map(([id, upgrade]) => `${id} (+${upgrade.income} coins/hour a level)`).join(', ')}`,
+      `Paid from your wallet; ${config.companyAssetShare * 100}% of the cost is added to the company's valuation`
+    ],
+    execute: ({ sock, message, args, user, sender }) => handleCompanyUpgrade(sock, message, args, user, sender)
+  },
+  {
+    name: 'ccollect',
+    aliases: ['companycollect'],
+    category: 'company',
+    usage: '[name]',
+    description: 'Collect income from upgrades into the company (company owner only)',
+    examples: ['TechCorp'],
+    details: [
+      `Income stops building up after ${formatDuration(config.companyIncomeCap)}`,
+      `Can be collected once every ${formatDuration(config.companyCollectCooldown)}`,
+      `Collected income counts as earnings, so it can be paid out with ${config.prefix}cdiv`
+    ],
+    execute: ({ sock, message, args, sender }) => handleCompanyCollect(sock, message, args, sender)
+  },
+  {
+    name: 'sectors',
+    category: 'company',
+    description: 'View sector volatility and recent sector events',
+    details: [`Companies earn or lose money every ${formatDuration(config.companyCycleInterval)}; sector events are announced in groups`],
+    requiresRegistration: false,
+    execute: ({ sock, message }) => handleSectors(sock, message)
+  }
+];
+
 module.exports = {
   handleCreateCompany,
   handleCompanyInfo,
@@ -769,5 +1325,16 @@ module.exports = {
   handleCompanyRequest,
   handleCompanyRename,
   handleCompanyClose,
-  handleCompanyKick
+  handleCompanyKick,
+  handleCompanyDividend,
+  handleCompanyUpgrade,
+  handleCompanyCollect,
+  handleSectors,
+  closeCompany,
+  kickShareholder,
+  payDividend,
+  runCompanyCycle,
+  startCompanyScheduler,
+  stopCompanyScheduler,
+  commands
 };
@@ -3,7 +3,7 @@
  */
 
 const config = require('../config');
-const { getUser, updateUser } = require('../database/db');
+const { getUser, updateUser, transaction, transferCoins, walletAccount, LEDGER_ACCOUNTS } = require('../database/db');
 const { sendReply } = require('../utils/messageUtils');
 const { formatNumber } = require('../utils/formatUtils');
 
@@ -75,11 +75,13 @@ async function handleDaily(sock, message, user) {
     const prestigeBonusAmount = Math.floor(baseReward * prestigeBonus);
     const totalReward = baseReward + streakBonusAmount + prestigeBonusAmount;
     
-    // Update user data
-    updateUser(user.id, {
-      balance: (user.balance || 0) + totalReward,
-      lastDaily: now.getTime(),
-      dailyStreak: streak
+    // Pay the reward and update the streak
+    transaction(() => {
+      transferCoins(LEDGER_ACCOUNTS.REWARDS, walletAccount(user.id), totalReward, { reason: `Daily reward (day ${streak})` });
+      updateUser(user.id, {
+        lastDaily: now.getTime(),
+        dailyStreak: streak
+      });
     });
     
     // Send confirmation message
@@ -169,7 +171,25 @@ async function handleStreak(sock, message, user) {
   }
 }
 
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'daily',
+    category: 'daily',
+    description: 'Claim your daily reward',
+    details: [`Base reward: ${config.baseReward} coins`],
+    execute: ({ sock, message, user }) => handleDaily(sock, message, user)
+  },
+  {
+    name: 'streak',
+    category: 'daily',
+    description: 'Check your current daily streak',
+    execute: ({ sock, message, user }) => handleStreak(sock, message, user)
+  }
+];
+
 module.exports = {
   handleDaily,
-  handleStreak
+  handleStreak,
+  commands
 };
\ No newline at end of file
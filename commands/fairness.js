@@ -0,0 +1,227 @@
+const { sendReply } = require('../utils/messageUtils');
+const config = require('../config');
+const { HOUSE_SEED, SHOE_SEED_PREFIX, ROUND_SEED_PREFIX, TABLE_SEED_PREFIX, HEIST_SEED_PREFIX, FLOATS_PER_ROUND, getActiveSeed, rotateServerSeed, verifyBet } = require('../utils/rng');
+
+// How each game turns floats into a result, shown by .verify
+const DERIVATIONS = {
+  'Coin toss': 'Heads if float 1 < 0.5, otherwise tails',
+  'High stakes': 'Heads if float 1 < 0.5, otherwise tails',
+  'PvP challenge': 'Heads (challenger wins) if float 1 < 0.5, otherwise tails',
+  'Dice': 'floor(float 1 × 6) + 1',
+  'Slots': 'Floats 1-9 fill the grid row by row; float × total weight picks the first symbol whose cumulative weight is above it',
+  'Wheel': 'Float 1 × total weight picks the first segment whose cumulative weight reaches it',
+  'Roulette': 'Winning number = floor(float 1 × 37), from 0 to 36',
+  'Blackjack shoe': 'Decks are laid out suit by suit (hearts, diamonds, clubs, spades; 2 to A), then Fisher-Yates shuffled: float k swaps card n-k with card floor(float k × (n-k+1)), where n is the shoe size',
+  'Blackjack': 'Dealt from the shoe shuffled by these seeds (see its bet): cards come off the end of the shuffled shoe, so shoe card 1 is the last card in the shuffle, and the result lists which shoe cards this hand used',
+  'Crash': 'Crash point = floor(100 / (1 - float 1)) / 100, shown to two decimals; every bet whose cash-out is at or below it wins',
+  'Poker': 'One deck laid out like the blackjack shoe and Fisher-Yates shuffled the same way; cards come off the end of the shuffle, two hole cards each one at a time starting left of the button, then the flop, turn and river',
+  'Jackpot': 'Winning ticket = floor(float 1 × total tickets) + 1, counted through the entries in order',
+  'Robbery': 'Caught if float 1 ≥ the robbery chance; otherwise the share of the wallet taken = min share + float 2 × (max share - min share)',
+  'Heist': 'The vault is cracked if float 1 < the heist chance'
+};
+
+/**
+ * Formats floats for display, shortening long lists
+ * @param {Array} floats - Floats in [0, 1)
+ * @returns {String} Formatted floats
+ */
+function formatFloats(floats) {
+  const shown = floats.slice(0, FLOATS_PER_ROUND).map(float => float.toFixed(6)).join(', ');
+  return floats.length > FLOATS_PER_ROUND ? `${shown} … (+${floats.length - FLOATS_PER_ROUND} more)` : shown;
+}
+
+/**
+ * Formats an owner's active seeds
+ * @param {Object} state - Seed state from getActiveSeed
+ * @returns {String} Seed details
+ */
+function formatSeedState(state) {
+  return `Server seed hash: ${state.serverSeedHash}\n` +
+    `Client seed: ${state.clientSeed}\n` +
+    `Next nonce: ${state.nonce}`;
+}
+
+/**
+ * Formats a seed that has just been rotated out
+ * @param {Object} previous - Previous seed state, including its server seed
+ * @returns {String} Revealed seed details
+ */
+function formatRevealedSeed(previous) {
+  return `*Revealed Seed:*\n` +
+    `Server seed: ${previous.serverSeed}\n` +
+    `Hash: ${previous.serverSeedHash}\n` +
+    `Client seed: ${previous.clientSeed}\n` +
+    `Bets made: ${previous.nonce}`;
+}
+
+/**
+ * Handles seed command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} user - User data
+ */
+async function handleSeed(sock, message, args, user) {
+  try {
+    const action = args.length > 0 ? args[0].toLowerCase() : null;
+    
+    if (!action) {
+      const state = getActiveSeed(user.id);
+      
+      await sendReply(sock, message, `🔐 *PROVABLY FAIR* 🔐\n\n` +
+        `${formatSeedState(state)}\n\n` +
+        `Every result is HMAC-SHA256(server seed, "client seed:nonce:round"), read 4 bytes at a time as floats between 0 and 1. ` +
+        `The server seed stays secret until you rotate it, but its hash is fixed now, so it can't be changed after you bet.\n\n` +
+        (state.previous ? `${formatRevealedSeed(state.previous)}\n\n` : '') +
+        `Set your own client seed with "${config.prefix}seed client [seed]", reveal the server seed with "${config.prefix}seed rotate" ` +
+        `and check any bet with "${config.prefix}verify [bet id]".`);
+      return;
+    }
+    
+    if (action === 'house') {
+      await sendReply(sock, message, `🏦 *HOUSE SEEDS* 🏦\n\n` +
+        `${formatSeedState(getActiveSeed(HOUSE_SEED))}\n\n` +
+        `Jackpot draws use the house seeds. The server seed is revealed after every draw.\n\n` +
+        `*Blackjack Shoe (this chat):*\n${formatSeedState(getActiveSeed(`${SHOE_SEED_PREFIX}${message.key.remoteJid}`))}\n\n` +
+        `The shoe's server seed is revealed when it's reshuffled with no hands in play.`);
+      return;
+    }
+    
+    if (action === 'rotate') {
+      const { previous, current } = rotateServerSeed(user.id);
+      
+      await sendReply(sock, message, `🔄 *SERVER SEED ROTATED* 🔄\n\n` +
+        `${formatRevealedSeed(previous)}\n\n` +
+        `*New Seeds:*\n${formatSeedState(current)}\n\n` +
+        `Bets made with the revealed seed can now be checked with "${config.prefix}verify [bet id]".`);
+      return;
+    }
+    
+    if (action === 'client') {
+      const clientSeed = args[1];
+      if (!clientSeed || args.length > 2) {
+        await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}seed client [seed]`);
+        return;
+      }
+      
+      if (clientSeed.length > config.clientSeedMaxLength || !/^[\w-]+$/.test(clientSeed)) {
+        await sendReply(sock, message, `❌ Client seeds can be up to ${config.clientSeedMaxLength} letters, numbers, dashes or underscores.`);
+        return;
+      }
+      
+      // A new client seed starts a new server seed, so the old one can be revealed
+      const { previous, current } = rotateServerSeed(user.id, clientSeed);
+      
+      await sendReply(sock, message, `✅ *CLIENT SEED SET* ✅\n\n` +
+        `${formatRevealedSeed(previous)}\n\n` +
+        `*New Seeds:*\n${formatSeedState(current)}`);
+      return;
+    }
+    
+    await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}seed [client/rotate/house]`);
+  } catch (error) {
+    console.error('Error handling seed command:', error);
+    await sendReply(sock, message, "❌ An error occurred while managing your seeds.");
+  }
+}
+
+/**
+ * Handles verify command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ */
+async function handleVerify(sock, message, args) {
+  try {
+    const betId = args.length > 0 ? parseInt(args[0].replace(/^#/, '')) : NaN;
+    if (isNaN(betId) || betId < 1) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}verify [bet id]`);
+      return;
+    }
+    
+    const verification = verifyBet(betId);
+    if (!verification) {
+      await sendReply(sock, message, `❌ Bet #${betId} not found. Only the last ${config.betRecordLimit} bets can be verified.`);
+      return;
+    }
+    
+    const { bet, owner, serverSeed, hashMatches, floats } = verification;
+    let player = owner ? (owner.username || owner.id.split('@')[0]) : 'House';
+    if (bet.ownerId.startsWith(ROUND_SEED_PREFIX)) {
+      player = 'Everyone in the round';
+    } else if (bet.ownerId.startsWith(TABLE_SEED_PREFIX)) {
+      player = 'Everyone at the table';
+    } else if (bet.ownerId.startsWith(HEIST_SEED_PREFIX)) {
+      player = 'The heist crew';
+    }
+    const time = new Date(bet.timestamp).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    
+    let seedText;
+    if (!serverSeed) {
+      let revealedBy = 'the next jackpot draw';
+      if (bet.ownerId.startsWith(SHOE_SEED_PREFIX)) {
+        revealedBy = 'the shoe is reshuffled';
+      } else if (bet.ownerId.startsWith(TABLE_SEED_PREFIX)) {
+        revealedBy = 'the hand is over';
+      } else if (owner) {
+        revealedBy = `${player} rotates it (${config.prefix}seed rotate)`;
+      }
+      seedText = `Server seed: 🔒 hidden until ${revealedBy}`;
+    } else {
+      seedText = `Server seed: ${serverSeed}\n` +
+        `Hash check: ${hashMatches ? '✅ SHA-256 matches the published hash' : '❌ does not match the published hash'}\n` +
+        `Floats: ${formatFloats(floats)}`;
+    }
+    
+    await sendReply(sock, message, `🔍 *BET #${bet.id}* 🔍\n\n` +
+      `Game: ${bet.game}\n` +
+      `Player: ${player}\n` +
+      `Result: ${bet.result}\n` +
+      `Time: ${time}\n\n` +
+      `Server seed hash: ${bet.serverSeedHash}\n` +
+      `Client seed: ${bet.clientSeed}\n` +
+      `Nonce: ${bet.nonce}\n` +
+      `${seedText}\n\n` +
+      `*How it's derived:*\n${DERIVATIONS[bet.game] || 'See the game rules'}`);
+  } catch (error) {
+    console.error('Error handling verify command:', error);
+    await sendReply(sock, message, "❌ An error occurred while verifying the bet.");
+  }
+}
+
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'seed',
+    category: 'gambling',
+    usage: '[client/rotate/house]',
+    description: 'See or change the seeds behind your game results',
+    examples: ['client lucky-7'],
+    details: [
+      'client [seed] - Use your own client seed (reveals the current server seed)',
+      'rotate - Reveal the current server seed and start a new one',
+      'house - See the seeds used for jackpot draws and this chat\'s blackjack shoe'
+    ],
+    execute: ({ sock, message, args, user }) => handleSeed(sock, message, args, user)
+  },
+  {
+    name: 'verify',
+    category: 'gambling',
+    usage: '[bet id]',
+    description: 'Check how a game result was derived',
+    examples: ['42'],
+    requiresRegistration: false,
+    execute: ({ sock, message, args }) => handleVerify(sock, message, args)
+  }
+];
+
+module.exports = {
+  handleSeed,
+  handleVerify,
+  commands
+};
@@ -1,20 +1,61 @@
 const { sendReply } = require('../utils/messageUtils');
 const config = require('../config');
-const { getUser, updateUser, updateGlobalStats, addJackpotEntry, getJackpotEntries } = require('../database/db');
-const { formatNumber } = require('../utils/formatter');
+const { getUser, updateUser, updateGlobalStats, addJackpotEntry, getJackpotEntries, getJackpotHistory, hasActiveEffect, transaction, transferCoins, walletAccount, LEDGER_ACCOUNTS, getBlackjackShoe, setBlackjackShoe, getBlackjackGame, getAllBlackjackGames, setBlackjackGame } = require('../database/db');
+const { formatNumber, formatDuration } = require('../utils/formatter');
+const { checkJackpotThreshold, getNextDrawTime } = require('../utils/jackpotScheduler');
 const { addXP } = require('../commands/xp');
+const { recordWager } = require('../utils/betHistory');
+const { checkBetLimits } = require('../utils/gamblingLimits');
+const { HOUSE_SEED, SHOE_SEED_PREFIX, startRoll, recordRoll, getActiveSeed, rotateServerSeed } = require('../utils/rng');
+const { getGameSettings, applyHouseEdge } = require('../utils/gameConfig');
 const { 
   coinToss, 
   rollDice, 
   playSlots, 
-  spinWheel, 
-  dealBlackjackHand, 
-  hitBlackjack, 
-  standBlackjack
+  spinWheel
 } = require('../utils/games');
+const {
+  createShoe,
+  needsReshuffle,
+  isNatural,
+  dealGame,
+  getAvailableActions,
+  getActionCost,
+  getTotalStake,
+  playAction,
+  timeOutGame,
+  settleGame
+} = require('../utils/blackjack');
+const { BET_TYPES, parseBet, getBetPayout, spinRoulette, getNumberColor } = require('../utils/roulette');
 
-// Store active blackjack games
-const activeBlackjackGames = {};
+// How roulette numbers are shown
+const ROULETTE_COLORS = {
+  green: '🟢',
+  red: '🔴',
+  black: '⚫'
+};
+
+// Words players can type for each blackjack action
+const BLACKJACK_ACTIONS = {
+  hit: 'hit',
+  h: 'hit',
+  stand: 'stand',
+  s: 'stand',
+  double: 'double',
+  d: 'double',
+  split: 'split',
+  surrender: 'surrender',
+  insurance: 'insurance',
+  noinsurance: 'noinsurance'
+};
+
+// How finished split hands are labelled
+const BLACKJACK_HAND_STATUS = {
+  stood: '✋ Stood',
+  bust: '💥 Bust',
+  blackjack: '🎉 Blackjack',
+  surrendered: '🏳️ Surrendered'
+};
 
 /**
  * Validate bet amount
@@ -22,9 +63,10 @@ const activeBlackjackGames = {};
  * @param {Object} message - Message object
  * @param {String} amount - Bet amount
  * @param {Object} user - User data
+ * @param {Object} settings - Game settings from getGameSettings (for the bet limits)
  * @returns {Number|null} Validated bet amount or null if invalid
  */
-async function validateBet(sock, message, amount, user) {
+async function validateBet(sock, message, amount, user, settings) {
   // Check if amount is 'all'
   if (amount.toLowerCase() === 'all') {
     amount = user.balance;
@@ -46,14 +88,21 @@ async function validateBet(sock, message, amount, user) {
   }
   
   // Check minimum bet
-  if (amount < config.minBet) {
-    await sendReply(sock, message, `❌ Minimum bet is ${config.minBet} coins.`);
+  if (amount < settings.minBet) {
+    await sendReply(sock, message, `❌ Minimum bet is ${formatNumber(settings.minBet)} coins.`);
     return null;
   }
   
   // Check maximum bet
-  if (amount > config.maxBet) {
-    await sendReply(sock, message, `❌ Maximum bet is ${formatNumber(config.maxBet)} coins.`);
+  if (amount > settings.maxBet) {
+    await sendReply(sock, message, `❌ Maximum bet is ${formatNumber(settings.maxBet)} coins.`);
+    return null;
+  }
+  
+  // Check the player's own loss and wager limits
+  const limitError = checkBetLimits(user.id, amount);
+  if (limitError) {
+    await sendReply(sock, message, `❌ ${limitError}`);
     return null;
   }
   
@@ -66,13 +115,31 @@ async function validateBet(sock, message, amount, user) {
  * @param {Number} betAmount - Bet amount
  * @param {Number} winAmount - Win amount (0 if lost)
  * @param {Boolean} isWin - Whether the game was won
+ * @param {String} game - Game name, used in the ledger and bet history (e.g. "Coin toss")
+ * @param {Object} [options] - { escrowed: true } if the bet is already held in escrow; { betId } of the roll that decided it
+ * @returns {Number} Lucky Charm bonus paid on top of the win amount
  */
-function updateStats(userId, betAmount, winAmount, isWin) {
+function updateStats(userId, betAmount, winAmount, isWin, game, options = {}) {
   const user = getUser(userId);
   
+  // Lucky Charm adds a bonus on the profit of a win
+  let luckyBonus = 0;
+  if (isWin && winAmount > betAmount && hasActiveEffect(userId, 'luckycharm')) {
+    luckyBonus = Math.floor((winAmount - betAmount) * config.shopItems.luckycharm.value);
+  }
+  
+  // Settle the bet with the house
+  transaction(() => {
+    const stakeAccount = options.escrowed ? LEDGER_ACCOUNTS.ESCROW : walletAccount(userId);
+    transferCoins(stakeAccount, LEDGER_ACCOUNTS.HOUSE, betAmount, { reason: `${game} bet` });
+    transferCoins(LEDGER_ACCOUNTS.HOUSE, walletAccount(userId), Math.floor(winAmount), { reason: `${game} payout` });
+    transferCoins(LEDGER_ACCOUNTS.HOUSE, walletAccount(userId), luckyBonus, { reason: 'Lucky Charm bonus' });
+  });
+  
+  recordWager(userId, { game, stake: betAmount, payout: Math.floor(winAmount) + luckyBonus, betId: options.betId });
+  
   // Update user stats
   const updates = {
-    balance: user.balance - betAmount + winAmount,
     gamesPlayed: user.gamesPlayed + 1
   };
   
@@ -96,6 +163,26 @@ function updateStats(userId, betAmount, winAmount, isWin) {
     totalWon: (updateGlobalStats().totalWon || 0) + (isWin ? winAmount : 0),
     totalLost: (updateGlobalStats().totalLost || 0) + (isWin ? 0 : betAmount)
   });
+  
+  return luckyBonus;
+}
+
+/**
+ * Formats the Lucky Charm bonus line for a result message
+ * @param {Number} luckyBonus - Bonus returned by updateStats
+ * @returns {String} Bonus line, or an empty string if there was no bonus
+ */
+function formatLuckyBonus(luckyBonus) {
+  return luckyBonus > 0 ? `\n🍀 Lucky Charm bonus: +${formatNumber(luckyBonus)} coins` : '';
+}
+
+/**
+ * Formats the line that tells players how to check a result
+ * @param {Number} betId - Bet ID returned by recordRoll
+ * @returns {String} Bet ID line
+ */
+function formatBetId(betId) {
+  return `\n\n🔐 Bet #${betId} • ${config.prefix}verify ${betId}`;
 }
 
 /**
@@ -114,7 +201,8 @@ async function handleCoinToss(sock, message, args, user) {
     }
     
     // Validate bet
-    const betAmount = await validateBet(sock, message, args[0], user);
+    const settings = getGameSettings('cointoss', message.key.remoteJid);
+    const betAmount = await validateBet(sock, message, args[0], user, settings);
     if (!betAmount) return;
     
     // Validate choice
@@ -125,21 +213,23 @@ async function handleCoinToss(sock, message, args, user) {
     }
     
     // Perform coin toss
-    const result = coinToss();
+    const roll = startRoll(user.id, 'Coin toss');
+    const result = coinToss(roll.random);
+    const betId = recordRoll(roll, `Landed on ${result}`);
     
     // Determine if player won
     const isWin = choice === result;
-    const winAmount = isWin ? betAmount * 2 : 0;
+    const winAmount = isWin ? Math.floor(betAmount * applyHouseEdge(settings.payout, settings.houseEdge)) : 0;
     
     // Update stats
-    updateStats(user.id, betAmount, winAmount, isWin);
+    const luckyBonus = updateStats(user.id, betAmount, winAmount, isWin, 'Coin toss', { betId });
     
     // Send result
     const resultEmoji = result === 'heads' ? '👑' : '🪙';
     if (isWin) {
-      await sendReply(sock, message, `${resultEmoji} Coin landed on ${result}!\n\n🎉 You won ${formatNumber(betAmount)} coins!\n\nNew balance: ${formatNumber(user.balance - betAmount + winAmount)} coins`);
+      await sendReply(sock, message, `${resultEmoji} Coin landed on ${result}!\n\n🎉 You won ${formatNumber(winAmount - betAmount)} coins!${formatLuckyBonus(luckyBonus)}\n\nNew balance: ${formatNumber(user.balance - betAmount + winAmount + luckyBonus)} coins${formatBetId(betId)}`);
     } else {
-      await sendReply(sock, message, `${resultEmoji} Coin landed on ${result}!\n\n❌ You lost ${formatNumber(betAmount)} coins.\n\nNew balance: ${formatNumber(user.balance - betAmount)} coins`);
+      await sendReply(sock, message, `${resultEmoji} Coin landed on ${result}!\n\n❌ You lost ${formatNumber(betAmount)} coins.\n\nNew balance: ${formatNumber(user.balance - betAmount)} coins${formatBetId(betId)}`);
     }
   } catch (error) {
     console.error('Error handling coin toss command:', error);
@@ -163,7 +253,8 @@ async function handleDice(sock, message, args, user) {
     }
     
     // Validate bet
-    const betAmount = await validateBet(sock, message, args[0], user);
+    const settings = getGameSettings('dice', message.key.remoteJid);
+    const betAmount = await validateBet(sock, message, args[0], user, settings);
     if (!betAmount) return;
     
     // Validate choice
@@ -174,23 +265,25 @@ async function handleDice(sock, message, args, user) {
     }
     
     // Roll the dice
-    const result = rollDice();
+    const roll = startRoll(user.id, 'Dice');
+    const result = rollDice(roll.random);
+    const betId = recordRoll(roll, `Rolled ${result}`);
     
     // Determine if player won
     const isWin = choice === result;
-    const winAmount = isWin ? betAmount * 5 : 0; // 5x payout for correct dice roll
+    const winAmount = isWin ? Math.floor(betAmount * applyHouseEdge(settings.payout, settings.houseEdge)) : 0;
     
     // Update stats
-    updateStats(user.id, betAmount, winAmount, isWin);
+    const luckyBonus = updateStats(user.id, betAmount, winAmount, isWin, 'Dice', { betId });
     
     // Send result
     const diceEmojis = ['⚀', '⚁', '⚂', '⚃', '⚄', '⚅'];
     const resultEmoji = diceEmojis[result - 1];
     
     if (isWin) {
-      await sendReply(sock, message, `${resultEmoji} Dice rolled: ${result}!\n\n🎉 You won ${formatNumber(betAmount * 4)} coins!\n\nNew balance: ${formatNumber(user.balance - betAmount + winAmount)} coins`);
+      await sendReply(sock, message, `${resultEmoji} Dice rolled: ${result}!\n\n🎉 You won ${formatNumber(winAmount - betAmount)} coins!${formatLuckyBonus(luckyBonus)}\n\nNew balance: ${formatNumber(user.balance - betAmount + winAmount + luckyBonus)} coins${formatBetId(betId)}`);
     } else {
-      await sendReply(sock, message, `${resultEmoji} Dice rolled: ${result}!\n\n❌ You lost ${formatNumber(betAmount)} coins.\n\nNew balance: ${formatNumber(user.balance - betAmount)} coins`);
+      await sendReply(sock, message, `${resultEmoji} Dice rolled: ${result}!\n\n❌ You lost ${formatNumber(betAmount)} coins.\n\nNew balance: ${formatNumber(user.balance - betAmount)} coins${formatBetId(betId)}`);
     }
   } catch (error) {
     console.error('Error handling dice command:', error);
@@ -214,15 +307,10 @@ async function handleHighStakes(sock, message, args, user) {
     }
     
     // Validate bet
-    const betAmount = await validateBet(sock, message, args[0], user);
+    const settings = getGameSettings('highstakes', message.key.remoteJid);
+    const betAmount = await validateBet(sock, message, args[0], user, settings);
     if (!betAmount) return;
     
-    // Ensure minimum bet of 100 for high stakes
-    if (betAmount < 100) {
-      await sendReply(sock, message, "❌ High stakes has a minimum bet of 100 coins.");
-      return;
-    }
-    
     // Validate choice
     const choice = args[1].toLowerCase();
     if (choice !== 'heads' && choice !== 'tails') {
@@ -235,21 +323,23 @@ async function handleHighStakes(sock, message, args, user) {
     
     // Perform coin toss after a short delay
     setTimeout(async () => {
-      const result = coinToss();
+      const roll = startRoll(user.id, 'High stakes');
+      const result = coinToss(roll.random);
+      const betId = recordRoll(roll, `Landed on ${result}`);
       
       // Determine if player won
       const isWin = choice === result;
-      const winAmount = isWin ? betAmount * 10 : 0; // 10x payout for high stakes
+      const winAmount = isWin ? Math.floor(betAmount * applyHouseEdge(settings.payout, settings.houseEdge)) : 0;
       
       // Update stats
-      updateStats(user.id, betAmount, winAmount, isWin);
+      const luckyBonus = updateStats(user.id, betAmount, winAmount, isWin, 'High stakes', { betId });
       
       // Send result
       const resultEmoji = result === 'heads' ? '👑' : '🪙';
       if (isWin) {
-        await sendReply(sock, message, `${resultEmoji} *HIGH STAKES RESULT* ${resultEmoji}\n\nCoin landed on ${result}!\n\n🎉 *JACKPOT!* You won ${formatNumber(betAmount * 9)} coins!\n\nNew balance: ${formatNumber(user.balance - betAmount + winAmount)} coins`);
+        await sendReply(sock, message, `${resultEmoji} *HIGH STAKES RESULT* ${resultEmoji}\n\nCoin landed on ${result}!\n\n🎉 *JACKPOT!* You won ${formatNumber(winAmount - betAmount)} coins!${formatLuckyBonus(luckyBonus)}\n\nNew balance: ${formatNumber(user.balance - betAmount + winAmount + luckyBonus)} coins${formatBetId(betId)}`);
       } else {
-        await sendReply(sock, message, `${resultEmoji} *HIGH STAKES RESULT* ${resultEmoji}\n\nCoin landed on ${result}!\n\n❌ You lost ${formatNumber(betAmount)} coins.\n\nNew balance: ${formatNumber(user.balance - betAmount)} coins`);
+        await sendReply(sock, message, `${resultEmoji} *HIGH STAKES RESULT* ${resultEmoji}\n\nCoin landed on ${result}!\n\n❌ You lost ${formatNumber(betAmount)} coins.\n\nNew balance: ${formatNumber(user.balance - betAmount)} coins${formatBetId(betId)}`);
       }
     }, 2000);
   } catch (error) {
@@ -274,7 +364,8 @@ async function handleSlots(sock, message, args, user) {
     }
     
     // Validate bet
-    const betAmount = await validateBet(sock, message, args[0], user);
+    const settings = getGameSettings('slots', message.key.remoteJid);
+    const betAmount = await validateBet(sock, message, args[0], user, settings);
     if (!betAmount) return;
     
     // Send spinning message
@@ -282,22 +373,24 @@ async function handleSlots(sock, message, args, user) {
     
     // Play slots after a short delay
     setTimeout(async () => {
-      const { display, multiplier, win } = playSlots();
+      const roll = startRoll(user.id, 'Slots');
+      const { display, multiplier, win } = playSlots(roll.random, settings.symbols);
+      const betId = recordRoll(roll, display.map(row => row.join('')).join(' / '));
       
       // Calculate winnings
-      const winAmount = win ? betAmount * multiplier : 0;
+      const winAmount = win ? Math.floor(betAmount * applyHouseEdge(multiplier, settings.houseEdge)) : 0;
       
       // Update stats
-      updateStats(user.id, betAmount, winAmount, win);
+      const luckyBonus = updateStats(user.id, betAmount, winAmount, win, 'Slots', { betId });
       
       // Format the slot display
       const slotDisplay = `${display[0][0]}${display[0][1]}${display[0][2]}\n${display[1][0]}${display[1][1]}${display[1][2]} ⬅️\n${display[2][0]}${display[2][1]}${display[2][2]}`;
       
       // Send result
       if (win) {
-        await sendReply(sock, message, `🎰 *SLOTS RESULT* 🎰\n\n${slotDisplay}\n\n🎉 You won ${formatNumber(winAmount - betAmount)} coins! (${multiplier}x)\n\nNew balance: ${formatNumber(user.balance - betAmount + winAmount)} coins`);
+        await sendReply(sock, message, `🎰 *SLOTS RESULT* 🎰\n\n${slotDisplay}\n\n🎉 You won ${formatNumber(winAmount - betAmount)} coins! (${multiplier}x)${formatLuckyBonus(luckyBonus)}\n\nNew balance: ${formatNumber(user.balance - betAmount + winAmount + luckyBonus)} coins${formatBetId(betId)}`);
       } else {
-        await sendReply(sock, message, `🎰 *SLOTS RESULT* 🎰\n\n${slotDisplay}\n\n❌ You lost ${formatNumber(betAmount)} coins.\n\nNew balance: ${formatNumber(user.balance - betAmount)} coins`);
+        await sendReply(sock, message, `🎰 *SLOTS RESULT* 🎰\n\n${slotDisplay}\n\n❌ You lost ${formatNumber(betAmount)} coins.\n\nNew balance: ${formatNumber(user.balance - betAmount)} coins${formatBetId(betId)}`);
       }
     }, 2000);
   } catch (error) {
@@ -322,7 +415,8 @@ async function handleWheelSpin(sock, message, args, user) {
     }
     
     // Validate bet
-    const betAmount = await validateBet(sock, message, args[0], user);
+    const settings = getGameSettings('wheel', message.key.remoteJid);
+    const betAmount = await validateBet(sock, message, args[0], user, settings);
     if (!betAmount) return;
     
     // Send spinning message
@@ -330,28 +424,30 @@ async function handleWheelSpin(sock, message, args, user) {
     
     // Spin the wheel after a short delay
     setTimeout(async () => {
-      const { multiplier, label } = spinWheel();
+      const roll = startRoll(user.id, 'Wheel');
+      const { multiplier, label } = spinWheel(roll.random, settings.segments);
+      const betId = recordRoll(roll, `Landed on ${label}`);
       
       // Calculate winnings
-      const winAmount = betAmount * multiplier;
+      const winAmount = Math.floor(betAmount * applyHouseEdge(multiplier, settings.houseEdge));
       const isWin = multiplier > 1;
       
       // Update stats
-      updateStats(user.id, betAmount, winAmount, isWin);
+      const luckyBonus = updateStats(user.id, betAmount, winAmount, isWin, 'Wheel', { betId });
       
       // Send result
       const resultText = `🎡 *WHEEL RESULT* 🎡\n\nYou landed on: ${label} (${multiplier}x)!\n\n`;
       
       if (multiplier === 0) {
-        await sendReply(sock, message, `${resultText}❌ You lost all your bet!\n\nNew balance: ${formatNumber(user.balance - betAmount)} coins`);
+        await sendReply(sock, message, `${resultText}❌ You lost all your bet!\n\nNew balance: ${formatNumber(user.balance - betAmount)} coins${formatBetId(betId)}`);
       } else if (multiplier < 1) {
         const lostAmount = betAmount - winAmount;
-        await sendReply(sock, message, `${resultText}⚠️ You lost ${formatNumber(lostAmount)} coins.\n\nNew balance: ${formatNumber(user.balance - betAmount + winAmount)} coins`);
+        await sendReply(sock, message, `${resultText}⚠️ You lost ${formatNumber(lostAmount)} coins.\n\nNew balance: ${formatNumber(user.balance - betAmount + winAmount)} coins${formatBetId(betId)}`);
       } else if (multiplier === 1) {
-        await sendReply(sock, message, `${resultText}🔄 You got your bet back!\n\nBalance remains: ${formatNumber(user.balance)} coins`);
+        await sendReply(sock, message, `${resultText}🔄 You got your bet back!\n\nBalance remains: ${formatNumber(user.balance)} coins${formatBetId(betId)}`);
       } else {
         const gainAmount = winAmount - betAmount;
-        await sendReply(sock, message, `${resultText}🎉 You won ${formatNumber(gainAmount)} coins!\n\nNew balance: ${formatNumber(user.balance - betAmount + winAmount)} coins`);
+        await sendReply(sock, message, `${resultText}🎉 You won ${formatNumber(gainAmount)} coins!${formatLuckyBonus(luckyBonus)}\n\nNew balance: ${formatNumber(user.balance - betAmount + winAmount + luckyBonus)} coins${formatBetId(betId)}`);
       }
     }, 2000);
   } catch (error) {
@@ -361,230 +457,533 @@ async function handleWheelSpin(sock, message, args, user) {
 }
 
 /**
- * Handles blackjack command
+ * Handles roulette command
  * @param {Object} sock - WhatsApp connection
  * @param {Object} message - Message object
  * @param {Array} args - Command arguments
  * @param {Object} user - User data
  */
-async function handleBlackjack(sock, message, args, user) {
+async function handleRoulette(sock, message, args, user) {
   try {
-    const userId = user.id;
+    // Bets come in pairs: [amount] [bet] [amount] [bet] ...
+    if (args.length < 2 || args.length % 2 !== 0) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}roulette [amount] [bet], adding more pairs for more bets (e.g. ${config.prefix}roulette 100 red 50 17)`);
+      return;
+    }
     
-    // Check if user is already in a game
-    if (activeBlackjackGames[userId]) {
-      // Check if it's a hit or stand command
-      if (args.length > 0 && (args[0].toLowerCase() === 'hit' || args[0].toLowerCase() === 'h')) {
-        return await handleBlackjackHit(sock, message, user);
-      } else if (args.length > 0 && (args[0].toLowerCase() === 'stand' || args[0].toLowerCase() === 's')) {
-        return await handleBlackjackStand(sock, message, user);
+    const settings = getGameSettings('roulette', message.key.remoteJid);
+    if (args.length / 2 > settings.maxBetsPerSpin) {
+      await sendReply(sock, message, `❌ You can place up to ${settings.maxBetsPerSpin} bets per spin.`);
+      return;
+    }
+    
+    // Validate every bet
+    const bets = [];
+    for (let index = 0; index < args.length; index += 2) {
+      const bet = parseBet(args[index + 1]);
+      if (!bet) {
+        await sendReply(sock, message, `❌ "${args[index + 1]}" isn't a roulette bet. Use a number (17), split (17/18), street (4-6), corner (1/2/4/5), ` +
+          `six line (1-6), red/black, odd/even, low/high, 1st12/2nd12/3rd12 or col1/col2/col3.`);
+        return;
       }
       
-      // If not a valid blackjack command, show the current game
-      await displayBlackjackHand(sock, message, userId);
-      await sendReply(sock, message, "You're already in a blackjack game. Type '.blackjack hit' to hit or '.blackjack stand' to stand.");
+      const amount = await validateBet(sock, message, args[index], user, settings);
+      if (!amount) return;
+      
+      bets.push({ ...bet, amount });
+    }
+    
+    const betAmount = bets.reduce((sum, bet) => sum + bet.amount, 0);
+    if (betAmount > user.balance) {
+      await sendReply(sock, message, `❌ You don't have enough coins for these bets (${formatNumber(betAmount)} coins in total).`);
       return;
     }
     
-    // Check arguments for new game
-    if (args.length < 1) {
-      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}blackjack [amount]`);
+    const limitError = checkBetLimits(user.id, betAmount);
+    if (limitError) {
+      await sendReply(sock, message, `❌ ${limitError}`);
       return;
     }
     
-    // Validate bet
-    const betAmount = await validateBet(sock, message, args[0], user);
-    if (!betAmount) return;
+    const formatRouletteBet = bet => `${formatNumber(bet.amount)} on ${bet.label}` +
+      (['straight', 'split', 'street', 'corner', 'sixline'].includes(bet.type) ? ` (${BET_TYPES[bet.type].name.toLowerCase()})` : '');
     
-    // Start a new blackjack game
-    const game = dealBlackjackHand();
+    // Send spinning message
+    await sendReply(sock, message, `🎡 *ROULETTE* 🎡\n` +
+      `${bets.map(bet => `• ${formatRouletteBet(bet)}`).join('\n')}\n` +
+      `Total bet: ${formatNumber(betAmount)} coins\n\n` +
+      `No more bets! The ball is spinning...`);
+    
+    // Spin the wheel after a short delay
+    setTimeout(async () => {
+      try {
+        const roll = startRoll(user.id, 'Roulette');
+        const number = spinRoulette(roll.random);
+        const color = getNumberColor(number);
+        const betId = recordRoll(roll, `Landed on ${number} (${color})`);
+        
+        // Calculate winnings for every bet
+        const results = bets.map(bet => {
+          const won = bet.numbers.includes(number);
+          const winAmount = won ? Math.floor(bet.amount * applyHouseEdge(getBetPayout(bet.type), settings.houseEdge)) : 0;
+          return { ...bet, won, winAmount };
+        });
+        const winAmount = results.reduce((sum, result) => sum + result.winAmount, 0);
+        
+        // Update stats
+        const luckyBonus = updateStats(user.id, betAmount, winAmount, winAmount > betAmount, 'Roulette', { betId });
+        const balance = getUser(user.id).balance;
+        
+        // Send result
+        const resultText = `🎡 *ROULETTE RESULT* 🎡\n\n` +
+          `The ball landed on ${ROULETTE_COLORS[color]} *${number}* (${color})!\n\n` +
+          results.map(result => result.won
+            ? `✅ ${formatRouletteBet(result)} → ${formatNumber(result.winAmount)} coins`
+            : `❌ ${formatRouletteBet(result)}`).join('\n') +
+          '\n\n';
+        
+        if (winAmount > betAmount) {
+          await sendReply(sock, message, `${resultText}🎉 You won ${formatNumber(winAmount - betAmount)} coins!${formatLuckyBonus(luckyBonus)}\n\nNew balance: ${formatNumber(balance)} coins${formatBetId(betId)}`);
+        } else if (winAmount === betAmount) {
+          await sendReply(sock, message, `${resultText}🔄 You got your bets back!\n\nBalance remains: ${formatNumber(balance)} coins${formatBetId(betId)}`);
+        } else {
+          await sendReply(sock, message, `${resultText}❌ You lost ${formatNumber(betAmount - winAmount)} coins.\n\nNew balance: ${formatNumber(balance)} coins${formatBetId(betId)}`);
+        }
+      } catch (error) {
+        console.error('Error spinning roulette:', error);
+        await sendReply(sock, message, "❌ An error occurred while spinning the roulette wheel.");
+      }
+    }, 2000);
+  } catch (error) {
+    console.error('Error handling roulette command:', error);
+    await sendReply(sock, message, "❌ An error occurred while processing your roulette bets.");
+  }
+}
+
+/**
+ * Loads a player's hand in progress as a copy, so changes only count once it's saved
+ * @param {String} userId - User ID
+ * @returns {Object|null} Blackjack session, or null if the player isn't in a game
+ */
+function loadBlackjackSession(userId) {
+  const session = getBlackjackGame(userId);
+  return session ? JSON.parse(JSON.stringify(session)) : null;
+}
+
+/**
+ * Shuffles a new blackjack shoe for a chat
+ * @param {String} chatId - Chat ID
+ * @param {Number} decks - Number of decks
+ * @returns {Object} Shoe
+ */
+function shuffleBlackjackShoe(chatId, decks) {
+  const ownerId = `${SHOE_SEED_PREFIX}${chatId}`;
+  
+  return transaction(() => {
+    // Revealing the old shoe's seed would also reveal the hole cards of hands still in play,
+    // so the new shoe keeps the same seed (with the next nonce) until the table is quiet
+    const handsInPlay = Object.values(getAllBlackjackGames()).some(session => session.chatId === chatId);
+    if (getBlackjackShoe(chatId) && !handsInPlay) {
+      rotateServerSeed(ownerId);
+    }
     
-    // Store the game in active games
-    activeBlackjackGames[userId] = {
-      playerHand: game.playerHand,
-      dealerHand: game.dealerHand,
-      betAmount
-    };
+    const roll = startRoll(ownerId, 'Blackjack shoe');
+    const cards = createShoe(decks, roll.random);
+    const betId = recordRoll(roll, `Shuffled ${decks} deck${decks === 1 ? '' : 's'} (${cards.length} cards)`);
     
-    // Display initial hands
-    await displayBlackjackHand(sock, message, userId, true);
+    return setBlackjackShoe(chatId, {
+      betId,
+      decks,
+      size: cards.length,
+      dealt: 0,
+      cards,
+      // Hands dealt from the shoe are recorded against the roll that shuffled it
+      roll: {
+        ownerId,
+        game: 'Blackjack',
+        serverSeedHash: roll.serverSeedHash,
+        clientSeed: roll.clientSeed,
+        nonce: roll.nonce,
+        floatsUsed: roll.floatsUsed
+      }
+    });
+  });
+}
+
+/**
+ * Gets the shoe a new hand is dealt from, reshuffling once it's past the cut card
+ * @param {String} chatId - Chat ID
+ * @param {Object} settings - Blackjack settings
+ * @returns {Object} Shoe
+ */
+function getBlackjackShoeForHand(chatId, settings) {
+  const shoe = getBlackjackShoe(chatId);
+  if (shoe && shoe.decks === settings.decks && !needsReshuffle(shoe.cards.length, shoe.size, settings.penetration)) {
+    return shoe;
+  }
+  return shuffleBlackjackShoe(chatId, settings.decks);
+}
+
+/**
+ * Creates the draw function for a hand: deals from the chat's shoe and notes which shoe cards were used
+ * @param {Object} session - Blackjack session
+ * @param {Number} decks - Decks to shuffle if the shoe runs out
+ * @returns {Function} () => next card
+ */
+function createShoeDraw(session, decks) {
+  return () => {
+    let shoe = getBlackjackShoe(session.chatId);
     
-    // Check for natural blackjack
-    if (game.playerValue === 21) {
-      // Player got a natural blackjack
-      return await handleBlackjackStand(sock, message, user, true);
+    // A busy table can run the shoe dry in the middle of a hand
+    if (!shoe || shoe.cards.length === 0) {
+      shoe = shuffleBlackjackShoe(session.chatId, decks);
     }
-  } catch (error) {
-    console.error('Error handling blackjack command:', error);
-    await sendReply(sock, message, "❌ An error occurred while processing your blackjack game.");
+    
+    const card = shoe.cards[shoe.cards.length - 1];
+    setBlackjackShoe(session.chatId, { ...shoe, cards: shoe.cards.slice(0, -1), dealt: shoe.dealt + 1 });
+    session.shoeCards.push({ shoe: shoe.betId, position: shoe.dealt + 1 });
+    
+    return card;
+  };
+}
+
+/**
+ * Formats which shoe cards a hand used, for its bet record
+ * @param {Array} shoeCards - [{ shoe, position }] in the order they were dealt
+ * @returns {String} e.g. "shoe #12 cards 5, 6, 9"
+ */
+function formatShoeCards(shoeCards) {
+  const byShoe = new Map();
+  for (const { shoe, position } of shoeCards) {
+    if (!byShoe.has(shoe)) byShoe.set(shoe, []);
+    byShoe.get(shoe).push(position);
   }
+  
+  return [...byShoe].map(([shoe, positions]) => `shoe #${shoe} cards ${positions.join(', ')}`).join('; ');
 }
 
 /**
- * Handles blackjack hit command
+ * Formats the actions a player can take
+ * @param {Object} game - Blackjack game state
+ * @returns {String} Actions line
+ */
+function formatBlackjackActions(game) {
+  return `Your move: ${getAvailableActions(game).map(action => `${config.prefix}blackjack ${action}`).join(' / ')}`;
+}
+
+/**
+ * Handles blackjack command
  * @param {Object} sock - WhatsApp connection
  * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
  * @param {Object} user - User data
  */
-async function handleBlackjackHit(sock, message, user) {
+async function handleBlackjack(sock, message, args, user) {
   try {
     const userId = user.id;
+    const action = args.length > 0 ? BLACKJACK_ACTIONS[args[0].toLowerCase()] : null;
     
-    // Check if user is in a game
-    if (!activeBlackjackGames[userId]) {
-      await sendReply(sock, message, "❌ You're not in a blackjack game. Start one with '.blackjack [amount]'.");
+    // Check if user is already in a game
+    const session = getBlackjackGame(userId);
+    if (session) {
+      if (action) {
+        return await handleBlackjackAction(sock, message, user, action);
+      }
+      
+      // If not a valid blackjack command, show the current game
+      await sendReply(sock, message, formatBlackjackTable(session));
+      await sendReply(sock, message, `You're already in a blackjack game. ${formatBlackjackActions(session.game)}`);
       return;
     }
     
-    // Get the current game
-    const game = activeBlackjackGames[userId];
-    
-    // Hit the player's hand
-    hitBlackjack(game.playerHand);
+    if (action) {
+      await sendReply(sock, message, `❌ You're not in a blackjack game. Start one with '${config.prefix}blackjack [amount]'.`);
+      return;
+    }
     
-    // Calculate player's hand value
-    const playerValue = calculateHandValue(game.playerHand);
+    // Check arguments for new game
+    if (args.length < 1) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}blackjack [amount]`);
+      return;
+    }
     
-    // Display updated hand
-    await displayBlackjackHand(sock, message, userId);
+    // Validate bet (the hand is played and paid out with the settings it started with)
+    const chatId = message.key.remoteJid;
+    const settings = getGameSettings('blackjack', chatId);
+    const betAmount = await validateBet(sock, message, args[0], user, settings);
+    if (!betAmount) return;
     
-    // Check if player busted
-    if (playerValue > 21) {
-      // Player busted
-      const betAmount = game.betAmount;
-      
-      // Update stats
-      updateStats(userId, betAmount, 0, false);
+    // Hold the stake in escrow and deal from the chat's shoe
+    const newSession = transaction(() => {
+      transferCoins(walletAccount(userId), LEDGER_ACCOUNTS.ESCROW, betAmount, { reason: 'Blackjack stake' });
       
-      // Send result
-      await sendReply(sock, message, `❌ *BUST!* Your hand value is ${playerValue}, which is over 21.\n\nYou lost ${formatNumber(betAmount)} coins.\n\nNew balance: ${formatNumber(user.balance - betAmount)} coins`);
+      const shoe = getBlackjackShoeForHand(chatId, settings);
+      const now = Date.now();
+      const created = { chatId, roll: shoe.roll, shoeCards: [], startedAt: now, lastActionAt: now };
+      created.game = dealGame(betAmount, settings, createShoeDraw(created, settings.decks));
       
-      // End the game
-      delete activeBlackjackGames[userId];
+      return setBlackjackGame(userId, created);
+    });
+    
+    // Display initial hands
+    await sendReply(sock, message, formatBlackjackTable(newSession));
+    
+    // Naturals are settled straight away
+    if (newSession.game.phase === 'finished') {
+      await sendReply(sock, message, settleBlackjackGame(userId, newSession));
     }
   } catch (error) {
-    console.error('Error handling blackjack hit command:', error);
-    await sendReply(sock, message, "❌ An error occurred while hitting in blackjack.");
+    console.error('Error handling blackjack command:', error);
+    await sendReply(sock, message, "❌ An error occurred while processing your blackjack game.");
   }
 }
 
 /**
- * Handles blackjack stand command
+ * Handles a blackjack action (hit, stand, double, split, surrender or insurance)
  * @param {Object} sock - WhatsApp connection
  * @param {Object} message - Message object
  * @param {Object} user - User data
- * @param {Boolean} natural - Whether player has a natural blackjack
+ * @param {String} action - Action name
  */
-async function handleBlackjackStand(sock, message, user, natural = false) {
+async function handleBlackjackAction(sock, message, user, action) {
   try {
     const userId = user.id;
+    const session = loadBlackjackSession(userId);
+    const { game } = session;
     
-    // Check if user is in a game
-    if (!activeBlackjackGames[userId]) {
-      await sendReply(sock, message, "❌ You're not in a blackjack game. Start one with '.blackjack [amount]'.");
+    if (!getAvailableActions(game).includes(action)) {
+      await sendReply(sock, message, `❌ You can't ${action === 'noinsurance' ? 'decline insurance' : action} right now. ${formatBlackjackActions(game)}`);
       return;
     }
     
-    // Get the current game
-    const game = activeBlackjackGames[userId];
-    
-    // The dealer plays out their hand (if player didn't get natural blackjack)
-    if (!natural) {
-      standBlackjack(game.dealerHand);
+    // Doubling, splitting and insurance add to the stake in escrow
+    const cost = getActionCost(game, action);
+    if (cost > user.balance) {
+      await sendReply(sock, message, `❌ You need ${formatNumber(cost)} coins to ${action === 'insurance' ? 'insure' : action}, but only have ${formatNumber(user.balance)} coins in your wallet.`);
+      return;
     }
     
-    // Calculate final hand values
-    const playerValue = calculateHandValue(game.playerHand);
-    const dealerValue = calculateHandValue(game.dealerHand);
-    
-    // Determine the winner
-    let result;
-    let winAmount = 0;
-    const betAmount = game.betAmount;
-    
-    if (natural && playerValue === 21 && game.playerHand.length === 2) {
-      // Natural blackjack pays 3:2
-      result = "🎉 *BLACKJACK!* You got a natural blackjack!";
-      winAmount = betAmount * 2.5;
-    } else if (playerValue > 21) {
-      result = "❌ *BUST!* Your hand value is over 21.";
-      winAmount = 0;
-    } else if (dealerValue > 21) {
-      result = "🎉 *DEALER BUST!* The dealer's hand value is over 21.";
-      winAmount = betAmount * 2;
-    } else if (playerValue > dealerValue) {
-      result = "🎉 *YOU WIN!* Your hand value is higher than the dealer's.";
-      winAmount = betAmount * 2;
-    } else if (playerValue < dealerValue) {
-      result = "❌ *DEALER WINS!* The dealer's hand value is higher than yours.";
-      winAmount = 0;
-    } else {
-      result = "🔄 *PUSH!* It's a tie.";
-      winAmount = betAmount; // Return the bet on a tie
+    // The hand's stake isn't counted towards the player's limits until it's settled
+    const limitError = cost > 0 ? checkBetLimits(userId, getTotalStake(game) + cost) : null;
+    if (limitError) {
+      await sendReply(sock, message, `❌ ${limitError}`);
+      return;
     }
     
-    // Update stats (only count as win if player got more than their bet back)
-    const isWin = winAmount > betAmount;
-    updateStats(userId, betAmount, winAmount, isWin);
+    transaction(() => {
+      transferCoins(walletAccount(userId), LEDGER_ACCOUNTS.ESCROW, cost, { reason: 'Blackjack stake' });
+      playAction(game, action, createShoeDraw(session, game.settings.decks));
+      session.lastActionAt = Date.now();
+      setBlackjackGame(userId, session);
+    });
     
-    // Display final hands
-    await displayBlackjackHand(sock, message, userId, false, true);
+    await sendReply(sock, message, formatBlackjackTable(session));
     
-    // Send result
-    if (winAmount > betAmount) {
-      const profit = winAmount - betAmount;
-      await sendReply(sock, message, `${result}\n\n🎉 You won ${formatNumber(profit)} coins!\n\nNew balance: ${formatNumber(user.balance - betAmount + winAmount)} coins`);
-    } else if (winAmount === betAmount) {
-      await sendReply(sock, message, `${result}\n\n🔄 Your bet has been returned.\n\nBalance remains: ${formatNumber(user.balance)} coins`);
-    } else {
-      await sendReply(sock, message, `${result}\n\n❌ You lost ${formatNumber(betAmount)} coins.\n\nNew balance: ${formatNumber(user.balance - betAmount)} coins`);
+    if (game.phase === 'finished') {
+      await sendReply(sock, message, settleBlackjackGame(userId, session));
     }
-    
-    // End the game
-    delete activeBlackjackGames[userId];
   } catch (error) {
-    console.error('Error handling blackjack stand command:', error);
-    await sendReply(sock, message, "❌ An error occurred while standing in blackjack.");
+    console.error(`Error handling blackjack ${action} command:`, error);
+    await sendReply(sock, message, `❌ An error occurred while playing ${action} in blackjack.`);
   }
 }
 
 /**
- * Displays blackjack hand
- * @param {Object} sock - WhatsApp connection
- * @param {Object} message - Message object
+ * Settles a finished blackjack game: pays out of escrow, records the bet and ends the session
  * @param {String} userId - User ID
- * @param {Boolean} initial - Whether this is the initial deal
- * @param {Boolean} final - Whether this is the final hand
+ * @param {Object} session - Blackjack session whose game is finished
+ * @returns {String} Result message
  */
-async function displayBlackjackHand(sock, message, userId, initial = false, final = false) {
-  try {
-    const game = activeBlackjackGames[userId];
-    if (!game) return;
+function settleBlackjackGame(userId, session) {
+  const { game } = session;
+  
+  // Work out what every hand (and insurance) returns
+  const { hands, insurance } = settleGame(game);
+  const { houseEdge } = game.settings;
+  const returns = part => Math.floor(part.bet * applyHouseEdge(part.multiplier, houseEdge));
+  
+  const betAmount = getTotalStake(game);
+  const winAmount = [...hands, ...(insurance ? [insurance] : [])].reduce((sum, part) => sum + returns(part), 0);
+  
+  const dealerValue = calculateHandValue(game.dealer);
+  const handResults = game.hands.map(hand => {
+    const value = calculateHandValue(hand.cards);
+    if (hand.status === 'surrendered' || hand.status === 'forfeited') return hand.status;
+    return hand.status === 'bust' ? `bust with ${value}` : `${value}`;
+  });
+  
+  const { luckyBonus, betId } = transaction(() => {
+    const id = recordRoll(session.roll, `Player ${handResults.join(', ')} vs dealer ${dealerValue} (${formatShoeCards(session.shoeCards)})`, userId);
     
-    const playerCards = game.playerHand.map(card => `${cardEmoji(card)} ${cardValue(card)}`).join(', ');
-    const playerValue = calculateHandValue(game.playerHand);
+    // Update stats (only count as win if player got more than their stake back)
+    const bonus = updateStats(userId, betAmount, winAmount, winAmount > betAmount, 'Blackjack', { escrowed: true, betId: id });
     
-    let dealerCards;
-    let dealerValue;
+    // End the game
+    setBlackjackGame(userId, null);
     
-    if (initial && !final) {
-      // Only show one dealer card at the beginning
-      dealerCards = `${cardEmoji(game.dealerHand[0])} ${cardValue(game.dealerHand[0])}, [?]`;
-      dealerValue = "?";
-    } else {
-      // Show all dealer cards
-      dealerCards = game.dealerHand.map(card => `${cardEmoji(card)} ${cardValue(card)}`).join(', ');
-      dealerValue = calculateHandValue(game.dealerHand);
-    }
+    return { luckyBonus: bonus, betId: id };
+  });
+  
+  const dealerNatural = isNatural(game.dealer);
+  const outcomes = {
+    blackjack: "🎉 *BLACKJACK!* You got a natural blackjack!",
+    win: dealerValue > 21
+      ? "🎉 *DEALER BUST!* The dealer's hand value is over 21."
+      : "🎉 *YOU WIN!* Your hand value is higher than the dealer's.",
+    push: "🔄 *PUSH!* It's a tie.",
+    lose: dealerNatural
+      ? "❌ *DEALER BLACKJACK!* The dealer has a natural blackjack."
+      : "❌ *DEALER WINS!* The dealer's hand value is higher than yours.",
+    bust: "❌ *BUST!* Your hand value is over 21.",
+    surrender: "🏳️ *SURRENDERED!* Half your bet has been returned.",
+    forfeit: "⌛ *FORFEITED!* The hand was given up after you stopped playing."
+  };
+  
+  let result = hands.length === 1
+    ? outcomes[hands[0].outcome]
+    : hands.map((hand, index) => `Hand ${index + 1}: ${outcomes[hand.outcome]}`).join('\n');
+  
+  if (insurance) {
+    result += insurance.multiplier > 0
+      ? `\n🛡️ Insurance paid ${formatNumber(returns(insurance))} coins.`
+      : `\n🛡️ Insurance lost ${formatNumber(insurance.bet)} coins.`;
+  }
+  
+  const balance = getUser(userId).balance;
+  if (winAmount > betAmount) {
+    return `${result}\n\n🎉 You won ${formatNumber(winAmount - betAmount)} coins!${formatLuckyBonus(luckyBonus)}\n\nNew balance: ${formatNumber(balance)} coins${formatBetId(betId)}`;
+  } else if (winAmount === betAmount) {
+    return `${result}\n\n🔄 Your bet has been returned.\n\nBalance remains: ${formatNumber(balance)} coins${formatBetId(betId)}`;
+  }
+  return `${result}\n\n❌ You lost ${formatNumber(betAmount - winAmount)} coins.\n\nNew balance: ${formatNumber(balance)} coins${formatBetId(betId)}`;
+}
+
+/**
+ * Formats blackjack hands (the dealer's hole card stays hidden until the game is finished)
+ * @param {Object} session - Blackjack session
+ * @returns {String} Table display
+ */
+function formatBlackjackTable(session) {
+  const { game } = session;
+  const final = game.phase === 'finished';
+  
+  let dealerCards;
+  let dealerValue;
+  
+  if (!final) {
+    // Only show one dealer card until the game is over
+    dealerCards = `${formatCards([game.dealer[0]])}, [?]`;
+    dealerValue = "?";
+  } else {
+    // Show all dealer cards
+    dealerCards = formatCards(game.dealer);
+    dealerValue = calculateHandValue(game.dealer);
+  }
+  
+  // Split hands show their own bets and how they ended
+  const single = game.hands.length === 1;
+  const handsText = game.hands.map((hand, index) => {
+    const active = !final && !single && index === game.activeHand;
+    const details = single
+      ? [hand.doubled ? 'doubled' : null]
+      : [`${formatNumber(hand.bet)} coins`, hand.doubled ? 'doubled' : null, BLACKJACK_HAND_STATUS[hand.status]];
+    const detailText = details.filter(Boolean).join(' • ');
     
-    const displayText = `🃏 *BLACKJACK* 🃏\nBet: ${formatNumber(game.betAmount)} coins\n\n` +
-      `*Dealer's Hand* (${dealerValue}):\n${dealerCards}\n\n` +
-      `*Your Hand* (${playerValue}):\n${playerCards}\n\n` +
-      (initial ? "Type '.blackjack hit' to take another card or '.blackjack stand' to stay." : "");
+    return `${active ? '👉 ' : ''}*${single ? 'Your Hand' : `Hand ${index + 1}`}* (${calculateHandValue(hand.cards)})` +
+      `${detailText ? ` ${detailText}` : ''}:\n${formatCards(hand.cards)}`;
+  }).join('\n\n');
+  
+  let footer = '';
+  if (game.phase === 'insurance') {
+    footer = `\n\n🛡️ The dealer shows an ace. Insurance costs ${formatNumber(getActionCost(game, 'insurance'))} coins and pays 2:1 if the dealer has blackjack.\n` +
+      formatBlackjackActions(game);
+  } else if (!final) {
+    footer = `\n\n${formatBlackjackActions(game)}`;
+  }
+  
+  return `🃏 *BLACKJACK* 🃏\nBet: ${formatNumber(getTotalStake(game))} coins` +
+    (game.insurance ? ` (${formatNumber(game.insurance)} insurance)` : '') + '\n\n' +
+    `*Dealer's Hand* (${dealerValue}):\n${dealerCards}\n\n` +
+    handsText +
+    footer;
+}
+
+/**
+ * Formats cards for display
+ * @param {Array} cards - Cards
+ * @returns {String} e.g. "♠️ K, ♥️ 9"
+ */
+function formatCards(cards) {
+  return cards.map(card => `${cardEmoji(card)} ${cardValue(card)}`).join(', ');
+}
+
+/**
+ * Resolves blackjack hands that have been idle for longer than config.blackjackTimeout,
+ * standing or forfeiting them (config.blackjackTimeoutAction) and telling the players
+ * @param {Object} sock - WhatsApp connection
+ * @returns {Promise<Number>} Number of hands resolved
+ */
+async function resolveIdleBlackjackGames(sock) {
+  const now = Date.now();
+  let resolved = 0;
+  
+  for (const userId of Object.keys(getAllBlackjackGames())) {
+    // The hand may have been finished while earlier players were being notified
+    const session = loadBlackjackSession(userId);
+    if (!session || now - session.lastActionAt < config.blackjackTimeout) continue;
     
-    await sendReply(sock, message, displayText);
-  } catch (error) {
-    console.error('Error displaying blackjack hand:', error);
+    try {
+      const action = config.blackjackTimeoutAction === 'forfeit' ? 'forfeit' : 'stand';
+      const result = transaction(() => {
+        timeOutGame(session.game, action, createShoeDraw(session, session.game.settings.decks));
+        return settleBlackjackGame(userId, session);
+      });
+      resolved++;
+      
+      if (!sock) {
+        console.log(`Blackjack hand for ${userId} timed out; no connection to notify them`);
+        continue;
+      }
+      
+      await sock.sendMessage(userId, {
+        text: `⏰ *BLACKJACK TIMED OUT* ⏰\n\n` +
+          `Your hand went ${formatDuration(config.blackjackTimeout)} without a move, so it was ${action === 'forfeit' ? 'forfeited' : 'stood'} for you.\n\n` +
+          `${formatBlackjackTable(session)}\n\n${result}`
+      });
+    } catch (error) {
+      console.error(`Error resolving idle blackjack hand for ${userId}:`, error);
+    }
+  }
+  
+  return resolved;
+}
+
+// Latest WhatsApp connection for timeout notifications (replaced on every reconnect)
+let blackjackSock = null;
+let blackjackTimeoutInterval = null;
+
+/**
+ * Starts checking for idle blackjack hands, or hands the check a new connection after a reconnect.
+ * Hands in progress are kept in the database, so they carry on after a restart.
+ * @param {Object} sock - WhatsApp connection
+ */
+function startBlackjackTimeouts(sock) {
+  blackjackSock = sock;
+  
+  if (blackjackTimeoutInterval) return;
+  
+  blackjackTimeoutInterval = setInterval(() => {
+    resolveIdleBlackjackGames(blackjackSock).catch(error => console.error('Error resolving idle blackjack hands:', error));
+  }, config.blackjackCheckInterval);
+}
+
+/**
+ * Stops checking for idle blackjack hands
+ */
+function stopBlackjackTimeouts() {
+  if (blackjackTimeoutInterval) {
+    clearInterval(blackjackTimeoutInterval);
+    blackjackTimeoutInterval = null;
   }
 }
 
@@ -659,15 +1058,14 @@ async function handleJackpot(sock, message, args, user) {
     }
     
     // Validate bet
-    const betAmount = await validateBet(sock, message, args[0], user);
+    const settings = getGameSettings('jackpot', message.key.remoteJid);
+    const betAmount = await validateBet(sock, message, args[0], user, settings);
     if (!betAmount) return;
     
-    // Add entry to jackpot
-    addJackpotEntry(user.id, betAmount);
-    
-    // Update user balance
-    updateUser(user.id, {
-      balance: user.balance - betAmount
+    // Add entry to jackpot and take the stake in one step
+    transaction(() => {
+      addJackpotEntry(user.id, betAmount);
+      transferCoins(walletAccount(user.id), LEDGER_ACCOUNTS.JACKPOT, betAmount, { reason: 'Jackpot entry' });
     });
     
     // Get total entries for this user
@@ -678,7 +1076,10 @@ async function handleJackpot(sock, message, args, user) {
     const winChance = (userTickets / totalTickets) * 100;
     
     // Send confirmation
-    await sendReply(sock, message, `🎯 *JACKPOT ENTRY CONFIRMED* 🎯\n\nYou've entered ${formatNumber(betAmount)} coins into the jackpot!\n\nTotal jackpot tickets: ${formatNumber(userTickets)}\nWin chance: ${winChance.toFixed(2)}%\n\nThe jackpot will be drawn in one hour or when it reaches 100,000 coins!\n\nNew balance: ${formatNumber(user.balance - betAmount)} coins`);
+    await sendReply(sock, message, `🎯 *JACKPOT ENTRY CONFIRMED* 🎯\n\nYou've entered ${formatNumber(betAmount)} coins into the jackpot!\n\nTotal jackpot tickets: ${formatNumber(userTickets)}\nWin chance: ${winChance.toFixed(2)}%\n\nThe jackpot will be drawn in ${formatDuration(config.jackpotDrawInterval)} or when it reaches ${formatNumber(config.jackpotDrawThreshold)} coins!\n\nNew balance: ${formatNumber(user.balance - betAmount)} coins`);
+    
+    // Draw straight away if this entry pushed the pot over the threshold
+    await checkJackpotThreshold(sock);
   } catch (error) {
     console.error('Error handling jackpot command:', error);
     await sendReply(sock, message, "❌ An error occurred while entering the jackpot.");
@@ -699,27 +1100,33 @@ async function handleJackpotStatus(sock, message) {
     const uniqueUsers = new Set(entries.map(entry => entry.userId)).size;
     
     // Calculate time until next draw
-    let timeUntilDraw = "less than an hour";
-    if (entries.length > 0) {
-      const lastEntry = entries[entries.length - 1];
-      const hourFromLastEntry = new Date(lastEntry.enteredAt + 3600000); // 1 hour in ms
-      const now = new Date();
-      const diff = hourFromLastEntry - now;
-      
-      if (diff > 0) {
-        const minutes = Math.floor(diff / 60000);
-        timeUntilDraw = `${minutes} minute${minutes !== 1 ? 's' : ''}`;
-      } else {
-        timeUntilDraw = "draw imminent";
-      }
+    let timeUntilDraw = "when the first entry comes in";
+    const nextDrawTime = getNextDrawTime();
+    if (nextDrawTime) {
+      const diff = nextDrawTime - Date.now();
+      timeUntilDraw = diff > 60000 ? `in ${formatDuration(diff)}` : "draw imminent";
+    }
+    
+    // Format recent draws
+    const recentDraws = getJackpotHistory().slice(0, 5);
+    let historyText = '';
+    for (const draw of recentDraws) {
+      const drawDate = new Date(draw.drawnAt).toLocaleDateString();
+      historyText += `• ${draw.winnerName} won ${formatNumber(draw.amount)} coins (${draw.odds.toFixed(2)}% odds) - ${drawDate}\n`;
+    }
+    
+    if (historyText === '') {
+      historyText = 'No draws yet\n';
     }
     
     // Format response
     const statusText = `🎯 *JACKPOT STATUS* 🎯\n\n` +
-      `Current Jackpot: ${formatNumber(totalAmount)} coins\n` +
+      `Current Jackpot: ${formatNumber(totalAmount)} / ${formatNumber(config.jackpotDrawThreshold)} coins\n` +
       `Total Entries: ${totalEntries}\n` +
       `Participants: ${uniqueUsers}\n` +
-      `Next Draw: ${timeUntilDraw}\n\n` +
+      `Next Draw: ${timeUntilDraw}\n` +
+      `Draw Seed Hash: ${getActiveSeed(HOUSE_SEED).serverSeedHash}\n\n` +
+      `*Last Winners:*\n${historyText}\n` +
       `Enter the jackpot with "${config.prefix}jackpot [amount]" to have a chance to win it all!`;
     
     await sendReply(sock, message, statusText);
@@ -729,6 +1136,114 @@ async function handleJackpotStatus(sock, message) {
   }
 }
 
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'cointoss',
+    category: 'gambling',
+    usage: '[amount] [heads/tails]',
+    description: 'Bet on coin toss',
+    examples: ['100 heads'],
+    cooldown: 3,
+    gambling: true,
+    execute: ({ sock, message, args, user }) => handleCoinToss(sock, message, args, user)
+  },
+  {
+    name: 'dice',
+    category: 'gambling',
+    usage: '[amount] [number]',
+    description: 'Bet on dice roll (1-6)',
+    examples: ['200 4'],
+    cooldown: 3,
+    gambling: true,
+    execute: ({ sock, message, args, user }) => handleDice(sock, message, args, user)
+  },
+  {
+    name: 'highstakes',
+    category: 'gambling',
+    usage: '[amount] [heads/tails]',
+    description: `High-stakes coin toss with ${config.games.highstakes.payout}x payout`,
+    examples: ['1000 tails'],
+    cooldown: 3,
+    gambling: true,
+    execute: ({ sock, message, args, user }) => handleHighStakes(sock, message, args, user)
+  },
+  {
+    name: 'slots',
+    category: 'gambling',
+    usage: '[amount]',
+    description: 'Play slot machine',
+    examples: ['500'],
+    cooldown: 3,
+    gambling: true,
+    execute: ({ sock, message, args, user }) => handleSlots(sock, message, args, user)
+  },
+  {
+    name: 'blackjack',
+    aliases: ['bj'],
+    category: 'gambling',
+    usage: '[amount/hit/stand/double/split/surrender/insurance/noinsurance]',
+    description: 'Play blackjack',
+    examples: ['250', 'hit', 'split'],
+    details: [
+      'double - Double your bet for exactly one more card',
+      'split - Split a pair into two hands (each with its own bet)',
+      'surrender - Give up your first two cards for half your bet back',
+      'insurance/noinsurance - Take or refuse insurance when the dealer shows an ace',
+      'Hands are dealt from a shoe shared by the chat and reshuffled as it runs low',
+      `Your stake is held until the hand ends; after ${formatDuration(config.blackjackTimeout)} without a move the hand is ${config.blackjackTimeoutAction === 'forfeit' ? 'forfeited' : 'stood'} for you`
+    ],
+    gambling: true,
+    execute: ({ sock, message, args, user }) => handleBlackjack(sock, message, args, user)
+  },
+  {
+    name: 'wheelspin',
+    aliases: ['wheel'],
+    category: 'gambling',
+    usage: '[amount]',
+    description: 'Spin the wheel of fortune',
+    examples: ['300'],
+    cooldown: 5,
+    gambling: true,
+    execute: ({ sock, message, args, user }) => handleWheelSpin(sock, message, args, user)
+  },
+  {
+    name: 'roulette',
+    category: 'gambling',
+    usage: '[amount] [bet] [[amount] [bet] ...]',
+    description: 'Play European roulette, with up to several bets per spin',
+    examples: ['500 red', '100 17 100 17/18 200 2nd12'],
+    details: [
+      'Straight: a number, e.g. 17 (pays 35:1)',
+      'Split: two touching numbers, e.g. 17/18 (17:1)',
+      'Street: a row, e.g. 4-6 (11:1)',
+      'Corner: four numbers in a square, e.g. 1/2/4/5 (8:1)',
+      'Six line: two rows, e.g. 1-6 (5:1)',
+      'Dozen: 1st12, 2nd12 or 3rd12; Column: col1, col2 or col3 (2:1)',
+      'red/black, odd/even, low/high (1:1)'
+    ],
+    cooldown: 5,
+    gambling: true,
+    execute: ({ sock, message, args, user }) => handleRoulette(sock, message, args, user)
+  },
+  {
+    name: 'jackpot',
+    category: 'gambling',
+    usage: '[amount]',
+    description: 'Enter the jackpot',
+    examples: ['1000'],
+    gambling: true,
+    execute: ({ sock, message, args, user }) => handleJackpot(sock, message, args, user)
+  },
+  {
+    name: 'jackpotstatus',
+    category: 'gambling',
+    description: 'Check current jackpot status',
+    requiresRegistration: false,
+    execute: ({ sock, message }) => handleJackpotStatus(sock, message)
+  }
+];
+
 module.exports = {
   handleCoinToss,
   handleDice,
@@ -736,8 +1251,15 @@ module.exports = {
   handleSlots,
   handleBlackjack,
   handleWheelSpin,
+  handleRoulette,
   handleJackpot,
   handleJackpotStatus,
+  resolveIdleBlackjackGames,
+  startBlackjackTimeouts,
+  stopBlackjackTimeouts,
   validateBet,
-  updateStats
+  updateStats,
+  formatBetId,
+  formatCards,
+  commands
 };
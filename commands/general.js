@@ -1,6 +1,7 @@
 const { sendReply } = require('../utils/messageUtils');
 const config = require('../config');
 const { formatNumber } = require('../utils/formatter');
+const { getWagerSummary } = require('../utils/betHistory');
 
 /**
  * Handles ping command
@@ -66,6 +67,8 @@ async function handleProfile(sock, message, user) {
       ? ((user.gamesWon / user.gamesPlayed) * 100).toFixed(1) 
       : 0;
     
+    const wagers = getWagerSummary(user.id);
+    
     // Format join date
     const joinDate = new Date(user.joinDate).toLocaleDateString();
     
@@ -83,6 +86,12 @@ async function handleProfile(sock, message, user) {
       `Win Rate: ${winRate}%\n` +
       `Daily Streak: ${user.dailyStreak} days\n\n` +
       
+      `🎲 *Betting*\n` +
+      `Wagered: ${formatNumber(wagers.wagered)} coins over ${formatNumber(wagers.bets)} bets\n` +
+      `Net Profit: ${wagers.net < 0 ? '-' : '+'}${formatNumber(Math.abs(wagers.net))} coins\n` +
+      `Biggest Win: ${formatNumber(wagers.biggestWin)} coins\n` +
+      `Favorite Game: ${wagers.favoriteGame || 'None yet'}\n\n` +
+      
       `ℹ️ *Info*\n` +
       `Joined: ${joinDate}`;
     
@@ -133,9 +142,41 @@ async function handleMainGC(sock, message, sender) {
   }
 }
 
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'ping',
+    category: 'general',
+    description: 'Check if bot is online',
+    requiresRegistration: false,
+    execute: ({ sock, message }) => handlePing(sock, message)
+  },
+  {
+    name: 'balance',
+    aliases: ['bal'],
+    category: 'general',
+    description: 'Check your balance',
+    execute: ({ sock, message, user }) => handleBalance(sock, message, user)
+  },
+  {
+    name: 'profile',
+    category: 'general',
+    description: 'View your profile',
+    execute: ({ sock, message, user }) => handleProfile(sock, message, user)
+  },
+  {
+    name: 'maingc',
+    category: 'general',
+    description: 'Join our official group',
+    requiresRegistration: false,
+    execute: ({ sock, message, sender }) => handleMainGC(sock, message, sender)
+  }
+];
+
 module.exports = {
   handlePing,
   handleBalance,
   handleProfile,
-  handleMainGC
+  handleMainGC,
+  commands
 };
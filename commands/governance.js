@@ -0,0 +1,496 @@
+const { sendReply } = require('../utils/messageUtils');
+const config = require('../config');
+const { getUser, getCompany, updateCompany, renameCompany, transaction, addProposal, getProposal, getAllProposals, getCompanyProposals, updateProposal, removeProposal } = require('../database/db');
+const { formatNumber, formatDuration } = require('../utils/formatter');
+const { findRegisteredUser } = require('../utils/registrationUtils');
+const { getRetainedEarnings } = require('../utils/economy');
+const { PROPOSAL_TYPES, getVotingPower, tallyVotes, getVoteOutcome, describeProposal, formatVotes } = require('../utils/governance');
+const { closeCompany, kickShareholder, payDividend } = require('./company');
+
+/**
+ * Gets a player's name for messages
+ * @param {String} userId - User ID
+ * @returns {String} Username, or their number if they have none
+ */
+function getDisplayName(userId) {
+  const user = getUser(userId);
+  return user && user.username ? user.username : userId.split('@')[0];
+}
+
+/**
+ * Splits proposal arguments into the company, the kind of proposal and its details. Company
+ * names can contain spaces, so the first word that names a kind of proposal after the name
+ * of an open company ends the name.
+ * @param {Array} args - Command arguments
+ * @returns {Object|null} { company, type, details }, or null if there's no company and proposal in them
+ */
+function parseProposalArgs(args) {
+  for (let i = 1; i < args.length; i++) {
+    const type = args[i].toLowerCase();
+    const company = getCompany(args.slice(0, i).join(' '));
+    
+    if (PROPOSAL_TYPES[type] && company && !company.closed) {
+      return { company, type, details: args.slice(i + 1) };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Formats the votes cast on a proposal so far
+ * @param {Object} tally - Votes counted with tallyVotes
+ * @returns {String} Yes, no and turnout lines
+ */
+function formatTally(tally) {
+  return `Yes: ${formatVotes(tally.yes, tally.totalShares)}\n` +
+    `No: ${formatVotes(tally.no, tally.totalShares)}\n` +
+    `Turnout: ${formatVotes(tally.turnout, tally.totalShares)}, ${tally.quorum} needed`;
+}
+
+/**
+ * Carries out a proposal that passed. Things may have changed since it was made, so it's
+ * checked again first.
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} proposal - Proposal
+ * @returns {Promise<String|null>} Why it couldn't be carried out, or null if it was
+ */
+async function executeProposal(sock, proposal) {
+  const company = getCompany(proposal.company);
+  
+  switch (proposal.type) {
+    case 'rename':
+      if (getCompany(proposal.newName)) {
+        return `a company called "${proposal.newName}" already exists`;
+      }
+      transaction(() => renameCompany(proposal.company, proposal.newName));
+      return null;
+    
+    case 'close':
+      await closeCompany(sock, proposal.company, { closedBy: 'a shareholder vote' });
+      return null;
+    
+    case 'dividend': {
+      const earnings = getRetainedEarnings(company);
+      const amount = proposal.amount === 'all' ? earnings : proposal.amount;
+      if (amount > earnings || amount < config.minDividend) {
+        return `the company only has ${formatNumber(earnings)} coins of earnings`;
+      }
+      await payDividend(sock, proposal.company, amount);
+      return null;
+    }
+    
+    case 'ceo':
+      if (getVotingPower(company, proposal.target) === 0) {
+        return `${getDisplayName(proposal.target)} no longer holds any shares`;
+      }
+      updateCompany(proposal.company, { owner: proposal.target });
+      return null;
+    
+    case 'kick':
+      if (getVotingPower(company, proposal.target) === 0) {
+        return `${getDisplayName(proposal.target)} no longer holds any shares`;
+      }
+      if (proposal.target === company.owner) {
+        return `${getDisplayName(proposal.target)} is now the owner`;
+      }
+      await kickShareholder(sock, proposal.company, proposal.target, 'a shareholder vote');
+      return null;
+    
+    default:
+      return 'unknown proposal';
+  }
+}
+
+/**
+ * Closes a vote: carries out the proposal if it passed and tells everyone who had a say
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} proposal - Proposal
+ * @param {String} outcome - 'passed', 'rejected', 'noquorum' or 'cancelled' (the company has closed)
+ * @param {String} [skip] - User ID not to notify (they're told in the chat)
+ * @returns {Promise<String>} Result message
+ */
+async function settleProposal(sock, proposal, outcome, skip = null) {
+  const company = getCompany(proposal.company);
+  const open = company && !company.closed;
+  const tally = open ? tallyVotes(proposal, company) : null;
+  
+  // Everyone with a say, before any shares change hands
+  const recipients = new Set([
+    ...Object.keys(proposal.votes),
+    ...(open ? Object.keys(company.shareDistribution || {}) : [])
+  ]);
+  
+  removeProposal(proposal.id);
+  
+  let result;
+  if (outcome === 'passed') {
+    const error = await executeProposal(sock, proposal);
+    result = error ? `⚠️ Passed, but couldn't be carried out: ${error}` : '✅ Passed and carried out';
+  } else if (outcome === 'rejected') {
+    result = '❌ Rejected';
+  } else if (outcome === 'noquorum') {
+    result = '⚠️ Not enough shares voted';
+  } else {
+    result = '⚠️ Cancelled: the company has closed';
+  }
+  
+  const text = `🗳️ *VOTE CLOSED* 🗳️\n\n` +
+    `Company: ${proposal.company}\n` +
+    `Proposal #${proposal.id}: ${describeProposal(proposal)}\n\n` +
+    (tally ? `${formatTally(tally)}\n\n` : '') +
+    `Result: ${result}`;
+  
+  for (const userId of recipients) {
+    if (userId === skip || !getUser(userId)) continue;
+    
+    try {
+      await sock.sendMessage(userId, { text });
+    } catch (notifyError) {
+      console.error('Error notifying shareholder about vote result:', notifyError);
+    }
+  }
+  
+  return text;
+}
+
+/**
+ * Handles company propose command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {String} sender - Sender ID
+ */
+async function handlePropose(sock, message, args, sender) {
+  try {
+    const parsed = parseProposalArgs(args);
+    if (!parsed) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}cpropose [company name] [${Object.keys(PROPOSAL_TYPES).join('/')}] [details]`);
+      return;
+    }
+    
+    const { company, type, details } = parsed;
+    
+    // Only shareholders get a say
+    if (getVotingPower(company, sender) === 0) {
+      await sendReply(sock, message, `❌ Only shareholders of "${company.name}" can make proposals.`);
+      return;
+    }
+    
+    const openProposals = getCompanyProposals(company.name);
+    if (openProposals.length >= config.maxOpenProposals) {
+      await sendReply(sock, message, `❌ "${company.name}" already has ${openProposals.length} proposals open. Wait for one to close.`);
+      return;
+    }
+    
+    const proposal = { company: company.name, type };
+    
+    if (type === 'rename') {
+      const newName = details.join(' ');
+      if (newName.length < 3 || newName.length > 20) {
+        await sendReply(sock, message, "❌ Company name must be between 3 and 20 characters.");
+        return;
+      }
+      if (getCompany(newName)) {
+        await sendReply(sock, message, `❌ A company with the name "${newName}" already exists.`);
+        return;
+      }
+      proposal.newName = newName;
+    } else if (type === 'dividend') {
+      const amountArg = (details[0] || '').toLowerCase();
+      const amount = amountArg === 'all' ? 'all' : parseInt(amountArg);
+      if (amount !== 'all' && (isNaN(amount) || amount < config.minDividend)) {
+        await sendReply(sock, message, `❌ Please enter a dividend of at least ${formatNumber(config.minDividend)} coins, or "all".`);
+        return;
+      }
+      
+      const earnings = getRetainedEarnings(company);
+      if ((amount === 'all' ? config.minDividend : amount) > earnings) {
+        await sendReply(sock, message, `❌ "${company.name}" only has ${formatNumber(earnings)} coins of earnings to pay out.`);
+        return;
+      }
+      proposal.amount = amount;
+    } else if (type === 'ceo' || type === 'kick') {
+      const target = details.length > 0 ? findRegisteredUser(message, details[0]) : null;
+      if (!target || getVotingPower(company, target.id) === 0) {
+        await sendReply(sock, message, `❌ Please mention a shareholder of "${company.name}".`);
+        return;
+      }
+      if (type === 'ceo' && target.id === company.owner) {
+        await sendReply(sock, message, `❌ ${getDisplayName(target.id)} is already the owner.`);
+        return;
+      }
+      if (type === 'kick' && target.id === company.owner) {
+        await sendReply(sock, message, `❌ The owner can't be removed. Propose a new CEO first.`);
+        return;
+      }
+      if (type === 'kick' && target.id === sender) {
+        await sendReply(sock, message, `❌ You can't propose removing yourself. Use ${config.prefix}cw to sell your shares.`);
+        return;
+      }
+      proposal.target = target.id;
+    }
+    
+    // The same question can't be on the ballot twice
+    const duplicate = openProposals.find(open => describeProposal(open) === describeProposal(proposal));
+    if (duplicate) {
+      await sendReply(sock, message, `❌ There's already a vote open on that (#${duplicate.id}).`);
+      return;
+    }
+    
+    const now = Date.now();
+    const created = addProposal({
+      ...proposal,
+      proposer: sender,
+      votes: { [sender]: 'yes' },
+      createdAt: now,
+      endsAt: now + config.proposalDuration
+    });
+    
+    // A proposer with most of the shares decides it on their own
+    const tally = tallyVotes(created, company);
+    const outcome = getVoteOutcome(tally);
+    if (outcome) {
+      const result = await settleProposal(sock, created, outcome, sender);
+      await sendReply(sock, message, result);
+      return;
+    }
+    
+    // Ask the other shareholders to vote
+    for (const [holderId, shares] of Object.entries(company.shareDistribution || {})) {
+      if (holderId === sender || !getUser(holderId)) continue;
+      
+      try {
+        await sock.sendMessage(holderId, {
+          text: `🗳️ *VOTE OPENED* 🗳️\n\n` +
+            `${getDisplayName(sender)} has put a proposal for "${company.name}" to a vote.\n\n` +
+            `Proposal #${created.id}: ${describeProposal(created)}\n` +
+            `Your votes: ${formatVotes(shares, company.totalShares)}\n` +
+            `Voting closes in ${formatDuration(config.proposalDuration)}\n\n` +
+            `Vote with "${config.prefix}cvote ${created.id} yes" or "${config.prefix}cvote ${created.id} no"`
+        });
+      } catch (notifyError) {
+        console.error('Error notifying shareholder about proposal:', notifyError);
+      }
+    }
+    
+    await sendReply(sock, message, `🗳️ *PROPOSAL OPENED* 🗳️\n\n` +
+      `Company: ${company.name}\n` +
+      `Proposal #${created.id}: ${describeProposal(created)}\n\n` +
+      `${formatTally(tally)}\n\n` +
+      `Voting closes in ${formatDuration(config.proposalDuration)}. The other shareholders have been asked to vote.`);
+  } catch (error) {
+    console.error('Error handling propose command:', error);
+    await sendReply(sock, message, "❌ An error occurred while making the proposal.");
+  }
+}
+
+/**
+ * Handles company vote command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {String} sender - Sender ID
+ */
+async function handleVote(sock, message, args, sender) {
+  try {
+    // Check arguments
+    const choice = (args[1] || '').toLowerCase();
+    if (args.length < 2 || (choice !== 'yes' && choice !== 'no')) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}cvote [proposal id] [yes/no]`);
+      return;
+    }
+    
+    const proposalId = parseInt(args[0].replace(/^#/, ''));
+    const proposal = getProposal(proposalId);
+    if (!proposal) {
+      await sendReply(sock, message, `❌ Proposal #${args[0].replace(/^#/, '')} not found. It may have already closed.`);
+      return;
+    }
+    
+    const company = getCompany(proposal.company);
+    if (!company || company.closed || getVotingPower(company, sender) === 0) {
+      await sendReply(sock, message, `❌ Only shareholders of "${proposal.company}" can vote on this.`);
+      return;
+    }
+    
+    const previous = proposal.votes[sender];
+    const updated = updateProposal(proposalId, { votes: { ...proposal.votes, [sender]: choice } });
+    
+    const tally = tallyVotes(updated, company);
+    const outcome = getVoteOutcome(tally);
+    if (outcome) {
+      const result = await settleProposal(sock, updated, outcome, sender);
+      await sendReply(sock, message, result);
+      return;
+    }
+    
+    await sendReply(sock, message, `✅ *VOTE ${previous ? 'CHANGED' : 'RECORDED'}* ✅\n\n` +
+      `Company: ${proposal.company}\n` +
+      `Proposal #${proposal.id}: ${describeProposal(proposal)}\n` +
+      `Your vote: ${choice} (${formatVotes(getVotingPower(company, sender), company.totalShares)})\n\n` +
+      `${formatTally(tally)}\n\n` +
+      `Voting closes in ${formatDuration(proposal.endsAt - Date.now())}`);
+  } catch (error) {
+    console.error('Error handling vote command:', error);
+    await sendReply(sock, message, "❌ An error occurred while voting.");
+  }
+}
+
+/**
+ * Handles company proposals command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {String} sender - Sender ID
+ */
+async function handleProposals(sock, message, args, sender) {
+  try {
+    let proposals;
+    if (args.length > 0) {
+      const companyName = args.join(' ');
+      const company = getCompany(companyName);
+      if (!company || company.closed) {
+        await sendReply(sock, message, `❌ Company "${companyName}" not found.`);
+        return;
+      }
+      proposals = getCompanyProposals(company.name);
+    } else {
+      // Proposals for every company the player holds shares in
+      proposals = getAllProposals().filter(proposal => {
+        const company = getCompany(proposal.company);
+        return company && getVotingPower(company, sender) > 0;
+      });
+    }
+    
+    if (proposals.length === 0) {
+      await sendReply(sock, message, `🗳️ No proposals are open. Shareholders can make one with ${config.prefix}cpropose`);
+      return;
+    }
+    
+    const now = Date.now();
+    let proposalsText = '';
+    for (const proposal of proposals) {
+      const company = getCompany(proposal.company);
+      const tally = tallyVotes(proposal, company);
+      
+      proposalsText += `*#${proposal.id} ${proposal.company}:* ${describeProposal(proposal)}\n` +
+        `  Yes: ${formatVotes(tally.yes, tally.totalShares)}, No: ${formatVotes(tally.no, tally.totalShares)}\n` +
+        `  Your vote: ${proposal.votes[sender] || 'not voted'}\n` +
+        `  Closes in ${formatDuration(Math.max(0, proposal.endsAt - now))}\n\n`;
+    }
+    
+    await sendReply(sock, message, `🗳️ *OPEN PROPOSALS* 🗳️\n\n${proposalsText}` +
+      `Vote with ${config.prefix}cvote [id] [yes/no]`);
+  } catch (error) {
+    console.error('Error handling proposals command:', error);
+    await sendReply(sock, message, "❌ An error occurred while fetching proposals.");
+  }
+}
+
+/**
+ * Closes votes whose time is up, carrying out the proposals that passed
+ * @param {Object} sock - WhatsApp connection
+ * @param {Number} [now] - Current time
+ * @returns {Promise<Number>} Number of votes closed
+ */
+async function runDueProposals(sock, now = Date.now()) {
+  let settled = 0;
+  
+  for (const proposal of getAllProposals()) {
+    if (now < proposal.endsAt) continue;
+    
+    try {
+      const company = getCompany(proposal.company);
+      const outcome = company && !company.closed
+        ? getVoteOutcome(tallyVotes(proposal, company), true)
+        : 'cancelled';
+      
+      await settleProposal(sock, proposal, outcome);
+      settled++;
+    } catch (error) {
+      console.error(`Error settling proposal #${proposal.id}:`, error);
+    }
+  }
+  
+  return settled;
+}
+
+// Latest WhatsApp connection for vote results (replaced on every reconnect)
+let proposalSock = null;
+let proposalInterval = null;
+
+/**
+ * Starts closing votes on time, or hands the scheduler a new connection after a reconnect.
+ * Proposals are kept in the database, so votes carry on after a restart.
+ * @param {Object} sock - WhatsApp connection
+ */
+function startProposalScheduler(sock) {
+  proposalSock = sock;
+  
+  if (proposalInterval) return;
+  
+  proposalInterval = setInterval(() => {
+    runDueProposals(proposalSock).catch(error => console.error('Error closing votes:', error));
+  }, config.proposalCheckInterval);
+}
+
+/**
+ * Stops the proposal scheduler
+ */
+function stopProposalScheduler() {
+  if (proposalInterval) {
+    clearInterval(proposalInterval);
+    proposalInterval = null;
+  }
+}
+
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'cpropose',
+    aliases: ['propose'],
+    category: 'company',
+    usage: '[name] [rename/close/dividend/ceo/kick] [details]',
+    description: 'Put a company decision to a shareholder vote',
+    examples: ['TechCorp rename Acme', 'TechCorp close', 'TechCorp dividend 5000', 'TechCorp ceo @user', 'TechCorp kick @user'],
+    details: [
+      ...Object.entries(PROPOSAL_TYPES).map(([type, { usage, description }]) => `${type}${usage ? ` ${usage}` : ''}: ${description}`),
+      'Votes are weighted by the shares each shareholder holds when they are counted',
+      `Voting closes after ${formatDuration(config.proposalDuration)}, or as soon as either side holds a majority of all shares`,
+      `At least ${config.proposalQuorum * 100}% of shares must vote for the result to count`,
+      `Owners holding more than ${config.companyControlShare * 100}% of the shares can rename, close and kick without a vote`
+    ],
+    execute: ({ sock, message, args, sender }) => handlePropose(sock, message, args, sender)
+  },
+  {
+    name: 'cvote',
+    aliases: ['vote'],
+    category: 'company',
+    usage: '[proposal id] [yes/no]',
+    description: 'Vote on a company proposal',
+    examples: ['3 yes', '3 no'],
+    details: ['You can change your vote until voting closes'],
+    execute: ({ sock, message, args, sender }) => handleVote(sock, message, args, sender)
+  },
+  {
+    name: 'cproposals',
+    aliases: ['proposals'],
+    category: 'company',
+    usage: '[name]',
+    description: 'View open company proposals',
+    examples: ['TechCorp'],
+    details: ['Without a name, shows proposals for every company you hold shares in'],
+    execute: ({ sock, message, args, sender }) => handleProposals(sock, message, args, sender)
+  }
+];
+
+module.exports = {
+  handlePropose,
+  handleVote,
+  handleProposals,
+  runDueProposals,
+  startProposalScheduler,
+  stopProposalScheduler,
+  commands
+};
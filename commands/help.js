@@ -1,6 +1,8 @@
 const { sendReply } = require('../utils/messageUtils');
 const config = require('../config');
 const { getCategoryImage, getBotProfileImage } = require('../utils/imageUtils');
+const { getCommand, getCommands } = require('../handlers/commandRegistry');
+const { categories, getCategory } = require('../handlers/commandCategories');
 const fs = require('fs');
 const path = require('path');
 
@@ -98,10 +100,16 @@ async function handleHelp(sock, message, args, sender) {
     if (args.length === 0) {
       debug('Showing main help menu');
       await sendMainHelp(sock, message);
-    } else {
+    } else if (getCategory(args[0])) {
       // Show specific help category
       debug('Showing help for category:', args[0].toLowerCase());
-      await sendCategoryHelp(sock, message, args[0].toLowerCase());
+      await sendCategoryHelp(sock, message, getCategory(args[0]));
+    } else if (getCommand(args[0].replace(config.prefix, ''))) {
+      // Show help for a single command
+      debug('Showing help for command:', args[0].toLowerCase());
+      await sendCommandHelp(sock, message, getCommand(args[0].replace(config.prefix, '')));
+    } else {
+      await sendReply(sock, message, `❌ Unknown help category: "${args[0]}"\n\nTry ${config.prefix}help to see all available categories.`);
     }
   } catch (error) {
     console.error('Error handling help command:', error);
@@ -110,6 +118,58 @@ async function handleHelp(sock, message, args, sender) {
   }
 }
 
+/**
+ * Formats a command's usage line, e.g. ".cointoss [amount] [heads/tails]"
+ * @param {Object} command - Registered command
+ * @returns {String} Usage line
+ */
+function formatUsage(command) {
+  return `${config.prefix}${command.name}${command.usage ? ` ${command.usage}` : ''}`;
+}
+
+/**
+ * Formats a command for a category help page
+ * @param {Object} command - Registered command
+ * @returns {String} Formatted command
+ */
+function formatCommandEntry(command) {
+  let text = `• ${formatUsage(command)} - ${command.description}`;
+  
+  if (command.aliases.length > 0) {
+    text += `\n  Also: ${command.aliases.map(alias => `${config.prefix}${alias}`).join(', ')}`;
+  }
+  
+  if (command.examples.length > 0) {
+    text += `\n  Example: ${config.prefix}${command.name} ${command.examples[0]}`;
+  }
+  
+  for (const detail of command.details) {
+    text += `\n  ${detail}`;
+  }
+  
+  return text;
+}
+
+/**
+ * Sends a help message with an image, falling back to text only if the image fails
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {String} helpText - Help text
+ * @param {String} imageCategory - Image category (see getCategoryImage)
+ */
+async function sendHelpMessage(sock, message, helpText, imageCategory) {
+  try {
+    const image = await getCategoryImage(imageCategory);
+    debug('Got help image for', imageCategory, 'size:', image ? image.length : 0);
+    await sendReply(sock, message, helpText, image);
+  } catch (error) {
+    console.error('Error sending help with image:', error);
+    debug('Error details:', error.message, error.stack);
+    // Fallback to text-only if image fails
+    await sendReply(sock, message, helpText);
+  }
+}
+
 /**
  * Sends the main help menu
  * @param {Object} sock - WhatsApp connection
@@ -117,73 +177,23 @@ async function handleHelp(sock, message, args, sender) {
  */
 async function sendMainHelp(sock, message) {
   debug('Starting sendMainHelp function');
-  // Get the help category image and convert it to PNG
   try {
-    // Get the main help image - will be converted to PNG automatically
-    debug('Getting help category image');
-    const mainHelpImage = await getCategoryImage('help');
-    debug('Successfully got help image, size:', mainHelpImage ? mainHelpImage.length : 0);
+    const categoryList = categories
+      .filter(category => category.inMenu !== false)
+      .map(category => `• *${category.title}* - ${category.summary}\n   ${config.prefix}help ${category.id}`)
+      .join('\n\n');
     
-    const helpText = `🎮 *VRYZEN BOT COMMANDS* 🎮
-
-*CATEGORIES:*
-• *Gambling* - Games of chance and jackpot
-   ${config.prefix}help gambling
-
-• *PvP* - Challenge other players
-   ${config.prefix}help pvp
-
-• *Daily* - Daily rewards and streaks
-   ${config.prefix}help daily
-
-• *Company* - Create and manage companies
-   ${config.prefix}help company
-
-• *Leaderboards* - View top players
-   ${config.prefix}help leaderboard
-
-• *XP & Levels* - Level up and prestige
-   ${config.prefix}help xp
-
-• *Shop* - Buy items and upgrades
-   ${config.prefix}help shop
-
-• *Bank* - Store and earn interest
-   ${config.prefix}help bank
-
-• *Market* - Buy and sell shares
-   ${config.prefix}help market
-
-• *Groups* - Information about using the bot in groups
-   ${config.prefix}help groups
-
-• *Registration* - How to register with a username
-   ${config.prefix}help register
-
-• *Admin* - Owner-only commands (restricted)
-   ${config.prefix}help admin
-
-Type "${config.prefix}help [category]" for detailed commands.
-
-*Basic Commands:*
-   ${config.prefix}register [username] - Register with a unique username (required to use most commands)
-   ${config.prefix}ping - Check if bot is online
-   ${config.prefix}balance - Check your balance
-   ${config.prefix}profile - View your profile
-   ${config.prefix}maingc - Join our official group`;
-
-    try {
-      debug('Sending help message with image');
-      await sendReply(sock, message, helpText, mainHelpImage);
-      debug('Help message with image sent successfully');
-    } catch (error) {
-      console.error('Error sending main help with image:', error);
-      debug('Error details:', error.message, error.stack);
-      // Fallback to text-only if image fails
-      debug('Attempting to send text-only help message');
-      await sendReply(sock, message, helpText);
-      debug('Text-only help message sent');
-    }
+    const basicCommands = [getCommand('register'), ...getCommands({ category: 'general' })]
+      .map(command => `   ${formatUsage(command)} - ${command.description}`)
+      .join('\n');
+    
+    const helpText = `🎮 *VRYZEN BOT COMMANDS* 🎮\n\n` +
+      `*CATEGORIES:*\n${categoryList}\n\n` +
+      `Type "${config.prefix}help [category]" for detailed commands, or "${config.prefix}help [command]" for a single command.\n\n` +
+      `*Basic Commands:*\n${basicCommands}`;
+    
+    await sendHelpMessage(sock, message, helpText, 'help');
+    debug('Help message sent successfully');
   } catch (error) {
     console.error('Error in sendMainHelp function:', error);
     debug('Error in sendMainHelp:', error.message, error.stack);
@@ -200,335 +210,79 @@ Type "${config.prefix}help [category]" for detailed commands.
  * Sends help for a specific category
  * @param {Object} sock - WhatsApp connection
  * @param {Object} message - Message object
- * @param {String} category - Help category
+ * @param {Object} category - Help category (see handlers/commandCategories.js)
  */
 async function sendCategoryHelp(sock, message, category) {
-  debug('Starting sendCategoryHelp for category:', category);
-  let helpText = '';
-  
+  debug('Starting sendCategoryHelp for category:', category.id);
   try {
-    // Get the appropriate image for this category and convert it to PNG
-    debug('Getting image for category:', category);
-    const categoryImage = await getCategoryImage(category);
-    debug('Got category image, size:', categoryImage ? categoryImage.length : 0);
-
-    switch (category) {
-      case 'gambling':
-        helpText = `🎲 *GAMBLING HELP* 🎲
-
-• ${config.prefix}cointoss [amount] [heads/tails] - Bet on coin toss
-  Example: ${config.prefix}cointoss 100 heads
-
-• ${config.prefix}dice [amount] [number] - Bet on dice roll (1-6)
-  Example: ${config.prefix}dice 200 4
-
-• ${config.prefix}highstakes [amount] [heads/tails] - High-stakes coin toss with 10x multiplier
-  Example: ${config.prefix}highstakes 1000 tails
-
-• ${config.prefix}slots [amount] - Play slot machine
-  Example: ${config.prefix}slots 500
-
-• ${config.prefix}blackjack [amount] - Play blackjack
-  Example: ${config.prefix}blackjack 250
-
-• ${config.prefix}wheelSpin [amount] - Spin the wheel of fortune
-  Example: ${config.prefix}wheelSpin 300
-
-• *Jackpot Commands:*
-  ${config.prefix}jackpot [amount] - Enter the hourly jackpot
-  ${config.prefix}jackpotStatus - Check current jackpot status
-
-Min bet: ${config.minBet} coins
-Max bet: ${config.maxBet} coins`;
-        break;
-
-      case 'bank':
-      case 'banking':
-        helpText = `🏦 *BANKING HELP* 🏦
-
-• ${config.prefix}dep [amount/all] or ${config.prefix}deposit [amount/all] - Add coins to your bank
-  Example: ${config.prefix}dep 5000 or ${config.prefix}deposit all
-
-• ${config.prefix}with [amount/all] or ${config.prefix}withdraw [amount/all] - Take coins from your bank
-  Example: ${config.prefix}with 2000 or ${config.prefix}withdraw all
-
-• ${config.prefix}int or ${config.prefix}interest - Claim daily interest on your bank balance
-  Interest rate: ${config.baseBankInterestRate * 100}% base + prestige bonus
-
-• ${config.prefix}bank-upgrade or ${config.prefix}upgradebank - Increase your bank capacity
-  Capacity increases by ${config.bankCapacityIncreasePercent * 100}%, cost is ${config.bankUpgradeCostPercent * 100}% of current capacity
-
-• ${config.prefix}bank or ${config.prefix}bank-info - View your bank details
-  Shows balance, capacity, interest rate and upgrade costs
-
-*Benefits of using the bank:*
-• Earn daily interest on your savings
-• Keep coins safe from certain losses
-• Upgrade your capacity to store more coins
-
-Tip: Higher prestige levels increase your interest rate!`;
-        break;
-
-      case 'leaderboard':
-      case 'leaderboards':
-        helpText = `🏆 *LEADERBOARDS HELP* 🏆
-
-• ${config.prefix}topRich - View richest players
-
-• ${config.prefix}topWins - Players with most wins
-
-• ${config.prefix}topStreak - Highest daily streaks
-
-• ${config.prefix}topLevels - Highest level players
-
-• ${config.prefix}topPrestige - Highest prestige players
-
-• ${config.prefix}topCompanies - Most valuable companies
-
-Leaderboards update in real-time and show the top 10 in each category`;
-        break;
-
-      case 'company':
-      case 'companies':
-        helpText = `🏢 *COMPANY HELP* 🏢
-
-• ${config.prefix}cc [amount] [name] - Create a company
-  Example: ${config.prefix}cc 6000 TechCorp
-  A random sector will be assigned
-  Min investment: ${config.minCompanyInvestment} coins
-
-• ${config.prefix}cinfo [name] - View company details
-  Example: ${config.prefix}cinfo TechCorp
-
-• ${config.prefix}ci [name] [amount] - Invest in a company
-  Example: ${config.prefix}ci TechCorp 5000
-
-• ${config.prefix}cw [name] [amount] - Withdraw investment
-  Example: ${config.prefix}cw TechCorp 2000
-  Withdrawal fee: ${config.companyWithdrawalFee * 100}%
-
-• ${config.prefix}ctop - View top companies
-
-• ${config.prefix}crq [name] - Request to invest in a company
-  Example: ${config.prefix}crq TechCorp
-
-• *Management Commands (owner only):*
-  ${config.prefix}crn [oldName] [newName] - Rename company
-  ${config.prefix}cclose [name] - Close your company
-  ${config.prefix}ckick [name] @user - Remove an investor`;
-        break;
-
-      case 'xp':
-      case 'levels':
-        helpText = `⭐ *XP & LEVELS HELP* ⭐
-
-• ${config.prefix}xp - View your current XP
-
-• ${config.prefix}level - Check your level and progress
-
-• ${config.prefix}prestige - Prestige when you reach level ${config.prestigeLevel}
-  Resets your level but gives bonus rewards
-
-*How to earn XP:*
-• Betting: +${config.xpPerBet} XP per bet
-• Winning: +${config.xpPerWin} XP per win
-• Losing: +${config.xpPerLoss} XP per loss
-
-Level formula: level = sqrt(xp/100) + 1
-
-Each prestige level gives +${config.prestigeRewardBonus * 100}% daily reward bonus!`;
-        break;
-
-      case 'pvp':
-      case 'challenge':
-        helpText = `⚔️ *PVP CHALLENGE HELP* ⚔️
-
-• ${config.prefix}challenge @user [amount] - Challenge another user
-  Example: ${config.prefix}challenge @John 1000
-
-• ${config.prefix}accept - Accept a pending challenge
-
-• ${config.prefix}decline - Decline a pending challenge
-
-• ${config.prefix}rematch - Request a rematch with last opponent
-
-*PvP Limits:*
-- Max ${config.maxChallengesPerHour} challenges per hour
-- Timeout: ${config.challengeTimeout} seconds to accept/decline
-- Refund: ${config.challengeRefundMin * 100}%-${config.challengeRefundMax * 100}% if opponent doesn't respond`;
-        break;
-
-      case 'market':
-        helpText = `🛒 *MARKET HELP* 🛒
-
-• ${config.prefix}market – View all active sell orders
-• ${config.prefix}market [Company] – View sell orders for that company
-• ${config.prefix}buyshares [Company] [qty] – Buy shares at lowest price
-• ${config.prefix}sellshares [Company] [qty] [price] – Post shares for sale
-• ${config.prefix}cancelorder [Company/OrderID] – Cancel your sell order
-• ${config.prefix}transfer [Company] [@user] [qty] – Transfer shares directly
-
-*Market fees:* ${config.marketFee * 100}% transaction fee on all trades`;
-        break;
-
-      case 'daily':
-        helpText = `📅 *DAILY REWARDS HELP* 📅
-
-• ${config.prefix}daily - Claim your daily reward
-  Base reward: ${config.baseReward} coins
-
-• *Streak Bonus:*
-  Each consecutive day adds ${config.streakBonus * 100}% to your reward
-  Example: 5-day streak = ${config.baseReward} + ${config.baseReward * config.streakBonus * 5} coins
-
-• *Prestige Bonus:*
-  Each prestige level adds ${config.prestigeRewardBonus * 100}% to your reward
-  Example: Prestige 3 = ${config.baseReward * (1 + (3 * config.prestigeRewardBonus))} coins base reward
-
-• ${config.prefix}streak - Check your current daily streak
-
-*Tips:*
-• Claim your reward every 24 hours to maintain your streak
-• Missing a day resets your streak to 0
-• Higher prestige levels significantly increase your daily rewards`;
-        break;
-
-      case 'shop':
-        helpText = `🛍️ *SHOP HELP* 🛍️
-
-• ${config.prefix}shop - Browse available items and boosts
-
-• ${config.prefix}buy [item] [quantity] - Purchase an item
-  Example: ${config.prefix}buy luckycharm 1
-
-• ${config.prefix}inventory - View your purchased items
-
-• ${config.prefix}use [item] - Activate a boost or item
-  Example: ${config.prefix}use luckycharm
-
-*Available Items:*
-• Lucky Charm (5,000 coins) - +10% gambling wins for 24 hours
-• XP Booster (10,000 coins) - Double XP for 24 hours
-• Bank Boost (15,000 coins) - +0.5% interest rate for 7 days
-• Jackpot Ticket (25,000 coins) - 2x entries in jackpot for 24 hours
-• Company Analyst (50,000 coins) - Reduces company investment fees by 50% for 3 days`;
-        break;
-        
-      case 'register':
-      case 'registration':
-        helpText = `📝 *REGISTRATION HELP* 📝
-
-*Registration Command:*
-• ${config.prefix}register [username] - Register with a unique username
-  Example: ${config.prefix}register johndoe
-
-*Username Requirements:*
-• 3-15 characters long
-• Letters, numbers, and underscores only
-• No spaces or special characters
-• Must be unique (not taken by another user)
-
-*Why Register?*
-Registration is required to:
-• Use gambling and economy commands
-• Participate in challenges
-• Create or invest in companies
-• Transfer coins and shares to other users
-• Access most bot features
-
-*Important Notes:*
-• You can only register once
-• Your username cannot be changed after registration
-• Your username will be displayed in leaderboards and transactions
-
-After registering, you'll have full access to all bot features.`;
-        break;
-        
-      case 'groups':
-      case 'group':
-        helpText = `👥 *GROUP USAGE HELP* 👥
-
-*Using the Bot in Groups:*
-This bot works in any group where it's an admin - no exceptions.
-
-*How to Use in Your Group:*
-1. Add the bot to your group
-2. Make the bot an admin
-3. It will automatically activate for everyone
-
-*Important Notes:*
-• Bot MUST be an admin to work - this is required
-• All commands work in all groups where bot is admin
-• Users must register with ${config.prefix}register before using most commands
-• Bot responses use quoted replies to the original message
-
-*Why Admin is Required:*
-• Admin status lets the bot monitor group activity
-• Prevents abuse and ensures reliable functionality
-• Enables proper message delivery and responses
-
-*For Bot Owners:*
-• Bot owners can use commands anywhere, including DMs
-• Use ${config.prefix}help whoami to check your owner status
-• Use ${config.prefix}help fixowner if owner recognition isn't working
-
-Questions or issues? Contact the bot owners.`;
-        break;
-        
-      case 'admin':
-      case 'owner':
-        helpText = `👑 *ADMIN COMMANDS* 👑
-
-*User Management:*
-• ${config.prefix}blacklist @user - Prevent a user from using the bot
-• ${config.prefix}unblacklist @user - Remove a user from the blacklist
-• ${config.prefix}makeowner @user - Give a user owner privileges
-• ${config.prefix}removeowner @user - Remove owner privileges
-
-*Economy Control:*
-• ${config.prefix}addcoins @user [amount] - Add coins to a user's balance
-• ${config.prefix}removecoins @user [amount] - Remove coins from a user's balance
-• ${config.prefix}setxp @user [amount] - Set a user's XP to a specific amount
-
-*Database Commands:*
-• ${config.prefix}resetdata - Reset all user data (use with caution)
-• ${config.prefix}resetalldata - Completely wipe ALL database data (extreme caution)
-
-*NOTE: These commands are ONLY available to bot owners*`;
-        break;
-
-      default:
-        helpText = `❌ Unknown help category: "${category}"\n\nTry ${config.prefix}help to see all available categories.`;
-        break;
-    }
-
-    debug('Sending help for category:', category);
-    try {
-      await sendReply(sock, message, helpText, categoryImage);
-      debug('Successfully sent help for category:', category);
-    } catch (error) {
-      console.error('Error sending category help with image:', error);
-      debug('Error details:', error.message, error.stack);
-      // Fallback to text-only if image fails
-      try {
-        debug('Attempting to send text-only category help');
-        await sendReply(sock, message, helpText);
-        debug('Text-only category help sent');
-      } catch (fallbackError) {
-        console.error('Error sending fallback text-only help:', fallbackError);
-        debug('Fallback error details:', fallbackError.message, fallbackError.stack);
-      }
+    const sections = getCommands({ category: category.id }).map(formatCommandEntry);
+    if (category.notes) {
+      sections.push(category.notes);
     }
+    
+    const helpText = `${category.emoji} *${category.heading}* ${category.emoji}\n\n${sections.join('\n\n')}`;
+    
+    await sendHelpMessage(sock, message, helpText, category.id);
+    debug('Successfully sent help for category:', category.id);
   } catch (error) {
     console.error('Error in sendCategoryHelp:', error);
     debug('Error in sendCategoryHelp:', error.message, error.stack);
     // Send simple error message
     try {
-      await sendReply(sock, message, `❌ Error showing help for "${category}". Try ${config.prefix}help for the main menu.`);
+      await sendReply(sock, message, `❌ Error showing help for "${category.id}". Try ${config.prefix}help for the main menu.`);
     } catch (replyError) {
       console.error('Failed to send error message:', replyError);
     }
   }
 }
 
-module.exports = { handleHelp };
\ No newline at end of file
+/**
+ * Sends help for a single command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Object} command - Registered command
+ */
+async function sendCommandHelp(sock, message, command) {
+  const category = getCategory(command.category);
+  
+  let helpText = `${category.emoji} *${config.prefix}${command.name.toUpperCase()}* ${category.emoji}\n\n` +
+    `${command.description}\n\n` +
+    `*Usage:* ${formatUsage(command)}\n`;
+  
+  if (command.aliases.length > 0) {
+    helpText += `*Aliases:* ${command.aliases.map(alias => `${config.prefix}${alias}`).join(', ')}\n`;
+  }
+  
+  for (const example of command.examples) {
+    helpText += `*Example:* ${config.prefix}${command.name} ${example}\n`;
+  }
+  
+  for (const detail of command.details) {
+    helpText += `${detail}\n`;
+  }
+  
+  helpText += `\n*Category:* ${category.title} (${config.prefix}help ${category.id})\n` +
+    `*Registration required:* ${command.requiresRegistration ? 'Yes' : 'No'}` +
+    (command.cooldown > 0 ? `\n*Cooldown:* ${command.cooldown} seconds` : '') +
+    (command.role === 'owner' ? `\n*Bot owners only*` : '');
+  
+  await sendHelpMessage(sock, message, helpText, category.id);
+}
+
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'help',
+    category: 'general',
+    usage: '[category/command]',
+    description: 'Show all commands, a category, or one command',
+    examples: ['gambling'],
+    requiresRegistration: false,
+    execute: ({ sock, message, args, sender }) => handleHelp(sock, message, args, sender)
+  }
+];
+
+module.exports = {
+  handleHelp,
+  commands
+};
\ No newline at end of file
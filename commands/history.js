@@ -0,0 +1,314 @@
+const { sendReply } = require('../utils/messageUtils');
+const config = require('../config');
+const { getUser, getUserByUsername, getUserLedgerEntries, getUserLedgerFlows, getWagers, walletAccount, bankAccount } = require('../database/db');
+const { formatNumber, formatSigned } = require('../utils/formatter');
+
+/**
+ * Gets a readable name for a ledger account
+ * @param {String} account - Ledger account (e.g. "wallet:123@s.whatsapp.net")
+ * @param {String} viewerId - User whose history is being shown
+ * @returns {String} Account label
+ */
+function formatAccount(account, viewerId) {
+  if (account === walletAccount(viewerId)) return 'wallet';
+  if (account === bankAccount(viewerId)) return 'bank';
+  
+  const separator = account.indexOf(':');
+  if (separator === -1) return account;
+  
+  const type = account.slice(0, separator);
+  const owner = account.slice(separator + 1);
+  
+  if (type === 'company') return `🏢 ${owner}`;
+  
+  const accountUser = getUser(owner);
+  const name = accountUser && accountUser.username ? accountUser.username : owner.split('@')[0];
+  return type === 'bank' ? `${name} (bank)` : name;
+}
+
+/**
+ * Formats a ledger entry from a user's point of view
+ * @param {Object} entry - Ledger entry
+ * @param {String} userId - User whose history is being shown
+ * @returns {String} Formatted entry
+ */
+function formatEntry(entry, userId) {
+  const userAccounts = [walletAccount(userId), bankAccount(userId)];
+  const outgoing = userAccounts.includes(entry.from);
+  const internal = outgoing && userAccounts.includes(entry.to);
+  
+  const unit = entry.asset === 'coins' ? 'coins' : `${entry.asset.slice('shares:'.length)} shares`;
+  const sign = internal ? '' : (outgoing ? '-' : '+');
+  const direction = outgoing
+    ? `→ ${formatAccount(entry.to, userId)}`
+    : `← ${formatAccount(entry.from, userId)}`;
+  const internalDirection = `${formatAccount(entry.from, userId)} → ${formatAccount(entry.to, userId)}`;
+  
+  const time = new Date(entry.timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  
+  return `#${entry.id} • ${time}\n` +
+    `  ${sign}${formatNumber(entry.amount)} ${unit} ${internal ? internalDirection : direction}\n` +
+    `  ${entry.reason || 'No reason recorded'}${entry.command ? ` (${config.prefix}${entry.command})` : ''}`;
+}
+
+/**
+ * Builds one page of a user's ledger history
+ * @param {String} userId - User ID
+ * @param {Number} page - Page number (1-based)
+ * @returns {Object} { text, page, totalPages }
+ */
+function buildHistoryPage(userId, page) {
+  const pageSize = config.historyPageSize;
+  const { total, entries } = getUserLedgerEntries(userId, {
+    limit: pageSize,
+    offset: (page - 1) * pageSize
+  });
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  
+  const text = entries.length > 0
+    ? entries.map(entry => formatEntry(entry, userId)).join('\n\n')
+    : 'No transactions on this page.';
+  
+  return { text, page, totalPages };
+}
+
+/**
+ * Parses a page number argument
+ * @param {String} arg - Page argument
+ * @returns {Number|null} Page number, or null if invalid
+ */
+function parsePage(arg) {
+  if (arg === undefined) return 1;
+  
+  const page = parseInt(arg);
+  return isNaN(page) || page < 1 ? null : page;
+}
+
+/**
+ * Handles history command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} user - User data
+ */
+async function handleHistory(sock, message, args, user) {
+  try {
+    const page = parsePage(args[0]);
+    if (!page) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}history [page]`);
+      return;
+    }
+    
+    const history = buildHistoryPage(user.id, page);
+    
+    await sendReply(sock, message, `📒 *TRANSACTION HISTORY* 📒\n\n` +
+      `${history.text}\n\n` +
+      `Page ${history.page} of ${history.totalPages}` +
+      (history.page < history.totalPages ? `\nUse "${config.prefix}history ${history.page + 1}" for older transactions.` : ''));
+  } catch (error) {
+    console.error('Error handling history command:', error);
+    await sendReply(sock, message, "❌ An error occurred while loading your transaction history.");
+  }
+}
+
+/**
+ * Handles trace command (owner only): shows where a user's coins came from and went
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} user - User data
+ * @param {String} sender - Sender ID
+ */
+async function handleTrace(sock, message, args, user, sender) {
+  try {
+    if (args.length < 1) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}trace [username] [page]`);
+      return;
+    }
+    
+    const targetUser = getUserByUsername(args[0]);
+    if (!targetUser) {
+      await sendReply(sock, message, `❌ User "${args[0]}" not found.`);
+      return;
+    }
+    
+    const page = parsePage(args[1]);
+    if (!page) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}trace [username] [page]`);
+      return;
+    }
+    
+    // Summarize coin flows by counterparty, biggest first
+    const flows = Object.entries(getUserLedgerFlows(targetUser.id))
+      .sort(([, a], [, b]) => (b.in + b.out) - (a.in + a.out));
+    
+    let totalIn = 0;
+    let totalOut = 0;
+    let flowsText = '';
+    for (const [account, flow] of flows) {
+      totalIn += flow.in;
+      totalOut += flow.out;
+      flowsText += `• ${formatAccount(account, targetUser.id)}: +${formatNumber(flow.in)} / -${formatNumber(flow.out)}\n`;
+    }
+    
+    if (flowsText === '') {
+      flowsText = 'No coin movements recorded\n';
+    }
+    
+    const history = buildHistoryPage(targetUser.id, page);
+    
+    await sendReply(sock, message, `🔎 *LEDGER TRACE: ${targetUser.username}* 🔎\n\n` +
+      `Wallet: ${formatNumber(targetUser.balance)} coins\n` +
+      `Bank: ${formatNumber(targetUser.bankBalance)} coins\n\n` +
+      `*Coin Flows (in / out):*\n${flowsText}` +
+      `Total: +${formatNumber(totalIn)} / -${formatNumber(totalOut)}\n\n` +
+      `*Transactions:*\n${history.text}\n\n` +
+      `Page ${history.page} of ${history.totalPages}`);
+  } catch (error) {
+    console.error('Error handling trace command:', error);
+    await sendReply(sock, message, "❌ An error occurred while tracing the user's transactions.");
+  }
+}
+
+/**
+ * Formats a wager from a player's bet history
+ * @param {Object} wager - Wager record (see utils/betHistory.js)
+ * @returns {String} Formatted wager
+ */
+function formatWager(wager) {
+  const icon = { win: '✅', loss: '❌', push: '➖' }[wager.outcome];
+  const time = new Date(wager.timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  
+  return `${icon} ${wager.game} • ${time}\n` +
+    `  Bet ${formatNumber(wager.stake)}, paid ${formatNumber(wager.payout)} (${formatSigned(wager.payout - wager.stake)})` +
+    (wager.betId ? ` • Bet #${wager.betId}` : '');
+}
+
+/**
+ * Handles bets command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} user - User data
+ */
+async function handleBets(sock, message, args, user) {
+  try {
+    const page = parsePage(args[0]);
+    if (!page) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}bets [page]`);
+      return;
+    }
+    
+    const { recent } = getWagers(user.id);
+    if (recent.length === 0) {
+      await sendReply(sock, message, `🎲 *BET HISTORY* 🎲\n\nYou haven't placed any bets yet.`);
+      return;
+    }
+    
+    const pageSize = config.historyPageSize;
+    const totalPages = Math.ceil(recent.length / pageSize);
+    const wagers = recent.slice((page - 1) * pageSize, page * pageSize);
+    
+    await sendReply(sock, message, `🎲 *BET HISTORY* 🎲\n\n` +
+      (wagers.length > 0 ? wagers.map(formatWager).join('\n\n') : 'No bets on this page.') + '\n\n' +
+      `Page ${Math.min(page, totalPages)} of ${totalPages}` +
+      (page < totalPages ? `\nUse "${config.prefix}bets ${page + 1}" for older bets.` : '') +
+      `\nCheck any bet with ${config.prefix}verify [bet id], or see totals with ${config.prefix}gamestats.`);
+  } catch (error) {
+    console.error('Error handling bets command:', error);
+    await sendReply(sock, message, "❌ An error occurred while loading your bet history.");
+  }
+}
+
+/**
+ * Handles gamestats command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Object} user - User data
+ */
+async function handleGameStats(sock, message, user) {
+  try {
+    // Most played games first
+    const games = Object.entries(getWagers(user.id).games)
+      .sort(([, a], [, b]) => b.bets - a.bets);
+    
+    if (games.length === 0) {
+      await sendReply(sock, message, `📊 *GAME STATS* 📊\n\nYou haven't placed any bets yet.`);
+      return;
+    }
+    
+    let totalWagered = 0;
+    let totalNet = 0;
+    const lines = games.map(([game, totals]) => {
+      const net = totals.paidOut - totals.wagered;
+      totalWagered += totals.wagered;
+      totalNet += net;
+      
+      return `*${game}*\n` +
+        `  Bets: ${formatNumber(totals.bets)} • Won ${((totals.wins / totals.bets) * 100).toFixed(1)}%\n` +
+        `  Net: ${formatSigned(net)} coins on ${formatNumber(totals.wagered)} wagered\n` +
+        `  Biggest win: ${formatNumber(totals.biggestWin)} coins\n` +
+        `  Longest streak: ${totals.longestWinStreak} won / ${totals.longestLossStreak} lost`;
+    });
+    
+    await sendReply(sock, message, `📊 *GAME STATS* 📊\n\n` +
+      `${lines.join('\n\n')}\n\n` +
+      `*Overall:* ${formatSigned(totalNet)} coins on ${formatNumber(totalWagered)} wagered`);
+  } catch (error) {
+    console.error('Error handling gamestats command:', error);
+    await sendReply(sock, message, "❌ An error occurred while loading your game stats.");
+  }
+}
+
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'history',
+    category: 'bank',
+    usage: '[page]',
+    description: 'View your recent coin and share transactions',
+    examples: ['2'],
+    execute: ({ sock, message, args, user }) => handleHistory(sock, message, args, user)
+  },
+  {
+    name: 'bets',
+    category: 'gambling',
+    usage: '[page]',
+    description: 'View your recent bets and what they paid',
+    examples: ['2'],
+    execute: ({ sock, message, args, user }) => handleBets(sock, message, args, user)
+  },
+  {
+    name: 'gamestats',
+    category: 'gambling',
+    description: 'See your net profit, win rate, biggest win and longest streaks in each game',
+    execute: ({ sock, message, user }) => handleGameStats(sock, message, user)
+  },
+  {
+    name: 'trace',
+    category: 'admin',
+    usage: '[username] [page]',
+    description: "See where a user's coins came from and went",
+    role: 'owner',
+    requiresRegistration: false,
+    execute: ({ sock, message, args, user, sender }) => handleTrace(sock, message, args, user, sender)
+  }
+];
+
+module.exports = {
+  handleHistory,
+  handleTrace,
+  handleBets,
+  handleGameStats,
+  commands
+};
@@ -1,6 +1,7 @@
 const { sendReply } = require('../utils/messageUtils');
 const { getAllUsers, getAllCompanies, getUser } = require('../database/db');
 const { formatNumber } = require('../utils/formatter');
+const { getCompanyValuation } = require('../utils/economy');
 
 /**
  * Handles top rich command (richest players)
@@ -233,10 +234,10 @@ async function handleTopCompanies(sock, message) {
     // Get all companies
     const companies = getAllCompanies();
     
-    // Filter out closed companies and sort by value
+    // Filter out closed companies and sort by valuation
     const topCompanies = companies
       .filter(company => !company.closed)
-      .sort((a, b) => b.value - a.value)
+      .sort((a, b) => getCompanyValuation(b) - getCompanyValuation(a))
       .slice(0, 10);
     
     if (topCompanies.length === 0) {
@@ -253,7 +254,7 @@ async function handleTopCompanies(sock, message) {
       const owner = getUser(company.owner);
       // Use username if available, otherwise use the phone number
       const ownerName = owner && owner.username ? owner.username : company.owner.split('@')[0];
-      leaderboardText += `${i + 1}. ${company.name} (${company.sector}): ${formatNumber(company.value)} coins\n   Owner: ${ownerName}\n`;
+      leaderboardText += `${i + 1}. ${company.name} (${company.sector}): ${formatNumber(getCompanyValuation(company))} coins\n   Owner: ${ownerName}\n`;
     }
     
     await sendReply(sock, message, leaderboardText);
@@ -263,11 +264,58 @@ async function handleTopCompanies(sock, message) {
   }
 }
 
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'toprich',
+    category: 'leaderboard',
+    description: 'View richest players',
+    requiresRegistration: false,
+    execute: ({ sock, message }) => handleTopRich(sock, message)
+  },
+  {
+    name: 'topwins',
+    category: 'leaderboard',
+    description: 'Players with most wins',
+    requiresRegistration: false,
+    execute: ({ sock, message }) => handleTopWins(sock, message)
+  },
+  {
+    name: 'topstreak',
+    category: 'leaderboard',
+    description: 'Highest daily streaks',
+    requiresRegistration: false,
+    execute: ({ sock, message }) => handleTopStreak(sock, message)
+  },
+  {
+    name: 'toplevels',
+    category: 'leaderboard',
+    description: 'Highest level players',
+    requiresRegistration: false,
+    execute: ({ sock, message }) => handleTopLevels(sock, message)
+  },
+  {
+    name: 'topprestige',
+    category: 'leaderboard',
+    description: 'Highest prestige players',
+    requiresRegistration: false,
+    execute: ({ sock, message }) => handleTopPrestige(sock, message)
+  },
+  {
+    name: 'topcompanies',
+    category: 'leaderboard',
+    description: 'Most valuable companies',
+    requiresRegistration: false,
+    execute: ({ sock, message }) => handleTopCompanies(sock, message)
+  }
+];
+
 module.exports = {
   handleTopRich,
   handleTopWins,
   handleTopStreak,
   handleTopLevels,
   handleTopPrestige,
-  handleTopCompanies
+  handleTopCompanies,
+  commands
 };
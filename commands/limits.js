@@ -0,0 +1,256 @@
+const { sendReply } = require('../utils/messageUtils');
+const config = require('../config');
+const { getUserByUsername, getBlackjackGame, getAllPokerTables } = require('../database/db');
+const { formatNumber, formatDuration } = require('../utils/formatter');
+const {
+  LIMITS,
+  getGamblingControls,
+  setLimit,
+  setRealityCheckInterval,
+  excludeUser
+} = require('../utils/gamblingLimits');
+
+// Units players can give break lengths in
+const DURATION_UNITS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parses a break length
+ * @param {String} text - Length as typed (e.g. "12h", "7d" or "4w")
+ * @returns {Number|null} Milliseconds, or null if it isn't a length
+ */
+function parseBreakDuration(text) {
+  const match = (text || '').toLowerCase().match(/^(\d+)([hdw])$/);
+  return match ? parseInt(match[1]) * DURATION_UNITS[match[2]] : null;
+}
+
+/**
+ * Parses a limit value
+ * @param {String} text - Coins, or "off"
+ * @returns {Number|null|undefined} Coins, null for off, or undefined if invalid
+ */
+function parseLimitValue(text) {
+  if ((text || '').toLowerCase() === 'off') return null;
+  
+  const value = parseInt(text);
+  return isNaN(value) || value <= 0 ? undefined : value;
+}
+
+/**
+ * Formats a player's limits, how much of each they've used and any break they're on
+ * @param {String} userId - User ID
+ * @returns {String} Formatted controls
+ */
+function formatGamblingControls(userId) {
+  const { limits, pending, excludedUntil, realityCheckInterval, usage } = getGamblingControls(userId);
+  const now = Date.now();
+  
+  const lines = Object.values(LIMITS).map(({ key, label, period, measure }) => {
+    const limit = limits[key];
+    const used = usage[period][measure];
+    let line = `${label}: ${limit ? `${formatNumber(used)} / ${formatNumber(limit)} coins` : `none (${formatNumber(used)} coins ${measure})`}`;
+    
+    if (pending[key]) {
+      const change = pending[key].value === null ? 'removed' : `raised to ${formatNumber(pending[key].value)}`;
+      line += `\n  ⏳ ${change} in ${formatDuration(pending[key].effectiveAt - now)}`;
+    }
+    return line;
+  });
+  
+  return `${lines.join('\n')}\n` +
+    `Reality checks: ${realityCheckInterval ? `every ${formatDuration(realityCheckInterval)}` : 'off'}\n` +
+    `Break from gambling: ${excludedUntil ? `🛑 ${formatDuration(excludedUntil - now)} left` : 'none'}`;
+}
+
+/**
+ * Handles limits command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} user - User data
+ */
+async function handleLimits(sock, message, args, user) {
+  try {
+    const name = args.length > 0 ? args[0].toLowerCase() : null;
+    
+    if (!name) {
+      await sendReply(sock, message, `🛡️ *GAMBLING LIMITS* 🛡️\n\n` +
+        `${formatGamblingControls(user.id)}\n\n` +
+        `Daily limits reset at midnight UTC; weekly limits cover the last 7 days.\n` +
+        `Set one with "${config.prefix}limits dailyloss 5000" ("off" to remove it), ` +
+        `change reality checks with "${config.prefix}limits reality [minutes/off]" ` +
+        `or take a break with "${config.prefix}cooloff [24h/7d/4w]".`);
+      return;
+    }
+    
+    if (name === 'reality') {
+      const text = (args[1] || '').toLowerCase();
+      const minutes = parseInt(text);
+      if (text !== 'off' && (isNaN(minutes) || minutes <= 0)) {
+        await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}limits reality [minutes/off]`);
+        return;
+      }
+      
+      setRealityCheckInterval(user.id, text === 'off' ? 0 : minutes * 60000);
+      await sendReply(sock, message, text === 'off'
+        ? '✅ Reality checks are off.'
+        : `✅ You'll get a reality check every ${formatDuration(minutes * 60000)} while you play.`);
+      return;
+    }
+    
+    const limit = LIMITS[name];
+    const value = parseLimitValue(args[1]);
+    if (!limit || value === undefined) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}limits [${Object.keys(LIMITS).join('/')}] [amount/off]`);
+      return;
+    }
+    
+    const { effectiveAt } = setLimit(user.id, name, value);
+    const change = value === null ? 'removed' : `set to ${formatNumber(value)} coins`;
+    
+    await sendReply(sock, message, effectiveAt
+      ? `⏳ Your ${limit.label.toLowerCase()} will be ${change} in ${formatDuration(effectiveAt - Date.now())}. Raising or removing a limit always takes ${formatDuration(config.limitIncreaseDelay)}.`
+      : `✅ Your ${limit.label.toLowerCase()} is ${change}.`);
+  } catch (error) {
+    console.error('Error handling limits command:', error);
+    await sendReply(sock, message, "❌ An error occurred while updating your gambling limits.");
+  }
+}
+
+/**
+ * Handles cooloff command: a break from gambling that can't be ended early
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} user - User data
+ */
+async function handleCoolOff(sock, message, args, user) {
+  try {
+    const duration = parseBreakDuration(args[0]);
+    if (!duration) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}cooloff [length], e.g. ${config.prefix}cooloff 24h, 7d or 4w`);
+      return;
+    }
+    
+    if (duration < config.minExclusion || duration > config.maxExclusion) {
+      await sendReply(sock, message, `❌ A break can last from ${formatDuration(config.minExclusion)} to ${formatDuration(config.maxExclusion)}.`);
+      return;
+    }
+    
+    // Games in play would be stuck, so they have to be finished first
+    const atTable = Object.values(getAllPokerTables()).some(table => table.seats.some(seat => seat.userId === user.id));
+    if (getBlackjackGame(user.id) || atTable) {
+      await sendReply(sock, message, `❌ Finish your blackjack hand and leave any poker table (${config.prefix}poker leave) before taking a break.`);
+      return;
+    }
+    
+    if ((args[1] || '').toLowerCase() !== 'confirm') {
+      await sendReply(sock, message, `⚠️ *TAKE A BREAK* ⚠️\n\n` +
+        `You won't be able to use any gambling commands for ${formatDuration(duration)}, and the break can't be ended early.\n\n` +
+        `Type "${config.prefix}cooloff ${args[0].toLowerCase()} confirm" to start it.`);
+      return;
+    }
+    
+    const excludedUntil = excludeUser(user.id, duration);
+    await sendReply(sock, message, `🛑 *BREAK STARTED* 🛑\n\n` +
+      `Gambling commands are blocked for ${formatDuration(excludedUntil - Date.now())}.\n` +
+      `Everything else (banking, companies, the market...) works as usual.`);
+  } catch (error) {
+    console.error('Error handling cooloff command:', error);
+    await sendReply(sock, message, "❌ An error occurred while starting your break.");
+  }
+}
+
+/**
+ * Handles playerlimits command (owner only): view or set a player's limits
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ */
+async function handlePlayerLimits(sock, message, args) {
+  try {
+    const usage = `${config.prefix}playerlimits [username] [${Object.keys(LIMITS).join('/')}] [amount/off] or ${config.prefix}playerlimits [username] break [24h/7d/4w]`;
+    if (args.length < 1) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${usage}`);
+      return;
+    }
+    
+    const targetUser = getUserByUsername(args[0]);
+    if (!targetUser) {
+      await sendReply(sock, message, `❌ User "${args[0]}" not found.`);
+      return;
+    }
+    
+    const name = args.length > 1 ? args[1].toLowerCase() : null;
+    
+    if (name === 'break') {
+      const duration = parseBreakDuration(args[2]);
+      if (!duration || duration > config.maxExclusion) {
+        await sendReply(sock, message, `❌ Incorrect format. Use ${usage}`);
+        return;
+      }
+      
+      excludeUser(targetUser.id, duration);
+    } else if (name) {
+      const value = parseLimitValue(args[2]);
+      if (!LIMITS[name] || value === undefined) {
+        await sendReply(sock, message, `❌ Incorrect format. Use ${usage}`);
+        return;
+      }
+      
+      // Owners' changes apply at once
+      setLimit(targetUser.id, name, value, { immediate: true });
+    }
+    
+    await sendReply(sock, message, `🛡️ *GAMBLING LIMITS: ${targetUser.username}* 🛡️\n\n${formatGamblingControls(targetUser.id)}`);
+  } catch (error) {
+    console.error('Error handling playerlimits command:', error);
+    await sendReply(sock, message, "❌ An error occurred while managing the player's limits.");
+  }
+}
+
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'limits',
+    category: 'gambling',
+    usage: '[dailyloss/weeklyloss/dailywager/weeklywager/reality] [amount/off]',
+    description: 'See or set your loss and wager limits and reality checks',
+    examples: ['dailyloss 5000', 'weeklywager off', 'reality 30'],
+    details: [
+      'Lower limits apply straight away',
+      `Raising or removing a limit takes ${formatDuration(config.limitIncreaseDelay)}`,
+      'reality [minutes/off] - How often you\'re told how long you\'ve played and how you\'re doing'
+    ],
+    execute: ({ sock, message, args, user }) => handleLimits(sock, message, args, user)
+  },
+  {
+    name: 'cooloff',
+    aliases: ['selfexclude'],
+    category: 'gambling',
+    usage: '[24h/7d/4w]',
+    description: 'Take a break from gambling that can\'t be ended early',
+    examples: ['24h', '7d'],
+    execute: ({ sock, message, args, user }) => handleCoolOff(sock, message, args, user)
+  },
+  {
+    name: 'playerlimits',
+    category: 'admin',
+    usage: '[username] [limit] [amount/off]',
+    description: 'View or set a player\'s gambling limits, or put them on a break',
+    examples: ['alice', 'alice dailyloss 5000', 'alice break 7d'],
+    role: 'owner',
+    requiresRegistration: false,
+    execute: ({ sock, message, args }) => handlePlayerLimits(sock, message, args)
+  }
+];
+
+module.exports = {
+  handleLimits,
+  handleCoolOff,
+  handlePlayerLimits,
+  commands
+};
@@ -0,0 +1,248 @@
+const { sendReply } = require('../utils/messageUtils');
+const config = require('../config');
+const { getAllLoanRecords } = require('../database/db');
+const { formatNumber, formatDuration } = require('../utils/formatter');
+const { getCreditScore, getLoan, getLoanLimit, takeLoan, repayLoan, settleInstallment } = require('../utils/loans');
+
+/**
+ * Formats a player's active loan
+ * @param {Object} loan - Loan
+ * @returns {String} Formatted loan
+ */
+function formatLoan(loan) {
+  const due = Math.max(0, loan.installmentAmount - loan.paidThisPeriod);
+  let text = `Owed: ${formatNumber(loan.balance)} coins (borrowed ${formatNumber(loan.principal)})\n` +
+    `Next installment: ${formatNumber(due)} coins in ${formatDuration(Math.max(0, loan.nextDueAt - Date.now()))}\n` +
+    `Installments left: ${loan.installmentsLeft} of ${loan.installments}\n` +
+    `Missed installments: ${loan.missedPayments}`;
+  
+  if (loan.defaulted) {
+    text += `\n🚫 *In default:* gambling, new companies and new loans are blocked until it's repaid`;
+  }
+  return text;
+}
+
+/**
+ * Formats a player's credit score and loan for their bank details
+ * @param {String} userId - User ID
+ * @returns {String} Formatted credit details
+ */
+function formatCreditDetails(userId) {
+  const loan = getLoan(userId);
+  return `Credit Score: ${getCreditScore(userId)}\n` +
+    (loan ? formatLoan(loan) : `Loan: none (use "${config.prefix}loan" to borrow)`);
+}
+
+/**
+ * Handles loan command: shows a player's offer and loan, or borrows
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} user - User data
+ */
+async function handleLoan(sock, message, args, user) {
+  try {
+    const loan = getLoan(user.id);
+    const limit = getLoanLimit(user);
+    
+    if (args.length < 1) {
+      const offer = loan
+        ? formatLoan(loan)
+        : `You can borrow ${formatNumber(config.loanMinAmount)} - ${formatNumber(limit)} coins.\n` +
+          `Interest is ${(config.loanInterestRate * 100).toFixed(1)}% before each of ${config.loanInstallments} installments, ` +
+          `one due every ${formatDuration(config.loanInstallmentInterval)}.`;
+      
+      await sendReply(sock, message, `💳 *LOANS* 💳\n\n` +
+        `Credit Score: ${getCreditScore(user.id)}\n\n${offer}\n\n` +
+        `Use "${config.prefix}loan [amount]" to borrow and "${config.prefix}repay [amount/all]" to pay it back.\n` +
+        `Installments you haven't paid are taken from your wallet, then your bank, and hurt your credit score.`);
+      return;
+    }
+    
+    if (loan) {
+      await sendReply(sock, message, loan.defaulted
+        ? `❌ Your loan is in default. Repay it with ${config.prefix}repay before borrowing again.`
+        : `❌ You already have a loan. Repay it with ${config.prefix}repay before borrowing again.`);
+      return;
+    }
+    
+    const amount = parseInt(args[0]);
+    if (isNaN(amount) || amount <= 0) {
+      await sendReply(sock, message, "❌ Please enter a valid amount.");
+      return;
+    }
+    
+    if (amount < config.loanMinAmount || amount > limit) {
+      await sendReply(sock, message, `❌ You can borrow ${formatNumber(config.loanMinAmount)} - ${formatNumber(limit)} coins.`);
+      return;
+    }
+    
+    const newLoan = takeLoan(user.id, amount);
+    await sendReply(sock, message, `💳 *LOAN APPROVED* 💳\n\n` +
+      `${formatNumber(amount)} coins have been added to your wallet.\n\n` +
+      `${formatLoan(newLoan)}\n\n` +
+      `Wallet: ${formatNumber(user.balance + amount)} coins`);
+  } catch (error) {
+    console.error('Error handling loan command:', error);
+    await sendReply(sock, message, "❌ An error occurred while processing your loan.");
+  }
+}
+
+/**
+ * Handles repay command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} user - User data
+ */
+async function handleRepay(sock, message, args, user) {
+  try {
+    if (args.length < 1) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}repay [amount/all]`);
+      return;
+    }
+    
+    const loan = getLoan(user.id);
+    if (!loan) {
+      await sendReply(sock, message, "❌ You don't have a loan to repay.");
+      return;
+    }
+    
+    const amount = args[0].toLowerCase() === 'all' ? Math.min(loan.balance, user.balance) : parseInt(args[0]);
+    if (isNaN(amount) || amount <= 0) {
+      await sendReply(sock, message, "❌ Please enter a valid amount.");
+      return;
+    }
+    
+    if (amount > user.balance) {
+      await sendReply(sock, message, "❌ You don't have enough coins in your wallet.");
+      return;
+    }
+    
+    const { paid, loan: updatedLoan } = repayLoan(user.id, amount);
+    const status = updatedLoan
+      ? formatLoan(updatedLoan)
+      : `🎉 Your loan is fully repaid! Credit Score: ${getCreditScore(user.id)}`;
+    
+    await sendReply(sock, message, `✅ Repaid ${formatNumber(paid)} coins.\n\n${status}\n\nWallet: ${formatNumber(user.balance - paid)} coins`);
+  } catch (error) {
+    console.error('Error handling repay command:', error);
+    await sendReply(sock, message, "❌ An error occurred while repaying your loan.");
+  }
+}
+
+/**
+ * Settles every installment that's due, telling players by DM when coins were taken
+ * or an installment was missed
+ * @param {Object} sock - WhatsApp connection
+ * @returns {Promise<Number>} Installments settled
+ */
+async function runDueLoans(sock) {
+  const now = Date.now();
+  const notices = [];
+  
+  for (const userId of Object.keys(getAllLoanRecords())) {
+    try {
+      const result = settleInstallment(userId, now);
+      if (result) notices.push({ userId, result });
+    } catch (error) {
+      console.error(`Error settling loan installment for ${userId}:`, error);
+    }
+  }
+  
+  for (const { userId, result } of notices) {
+    if (result.collected === 0 && !result.missed) continue;
+    if (!sock) {
+      console.log(`Loan notice for ${userId} not sent: no active connection`);
+      continue;
+    }
+    
+    let text = `💳 *LOAN INSTALLMENT* 💳\n\n` +
+      `Your installment was due, so ${formatNumber(result.collected)} coins were taken from your wallet and bank.\n`;
+    if (result.unpaid > 0) {
+      text += `${formatNumber(result.unpaid)} coins couldn't be collected and are still owed.\n`;
+    }
+    text += `\nCredit Score: ${getCreditScore(userId)}\n` +
+      (result.loan ? formatLoan(result.loan) : '🎉 Your loan is fully repaid!');
+    if (result.missed && result.loan && !result.defaulted) {
+      const missesLeft = config.loanDefaultAfterMisses - result.loan.missedPayments;
+      text += `\n\n⚠️ ${missesLeft} more missed installment${missesLeft === 1 ? '' : 's'} and your loan goes into default. ` +
+        `Pay ahead with ${config.prefix}repay to avoid it.`;
+    }
+    
+    try {
+      await sock.sendMessage(userId, { text });
+    } catch (error) {
+      console.error(`Error sending loan notice to ${userId}:`, error);
+    }
+  }
+  
+  return notices.length;
+}
+
+// Latest WhatsApp connection for loan notices (replaced on every reconnect)
+let loanSock = null;
+let loanInterval = null;
+
+/**
+ * Starts settling loan installments on time, or hands the scheduler a new connection
+ * after a reconnect
+ * @param {Object} sock - WhatsApp connection
+ */
+function startLoanScheduler(sock) {
+  loanSock = sock;
+  
+  if (loanInterval) return;
+  
+  loanInterval = setInterval(() => {
+    runDueLoans(loanSock).catch(error => console.error('Error settling loans:', error));
+  }, config.loanCheckInterval);
+}
+
+/**
+ * Stops the loan scheduler
+ */
+function stopLoanScheduler() {
+  if (loanInterval) {
+    clearInterval(loanInterval);
+    loanInterval = null;
+  }
+}
+
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'loan',
+    aliases: ['borrow'],
+    category: 'bank',
+    usage: '[amount]',
+    description: 'See your loan offer or take out a loan',
+    examples: ['10000'],
+    details: [
+      'Your limit grows with your level, prestige, bank capacity and credit score',
+      `Interest: ${(config.loanInterestRate * 100).toFixed(1)}% of the balance before each installment`,
+      `Repaid in ${config.loanInstallments} installments, one every ${formatDuration(config.loanInstallmentInterval)}`,
+      `Unpaid installments are taken from your wallet, then your bank; ${config.loanDefaultAfterMisses} misses put the loan in default`
+    ],
+    execute: ({ sock, message, args, user }) => handleLoan(sock, message, args, user)
+  },
+  {
+    name: 'repay',
+    category: 'bank',
+    usage: '[amount/all]',
+    description: 'Repay your loan from your wallet',
+    examples: ['5000', 'all'],
+    details: ['Payments count towards your next installment, so paying ahead keeps your credit score up'],
+    execute: ({ sock, message, args, user }) => handleRepay(sock, message, args, user)
+  }
+];
+
+module.exports = {
+  formatCreditDetails,
+  handleLoan,
+  handleRepay,
+  runDueLoans,
+  startLoanScheduler,
+  stopLoanScheduler,
+  commands
+};
@@ -1,6 +1,6 @@
 const { sendReply } = require('../utils/messageUtils');
 const config = require('../config');
-const { getUser, updateUser, getCompany, getAllCompanies, getMarketOrders, addMarketOrder, getMarketOrderById, removeMarketOrder } = require('../database/db');
+const { getUser, getCompany, getAllCompanies, getMarketOrders, addMarketOrder, getMarketOrderById, removeMarketOrder, transaction, transferCoins, transferShares, walletAccount, LEDGER_ACCOUNTS } = require('../database/db');
 const { formatNumber } = require('../utils/formatter');
 
 /**
@@ -170,36 +170,35 @@ async function handleBuyShares(sock, message, args, user, sender) {
     const marketFee = Math.floor(totalCost * config.marketFee);
     const sellerAmount = totalCost - marketFee;
     
-    // Update buyer's balance and shares
-    const shares = { ...user.shares };
-    shares[order.company] = (shares[order.company] || 0) + quantity;
-    
-    updateUser(sender, {
-      balance: user.balance - totalCost,
-      shares
-    });
-    
-    // Update seller's balance
     const seller = getUser(order.seller);
-    updateUser(order.seller, {
-      balance: seller.balance + sellerAmount
-    });
     
-    // Update order quantity or remove if all shares bought
-    if (quantity === order.quantity) {
-      removeMarketOrder(order.id);
-    } else {
-      const updatedOrder = { ...order, quantity: order.quantity - quantity };
-      removeMarketOrder(order.id);
-      addMarketOrder(updatedOrder);
-    }
+    // Buyer, seller and order change together or not at all
+    const newShares = transaction(() => {
+      // Pay the seller and the market fee
+      transferCoins(walletAccount(sender), walletAccount(order.seller), sellerAmount, { reason: `Bought ${quantity} ${order.company} shares` });
+      transferCoins(walletAccount(sender), LEDGER_ACCOUNTS.FEES, marketFee, { reason: 'Market fee' });
+      
+      // Release the shares held by the order to the buyer
+      transferShares(LEDGER_ACCOUNTS.MARKET, walletAccount(sender), order.company, quantity, { reason: `Market order ${order.id}` });
+      
+      // Update order quantity or remove if all shares bought
+      if (quantity === order.quantity) {
+        removeMarketOrder(order.id);
+      } else {
+        const updatedOrder = { ...order, quantity: order.quantity - quantity };
+        removeMarketOrder(order.id);
+        addMarketOrder(updatedOrder);
+      }
+      
+      return getUser(sender).shares[order.company];
+    });
     
     // Notify seller
     try {
       // Get buyer's username
       const buyerUser = getUser(sender);
       const buyerName = buyerUser && buyerUser.username ? buyerUser.username : sender.split('@')[0];
-
+      
       await sock.sendMessage(
         order.seller,
         {
@@ -221,7 +220,7 @@ async function handleBuyShares(sock, message, args, user, sender) {
       `You've successfully purchased ${quantity} shares of "${order.company}"!\n\n` +
       `Price per share: ${formatNumber(order.price)} coins\n` +
       `Total cost: ${formatNumber(totalCost)} coins\n` +
-      `Your new ${order.company} shares: ${shares[order.company]}\n\n` +
+      `Your new ${order.company} shares: ${newShares}\n\n` +
       `New balance: ${formatNumber(user.balance - totalCost)} coins`);
   } catch (error) {
     console.error('Error handling buy shares command:', error);
@@ -286,18 +285,11 @@ async function handleSellShares(sock, message, args, user, sender) {
       createdAt: Date.now()
     };
     
-    addMarketOrder(order);
-    
-    // Update user's shares
-    const shares = { ...user.shares };
-    shares[companyName] = userShares - quantity;
-    
-    // Remove the company from shares if zero
-    if (shares[companyName] === 0) {
-      delete shares[companyName];
-    }
-    
-    updateUser(sender, { shares });
+    // List the order and hand the shares to the market in one step
+    transaction(() => {
+      addMarketOrder(order);
+      transferShares(walletAccount(sender), LEDGER_ACCOUNTS.MARKET, companyName, quantity, { reason: `Market order ${order.id}` });
+    });
     
     // Send confirmation
     await sendReply(sock, message, `📈 *SELL ORDER CREATED* 📈\n\n` +
@@ -305,7 +297,7 @@ async function handleSellShares(sock, message, args, user, sender) {
       `Price per share: ${formatNumber(price)} coins\n` +
       `Total value: ${formatNumber(price * quantity)} coins\n` +
       `Order ID: ${order.id}\n\n` +
-      `Your remaining shares: ${shares[companyName] || 0}\n\n` +
+      `Your remaining shares: ${userShares - quantity}\n\n` +
       `Use "${config.prefix}cancelorder ${order.id}" to cancel this order.`);
   } catch (error) {
     console.error('Error handling sell shares command:', error);
@@ -371,14 +363,12 @@ async function handleCancelOrder(sock, message, args, sender) {
       return;
     }
     
-    // Remove the order
-    removeMarketOrder(orderId);
-    
-    // Return shares to seller
-    const shares = { ...user.shares };
-    shares[orderToCancel.company] = (shares[orderToCancel.company] || 0) + orderToCancel.quantity;
-    
-    updateUser(sender, { shares });
+    // Remove the order and return the shares to the seller in one step
+    transaction(() => {
+      removeMarketOrder(orderId);
+      transferShares(LEDGER_ACCOUNTS.MARKET, walletAccount(sender), orderToCancel.company, orderToCancel.quantity, { reason: `Cancelled market order ${orderId}` });
+    });
+    const shares = getUser(sender).shares;
     
     // Send confirmation
     await sendReply(sock, message, `✅ Order for ${orderToCancel.quantity} shares of "${orderToCancel.company}" has been cancelled.\n\n` +
@@ -455,22 +445,10 @@ async function handleTransfer(sock, message, args, user, sender) {
     // Check if recipient exists
     const recipientUser = getUser(recipient);
     
-    // Update sender's shares
-    const senderShares = { ...user.shares };
-    senderShares[companyName] = userShares - quantity;
-    
-    // Remove the company from shares if zero
-    if (senderShares[companyName] === 0) {
-      delete senderShares[companyName];
-    }
-    
-    updateUser(sender, { shares: senderShares });
-    
-    // Update recipient's shares
-    const recipientShares = { ...recipientUser.shares };
-    recipientShares[companyName] = (recipientShares[companyName] || 0) + quantity;
-    
-    updateUser(recipient, { shares: recipientShares });
+    // Move the shares
+    transferShares(walletAccount(sender), walletAccount(recipient), companyName, quantity, { reason: 'Share transfer' });
+    const senderShares = getUser(sender).shares;
+    const recipientShares = getUser(recipient).shares;
     
     // Get sender and recipient usernames
     const senderUser = getUser(sender);
@@ -501,10 +479,53 @@ async function handleTransfer(sock, message, args, user, sender) {
   }
 }
 
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'market',
+    category: 'market',
+    usage: '[company]',
+    description: 'View active sell orders, optionally for one company',
+    requiresRegistration: false,
+    execute: ({ sock, message, args }) => handleMarket(sock, message, args)
+  },
+  {
+    name: 'buyshares',
+    category: 'market',
+    usage: '[company] [qty]',
+    description: 'Buy shares at lowest price',
+    examples: ['TechCorp 10'],
+    execute: ({ sock, message, args, user, sender }) => handleBuyShares(sock, message, args, user, sender)
+  },
+  {
+    name: 'sellshares',
+    category: 'market',
+    usage: '[company] [qty] [price]',
+    description: 'Post shares for sale',
+    examples: ['TechCorp 10 500'],
+    execute: ({ sock, message, args, user, sender }) => handleSellShares(sock, message, args, user, sender)
+  },
+  {
+    name: 'cancelorder',
+    category: 'market',
+    usage: '[company/orderID]',
+    description: 'Cancel your sell order',
+    execute: ({ sock, message, args, sender }) => handleCancelOrder(sock, message, args, sender)
+  },
+  {
+    name: 'transfer',
+    category: 'market',
+    usage: '[company] [@user] [qty]',
+    description: 'Transfer shares directly',
+    execute: ({ sock, message, args, user, sender }) => handleTransfer(sock, message, args, user, sender)
+  }
+];
+
 module.exports = {
   handleMarket,
   handleBuyShares,
   handleSellShares,
   handleCancelOrder,
-  handleTransfer
+  handleTransfer,
+  commands
 };
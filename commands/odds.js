@@ -0,0 +1,224 @@
+const { sendReply } = require('../utils/messageUtils');
+const config = require('../config');
+const { getGameOverrides } = require('../database/db');
+const { formatNumber } = require('../utils/formatter');
+const {
+  BLACKJACK_SIMULATION_HANDS,
+  applyHouseEdge,
+  getGameSettings,
+  setGameOverride,
+  resetGameOverrides,
+  calculateRtp,
+  getGameName,
+  getGameIds
+} = require('../utils/gameConfig');
+const { POCKETS, BET_TYPES, getBetPayout } = require('../utils/roulette');
+const { getCashOutChance, formatCrashMultiplier } = require('../utils/crash');
+
+/**
+ * Formats a multiplier (e.g. 1.96x)
+ * @param {Number} multiplier - Multiple of the bet
+ * @returns {String} Formatted multiplier
+ */
+function formatMultiplier(multiplier) {
+  return `${Number(multiplier.toFixed(4))}x`;
+}
+
+/**
+ * Formats a probability as a percentage
+ * @param {Number} chance - Probability between 0 and 1
+ * @returns {String} Formatted percentage
+ */
+function formatChance(chance) {
+  const percent = chance * 100;
+  
+  // Keep rare outcomes (like three jackpot symbols) from showing as 0.00%
+  const decimals = percent !== 0 && Math.abs(percent) < 0.1 ? 4 : 2;
+  return `${percent.toFixed(decimals)}%`;
+}
+
+/**
+ * Describes how a game pays out
+ * @param {String} gameId - Game ID
+ * @param {Object} settings - Game settings
+ * @returns {Array} Lines describing the odds table
+ */
+function describeOdds(gameId, settings) {
+  const pays = multiplier => formatMultiplier(applyHouseEdge(multiplier, settings.houseEdge));
+  
+  switch (gameId) {
+    case 'cointoss':
+    case 'highstakes':
+      return [`Right call (${formatChance(0.5)}) pays ${pays(settings.payout)}`];
+    case 'dice':
+      return [`Right number (${formatChance(1 / 6)}) pays ${pays(settings.payout)}`];
+    case 'slots': {
+      const totalWeight = settings.symbols.reduce((sum, entry) => sum + entry.weight, 0);
+      return settings.symbols.map(entry => {
+        const chance = (entry.weight / totalWeight) ** 3;
+        return `${entry.symbol.repeat(3)} (${formatChance(chance)}) pays ${pays(entry.payout)}`;
+      });
+    }
+    case 'wheel': {
+      const totalWeight = settings.segments.reduce((sum, segment) => sum + segment.weight, 0);
+      return settings.segments.map(segment => {
+        return `${formatMultiplier(segment.multiplier)} (${formatChance(segment.weight / totalWeight)}) pays ${pays(segment.multiplier)}`;
+      });
+    }
+    case 'blackjack':
+      return [
+        `Win pays ${pays(settings.payout)}, natural blackjack pays ${pays(settings.blackjackPayout)}, push returns the bet`,
+        `${settings.decks}-deck shoe reshuffled after ${formatChance(settings.penetration)} is dealt; dealer ${settings.dealerHitsSoft17 ? 'hits' : 'stands on'} soft 17`,
+        `Split up to ${settings.maxSplitHands} hands, double ${settings.doubleAfterSplit ? 'allowed' : 'not allowed'} after splitting, ` +
+          `surrender ${settings.surrender ? 'returns half the bet' : 'off'}, insurance pays ${pays(3)}`,
+        `RTP simulated over ${formatNumber(BLACKJACK_SIMULATION_HANDS)} hands hitting below 17`
+      ];
+    case 'roulette':
+      return Object.keys(BET_TYPES).map(type => {
+        const { name, size } = BET_TYPES[type];
+        return `${name} (${formatChance(size / POCKETS)}) pays ${pays(getBetPayout(type))}`;
+      });
+    case 'crash': {
+      const targets = [2, 10, 100].filter(target => target >= settings.minCashOut && target <= settings.maxCashOut);
+      return [
+        `Cash-out targets from ${formatCrashMultiplier(settings.minCashOut)} to ${formatCrashMultiplier(settings.maxCashOut)}, one crash point per round`,
+        ...targets.map(target => `${formatCrashMultiplier(target)} (${formatChance(getCashOutChance(target))}) pays ${pays(target)}`)
+      ];
+    }
+    case 'poker':
+      return [
+        `Blinds ${formatNumber(settings.smallBlind)}/${formatNumber(settings.bigBlind)}, up to ${settings.maxPlayers} players a table`,
+        'Players bet against each other, so the house takes nothing'
+      ];
+    case 'jackpot':
+      return ['The whole pot goes to one winner, drawn by tickets'];
+    case 'pvp':
+      return ['Players bet against each other, so the house takes nothing'];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Formats one game's effective settings
+ * @param {String} gameId - Game ID
+ * @param {String} chatId - Chat the settings apply to
+ * @returns {String} Formatted game odds
+ */
+function formatGameOdds(gameId, chatId) {
+  const settings = getGameSettings(gameId, chatId);
+  const rtp = calculateRtp(gameId, settings);
+  const overrides = Object.keys(getGameOverrides(chatId)[gameId] || {});
+  
+  const rtpText = rtp === null
+    ? 'RTP n/a'
+    : `RTP ${gameId === 'blackjack' ? '≈' : ''}${formatChance(rtp)} (house edge ${formatChance(1 - rtp)})`;
+  
+  // Poker players bet the chips they bought in with rather than single stakes
+  const limits = gameId === 'poker'
+    ? `Buy-in: ${formatNumber(settings.minBuyIn)} - ${formatNumber(settings.maxBuyIn)} coins`
+    : `Bets: ${formatNumber(settings.minBet)} - ${formatNumber(settings.maxBet)} coins`;
+  
+  return `*${getGameName(gameId)}* (${gameId}) - ${rtpText}\n` +
+    `${limits}\n` +
+    describeOdds(gameId, settings).map(line => `• ${line}`).join('\n') +
+    (overrides.length > 0 ? `\n⚙️ Group overrides: ${overrides.join(', ')}` : '');
+}
+
+/**
+ * Handles odds command (owner only)
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ */
+async function handleOdds(sock, message, args) {
+  try {
+    const chatId = message.key.remoteJid;
+    const isGroup = chatId.endsWith('@g.us');
+    const action = args.length > 0 ? args[0].toLowerCase() : null;
+    const gameIds = getGameIds();
+    
+    if (action === 'set' || action === 'reset') {
+      if (!isGroup) {
+        await sendReply(sock, message, `❌ Game overrides are set per group. Use this command in the group, or edit games in config.js to change the defaults.`);
+        return;
+      }
+      
+      const gameId = args[1] ? args[1].toLowerCase() : null;
+      if (gameId && !gameIds.includes(gameId)) {
+        await sendReply(sock, message, `❌ Unknown game "${args[1]}". Games: ${gameIds.join(', ')}`);
+        return;
+      }
+      
+      if (action === 'reset') {
+        resetGameOverrides(chatId, gameId);
+        await sendReply(sock, message, `✅ ${gameId ? getGameName(gameId) : 'All games'} reset to the defaults from config.js in this group.`);
+        return;
+      }
+      
+      if (!gameId || args.length < 4) {
+        await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}odds set [game] [setting] [value]`);
+        return;
+      }
+      
+      // Values are JSON, so tables can be replaced too (e.g. segments [{"multiplier":2,"weight":1}])
+      let value;
+      try {
+        value = JSON.parse(args.slice(3).join(' '));
+      } catch (parseError) {
+        await sendReply(sock, message, `❌ "${args.slice(3).join(' ')}" isn't a valid value. Use a number, or JSON for tables.`);
+        return;
+      }
+      
+      const { problems } = setGameOverride(chatId, gameId, args[2], value);
+      if (problems) {
+        await sendReply(sock, message, `❌ Not saved:\n${problems.map(problem => `• ${problem}`).join('\n')}`);
+        return;
+      }
+      
+      await sendReply(sock, message, `✅ *ODDS UPDATED* ✅\n\n${formatGameOdds(gameId, chatId)}`);
+      return;
+    }
+    
+    if (action && !gameIds.includes(action)) {
+      await sendReply(sock, message, `❌ Unknown game "${args[0]}". Games: ${gameIds.join(', ')}`);
+      return;
+    }
+    
+    const shownGames = action ? [action] : gameIds;
+    const scope = isGroup
+      ? 'Effective settings in this group'
+      : 'Defaults from config.js (use this in a group to include its overrides)';
+    
+    await sendReply(sock, message, `🎲 *GAME ODDS* 🎲\n${scope}\n\n` +
+      shownGames.map(gameId => formatGameOdds(gameId, chatId)).join('\n\n') +
+      `\n\nChange a setting in this group with "${config.prefix}odds set [game] [setting] [value]".`);
+  } catch (error) {
+    console.error('Error handling odds command:', error);
+    await sendReply(sock, message, "❌ An error occurred while loading the game odds.");
+  }
+}
+
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'odds',
+    category: 'admin',
+    usage: '[game] / set [game] [setting] [value] / reset [game]',
+    description: 'Show each game\'s odds, payouts and RTP, or override them in a group',
+    examples: ['slots', 'set cointoss houseEdge 0.02', 'reset cointoss'],
+    details: [
+      'Settings: minBet, maxBet, payout, blackjackPayout, houseEdge, maxBetsPerSpin, minCashOut, maxCashOut, symbols, segments (JSON)',
+      'Blackjack rules: decks, penetration, maxSplitHands, doubleAfterSplit, surrender, dealerHitsSoft17',
+      'Poker tables: smallBlind, bigBlind, minBuyIn, maxBuyIn, maxPlayers'
+    ],
+    role: 'owner',
+    requiresRegistration: false,
+    execute: ({ sock, message, args }) => handleOdds(sock, message, args)
+  }
+];
+
+module.exports = {
+  handleOdds,
+  commands
+};
@@ -5,6 +5,17 @@ const fs = require('fs');
 const path = require('path');
 const { getCategoryImage } = require('../utils/imageUtils');
 
+/**
+ * Checks if a user ID belongs to a bot owner (without replying)
+ * @param {String} sender - Sender ID
+ * @returns {Boolean} - True if owner, false otherwise
+ */
+function isOwnerId(sender) {
+  // Normalize both numbers for comparison
+  const senderNumberPart = sender.split('@')[0].split(':')[0];
+  return config.owners.some(owner => owner.split('@')[0].split(':')[0] === senderNumberPart);
+}
+
 /**
  * Checks if the user is an owner
  * @param {Object} sock - WhatsApp connection
@@ -14,12 +25,7 @@ const { getCategoryImage } = require('../utils/imageUtils');
  */
 async function isOwner(sock, message, sender) {
   // Check if sender is in the owners list
-  const isOwner = config.owners.some(owner => {
-    // Normalize both numbers for comparison
-    const ownerNumberPart = owner.split('@')[0].split(':')[0];
-    const senderNumberPart = sender.split('@')[0].split(':')[0];
-    return ownerNumberPart === senderNumberPart;
-  });
+  const isOwner = isOwnerId(sender);
 
   if (!isOwner) {
     await sendReply(sock, message, `❌ *ERROR*\n\nThis command is only available to bot owners.`);
@@ -38,9 +44,6 @@ async function isOwner(sock, message, sender) {
  */
 async function handleBlacklist(sock, message, args, user, sender) {
   try {
-    // Check if user is owner
-    if (!await isOwner(sock, message, sender)) return;
-    
     // Need a username
     if (args.length < 1) {
       await sendReply(sock, message, `❌ *ERROR*\n\nYou must specify a username to blacklist.\n\nExample: ${config.prefix}blacklist Username`);
@@ -91,9 +94,6 @@ async function handleBlacklist(sock, message, args, user, sender) {
  */
 async function handleUnblacklist(sock, message, args, user, sender) {
   try {
-    // Check if user is owner
-    if (!await isOwner(sock, message, sender)) return;
-    
     // Need a username
     if (args.length < 1) {
       await sendReply(sock, message, `❌ *ERROR*\n\nYou must specify a username to unblacklist.\n\nExample: ${config.prefix}unblacklist Username`);
@@ -140,9 +140,6 @@ async function handleUnblacklist(sock, message, args, user, sender) {
  */
 async function handleResetData(sock, message, args, user, sender) {
   try {
-    // Check if user is owner
-    if (!await isOwner(sock, message, sender)) return;
-    
     // Require confirmation
     if (!args[0] || args[0].toLowerCase() !== 'confirm') {
       await sendReply(sock, message, `⚠️ *WARNING: DATA RESET*\n\nThis will delete ALL user data, companies, market orders, and other information. This action CANNOT be undone.\n\nTo confirm, type:\n${config.prefix}resetdata confirm`);
@@ -173,9 +170,6 @@ async function handleResetData(sock, message, args, user, sender) {
  */
 async function handleResetAllData(sock, message, args, user, sender) {
   try {
-    // Check if user is owner
-    if (!await isOwner(sock, message, sender)) return;
-    
     // Get the full command text from the message
     const fullCommand = message.message?.extendedTextMessage?.text || 
                        message.message?.conversation || 
@@ -239,9 +233,6 @@ async function handleResetAllData(sock, message, args, user, sender) {
  */
 async function handleAddCoins(sock, message, args, user, sender) {
   try {
-    // Check if user is owner
-    if (!await isOwner(sock, message, sender)) return;
-    
     // Need a username and an amount
     if (args.length < 2) {
       await sendReply(sock, message, `❌ *ERROR*\n\nYou must specify a username and amount of coins to add.\n\nExample: ${config.prefix}addcoins Username 1000`);
@@ -267,7 +258,7 @@ async function handleAddCoins(sock, message, args, user, sender) {
     
     // Add the coins - note that coins field is actually called "balance" in the user object
     const newBalance = targetUser.balance + amount;
-    db.updateUser(targetUser.id, { balance: newBalance });
+    db.transferCoins(db.LEDGER_ACCOUNTS.ADMIN, db.walletAccount(targetUser.id), amount, { reason: 'Added by owner' });
     
     // Get the admin image
     const adminImage = await getCategoryImage('admin');
@@ -290,9 +281,6 @@ async function handleAddCoins(sock, message, args, user, sender) {
  */
 async function handleRemoveCoins(sock, message, args, user, sender) {
   try {
-    // Check if user is owner
-    if (!await isOwner(sock, message, sender)) return;
-    
     // Need a username and an amount
     if (args.length < 2) {
       await sendReply(sock, message, `❌ *ERROR*\n\nYou must specify a username and amount of coins to remove.\n\nExample: ${config.prefix}removecoins Username 1000`);
@@ -321,7 +309,7 @@ async function handleRemoveCoins(sock, message, args, user, sender) {
     const actualAmountRemoved = targetUser.balance - newBalance;
     
     // Update the balance
-    db.updateUser(targetUser.id, { balance: newBalance });
+    db.transferCoins(db.walletAccount(targetUser.id), db.LEDGER_ACCOUNTS.ADMIN, actualAmountRemoved, { reason: 'Removed by owner' });
     
     // Get the admin image
     const adminImage = await getCategoryImage('admin');
@@ -344,9 +332,6 @@ async function handleRemoveCoins(sock, message, args, user, sender) {
  */
 async function handleMakeOwner(sock, message, args, user, sender) {
   try {
-    // Check if user is owner
-    if (!await isOwner(sock, message, sender)) return;
-    
     // Need a username
     if (args.length < 1) {
       await sendReply(sock, message, `❌ *ERROR*\n\nYou must specify a username to make them an owner.\n\nExample: ${config.prefix}makeowner Username`);
@@ -393,9 +378,6 @@ async function handleMakeOwner(sock, message, args, user, sender) {
  */
 async function handleRemoveOwner(sock, message, args, user, sender) {
   try {
-    // Check if user is owner
-    if (!await isOwner(sock, message, sender)) return;
-    
     // Need a username
     if (args.length < 1) {
       await sendReply(sock, message, `❌ *ERROR*\n\nYou must specify a username to remove owner status.\n\nExample: ${config.prefix}removeowner Username`);
@@ -455,9 +437,6 @@ async function handleRemoveOwner(sock, message, args, user, sender) {
  */
 async function handleSetXP(sock, message, args, user, sender) {
   try {
-    // Check if user is owner
-    if (!await isOwner(sock, message, sender)) return;
-    
     // Need a username and an amount
     if (args.length < 2) {
       await sendReply(sock, message, `❌ *ERROR*\n\nYou must specify a username and amount of XP to set.\n\nExample: ${config.prefix}setxp Username 5000`);
@@ -498,6 +477,89 @@ async function handleSetXP(sock, message, args, user, sender) {
   }
 }
 
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'blacklist',
+    category: 'admin',
+    usage: '@user',
+    description: 'Prevent a user from using the bot',
+    role: 'owner',
+    requiresRegistration: false,
+    execute: ({ sock, message, args, user, sender }) => handleBlacklist(sock, message, args, user, sender)
+  },
+  {
+    name: 'unblacklist',
+    category: 'admin',
+    usage: '@user',
+    description: 'Remove a user from the blacklist',
+    role: 'owner',
+    requiresRegistration: false,
+    execute: ({ sock, message, args, user, sender }) => handleUnblacklist(sock, message, args, user, sender)
+  },
+  {
+    name: 'makeowner',
+    category: 'admin',
+    usage: '@user',
+    description: 'Give a user owner privileges',
+    role: 'owner',
+    requiresRegistration: false,
+    execute: ({ sock, message, args, user, sender }) => handleMakeOwner(sock, message, args, user, sender)
+  },
+  {
+    name: 'removeowner',
+    category: 'admin',
+    usage: '@user',
+    description: 'Remove owner privileges',
+    role: 'owner',
+    requiresRegistration: false,
+    execute: ({ sock, message, args, user, sender }) => handleRemoveOwner(sock, message, args, user, sender)
+  },
+  {
+    name: 'addcoins',
+    category: 'admin',
+    usage: '@user [amount]',
+    description: "Add coins to a user's balance",
+    role: 'owner',
+    requiresRegistration: false,
+    execute: ({ sock, message, args, user, sender }) => handleAddCoins(sock, message, args, user, sender)
+  },
+  {
+    name: 'removecoins',
+    category: 'admin',
+    usage: '@user [amount]',
+    description: "Remove coins from a user's balance",
+    role: 'owner',
+    requiresRegistration: false,
+    execute: ({ sock, message, args, user, sender }) => handleRemoveCoins(sock, message, args, user, sender)
+  },
+  {
+    name: 'setxp',
+    category: 'admin',
+    usage: '@user [amount]',
+    description: "Set a user's XP to a specific amount",
+    role: 'owner',
+    requiresRegistration: false,
+    execute: ({ sock, message, args, user, sender }) => handleSetXP(sock, message, args, user, sender)
+  },
+  {
+    name: 'resetdata',
+    category: 'admin',
+    description: 'Reset all user data (use with caution)',
+    role: 'owner',
+    requiresRegistration: false,
+    execute: ({ sock, message, args, user, sender }) => handleResetData(sock, message, args, user, sender)
+  },
+  {
+    name: 'resetalldata',
+    category: 'admin',
+    description: 'Completely wipe ALL database data (extreme caution)',
+    role: 'owner',
+    requiresRegistration: false,
+    execute: ({ sock, message, args, user, sender }) => handleResetAllData(sock, message, args, user, sender)
+  }
+];
+
 module.exports = {
   handleBlacklist,
   handleUnblacklist,
@@ -508,5 +570,7 @@ module.exports = {
   handleMakeOwner,
   handleRemoveOwner,
   handleSetXP,
-  isOwner // Export for use in other modules
+  isOwner, // Export for use in other modules
+  isOwnerId,
+  commands
 };
\ No newline at end of file
@@ -0,0 +1,320 @@
+const { sendReply } = require('../utils/messageUtils');
+const config = require('../config');
+const {
+  getUser,
+  createPaymentRequest,
+  getPaymentRequest,
+  getPendingPaymentRequestsForUser,
+  updatePaymentRequest,
+  cleanupExpiredPaymentRequests,
+  getPendingPayment,
+  setPendingPayment
+} = require('../database/db');
+const { formatNumber, formatDuration } = require('../utils/formatter');
+const { getPaymentFee, getPaidToday, checkPayment, sendPayment } = require('../utils/payments');
+const { findRegisteredUser } = require('../utils/registrationUtils');
+
+/**
+ * Reads the recipient, amount and note of a payment or request
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments (@user|username amount [note])
+ * @param {Object} user - User data
+ * @param {String} action - What the player is doing, for errors ("pay" or "request coins from")
+ * @returns {Object} { error } or { player, amount, note }
+ */
+function parsePaymentArgs(message, args, user, action) {
+  const player = findRegisteredUser(message, args[0]);
+  if (!player) {
+    return { error: `❌ User "${args[0]}" not found or not registered.` };
+  }
+  
+  if (player.id === user.id) {
+    return { error: `❌ You can't ${action} yourself.` };
+  }
+  
+  const amount = parseInt(args[1]);
+  if (isNaN(amount) || amount <= 0) {
+    return { error: "❌ Please enter a valid amount." };
+  }
+  
+  const note = args.slice(2).join(' ');
+  if (note.length > config.maxPaymentNoteLength) {
+    return { error: `❌ Notes can be at most ${config.maxPaymentNoteLength} characters.` };
+  }
+  
+  return { player, amount, note };
+}
+
+/**
+ * Makes a payment and tells both players
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Object} user - Paying user's data
+ * @param {Object} recipient - Receiving user's data
+ * @param {Number} amount - Coins to pay
+ * @param {String} note - Note for the recipient ('' for none)
+ * @param {Object} [request] - Payment request being paid
+ */
+async function completePayment(sock, message, user, recipient, amount, note, request = null) {
+  const type = request ? `Payment request #${request.id}` : 'Payment';
+  const { fee } = sendPayment(user.id, recipient.id, amount, note ? `${type}: ${note}` : type);
+  const noteLine = note ? `Note: ${note}\n` : '';
+  
+  try {
+    await sock.sendMessage(recipient.id, {
+      text: `💸 *PAYMENT RECEIVED* 💸\n\n` +
+        `${user.username} has paid you ${formatNumber(amount)} coins${request ? ` for your request #${request.id}` : ''}.\n` +
+        `${noteLine}\n` +
+        `Wallet: ${formatNumber(getUser(recipient.id).balance)} coins`
+    });
+  } catch (notifyError) {
+    console.error('Error notifying recipient about payment:', notifyError);
+  }
+  
+  await sendReply(sock, message, `✅ *PAYMENT SENT* ✅\n\n` +
+    `You paid ${recipient.username} ${formatNumber(amount)} coins.\n` +
+    noteLine +
+    `Fee: ${formatNumber(fee)} coins\n\n` +
+    `Wallet: ${formatNumber(getUser(user.id).balance)} coins\n` +
+    `Paid today: ${formatNumber(getPaidToday(user.id))} / ${formatNumber(config.dailyPaymentLimit)} coins`);
+}
+
+/**
+ * Handles pay command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} user - User data
+ */
+async function handlePay(sock, message, args, user) {
+  try {
+    // Confirm a large payment
+    if (args.length === 1 && args[0].toLowerCase() === 'confirm') {
+      const pending = getPendingPayment(user.id);
+      setPendingPayment(user.id, null);
+      if (!pending || pending.expiresAt < Date.now()) {
+        await sendReply(sock, message, "❌ You don't have a payment waiting to be confirmed.");
+        return;
+      }
+      
+      // Balances and limits may have changed since it was made
+      const recipient = getUser(pending.recipient);
+      const paymentError = checkPayment(user, pending.amount);
+      if (paymentError) {
+        await sendReply(sock, message, `❌ ${paymentError}`);
+        return;
+      }
+      
+      await completePayment(sock, message, user, recipient, pending.amount, pending.note);
+      return;
+    }
+    
+    if (args.length < 2) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}pay [@user/username] [amount] [note]`);
+      return;
+    }
+    
+    const { error, player, amount, note } = parsePaymentArgs(message, args, user, 'pay');
+    if (error) {
+      await sendReply(sock, message, error);
+      return;
+    }
+    
+    const paymentError = checkPayment(user, amount);
+    if (paymentError) {
+      await sendReply(sock, message, `❌ ${paymentError}`);
+      return;
+    }
+    
+    if (amount >= config.paymentConfirmThreshold) {
+      setPendingPayment(user.id, { recipient: player.id, amount, note, expiresAt: Date.now() + config.paymentConfirmTimeout });
+      await sendReply(sock, message, `⚠️ *CONFIRM PAYMENT* ⚠️\n\n` +
+        `You're about to pay ${player.username} ${formatNumber(amount)} coins (plus a ${formatNumber(getPaymentFee(amount))} coin fee).\n\n` +
+        `Type "${config.prefix}pay confirm" within ${formatDuration(config.paymentConfirmTimeout)} to send it.`);
+      return;
+    }
+    
+    await completePayment(sock, message, user, player, amount, note);
+  } catch (error) {
+    console.error('Error handling pay command:', error);
+    await sendReply(sock, message, "❌ An error occurred while sending the payment.");
+  }
+}
+
+/**
+ * Formats a payment request for a list
+ * @param {Object} request - Payment request
+ * @param {String} userId - User the list is for
+ * @returns {String} Formatted request
+ */
+function formatRequest(request, userId) {
+  const incoming = request.payer === userId;
+  const other = getUser(incoming ? request.requester : request.payer);
+  const name = other && other.username ? other.username : 'Unknown';
+  
+  return `#${request.id} • ${incoming ? `${name} asks you for` : `You asked ${name} for`} ${formatNumber(request.amount)} coins` +
+    (request.note ? ` (${request.note})` : '') +
+    ` • expires in ${formatDuration(request.expiresAt - Date.now())}`;
+}
+
+/**
+ * Finds the request a player means to accept, reject or cancel
+ * @param {String} userId - User ID
+ * @param {String} idArg - Request ID argument (the most recent request if left out)
+ * @param {String} role - 'payer' for requests made of the player, 'requester' for their own
+ * @returns {Object|null} Pending request, or null if there isn't one
+ */
+function findRequest(userId, idArg, role) {
+  if (idArg !== undefined) {
+    const request = getPaymentRequest(parseInt(idArg));
+    return request && request.status === 'pending' && request[role] === userId ? request : null;
+  }
+  
+  return getPendingPaymentRequestsForUser(userId)
+    .filter(request => request[role] === userId)
+    .sort((a, b) => b.createdAt - a.createdAt)[0] || null;
+}
+
+/**
+ * Handles request command: ask for a payment, or answer or list requests
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} user - User data
+ */
+async function handleRequest(sock, message, args, user) {
+  try {
+    cleanupExpiredPaymentRequests();
+    
+    const action = args.length > 0 ? args[0].toLowerCase() : null;
+    
+    if (!action) {
+      const requests = getPendingPaymentRequestsForUser(user.id).sort((a, b) => b.createdAt - a.createdAt);
+      await sendReply(sock, message, `📨 *PAYMENT REQUESTS* 📨\n\n` +
+        (requests.length > 0 ? requests.map(request => formatRequest(request, user.id)).join('\n') : 'No open requests.') +
+        `\n\nUse "${config.prefix}request [@user/username] [amount] [note]" to ask for a payment, ` +
+        `or "${config.prefix}request [accept/reject/cancel] [id]" to answer or withdraw one.`);
+      return;
+    }
+    
+    if (action === 'accept' || action === 'reject') {
+      const request = findRequest(user.id, args[1], 'payer');
+      if (!request) {
+        await sendReply(sock, message, `❌ You don't have ${args[1] ? `an open request #${args[1]}` : 'any open requests'} to ${action}.`);
+        return;
+      }
+      
+      const requester = getUser(request.requester);
+      
+      if (action === 'reject') {
+        updatePaymentRequest(request.id, { status: 'rejected' });
+        try {
+          await sock.sendMessage(requester.id, {
+            text: `⚠️ *REQUEST REJECTED* ⚠️\n\n${user.username} has rejected your request #${request.id} for ${formatNumber(request.amount)} coins.`
+          });
+        } catch (notifyError) {
+          console.error('Error notifying requester about rejection:', notifyError);
+        }
+        
+        await sendReply(sock, message, `✅ You've rejected ${requester.username}'s request #${request.id}.`);
+        return;
+      }
+      
+      const paymentError = checkPayment(user, request.amount);
+      if (paymentError) {
+        await sendReply(sock, message, `❌ ${paymentError}`);
+        return;
+      }
+      
+      updatePaymentRequest(request.id, { status: 'paid' });
+      await completePayment(sock, message, user, requester, request.amount, request.note, request);
+      return;
+    }
+    
+    if (action === 'cancel') {
+      const request = findRequest(user.id, args[1], 'requester');
+      if (!request) {
+        await sendReply(sock, message, `❌ You don't have ${args[1] ? `an open request #${args[1]}` : 'any open requests'} to cancel.`);
+        return;
+      }
+      
+      updatePaymentRequest(request.id, { status: 'cancelled' });
+      await sendReply(sock, message, `✅ Your request #${request.id} has been cancelled.`);
+      return;
+    }
+    
+    if (args.length < 2) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}request [@user/username] [amount] [note]`);
+      return;
+    }
+    
+    const { error, player, amount, note } = parsePaymentArgs(message, args, user, 'request coins from');
+    if (error) {
+      await sendReply(sock, message, error);
+      return;
+    }
+    
+    const request = createPaymentRequest(user.id, player.id, amount, note);
+    
+    try {
+      await sock.sendMessage(player.id, {
+        text: `📨 *PAYMENT REQUEST* 📨\n\n` +
+          `${user.username} is asking you for ${formatNumber(amount)} coins.\n` +
+          (note ? `Note: ${note}\n` : '') +
+          `\nType "${config.prefix}request accept ${request.id}" to pay (plus a ${formatNumber(getPaymentFee(amount))} coin fee) ` +
+          `or "${config.prefix}request reject ${request.id}" to turn it down.\n` +
+          `The request expires in ${formatDuration(config.paymentRequestTimeout)}.`
+      });
+    } catch (notifyError) {
+      console.error('Error notifying player about payment request:', notifyError);
+    }
+    
+    await sendReply(sock, message, `📨 *REQUEST SENT* 📨\n\n` +
+      `You've asked ${player.username} for ${formatNumber(amount)} coins (request #${request.id}).\n` +
+      `They have ${formatDuration(config.paymentRequestTimeout)} to pay it.`);
+  } catch (error) {
+    console.error('Error handling request command:', error);
+    await sendReply(sock, message, "❌ An error occurred while handling the payment request.");
+  }
+}
+
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'pay',
+    aliases: ['send'],
+    category: 'bank',
+    usage: '[@user/username] [amount] [note]',
+    description: 'Pay coins from your wallet to another player',
+    examples: ['@John 500', 'alice 2500 rent'],
+    details: [
+      `Fee: ${config.paymentFee * 100}% of the payment, paid by you on top`,
+      `Payments of ${formatNumber(config.paymentConfirmThreshold)} coins or more have to be confirmed with ${config.prefix}pay confirm`,
+      `You can pay others up to ${formatNumber(config.dailyPaymentLimit)} coins a day (resets at midnight UTC)`
+    ],
+    cooldown: 3,
+    execute: ({ sock, message, args, user }) => handlePay(sock, message, args, user)
+  },
+  {
+    name: 'request',
+    aliases: ['requests'],
+    category: 'bank',
+    usage: '[@user/username] [amount] [note]',
+    description: 'Ask another player for coins, or answer their requests',
+    examples: ['@John 500 pizza', 'accept 12', 'reject'],
+    details: [
+      'Use it on its own to see your open requests',
+      'accept/reject [id] - Pay or turn down a request made of you (the latest if no ID is given)',
+      'cancel [id] - Withdraw one of your own requests',
+      `Requests expire after ${formatDuration(config.paymentRequestTimeout)}`
+    ],
+    cooldown: 3,
+    execute: ({ sock, message, args, user }) => handleRequest(sock, message, args, user)
+  }
+];
+
+module.exports = {
+  handlePay,
+  handleRequest,
+  commands
+};
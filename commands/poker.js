@@ -0,0 +1,668 @@
+const { sendReply } = require('../utils/messageUtils');
+const config = require('../config');
+const { getUser, transaction, transferCoins, walletAccount, LEDGER_ACCOUNTS, getPokerTable, getAllPokerTables, setPokerTable } = require('../database/db');
+const { formatNumber, formatDuration } = require('../utils/formatter');
+const { TABLE_SEED_PREFIX, startRoll, recordRoll, rotateServerSeed } = require('../utils/rng');
+const { getGameSettings } = require('../utils/gameConfig');
+const { createDeck, shuffleDeck } = require('../utils/games');
+const { dealHand, getAvailableActions, playAction, getPotSize } = require('../utils/poker');
+const { formatCards, formatBetId } = require('./gambling');
+const { recordWager } = require('../utils/betHistory');
+const { checkBetLimits } = require('../utils/gamblingLimits');
+
+// Words players can type for each action
+const POKER_ACTIONS = {
+  check: 'check',
+  call: 'call',
+  raise: 'raise',
+  bet: 'raise',
+  fold: 'fold',
+  allin: 'allin',
+  'all-in': 'allin'
+};
+
+/**
+ * Gets the seed owner a group's poker hands are shuffled with
+ * @param {String} chatId - Group ID
+ * @returns {String} Seed owner
+ */
+function getTableSeedOwner(chatId) {
+  return `${TABLE_SEED_PREFIX}${chatId}`;
+}
+
+/**
+ * Loads a group's table as a copy, so changes only count once it's saved
+ * @param {String} chatId - Group ID
+ * @returns {Object|null} Table, or null if the group has none
+ */
+function loadPokerTable(chatId) {
+  const table = getPokerTable(chatId);
+  return table ? JSON.parse(JSON.stringify(table)) : null;
+}
+
+/**
+ * Gets a player's display name
+ * @param {String} userId - User ID
+ * @returns {String} Username, or the phone number if they have none
+ */
+function getPlayerName(userId) {
+  const player = getUser(userId);
+  return (player && player.username) || userId.split('@')[0];
+}
+
+/**
+ * Gets a player's chips, counting the hand in play
+ * @param {Object} table - Table
+ * @param {Object} seat - Seat at the table
+ * @returns {Number} Chips in front of the player
+ */
+function getSeatStack(table, seat) {
+  const player = table.hand && table.hand.game.players.find(entry => entry.userId === seat.userId);
+  return player ? player.stack : seat.stack;
+}
+
+/**
+ * Takes a buy-in and seats a player
+ * @param {Object} table - Table (saved by the caller)
+ * @param {String} userId - User ID
+ * @param {Number} buyIn - Chips to sit down with
+ */
+function seatPlayer(table, userId, buyIn) {
+  transferCoins(walletAccount(userId), LEDGER_ACCOUNTS.ESCROW, buyIn, { reason: 'Poker buy-in' });
+  table.seats.push({ userId, stack: buyIn, leaving: false });
+}
+
+/**
+ * Pays a player's chips back to their wallet and removes their seat
+ * @param {Object} table - Table (saved by the caller)
+ * @param {String} userId - User ID
+ * @returns {Number} Chips cashed out
+ */
+function cashOutPlayer(table, userId) {
+  const seat = table.seats.find(entry => entry.userId === userId);
+  transferCoins(LEDGER_ACCOUNTS.ESCROW, walletAccount(userId), seat.stack, { reason: 'Poker cash-out' });
+  table.seats = table.seats.filter(entry => entry.userId !== userId);
+  return seat.stack;
+}
+
+/**
+ * Checks a buy-in against the table's limits and the player's balance
+ * @param {String} text - Buy-in as typed
+ * @param {Object} settings - Poker settings
+ * @param {Object} user - User data
+ * @returns {Object} { buyIn } or { error }
+ */
+function parseBuyIn(text, settings, user) {
+  const buyIn = text ? parseInt(text) : settings.minBuyIn;
+  if (isNaN(buyIn) || buyIn < settings.minBuyIn || buyIn > settings.maxBuyIn) {
+    return { error: `The buy-in is ${formatNumber(settings.minBuyIn)} to ${formatNumber(settings.maxBuyIn)} coins.` };
+  }
+  if (buyIn > user.balance) {
+    return { error: "You don't have enough coins for this buy-in." };
+  }
+  
+  // Everything a player buys in with could be lost, so it counts against their limits
+  const limitError = checkBetLimits(user.id, buyIn);
+  return limitError ? { error: limitError } : { buyIn };
+}
+
+/**
+ * Formats what the player to act can do
+ * @param {Object} game - Hand state
+ * @returns {String} Turn prompt
+ */
+function formatTurn(game) {
+  const { actions, toCall, minRaiseTo, maxRaiseTo } = getAvailableActions(game);
+  const options = actions.map(action => {
+    if (action === 'call') return `call ${formatNumber(toCall)}`;
+    if (action === 'raise') return `raise [${formatNumber(minRaiseTo)}-${formatNumber(maxRaiseTo)}]`;
+    if (action === 'allin') return `allin (${formatNumber(maxRaiseTo)})`;
+    return action;
+  });
+  
+  return `👉 *${getPlayerName(game.players[game.toAct].userId)}* to act (${formatDuration(config.pokerTurnTimeout)}): ` +
+    options.map(option => `${config.prefix}poker ${option}`).join(' / ');
+}
+
+/**
+ * Formats the board and pot
+ * @param {Object} game - Hand state
+ * @returns {String} Board line
+ */
+function formatBoard(game) {
+  const board = game.board.length > 0 ? formatCards(game.board) : 'no cards yet';
+  return `*${game.street.toUpperCase()}*: ${board}\nPot: ${formatNumber(getPotSize(game))} coins`;
+}
+
+/**
+ * Describes the action a player just took
+ * @param {String} name - Player name
+ * @param {String} action - Action played
+ * @param {Object} before - { toCall, bet } for the player before acting
+ * @param {Object} player - Player after acting
+ * @returns {String} e.g. "alice raises to 400"
+ */
+function describeAction(name, action, before, player) {
+  switch (action) {
+    case 'fold':
+      return `${name} folds`;
+    case 'check':
+      return `${name} checks`;
+    case 'call':
+      return `${name} calls ${formatNumber(before.toCall)}${player.allIn ? ' and is all-in' : ''}`;
+    default:
+      return player.allIn
+        ? `${name} goes all-in for ${formatNumber(player.contributed)}`
+        : `${name} raises to ${formatNumber(player.bet)}`;
+  }
+}
+
+/**
+ * Settles a finished hand: records it, pays out the stacks, cashes out leaving players
+ * and frees the seats of players who ran out of chips
+ * @param {String} chatId - Group ID
+ * @param {Object} table - Table whose hand is finished (saved here)
+ * @returns {String} Result message
+ */
+function finishPokerHand(chatId, table) {
+  const { game } = table.hand;
+  const live = game.players.filter(player => !player.folded);
+  const showdown = live.length > 1;
+  
+  const results = game.pots.map((pot, index) => {
+    const label = game.pots.length === 1 ? 'Pot' : index === 0 ? 'Main pot' : `Side pot ${index}`;
+    const winners = pot.winners.map(getPlayerName).join(' & ');
+    return `${label} (${formatNumber(pot.amount)} coins): ${winners}${pot.handName ? ` (${pot.handName})` : ''}`;
+  });
+  
+  const seedOwner = getTableSeedOwner(chatId);
+  const summary = showdown
+    ? `Board ${game.board.map(card => `${card.value}${card.suit[0]}`).join(' ')}; ` +
+      live.map(player => `${getPlayerName(player.userId)} ${player.handName}`).join(', ')
+    : `${getPlayerName(live[0].userId)} won uncontested`;
+  const betId = recordRoll(table.hand.roll, summary);
+  
+  // Reveal the deck's seed now the hand is over, and commit to a new one for the next hand
+  rotateServerSeed(seedOwner);
+  
+  for (const player of game.players) {
+    const seat = table.seats.find(entry => entry.userId === player.userId);
+    
+    // Players who put nothing in (folding before the blinds came round) didn't bet this hand
+    if (player.contributed > 0) {
+      const payout = player.contributed + player.stack - seat.stack;
+      recordWager(player.userId, { game: 'Poker', stake: player.contributed, payout, betId });
+    }
+    seat.stack = player.stack;
+  }
+  table.hand = null;
+  table.handsPlayed++;
+  
+  const notes = [];
+  for (const seat of [...table.seats]) {
+    if (seat.leaving) {
+      notes.push(`${getPlayerName(seat.userId)} left with ${formatNumber(cashOutPlayer(table, seat.userId))} coins`);
+    } else if (seat.stack === 0) {
+      table.seats = table.seats.filter(entry => entry.userId !== seat.userId);
+      notes.push(`${getPlayerName(seat.userId)} is out of chips`);
+    }
+  }
+  
+  setPokerTable(chatId, table.seats.length > 0 ? table : null);
+  
+  return `🏆 *${showdown ? 'SHOWDOWN' : 'HAND OVER'}* 🏆\n\n` +
+    (showdown
+      ? `Board: ${formatCards(game.board)}\n` +
+        live.map(player => `• ${getPlayerName(player.userId)}: ${formatCards(player.cards)} (${player.handName})`).join('\n') + '\n\n'
+      : 'Everyone else folded.\n\n') +
+    results.join('\n') +
+    (notes.length > 0 ? `\n\n${notes.join('\n')}` : '') +
+    (table.seats.length > 0 ? `\n\nDeal the next hand with "${config.prefix}poker deal".` : '\n\nThe table is closed.') +
+    formatBetId(betId);
+}
+
+/**
+ * Folds the player to act for as long as they're leaving the table
+ * @param {Object} table - Table with a hand in play
+ * @param {Function} draw - () => next card
+ * @returns {Array} Lines describing the folds
+ */
+function foldLeavingPlayers(table, draw) {
+  const { game } = table.hand;
+  const lines = [];
+  
+  while (game.phase === 'betting') {
+    const player = game.players[game.toAct];
+    const seat = table.seats.find(entry => entry.userId === player.userId);
+    if (!seat.leaving) break;
+    
+    playAction(game, 'fold', 0, draw);
+    lines.push(`${getPlayerName(player.userId)} folds (leaving the table)`);
+  }
+  
+  return lines;
+}
+
+/**
+ * Plays an action at a group's table
+ * @param {String} chatId - Group ID
+ * @param {String} userId - Player acting
+ * @param {String} action - fold, check, call, raise or allin
+ * @param {Number} amount - Total to raise to (raise only)
+ * @returns {Object} { text } describing what happened, or { error }
+ */
+function applyPokerAction(chatId, userId, action, amount) {
+  return transaction(() => {
+    const table = loadPokerTable(chatId);
+    if (!table || !table.hand) {
+      return { error: `There's no hand in play. Deal one with ${config.prefix}poker deal` };
+    }
+    
+    const { game } = table.hand;
+    const player = game.players[game.toAct];
+    if (player.userId !== userId) {
+      return { error: `It's ${getPlayerName(player.userId)}'s turn.` };
+    }
+    
+    const { actions, toCall, minRaiseTo, maxRaiseTo } = getAvailableActions(game);
+    if (!actions.includes(action)) {
+      return { error: `You can't ${action === 'allin' ? 'go all-in' : action} right now.\n${formatTurn(game)}` };
+    }
+    
+    const draw = () => table.hand.deck.pop();
+    const street = game.street;
+    const before = { toCall, bet: player.bet };
+    if (!playAction(game, action, amount, draw)) {
+      return { error: `Raise to a total from ${formatNumber(minRaiseTo)} to ${formatNumber(maxRaiseTo)} coins, e.g. ${config.prefix}poker raise ${minRaiseTo}` };
+    }
+    
+    const lines = [describeAction(getPlayerName(userId), action, before, player), ...foldLeavingPlayers(table, draw)];
+    table.hand.lastActionAt = Date.now();
+    
+    if (game.phase === 'finished') {
+      return { text: `${lines.join('\n')}\n\n${finishPokerHand(chatId, table)}` };
+    }
+    
+    setPokerTable(chatId, table);
+    return {
+      text: `${lines.join('\n')}\n\n` +
+        (game.street !== street || action !== 'fold' ? `${formatBoard(game)}\n\n` : '') +
+        formatTurn(game)
+    };
+  });
+}
+
+/**
+ * Sends each player in a hand their hole cards
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} game - Hand state
+ * @param {Array} [userIds] - Only these players (all players if omitted)
+ */
+async function sendHoleCards(sock, game, userIds = null) {
+  for (const player of game.players) {
+    if (userIds && !userIds.includes(player.userId)) continue;
+    
+    try {
+      await sock.sendMessage(player.userId, {
+        text: `🃏 *YOUR HOLE CARDS* 🃏\n\n${formatCards(player.cards)}\n\n` +
+          `Play in the group with ${config.prefix}poker [check/call/raise/fold/allin]. Keep these to yourself!`
+      });
+    } catch (error) {
+      console.error(`Error sending hole cards to ${player.userId}:`, error);
+    }
+  }
+}
+
+/**
+ * Deals the next hand at a table, moving the button to the next player with chips
+ * @param {String} chatId - Group ID
+ * @returns {Object} { table, text } with the deal announcement, or { error }
+ */
+function dealPokerHand(chatId) {
+  return transaction(() => {
+    const table = loadPokerTable(chatId);
+    const seated = table.seats.filter(seat => seat.stack > 0 && !seat.leaving);
+    if (seated.length < 2) {
+      return { error: `At least 2 players with chips are needed. Join with ${config.prefix}poker join [buy-in]` };
+    }
+    
+    // The button moves one seat to the left every hand
+    const previous = table.seats.findIndex(seat => seat.userId === table.buttonUserId);
+    let buttonSeat = null;
+    for (let offset = 1; offset <= table.seats.length && !buttonSeat; offset++) {
+      const seat = table.seats[(previous + offset) % table.seats.length];
+      if (seated.includes(seat)) buttonSeat = seat;
+    }
+    table.buttonUserId = buttonSeat.userId;
+    
+    const seedOwner = getTableSeedOwner(chatId);
+    const roll = startRoll(seedOwner, 'Poker');
+    const deck = createDeck();
+    shuffleDeck(deck, roll.random);
+    
+    table.hand = {
+      deck,
+      roll: {
+        ownerId: seedOwner,
+        game: 'Poker',
+        serverSeedHash: roll.serverSeedHash,
+        clientSeed: roll.clientSeed,
+        nonce: roll.nonce,
+        floatsUsed: roll.floatsUsed
+      },
+      startedAt: Date.now(),
+      lastActionAt: Date.now(),
+      game: null
+    };
+    const game = dealHand(seated, seated.indexOf(buttonSeat), table.settings, () => table.hand.deck.pop());
+    table.hand.game = game;
+    
+    const { smallBlind, bigBlind } = table.settings;
+    const announcement = `🃏 *POKER HAND #${table.handsPlayed + 1}* 🃏\n\n` +
+      `Button: ${getPlayerName(buttonSeat.userId)} • Blinds ${formatNumber(smallBlind)}/${formatNumber(bigBlind)}\n` +
+      game.players.map(player => `• ${getPlayerName(player.userId)}: ${formatNumber(player.stack)} coins` +
+        (player.bet > 0 ? ` (posted ${formatNumber(player.bet)})` : '')).join('\n') +
+      `\n\nHole cards are on their way by DM.\nDeck seed hash: ${roll.serverSeedHash}\n\n`;
+    
+    // Blinds can put everyone all-in, which plays the hand out straight away
+    if (game.phase === 'finished') {
+      const handText = finishPokerHand(chatId, table);
+      return { table, game, text: `${announcement}${handText}` };
+    }
+    
+    setPokerTable(chatId, table);
+    return { table, game, text: `${announcement}${formatTurn(game)}` };
+  });
+}
+
+/**
+ * Formats a table's seats and the hand in play
+ * @param {Object} table - Table
+ * @returns {String} Table status
+ */
+function formatPokerTable(table) {
+  const { smallBlind, bigBlind, minBuyIn, maxBuyIn, maxPlayers } = table.settings;
+  const game = table.hand && table.hand.game;
+  
+  const seats = table.seats.map(seat => {
+    const player = game && game.players.find(entry => entry.userId === seat.userId);
+    let status = '';
+    if (player && player.folded) status = ' (folded)';
+    else if (player && player.allIn) status = ' (all-in)';
+    else if (game && !player) status = ' (next hand)';
+    if (seat.leaving) status += ' (leaving)';
+    
+    return `${seat.userId === table.buttonUserId ? '🔘' : '•'} ${getPlayerName(seat.userId)}: ${formatNumber(getSeatStack(table, seat))} coins${status}`;
+  });
+  
+  return `🃏 *POKER TABLE* 🃏\n\n` +
+    `Blinds ${formatNumber(smallBlind)}/${formatNumber(bigBlind)} • Buy-in ${formatNumber(minBuyIn)}-${formatNumber(maxBuyIn)} • ${table.seats.length}/${maxPlayers} seats\n\n` +
+    `${seats.join('\n')}\n\n` +
+    (game ? `${formatBoard(game)}\n\n${formatTurn(game)}` : `No hand in play. Deal one with "${config.prefix}poker deal".`);
+}
+
+/**
+ * Handles poker command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} user - User data
+ */
+async function handlePoker(sock, message, args, user) {
+  try {
+    const chatId = message.key.remoteJid;
+    if (!chatId.endsWith('@g.us')) {
+      await sendReply(sock, message, "❌ Poker is played at group tables. Use this command in a group.");
+      return;
+    }
+    
+    const action = args.length > 0 ? args[0].toLowerCase() : null;
+    const table = getPokerTable(chatId);
+    const seat = table ? table.seats.find(entry => entry.userId === user.id) : null;
+    
+    if (action === 'create') {
+      if (table) {
+        await sendReply(sock, message, `❌ This group already has a table. Join it with ${config.prefix}poker join [buy-in]`);
+        return;
+      }
+      
+      const settings = getGameSettings('poker', chatId);
+      const { buyIn, error } = parseBuyIn(args[1], settings, user);
+      if (error) {
+        await sendReply(sock, message, `❌ ${error}`);
+        return;
+      }
+      
+      const newTable = transaction(() => {
+        const created = { settings, createdBy: user.id, createdAt: Date.now(), seats: [], buttonUserId: null, hand: null, handsPlayed: 0 };
+        seatPlayer(created, user.id, buyIn);
+        return setPokerTable(chatId, created);
+      });
+      
+      await sendReply(sock, message, `${formatPokerTable(newTable)}\n\n` +
+        `Others can sit down with "${config.prefix}poker join [buy-in]".`);
+      return;
+    }
+    
+    if (!table) {
+      await sendReply(sock, message, `❌ This group has no poker table. Open one with ${config.prefix}poker create [buy-in]`);
+      return;
+    }
+    
+    if (!action) {
+      await sendReply(sock, message, formatPokerTable(table));
+      return;
+    }
+    
+    if (action === 'join') {
+      if (seat) {
+        await sendReply(sock, message, "❌ You're already at the table.");
+        return;
+      }
+      
+      if (table.seats.length >= table.settings.maxPlayers) {
+        await sendReply(sock, message, `❌ The table is full (${table.settings.maxPlayers} players).`);
+        return;
+      }
+      
+      const { buyIn, error } = parseBuyIn(args[1], table.settings, user);
+      if (error) {
+        await sendReply(sock, message, `❌ ${error}`);
+        return;
+      }
+      
+      transaction(() => {
+        const current = loadPokerTable(chatId);
+        seatPlayer(current, user.id, buyIn);
+        setPokerTable(chatId, current);
+      });
+      
+      await sendReply(sock, message, `✅ You sat down with ${formatNumber(buyIn)} coins${table.hand ? ' and will be dealt in next hand' : ''}.\n\n` +
+        `New balance: ${formatNumber(getUser(user.id).balance)} coins`);
+      return;
+    }
+    
+    if (!seat) {
+      await sendReply(sock, message, `❌ You're not at the table. Join with ${config.prefix}poker join [buy-in]`);
+      return;
+    }
+    
+    if (action === 'leave') {
+      const inHand = table.hand && table.hand.game.players.some(player => player.userId === user.id);
+      if (!inHand) {
+        const chips = transaction(() => {
+          const current = loadPokerTable(chatId);
+          const cashedOut = cashOutPlayer(current, user.id);
+          setPokerTable(chatId, current.seats.length > 0 ? current : null);
+          return cashedOut;
+        });
+        
+        await sendReply(sock, message, `👋 You left the table with ${formatNumber(chips)} coins.\n\nNew balance: ${formatNumber(getUser(user.id).balance)} coins`);
+        return;
+      }
+      
+      // Players in a hand fold when their turn comes and are paid out when it ends
+      transaction(() => {
+        const current = loadPokerTable(chatId);
+        current.seats.find(entry => entry.userId === user.id).leaving = true;
+        setPokerTable(chatId, current);
+      });
+      
+      const { game } = table.hand;
+      if (game.players[game.toAct].userId === user.id) {
+        const { text, error } = applyPokerAction(chatId, user.id, 'fold', 0);
+        await sendReply(sock, message, error ? `❌ ${error}` : `👋 ${text}`);
+        return;
+      }
+      
+      await sendReply(sock, message, "👋 You'll fold when your turn comes and leave with your chips once this hand is over.");
+      return;
+    }
+    
+    if (action === 'deal') {
+      if (table.hand) {
+        await sendReply(sock, message, `❌ A hand is already in play.\n\n${formatTurn(table.hand.game)}`);
+        return;
+      }
+      
+      const { game, text, error } = dealPokerHand(chatId);
+      if (error) {
+        await sendReply(sock, message, `❌ ${error}`);
+        return;
+      }
+      
+      await sendReply(sock, message, text);
+      await sendHoleCards(sock, game);
+      return;
+    }
+    
+    if (action === 'cards') {
+      const inHand = table.hand && table.hand.game.players.some(player => player.userId === user.id);
+      if (!inHand) {
+        await sendReply(sock, message, "❌ You're not in this hand.");
+        return;
+      }
+      
+      await sendHoleCards(sock, table.hand.game, [user.id]);
+      await sendReply(sock, message, '📩 Your hole cards have been sent by DM.');
+      return;
+    }
+    
+    if (POKER_ACTIONS[action]) {
+      const amount = args[1] ? parseInt(args[1]) : NaN;
+      if (POKER_ACTIONS[action] === 'raise' && isNaN(amount)) {
+        await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}poker raise [total bet]`);
+        return;
+      }
+      
+      const { text, error } = applyPokerAction(chatId, user.id, POKER_ACTIONS[action], amount);
+      await sendReply(sock, message, error ? `❌ ${error}` : text);
+      return;
+    }
+    
+    await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}poker [create/join/leave/deal/check/call/raise/fold/allin/cards]`);
+  } catch (error) {
+    console.error('Error handling poker command:', error);
+    await sendReply(sock, message, "❌ An error occurred while playing poker.");
+  }
+}
+
+/**
+ * Acts for players who have run out of time (config.pokerTurnTimeout): they check if they
+ * can and fold otherwise, and the group is told what happened
+ * @param {Object} sock - WhatsApp connection
+ * @returns {Promise<Number>} Number of turns timed out
+ */
+async function resolveIdlePokerTurns(sock) {
+  const now = Date.now();
+  let resolved = 0;
+  
+  for (const chatId of Object.keys(getAllPokerTables())) {
+    // The hand may have moved on while earlier tables were being announced
+    const table = getPokerTable(chatId);
+    if (!table || !table.hand || now - table.hand.lastActionAt < config.pokerTurnTimeout) continue;
+    
+    try {
+      const { game } = table.hand;
+      const userId = game.players[game.toAct].userId;
+      const action = getAvailableActions(game).actions.includes('check') ? 'check' : 'fold';
+      const { text, error } = applyPokerAction(chatId, userId, action, 0);
+      if (error) continue;
+      resolved++;
+      
+      if (!sock) {
+        console.log(`Poker turn timed out in ${chatId}; no connection to announce it`);
+        continue;
+      }
+      
+      await sock.sendMessage(chatId, {
+        text: `⏰ ${getPlayerName(userId)} ran out of time.\n${text}`
+      });
+    } catch (error) {
+      console.error(`Error resolving idle poker turn in ${chatId}:`, error);
+    }
+  }
+  
+  return resolved;
+}
+
+// Latest WhatsApp connection for timeout announcements (replaced on every reconnect)
+let pokerSock = null;
+let pokerTimeoutInterval = null;
+
+/**
+ * Starts checking for players who ran out of time, or hands the check a new connection after
+ * a reconnect. Tables and hands in play are kept in the database, so they carry on after a restart.
+ * @param {Object} sock - WhatsApp connection
+ */
+function startPokerTimeouts(sock) {
+  pokerSock = sock;
+  
+  if (pokerTimeoutInterval) return;
+  
+  pokerTimeoutInterval = setInterval(() => {
+    resolveIdlePokerTurns(pokerSock).catch(error => console.error('Error resolving idle poker turns:', error));
+  }, config.pokerCheckInterval);
+}
+
+/**
+ * Stops checking for players who ran out of time
+ */
+function stopPokerTimeouts() {
+  if (pokerTimeoutInterval) {
+    clearInterval(pokerTimeoutInterval);
+    pokerTimeoutInterval = null;
+  }
+}
+
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'poker',
+    aliases: ['holdem'],
+    category: 'gambling',
+    usage: '[create/join/leave/deal/check/call/raise/fold/allin/cards]',
+    description: 'Play Texas Hold\'em against other members at the group\'s table',
+    examples: ['create 5000', 'join', 'deal', 'raise 400', 'allin'],
+    details: [
+      'create [buy-in] / join [buy-in] - Sit down with chips from your balance',
+      'leave - Cash out your chips (after the hand if you\'re in one)',
+      'deal - Deal the next hand; your hole cards arrive by DM',
+      'check / call / fold / allin - Act when it\'s your turn',
+      'raise [total] - Raise your bet for this round to a total',
+      'cards - Send your hole cards again',
+      `After ${formatDuration(config.pokerTurnTimeout)} without a move you check, or fold if you can't`,
+      'Players bet against each other; the house takes nothing'
+    ],
+    gambling: true,
+    execute: ({ sock, message, args, user }) => handlePoker(sock, message, args, user)
+  }
+];
+
+module.exports = {
+  handlePoker,
+  resolveIdlePokerTurns,
+  startPokerTimeouts,
+  stopPokerTimeouts,
+  commands
+};
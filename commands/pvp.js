@@ -1,9 +1,14 @@
 const { sendReply } = require('../utils/messageUtils');
 const config = require('../config');
-const { getUser, getUserByUsername, updateUser, createChallenge, getChallenge, getPendingChallengesForUser, updateChallenge, cleanupExpiredChallenges, isUserRegistered } = require('../database/db');
+const { getUser, getUserByUsername, updateUser, createChallenge, getChallenge, getPendingChallengesForUser, updateChallenge, cleanupExpiredChallenges, isUserRegistered, transaction, transferCoins, walletAccount } = require('../database/db');
 const { formatNumber } = require('../utils/formatter');
 const { coinToss } = require('../utils/games');
+const { startRoll, recordRoll } = require('../utils/rng');
+const { formatBetId } = require('./gambling');
+const { getGameSettings } = require('../utils/gameConfig');
 const { addXP } = require('./xp');
+const { recordWager } = require('../utils/betHistory');
+const { checkBetLimits } = require('../utils/gamblingLimits');
 
 /**
  * Handles challenge command
@@ -95,14 +100,22 @@ async function handleChallenge(sock, message, args, user, sender) {
     }
     
     // Check minimum bet
-    if (betAmount < config.minBet) {
-      await sendReply(sock, message, `❌ Minimum challenge bet is ${config.minBet} coins.`);
+    const settings = getGameSettings('pvp', message.key.remoteJid);
+    if (betAmount < settings.minBet) {
+      await sendReply(sock, message, `❌ Minimum challenge bet is ${formatNumber(settings.minBet)} coins.`);
       return;
     }
     
     // Check maximum bet
-    if (betAmount > config.maxBet) {
-      await sendReply(sock, message, `❌ Maximum challenge bet is ${formatNumber(config.maxBet)} coins.`);
+    if (betAmount > settings.maxBet) {
+      await sendReply(sock, message, `❌ Maximum challenge bet is ${formatNumber(settings.maxBet)} coins.`);
+      return;
+    }
+    
+    // Check the player's own loss and wager limits
+    const limitError = checkBetLimits(sender, betAmount);
+    if (limitError) {
+      await sendReply(sock, message, `❌ ${limitError}`);
       return;
     }
     
@@ -116,7 +129,7 @@ async function handleChallenge(sock, message, args, user, sender) {
     const challenge = createChallenge(sender, opponent, betAmount);
     
     // Update challenger's data
-    const challengesMade = (user.challengesMade || 0) + 1;
+    const challengesMade = (getUser(sender).challengesMade || 0) + 1;
     updateUser(sender, {
       challengesMade,
       lastChallengeTime: now
@@ -199,11 +212,26 @@ async function handleAccept(sock, message, user, sender) {
       return;
     }
     
+    // Both players' limits may have changed since the challenge was made
+    const limitError = checkBetLimits(sender, challenge.amount);
+    if (limitError) {
+      await sendReply(sock, message, `❌ ${limitError}`);
+      return;
+    }
+    
+    if (checkBetLimits(challenger.id, challenge.amount)) {
+      updateChallenge(challenge.id, { status: 'cancelled' });
+      await sendReply(sock, message, "❌ The challenger can't bet this much anymore because of their gambling limits.");
+      return;
+    }
+    
     // Mark challenge as accepted
     updateChallenge(challenge.id, { status: 'accepted' });
     
-    // Determine the winner (coin toss)
-    const result = coinToss();
+    // Determine the winner (coin toss, rolled with the accepting player's seeds)
+    const roll = startRoll(sender, 'PvP challenge');
+    const result = coinToss(roll.random);
+    const betId = recordRoll(roll, `Landed on ${result}`);
     const challengerWins = result === 'heads'; // Challenger gets heads, opponent gets tails
     
     // Calculate winnings
@@ -212,19 +240,25 @@ async function handleAccept(sock, message, user, sender) {
     
     // Update balances and stats
     if (challengerWins) {
-      // Challenger wins
-      updateUser(challenger.id, {
-        balance: challenger.balance + betAmount,
-        gamesPlayed: challenger.gamesPlayed + 1,
-        gamesWon: challenger.gamesWon + 1,
-        lastOpponent: sender
-      });
-      
-      // Opponent loses
-      updateUser(sender, {
-        balance: user.balance - betAmount,
-        gamesPlayed: user.gamesPlayed + 1,
-        lastOpponent: challenger.id
+      transaction(() => {
+        // Loser pays the winner
+        transferCoins(walletAccount(sender), walletAccount(challenger.id), betAmount, { reason: 'PvP challenge' });
+        
+        // Challenger wins
+        updateUser(challenger.id, {
+          gamesPlayed: challenger.gamesPlayed + 1,
+          gamesWon: challenger.gamesWon + 1,
+          lastOpponent: sender
+        });
+        
+        // Opponent loses
+        updateUser(sender, {
+          gamesPlayed: user.gamesPlayed + 1,
+          lastOpponent: challenger.id
+        });
+        
+        recordWager(challenger.id, { game: 'PvP challenge', stake: betAmount, payout: winAmount, betId });
+        recordWager(sender, { game: 'PvP challenge', stake: betAmount, payout: 0, betId });
       });
       
       // Add XP
@@ -240,7 +274,8 @@ async function handleAccept(sock, message, user, sender) {
               `You won the challenge against ${user.username}!\n\n` +
               `The coin landed on heads!\n\n` +
               `You won ${formatNumber(betAmount)} coins!\n` +
-              `New balance: ${formatNumber(challenger.balance + betAmount)} coins`
+              `New balance: ${formatNumber(challenger.balance + betAmount)} coins` +
+              formatBetId(betId)
           }
         );
       } catch (notifyError) {
@@ -252,21 +287,28 @@ async function handleAccept(sock, message, user, sender) {
         `You lost the challenge against ${challenger.username}.\n\n` +
         `The coin landed on heads!\n\n` +
         `You lost ${formatNumber(betAmount)} coins.\n` +
-        `New balance: ${formatNumber(user.balance - betAmount)} coins`);
+        `New balance: ${formatNumber(user.balance - betAmount)} coins` +
+        formatBetId(betId));
     } else {
-      // Opponent wins
-      updateUser(sender, {
-        balance: user.balance + betAmount,
-        gamesPlayed: user.gamesPlayed + 1,
-        gamesWon: user.gamesWon + 1,
-        lastOpponent: challenger.id
-      });
-      
-      // Challenger loses
-      updateUser(challenger.id, {
-        balance: challenger.balance - betAmount,
-        gamesPlayed: challenger.gamesPlayed + 1,
-        lastOpponent: sender
+      transaction(() => {
+        // Loser pays the winner
+        transferCoins(walletAccount(challenger.id), walletAccount(sender), betAmount, { reason: 'PvP challenge' });
+        
+        // Opponent wins
+        updateUser(sender, {
+          gamesPlayed: user.gamesPlayed + 1,
+          gamesWon: user.gamesWon + 1,
+          lastOpponent: challenger.id
+        });
+        
+        // Challenger loses
+        updateUser(challenger.id, {
+          gamesPlayed: challenger.gamesPlayed + 1,
+          lastOpponent: sender
+        });
+        
+        recordWager(sender, { game: 'PvP challenge', stake: betAmount, payout: winAmount, betId });
+        recordWager(challenger.id, { game: 'PvP challenge', stake: betAmount, payout: 0, betId });
       });
       
       // Add XP
@@ -282,7 +324,8 @@ async function handleAccept(sock, message, user, sender) {
               `You lost the challenge against ${user.username}.\n\n` +
               `The coin landed on tails!\n\n` +
               `You lost ${formatNumber(betAmount)} coins.\n` +
-              `New balance: ${formatNumber(challenger.balance - betAmount)} coins`
+              `New balance: ${formatNumber(challenger.balance - betAmount)} coins` +
+              formatBetId(betId)
           }
         );
       } catch (notifyError) {
@@ -294,7 +337,8 @@ async function handleAccept(sock, message, user, sender) {
         `You won the challenge against ${challenger.username}!\n\n` +
         `The coin landed on tails!\n\n` +
         `You won ${formatNumber(betAmount)} coins!\n` +
-        `New balance: ${formatNumber(user.balance + betAmount)} coins`);
+        `New balance: ${formatNumber(user.balance + betAmount)} coins` +
+        formatBetId(betId));
     }
   } catch (error) {
     console.error('Error handling accept command:', error);
@@ -432,14 +476,20 @@ async function handleRematch(sock, message, user, sender) {
       Math.max(100, Math.floor(user.balance * 0.1)),
       user.balance,
       opponentUser.balance,
-      config.maxBet
+      getGameSettings('pvp', message.key.remoteJid).maxBet
     );
     
+    const limitError = checkBetLimits(sender, betAmount);
+    if (limitError) {
+      await sendReply(sock, message, `❌ ${limitError}`);
+      return;
+    }
+    
     // Create the challenge
     const challenge = createChallenge(sender, opponent, betAmount);
     
     // Update challenger's data
-    const challengesMade = (user.challengesMade || 0) + 1;
+    const challengesMade = (getUser(sender).challengesMade || 0) + 1;
     updateUser(sender, {
       challengesMade,
       lastChallengeTime: now
@@ -471,9 +521,45 @@ async function handleRematch(sock, message, user, sender) {
   }
 }
 
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'challenge',
+    category: 'pvp',
+    usage: '@user [amount]',
+    description: 'Challenge another user',
+    examples: ['@John 1000'],
+    cooldown: 10,
+    gambling: true,
+    execute: ({ sock, message, args, user, sender }) => handleChallenge(sock, message, args, user, sender)
+  },
+  {
+    name: 'accept',
+    category: 'pvp',
+    description: 'Accept a pending challenge',
+    gambling: true,
+    execute: ({ sock, message, user, sender }) => handleAccept(sock, message, user, sender)
+  },
+  {
+    name: 'decline',
+    category: 'pvp',
+    description: 'Decline a pending challenge',
+    execute: ({ sock, message, user, sender }) => handleDecline(sock, message, user, sender)
+  },
+  {
+    name: 'rematch',
+    category: 'pvp',
+    description: 'Request a rematch with last opponent',
+    cooldown: 10,
+    gambling: true,
+    execute: ({ sock, message, user, sender }) => handleRematch(sock, message, user, sender)
+  }
+];
+
 module.exports = {
   handleChallenge,
   handleAccept,
   handleDecline,
-  handleRematch
+  handleRematch,
+  commands
 };
@@ -63,4 +63,20 @@ async function handleRegister(sock, message, args, user, sender) {
   }
 }
 
-module.exports = { handleRegister };
\ No newline at end of file
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'register',
+    category: 'register',
+    usage: '[username]',
+    description: 'Register with a unique username (required to use most commands)',
+    examples: ['johndoe'],
+    requiresRegistration: false,
+    execute: ({ sock, message, args, user, sender }) => handleRegister(sock, message, args, user, sender)
+  }
+];
+
+module.exports = {
+  handleRegister,
+  commands
+};
\ No newline at end of file
@@ -0,0 +1,463 @@
+const { sendReply } = require('../utils/messageUtils');
+const config = require('../config');
+const { getUser, updateUser, getHeist, getAllHeists, setHeist, transaction, transferCoins, walletAccount, LEDGER_ACCOUNTS } = require('../database/db');
+const { formatNumber, formatDuration } = require('../utils/formatter');
+const { HEIST_SEED_PREFIX, startRoll, recordRoll, getActiveSeed, rotateServerSeed } = require('../utils/rng');
+const { getRobChance, getStealShare, getRobFine, getHeistChance, getVaultAmount } = require('../utils/robbery');
+const { findRegisteredUser } = require('../utils/registrationUtils');
+const { recordWager } = require('../utils/betHistory');
+const { checkBetLimits } = require('../utils/gamblingLimits');
+const { formatBetId } = require('./gambling');
+
+/**
+ * Formats a chance as a percentage
+ * @param {Number} chance - Chance from 0 to 1
+ * @returns {String} Percentage (e.g. "42.0%")
+ */
+function formatChance(chance) {
+  return `${(chance * 100).toFixed(1)}%`;
+}
+
+/**
+ * Gets a player's display name
+ * @param {String} userId - User ID
+ * @returns {String} Username, or the phone number if they have none
+ */
+function getPlayerName(userId) {
+  const player = getUser(userId);
+  return (player && player.username) || userId.split('@')[0];
+}
+
+/**
+ * Sends a robbery notice to its target
+ * @param {Object} sock - WhatsApp connection
+ * @param {String} targetId - Target's user ID
+ * @param {String} text - Notice
+ */
+async function notifyTarget(sock, targetId, text) {
+  try {
+    await sock.sendMessage(targetId, { text });
+  } catch (notifyError) {
+    console.error('Error notifying robbery target:', notifyError);
+  }
+}
+
+/**
+ * Handles rob command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} user - User data
+ */
+async function handleRob(sock, message, args, user) {
+  try {
+    if (args.length < 1) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}rob [@user/username]`);
+      return;
+    }
+    
+    const now = Date.now();
+    const waitLeft = (user.lastRobAttempt || 0) + config.robCooldown - now;
+    if (waitLeft > 0) {
+      await sendReply(sock, message, `❌ You're lying low after your last robbery. Try again in ${formatDuration(waitLeft)}.`);
+      return;
+    }
+    
+    const target = findRegisteredUser(message, args[0]);
+    if (!target) {
+      await sendReply(sock, message, `❌ User "${args[0]}" not found or not registered.`);
+      return;
+    }
+    
+    if (target.id === user.id) {
+      await sendReply(sock, message, "❌ You can't rob yourself.");
+      return;
+    }
+    
+    const protectionLeft = (target.lastRobbedAt || 0) + config.robProtection - now;
+    if (protectionLeft > 0) {
+      await sendReply(sock, message, `❌ ${target.username} was robbed recently and is on guard for another ${formatDuration(protectionLeft)}.`);
+      return;
+    }
+    
+    if (target.balance < config.robMinTargetWallet) {
+      await sendReply(sock, message, `❌ ${target.username} has less than ${formatNumber(config.robMinTargetWallet)} coins in their wallet. Not worth the risk.`);
+      return;
+    }
+    
+    if (user.balance < config.robMinFine) {
+      await sendReply(sock, message, `❌ You need at least ${formatNumber(config.robMinFine)} coins in your wallet to cover the fine if you're caught.`);
+      return;
+    }
+    
+    // Float 1 decides whether it works and float 2 how much is taken
+    const chance = getRobChance(user, target);
+    const roll = startRoll(user.id, 'Robbery');
+    const succeeded = roll.random() < chance;
+    const share = getStealShare(roll.random());
+    
+    if (succeeded) {
+      const amount = Math.floor(target.balance * share);
+      const betId = recordRoll(roll, `Took ${(share * 100).toFixed(1)}% of ${target.username}'s wallet (chance ${formatChance(chance)})`);
+      
+      transaction(() => {
+        transferCoins(walletAccount(target.id), walletAccount(user.id), amount, { reason: 'Robbery' });
+        updateUser(user.id, { lastRobAttempt: now });
+        updateUser(target.id, { lastRobbedAt: now });
+      });
+      
+      await notifyTarget(sock, target.id, `🚨 *YOU'VE BEEN ROBBED* 🚨\n\n` +
+        `${user.username} stole ${formatNumber(amount)} coins from your wallet.\n\n` +
+        `Wallet: ${formatNumber(target.balance - amount)} coins\n` +
+        `Bank: ${formatNumber(target.bankBalance)} coins (safe)\n\n` +
+        `Coins in the bank can't be stolen. Keep yours there with ${config.prefix}deposit, or get a Guard Dog from the ${config.prefix}shop.`);
+      
+      await sendReply(sock, message, `🦹 *ROBBERY SUCCESSFUL* 🦹\n\n` +
+        `You stole ${formatNumber(amount)} coins from ${target.username}'s wallet!\n` +
+        `Chance: ${formatChance(chance)}\n\n` +
+        `New balance: ${formatNumber(user.balance + amount)} coins` +
+        formatBetId(betId));
+      return;
+    }
+    
+    const fine = getRobFine(user.balance);
+    const betId = recordRoll(roll, `Caught robbing ${target.username} (chance ${formatChance(chance)})`);
+    
+    transaction(() => {
+      transferCoins(walletAccount(user.id), LEDGER_ACCOUNTS.FEES, fine, { reason: 'Robbery fine' });
+      updateUser(user.id, { lastRobAttempt: now });
+    });
+    
+    await notifyTarget(sock, target.id, `🛡️ *ROBBERY FOILED* 🛡️\n\n` +
+      `${user.username} tried to rob you but got caught and was fined ${formatNumber(fine)} coins.\n\n` +
+      `Your coins are safe. Coins in the bank can never be stolen.`);
+    
+    await sendReply(sock, message, `🚔 *CAUGHT!* 🚔\n\n` +
+      `You were caught trying to rob ${target.username} and fined ${formatNumber(fine)} coins.\n` +
+      `Chance: ${formatChance(chance)}\n\n` +
+      `New balance: ${formatNumber(user.balance - fine)} coins` +
+      formatBetId(betId));
+  } catch (error) {
+    console.error('Error handling rob command:', error);
+    await sendReply(sock, message, "❌ An error occurred while attempting the robbery.");
+  }
+}
+
+/**
+ * Gets the seed owner a group's heists are rolled with
+ * @param {String} chatId - Group ID
+ * @returns {String} Seed owner
+ */
+function getHeistSeedOwner(chatId) {
+  return `${HEIST_SEED_PREFIX}${chatId}`;
+}
+
+/**
+ * Formats a heist crew that's gathering
+ * @param {Object} heist - Heist
+ * @returns {String} Heist status
+ */
+function formatHeistStatus(heist) {
+  const vault = getVaultAmount();
+  
+  return `Crew: ${heist.crew.map(getPlayerName).join(', ')} (${heist.crew.length}/${config.heistMaxCrew}, at least ${config.heistMinCrew} needed)\n` +
+    `Stake: ${formatNumber(heist.stake)} coins each\n` +
+    `Vault: ${formatNumber(vault)} coins (${formatNumber(Math.floor(vault / heist.crew.length))} each if cracked now)\n` +
+    `Chance: ${formatChance(getHeistChance(heist.crew))}\n` +
+    `Starts in: ${formatDuration(Math.max(0, heist.startsAt - Date.now()))}\n\n` +
+    `Result seed hash: ${heist.serverSeedHash}`;
+}
+
+/**
+ * Puts a player's stake in escrow and adds them to a group's heist, planning one if there isn't one
+ * @param {String} chatId - Group ID
+ * @param {String} userId - User ID
+ * @param {Number|null} plannedAt - When the heist being joined was planned, or null to plan one
+ * @returns {Object|null} The heist, or null if it can't be joined any more
+ */
+function joinHeist(chatId, userId, plannedAt) {
+  return transaction(() => {
+    const now = Date.now();
+    let heist = getHeist(chatId);
+    
+    // The crew may have set off, filled up or been joined from another message in the meantime
+    if (plannedAt === null) {
+      if (heist) return null;
+      heist = {
+        plannedBy: userId,
+        plannedAt: now,
+        startsAt: now + config.heistLobbyTime,
+        stake: config.heistStake,
+        serverSeedHash: getActiveSeed(getHeistSeedOwner(chatId)).serverSeedHash,
+        crew: []
+      };
+    } else if (!heist || heist.plannedAt !== plannedAt || heist.crew.length >= config.heistMaxCrew || heist.crew.includes(userId)) {
+      return null;
+    }
+    
+    transferCoins(walletAccount(userId), LEDGER_ACCOUNTS.ESCROW, heist.stake, { reason: 'Heist stake' });
+    return setHeist(chatId, { ...heist, crew: [...heist.crew, userId] });
+  });
+}
+
+/**
+ * Handles heist command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} user - User data
+ */
+async function handleHeist(sock, message, args, user) {
+  try {
+    const chatId = message.key.remoteJid;
+    if (!chatId.endsWith('@g.us')) {
+      await sendReply(sock, message, "❌ Heists are pulled off in groups. Use this command in a group.");
+      return;
+    }
+    
+    const action = args.length > 0 ? args[0].toLowerCase() : null;
+    const heist = getHeist(chatId);
+    
+    if (!action) {
+      if (!heist) {
+        await sendReply(sock, message, `🏦 *HEIST* 🏦\n\n` +
+          `No crew is gathering here.\n` +
+          `Vault: ${formatNumber(getVaultAmount())} coins\n\n` +
+          `Plan one with "${config.prefix}heist start". It takes ${config.heistMinCrew}-${config.heistMaxCrew} players ` +
+          `staking ${formatNumber(config.heistStake)} coins each.`);
+        return;
+      }
+      
+      await sendReply(sock, message, `🏦 *HEIST* 🏦\n\n${formatHeistStatus(heist)}\n\nJoin with "${config.prefix}heist join".`);
+      return;
+    }
+    
+    if (action !== 'start' && action !== 'join') {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}heist [start/join]`);
+      return;
+    }
+    
+    if (action === 'start' && heist) {
+      await sendReply(sock, message, `❌ A crew is already gathering here. Join it with ${config.prefix}heist join.`);
+      return;
+    }
+    
+    if (action === 'join') {
+      if (!heist) {
+        await sendReply(sock, message, `❌ There's no heist being planned here. Plan one with ${config.prefix}heist start.`);
+        return;
+      }
+      
+      if (heist.crew.includes(user.id)) {
+        await sendReply(sock, message, "❌ You're already in this crew.");
+        return;
+      }
+      
+      if (heist.crew.length >= config.heistMaxCrew) {
+        await sendReply(sock, message, "❌ This crew is full.");
+        return;
+      }
+    }
+    
+    const stake = heist ? heist.stake : config.heistStake;
+    if (user.balance < stake) {
+      await sendReply(sock, message, `❌ You need ${formatNumber(stake)} coins in your wallet to join the crew.`);
+      return;
+    }
+    
+    const limitError = checkBetLimits(user.id, stake);
+    if (limitError) {
+      await sendReply(sock, message, `❌ ${limitError}`);
+      return;
+    }
+    
+    const joined = joinHeist(chatId, user.id, heist ? heist.plannedAt : null);
+    if (!joined) {
+      await sendReply(sock, message, "❌ This heist can't be joined any more.");
+      return;
+    }
+    
+    const title = heist ? '🏦 *JOINED THE CREW* 🏦' : '🏦 *HEIST PLANNED* 🏦';
+    const intro = heist ? '' : `${user.username} is putting together a crew to crack the vault!\n\n`;
+    await sendReply(sock, message, `${title}\n\n` +
+      intro +
+      `${formatHeistStatus(joined)}\n\n` +
+      `Join with "${config.prefix}heist join".\n\n` +
+      `New balance: ${formatNumber(user.balance - stake)} coins`);
+  } catch (error) {
+    console.error('Error handling heist command:', error);
+    await sendReply(sock, message, "❌ An error occurred while planning the heist.");
+  }
+}
+
+/**
+ * Sets off a group's heist: calls it off if the crew is too small, otherwise rolls for the
+ * vault and pays out or keeps the stakes
+ * @param {String} chatId - Group ID
+ * @returns {String} Result message for the group
+ */
+function settleHeist(chatId) {
+  const heist = getHeist(chatId);
+  const crewNames = heist.crew.map(getPlayerName).join(', ');
+  
+  return transaction(() => {
+    setHeist(chatId, null);
+    
+    if (heist.crew.length < config.heistMinCrew) {
+      for (const userId of heist.crew) {
+        transferCoins(LEDGER_ACCOUNTS.ESCROW, walletAccount(userId), heist.stake, { reason: 'Heist called off' });
+      }
+      return `🏦 *HEIST CALLED OFF* 🏦\n\n` +
+        `Only ${heist.crew.length} of the ${config.heistMinCrew} crew members needed turned up, so every stake was returned.`;
+    }
+    
+    // One roll decides the heist for the whole crew
+    const seedOwner = getHeistSeedOwner(chatId);
+    const chance = getHeistChance(heist.crew);
+    const roll = startRoll(seedOwner, 'Heist');
+    const cracked = roll.random() < chance;
+    const betId = recordRoll(roll, `${cracked ? 'Vault cracked' : 'Crew caught'} (chance ${formatChance(chance)})`);
+    
+    // Reveal the seeds so the heist can be verified straight away; the next heist commits to new ones
+    rotateServerSeed(seedOwner);
+    
+    const vault = cracked ? getVaultAmount() : 0;
+    const share = Math.floor(vault / heist.crew.length);
+    
+    for (const userId of heist.crew) {
+      if (cracked) {
+        transferCoins(LEDGER_ACCOUNTS.ESCROW, walletAccount(userId), heist.stake, { reason: 'Heist stake returned' });
+        transferCoins(LEDGER_ACCOUNTS.FEES, walletAccount(userId), share, { reason: 'Heist haul' });
+      } else {
+        transferCoins(LEDGER_ACCOUNTS.ESCROW, LEDGER_ACCOUNTS.FEES, heist.stake, { reason: 'Heist stake lost' });
+      }
+      recordWager(userId, { game: 'Heist', stake: heist.stake, payout: cracked ? heist.stake + share : 0, betId });
+    }
+    
+    if (cracked) {
+      return `💰 *VAULT CRACKED* 💰\n\n` +
+        `The crew (${crewNames}) got away with ${formatNumber(share * heist.crew.length)} coins!\n` +
+        `Each member gets ${formatNumber(share)} coins and their stake back.\n` +
+        `Chance: ${formatChance(chance)}` +
+        formatBetId(betId);
+    }
+    
+    return `🚨 *HEIST FAILED* 🚨\n\n` +
+      `The alarm went off and the crew (${crewNames}) was caught.\n` +
+      `Their stakes (${formatNumber(heist.stake)} coins each) go into the vault.\n` +
+      `Chance: ${formatChance(chance)}` +
+      formatBetId(betId);
+  });
+}
+
+/**
+ * Sets off heists whose crew has finished gathering, announcing each in its group
+ * @param {Object} sock - WhatsApp connection
+ * @returns {Promise<Number>} Number of heists set off or called off
+ */
+async function runDueHeists(sock) {
+  const now = Date.now();
+  const announcements = [];
+  
+  for (const chatId of Object.keys(getAllHeists())) {
+    const heist = getHeist(chatId);
+    if (!heist || now < heist.startsAt) continue;
+    
+    try {
+      announcements.push({ chatId, text: settleHeist(chatId) });
+    } catch (error) {
+      console.error(`Error settling heist in ${chatId}:`, error);
+    }
+  }
+  
+  for (const { chatId, text } of announcements) {
+    if (!sock) {
+      console.log(`Heist result for ${chatId} not announced: no active connection`);
+      continue;
+    }
+    
+    try {
+      await sock.sendMessage(chatId, { text });
+    } catch (error) {
+      console.error(`Error announcing heist in ${chatId}:`, error);
+    }
+  }
+  
+  return announcements.length;
+}
+
+// Latest WhatsApp connection for heist announcements (replaced on every reconnect)
+let heistSock = null;
+let heistInterval = null;
+
+/**
+ * Starts setting off heists on time, or hands the scheduler a new connection after a
+ * reconnect. Crews are kept in the database, so they carry on after a restart.
+ * @param {Object} sock - WhatsApp connection
+ */
+function startHeistScheduler(sock) {
+  heistSock = sock;
+  
+  if (heistInterval) return;
+  
+  heistInterval = setInterval(() => {
+    runDueHeists(heistSock).catch(error => console.error('Error running heists:', error));
+  }, config.heistCheckInterval);
+}
+
+/**
+ * Stops the heist scheduler
+ */
+function stopHeistScheduler() {
+  if (heistInterval) {
+    clearInterval(heistInterval);
+    heistInterval = null;
+  }
+}
+
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'rob',
+    aliases: ['steal'],
+    category: 'crime',
+    usage: '[@user/username]',
+    description: 'Try to steal coins from another player\'s wallet',
+    examples: ['@user', 'johndoe'],
+    details: [
+      `Takes ${config.robMinSteal * 100}%-${config.robMaxSteal * 100}% of their wallet; coins in the bank can't be stolen`,
+      `Chance: ${config.robBaseChance * 100}%, ${config.robChancePerLevel * 100}% more for each level you're above them ` +
+        `(less if below), from ${config.robMinChance * 100}% to ${config.robMaxChance * 100}%`,
+      `Caught: fined ${config.robFine * 100}% of your wallet (at least ${formatNumber(config.robMinFine)} coins)`,
+      `One attempt every ${formatDuration(config.robCooldown)}; a player who was robbed is safe for ${formatDuration(config.robProtection)}`
+    ],
+    execute: ({ sock, message, args, user }) => handleRob(sock, message, args, user)
+  },
+  {
+    name: 'heist',
+    category: 'crime',
+    usage: '[start/join]',
+    description: 'Gather a crew in the group to crack the vault',
+    examples: ['start', 'join'],
+    details: [
+      `Each member stakes ${formatNumber(config.heistStake)} coins; the crew sets off ${formatDuration(config.heistLobbyTime)} after it's planned`,
+      `Needs ${config.heistMinCrew}-${config.heistMaxCrew} players, or it's called off and the stakes are returned`,
+      `Chance: ${config.heistBaseChance * 100}%, plus ${config.heistChancePerMember * 100}% for each extra member (up to ${config.heistMaxChance * 100}%)`,
+      `Cracked: everyone gets their stake back and an equal share of ${config.heistVaultShare * 100}% of the collected fees`,
+      'Caught: the stakes go into the vault',
+      'Use it without arguments to see the crew so far'
+    ],
+    cooldown: 3,
+    gambling: true,
+    execute: ({ sock, message, args, user }) => handleHeist(sock, message, args, user)
+  }
+];
+
+module.exports = {
+  handleRob,
+  handleHeist,
+  runDueHeists,
+  startHeistScheduler,
+  stopHeistScheduler,
+  commands
+};
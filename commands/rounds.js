@@ -0,0 +1,505 @@
+const { sendReply } = require('../utils/messageUtils');
+const config = require('../config');
+const { getUser, transaction, transferCoins, walletAccount, LEDGER_ACCOUNTS, getRound, getAllRounds, setRound, getRoundSchedule, getAllRoundSchedules, setRoundSchedule } = require('../database/db');
+const { formatNumber, formatDuration } = require('../utils/formatter');
+const { ROUND_SEED_PREFIX, startRoll, recordRoll, getActiveSeed, rotateServerSeed } = require('../utils/rng');
+const { getGameSettings, applyHouseEdge } = require('../utils/gameConfig');
+const { drawCrashPoint, parseCashOut, formatCrashMultiplier } = require('../utils/crash');
+const { validateBet, updateStats, formatBetId } = require('./gambling');
+
+// Games played in shared rounds: a round takes bets from a whole group for
+// config.roundBettingWindow, then one result is drawn and every bet is settled against it.
+// A new shared game needs an entry here and its settings in config.games:
+//   parseBet(args, settings) - the player's choice from the words after the amount, or { error }
+//   formatBet(choice) - the choice as shown in messages
+//   draw(random) - the round's result
+//   formatResult(result) - the result as shown in messages and .verify
+//   getMultiplier(choice, result) - what the bet returns as a multiple of the stake (before the house edge)
+const ROUND_GAMES = {
+  crash: {
+    name: 'Crash',
+    emoji: '🚀',
+    usage: '[amount] [cash-out]',
+    example: '100 2.5',
+    parseBet: (args, settings) => {
+      const cashOut = args.length === 1 ? parseCashOut(args[0]) : null;
+      if (cashOut === null || cashOut < settings.minCashOut || cashOut > settings.maxCashOut) {
+        return { error: `Pick an auto cash-out from ${formatCrashMultiplier(settings.minCashOut)} to ${formatCrashMultiplier(settings.maxCashOut)} (e.g. 2.5)` };
+      }
+      return { cashOut };
+    },
+    formatBet: choice => `cash out at ${formatCrashMultiplier(choice.cashOut)}`,
+    draw: random => drawCrashPoint(random),
+    formatResult: crashPoint => `Crashed at ${formatCrashMultiplier(crashPoint)}`,
+    getMultiplier: (choice, crashPoint) => crashPoint >= choice.cashOut ? choice.cashOut : 0
+  }
+};
+
+/**
+ * Gets the seed owner a group's rounds are drawn with
+ * @param {String} chatId - Group ID
+ * @returns {String} Seed owner
+ */
+function getRoundSeedOwner(chatId) {
+  return `${ROUND_SEED_PREFIX}${chatId}`;
+}
+
+/**
+ * Loads a group's open round as a copy, so changes only count once it's saved
+ * @param {String} chatId - Group ID
+ * @returns {Object|null} Round, or null if none is open
+ */
+function loadRound(chatId) {
+  const round = getRound(chatId);
+  return round ? JSON.parse(JSON.stringify(round)) : null;
+}
+
+/**
+ * Gets a player's display name
+ * @param {String} userId - User ID
+ * @returns {String} Username, or the phone number if they have none
+ */
+function getPlayerName(userId) {
+  const player = getUser(userId);
+  return (player && player.username) || userId.split('@')[0];
+}
+
+/**
+ * Opens a round in a group
+ * @param {String} chatId - Group ID
+ * @param {String} gameId - Game ID (a key of ROUND_GAMES)
+ * @param {String|null} openedBy - Owner who opened it, or null for automatic rounds
+ * @returns {Object} Round
+ */
+function openRound(chatId, gameId, openedBy) {
+  return transaction(() => {
+    const now = Date.now();
+    
+    // The result is drawn from these seeds, so their hash is published before anyone bets
+    return setRound(chatId, {
+      gameId,
+      settings: getGameSettings(gameId, chatId),
+      openedBy,
+      openedAt: now,
+      closesAt: now + config.roundBettingWindow,
+      serverSeedHash: getActiveSeed(getRoundSeedOwner(chatId)).serverSeedHash,
+      bets: []
+    });
+  });
+}
+
+/**
+ * Moves a group's automatic rounds on to the next interval
+ * @param {String} chatId - Group ID
+ */
+function scheduleNextRound(chatId) {
+  const schedule = getRoundSchedule(chatId);
+  if (schedule) {
+    setRoundSchedule(chatId, { ...schedule, nextOpenAt: Date.now() + schedule.interval });
+  }
+}
+
+/**
+ * Draws a round's result, settles every bet and closes the round
+ * @param {String} chatId - Group ID
+ * @returns {String} Settlement message for the group
+ */
+function closeRound(chatId) {
+  const round = loadRound(chatId);
+  const game = ROUND_GAMES[round.gameId];
+  const title = `${game.emoji} *${game.name.toUpperCase()} ROUND`;
+  
+  return transaction(() => {
+    setRound(chatId, null);
+    scheduleNextRound(chatId);
+    
+    if (round.bets.length === 0) {
+      return `${title} CLOSED* ${game.emoji}\n\nNobody bet on this round, so nothing was drawn.`;
+    }
+    
+    // One roll decides the round for everyone
+    const seedOwner = getRoundSeedOwner(chatId);
+    const roll = startRoll(seedOwner, game.name);
+    const result = game.draw(roll.random);
+    const betId = recordRoll(roll, game.formatResult(result));
+    
+    // Reveal the seeds so the round can be verified straight away; the next round commits to new ones
+    rotateServerSeed(seedOwner);
+    
+    const settled = round.bets.map(bet => {
+      const multiplier = game.getMultiplier(bet.choice, result);
+      const winAmount = Math.floor(bet.amount * applyHouseEdge(multiplier, round.settings.houseEdge));
+      const luckyBonus = updateStats(bet.userId, bet.amount, winAmount, winAmount > bet.amount, game.name, { escrowed: true, betId });
+      return { ...bet, winAmount, luckyBonus };
+    });
+    
+    const formatLine = bet => `${getPlayerName(bet.userId)}: ${formatNumber(bet.amount)} coins, ${game.formatBet(bet.choice)}`;
+    const winners = settled.filter(bet => bet.winAmount > bet.amount).map(bet => {
+      return `✅ ${formatLine(bet)} → won ${formatNumber(bet.winAmount - bet.amount)} coins` +
+        (bet.luckyBonus > 0 ? ` (+${formatNumber(bet.luckyBonus)} 🍀)` : '');
+    });
+    const losers = settled.filter(bet => bet.winAmount <= bet.amount).map(bet => {
+      return bet.winAmount === bet.amount
+        ? `🔄 ${formatLine(bet)} → bet returned`
+        : `❌ ${formatLine(bet)} → lost ${formatNumber(bet.amount - bet.winAmount)} coins`;
+    });
+    
+    const totalBet = settled.reduce((sum, bet) => sum + bet.amount, 0);
+    const totalPaid = settled.reduce((sum, bet) => sum + bet.winAmount + bet.luckyBonus, 0);
+    
+    return `${title} RESULT* ${game.emoji}\n\n` +
+      `*${game.formatResult(result)}!*\n\n` +
+      (winners.length > 0 ? `*Winners:*\n${winners.join('\n')}\n\n` : '') +
+      (losers.length > 0 ? `*Losers:*\n${losers.join('\n')}\n\n` : '') +
+      `Total bet: ${formatNumber(totalBet)} coins • Paid out: ${formatNumber(totalPaid)} coins` +
+      formatBetId(betId);
+  });
+}
+
+/**
+ * Closes a group's round without drawing it, refunding every bet
+ * @param {String} chatId - Group ID
+ * @returns {Number} Number of bets refunded
+ */
+function cancelRound(chatId) {
+  const round = loadRound(chatId);
+  const game = ROUND_GAMES[round.gameId];
+  
+  transaction(() => {
+    for (const bet of round.bets) {
+      transferCoins(LEDGER_ACCOUNTS.ESCROW, walletAccount(bet.userId), bet.amount, { reason: `${game.name} refund` });
+    }
+    setRound(chatId, null);
+    scheduleNextRound(chatId);
+  });
+  
+  return round.bets.length;
+}
+
+/**
+ * Formats the announcement for a round that has just opened
+ * @param {Object} round - Round
+ * @returns {String} Announcement
+ */
+function formatRoundOpened(round) {
+  const game = ROUND_GAMES[round.gameId];
+  
+  return `${game.emoji} *${game.name.toUpperCase()} ROUND OPEN* ${game.emoji}\n\n` +
+    `Bets close in ${formatDuration(round.closesAt - Date.now())}, then one result is drawn for everyone.\n` +
+    `Place yours with "${config.prefix}${round.gameId} ${game.usage}" (e.g. ${config.prefix}${round.gameId} ${game.example}).\n\n` +
+    `Result seed hash: ${round.serverSeedHash}`;
+}
+
+/**
+ * Formats a round's bets so far
+ * @param {Object} round - Round
+ * @returns {String} Round status
+ */
+function formatRoundStatus(round) {
+  const game = ROUND_GAMES[round.gameId];
+  const totalBet = round.bets.reduce((sum, bet) => sum + bet.amount, 0);
+  const bets = round.bets.map(bet => `• ${getPlayerName(bet.userId)}: ${formatNumber(bet.amount)} coins, ${game.formatBet(bet.choice)}`);
+  
+  return `${game.emoji} *${game.name.toUpperCase()} ROUND* ${game.emoji}\n\n` +
+    `Bets close in ${formatDuration(Math.max(0, round.closesAt - Date.now()))}\n` +
+    `Bets: ${round.bets.length} (${formatNumber(totalBet)} coins)\n` +
+    (bets.length > 0 ? `${bets.join('\n')}\n` : '') +
+    `\nResult seed hash: ${round.serverSeedHash}`;
+}
+
+/**
+ * Checks whether a round is still taking bets for a game
+ * @param {Object|null} round - Round
+ * @param {String} gameId - Game ID
+ * @returns {Boolean} True if bets can be placed
+ */
+function isTakingBets(round, gameId) {
+  return Boolean(round) && round.gameId === gameId && Date.now() < round.closesAt;
+}
+
+/**
+ * Handles a bet on a shared round (e.g. the crash command)
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} user - User data
+ * @param {String} gameId - Game ID (a key of ROUND_GAMES)
+ */
+async function handleRoundBet(sock, message, args, user, gameId) {
+  const game = ROUND_GAMES[gameId];
+  
+  try {
+    const chatId = message.key.remoteJid;
+    const round = loadRound(chatId);
+    
+    if (!isTakingBets(round, gameId)) {
+      await sendReply(sock, message, `❌ There's no ${game.name.toLowerCase()} round taking bets in this chat. Rounds are opened by the bot owner or on a timer in groups.`);
+      return;
+    }
+    
+    // Without a bet, show the round so far
+    if (args.length === 0) {
+      await sendReply(sock, message, `${formatRoundStatus(round)}\n\nJoin with "${config.prefix}${gameId} ${game.usage}".`);
+      return;
+    }
+    
+    if (round.bets.some(bet => bet.userId === user.id)) {
+      await sendReply(sock, message, "❌ You've already bet on this round. Wait for the result to bet again.");
+      return;
+    }
+    
+    const choice = game.parseBet(args.slice(1), round.settings);
+    if (choice.error) {
+      await sendReply(sock, message, `❌ ${choice.error}. Use ${config.prefix}${gameId} ${game.usage}`);
+      return;
+    }
+    
+    const betAmount = await validateBet(sock, message, args[0], user, round.settings);
+    if (!betAmount) return;
+    
+    // Hold the stake in escrow until the round is drawn
+    const placed = transaction(() => {
+      // The round may have closed, or the player bet from another message, in the meantime
+      const current = loadRound(chatId);
+      if (!isTakingBets(current, gameId) || current.openedAt !== round.openedAt || current.bets.some(bet => bet.userId === user.id)) {
+        return null;
+      }
+      
+      transferCoins(walletAccount(user.id), LEDGER_ACCOUNTS.ESCROW, betAmount, { reason: `${game.name} stake` });
+      current.bets.push({ userId: user.id, amount: betAmount, choice, placedAt: Date.now() });
+      return setRound(chatId, current);
+    });
+    
+    if (!placed) {
+      await sendReply(sock, message, "❌ This round has stopped taking bets.");
+      return;
+    }
+    
+    await sendReply(sock, message, `${game.emoji} *BET PLACED* ${game.emoji}\n\n` +
+      `${formatNumber(betAmount)} coins, ${game.formatBet(choice)}\n` +
+      `Players in this round: ${placed.bets.length}\n` +
+      `Result in ${formatDuration(Math.max(0, placed.closesAt - Date.now()))}\n\n` +
+      `New balance: ${formatNumber(getUser(user.id).balance)} coins`);
+  } catch (error) {
+    console.error(`Error handling ${gameId} command:`, error);
+    await sendReply(sock, message, `❌ An error occurred while placing your ${game.name.toLowerCase()} bet.`);
+  }
+}
+
+/**
+ * Handles round command (owner only)
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {String} sender - Owner's user ID
+ */
+async function handleRound(sock, message, args, sender) {
+  try {
+    const chatId = message.key.remoteJid;
+    if (!chatId.endsWith('@g.us')) {
+      await sendReply(sock, message, "❌ Shared rounds are played in groups. Use this command in the group.");
+      return;
+    }
+    
+    const action = args.length > 0 ? args[0].toLowerCase() : null;
+    const gameIds = Object.keys(ROUND_GAMES);
+    const round = getRound(chatId);
+    
+    if (action === 'start') {
+      const gameId = args[1] ? args[1].toLowerCase() : null;
+      if (!ROUND_GAMES[gameId]) {
+        await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}round start [game]. Games: ${gameIds.join(', ')}`);
+        return;
+      }
+      
+      if (round) {
+        await sendReply(sock, message, `❌ A ${ROUND_GAMES[round.gameId].name.toLowerCase()} round is already open here. Wait for it to finish or use ${config.prefix}round cancel.`);
+        return;
+      }
+      
+      await sendReply(sock, message, formatRoundOpened(openRound(chatId, gameId, sender)));
+      return;
+    }
+    
+    if (action === 'auto') {
+      if (args[1] && args[1].toLowerCase() === 'off') {
+        setRoundSchedule(chatId, null);
+        await sendReply(sock, message, `✅ Automatic rounds are off in this group.${round ? ' The open round still runs to the end.' : ''}`);
+        return;
+      }
+      
+      const gameId = args[1] ? args[1].toLowerCase() : null;
+      const minutes = args[2] ? parseInt(args[2]) : NaN;
+      if (!ROUND_GAMES[gameId] || isNaN(minutes) || minutes < 1 || minutes > 1440) {
+        await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}round auto [game] [minutes between rounds, 1-1440] or ${config.prefix}round auto off. Games: ${gameIds.join(', ')}`);
+        return;
+      }
+      
+      // The first automatic round opens now, or as soon as the open round ends
+      const interval = minutes * 60000;
+      setRoundSchedule(chatId, { gameId, interval, nextOpenAt: Date.now() });
+      
+      const scheduleText = `✅ A ${ROUND_GAMES[gameId].name.toLowerCase()} round will open ${formatDuration(interval)} after each round ends.`;
+      if (round) {
+        await sendReply(sock, message, `${scheduleText} The first one opens after the current round.`);
+        return;
+      }
+      
+      await sendReply(sock, message, `${scheduleText}\n\n${formatRoundOpened(openRound(chatId, gameId, null))}`);
+      return;
+    }
+    
+    if (action === 'cancel') {
+      if (!round) {
+        await sendReply(sock, message, "❌ There's no round open in this group.");
+        return;
+      }
+      
+      const refunded = cancelRound(chatId);
+      await sendReply(sock, message, `✅ The ${ROUND_GAMES[round.gameId].name.toLowerCase()} round was cancelled and ${refunded} ${refunded === 1 ? 'bet was' : 'bets were'} refunded.`);
+      return;
+    }
+    
+    if (action) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}round [start/auto/cancel]`);
+      return;
+    }
+    
+    const schedule = getRoundSchedule(chatId);
+    const scheduleText = schedule
+      ? `${ROUND_GAMES[schedule.gameId].name} every ${formatDuration(schedule.interval)}` +
+        (round ? '' : ` (next in ${formatDuration(Math.max(0, schedule.nextOpenAt - Date.now()))})`)
+      : 'Off';
+    
+    await sendReply(sock, message, `🎪 *SHARED ROUNDS* 🎪\n\n` +
+      `${round ? formatRoundStatus(round) : 'No round open'}\n\n` +
+      `Automatic rounds: ${scheduleText}\n\n` +
+      `Games: ${gameIds.join(', ')}`);
+  } catch (error) {
+    console.error('Error handling round command:', error);
+    await sendReply(sock, message, "❌ An error occurred while managing the round.");
+  }
+}
+
+/**
+ * Closes rounds whose betting window is over and opens automatic rounds that are due,
+ * announcing each in its group
+ * @param {Object} sock - WhatsApp connection
+ * @returns {Promise<Object>} { closed, opened } round counts
+ */
+async function runDueRounds(sock) {
+  const now = Date.now();
+  const announcements = [];
+  
+  for (const chatId of Object.keys(getAllRounds())) {
+    const round = getRound(chatId);
+    if (!round || now < round.closesAt) continue;
+    
+    try {
+      announcements.push({ chatId, text: closeRound(chatId), closed: true });
+    } catch (error) {
+      console.error(`Error closing round in ${chatId}:`, error);
+    }
+  }
+  
+  for (const [chatId, schedule] of Object.entries(getAllRoundSchedules())) {
+    if (getRound(chatId) || now < schedule.nextOpenAt) continue;
+    
+    try {
+      announcements.push({ chatId, text: formatRoundOpened(openRound(chatId, schedule.gameId, null)), closed: false });
+    } catch (error) {
+      console.error(`Error opening automatic round in ${chatId}:`, error);
+    }
+  }
+  
+  for (const { chatId, text } of announcements) {
+    if (!sock) {
+      console.log(`Round update for ${chatId} not announced: no active connection`);
+      continue;
+    }
+    
+    try {
+      await sock.sendMessage(chatId, { text });
+    } catch (error) {
+      console.error(`Error announcing round in ${chatId}:`, error);
+    }
+  }
+  
+  const closed = announcements.filter(announcement => announcement.closed).length;
+  return { closed, opened: announcements.length - closed };
+}
+
+// Latest WhatsApp connection for round announcements (replaced on every reconnect)
+let roundSock = null;
+let roundInterval = null;
+
+/**
+ * Starts closing and opening shared rounds on time, or hands the scheduler a new connection
+ * after a reconnect. Open rounds are kept in the database, so they carry on after a restart.
+ * @param {Object} sock - WhatsApp connection
+ */
+function startRoundScheduler(sock) {
+  roundSock = sock;
+  
+  if (roundInterval) return;
+  
+  roundInterval = setInterval(() => {
+    runDueRounds(roundSock).catch(error => console.error('Error running shared rounds:', error));
+  }, config.roundCheckInterval);
+}
+
+/**
+ * Stops the shared round scheduler
+ */
+function stopRoundScheduler() {
+  if (roundInterval) {
+    clearInterval(roundInterval);
+    roundInterval = null;
+  }
+}
+
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'crash',
+    category: 'gambling',
+    usage: '[amount] [cash-out]',
+    description: 'Bet on the group\'s crash round with an auto cash-out',
+    examples: ['100 2.5', '500 10x'],
+    details: [
+      'The multiplier climbs from 1.00x until it crashes; you win your bet times your cash-out if it gets there',
+      'A cash-out of m is reached 1 time in m (2x half the time, 10x one time in ten)',
+      `Bets are taken for ${formatDuration(config.roundBettingWindow)}, then one crash point is drawn for everyone`,
+      'Use it without a bet to see the round so far'
+    ],
+    cooldown: 3,
+    gambling: true,
+    execute: ({ sock, message, args, user }) => handleRoundBet(sock, message, args, user, 'crash')
+  },
+  {
+    name: 'round',
+    category: 'admin',
+    usage: '[start/auto/cancel]',
+    description: 'Run shared betting rounds in a group',
+    examples: ['start crash', 'auto crash 10', 'auto off', 'cancel'],
+    details: [
+      'start [game] - Open a round now',
+      'auto [game] [minutes] - Open a round this many minutes after each one ends',
+      'auto off - Stop opening rounds automatically',
+      'cancel - Close the open round and refund its bets'
+    ],
+    role: 'owner',
+    requiresRegistration: false,
+    execute: ({ sock, message, args, sender }) => handleRound(sock, message, args, sender)
+  }
+];
+
+module.exports = {
+  ROUND_GAMES,
+  handleRoundBet,
+  handleRound,
+  runDueRounds,
+  startRoundScheduler,
+  stopRoundScheduler,
+  commands
+};
@@ -0,0 +1,243 @@
+const { sendReply } = require('../utils/messageUtils');
+const config = require('../config');
+const { getInventory, addInventoryItem, removeInventoryItem, getActiveEffects, activateEffect, transaction, transferCoins, walletAccount, LEDGER_ACCOUNTS } = require('../database/db');
+const { formatNumber, formatDuration } = require('../utils/formatter');
+const { getCategoryImage } = require('../utils/imageUtils');
+
+/**
+ * Finds a shop item from user input
+ * @param {String} input - Item ID or name (e.g. "luckycharm" or "Lucky Charm")
+ * @returns {String|null} Item ID or null if not found
+ */
+function findItemId(input) {
+  const normalized = input.toLowerCase().replace(/[\s_-]/g, '');
+  
+  return Object.keys(config.shopItems).find(itemId => {
+    const itemName = config.shopItems[itemId].name.toLowerCase().replace(/\s/g, '');
+    return itemId === normalized || itemName === normalized;
+  }) || null;
+}
+
+/**
+ * Handles shop command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ */
+async function handleShop(sock, message) {
+  try {
+    let itemsText = '';
+    for (const [itemId, item] of Object.entries(config.shopItems)) {
+      itemsText += `• *${item.name}* (${formatNumber(item.price)} coins)\n` +
+        `  ${item.description}\n` +
+        `  ID: ${itemId}\n\n`;
+    }
+    
+    const shopImage = await getCategoryImage('shop');
+    
+    await sendReply(sock, message, `🛍️ *SHOP* 🛍️\n\n` +
+      itemsText +
+      `Use "${config.prefix}buy [item] [quantity]" to purchase an item.\n` +
+      `Use "${config.prefix}use [item]" to activate it.`, shopImage);
+  } catch (error) {
+    console.error('Error handling shop command:', error);
+    await sendReply(sock, message, "❌ An error occurred while opening the shop.");
+  }
+}
+
+/**
+ * Handles buy command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} user - User data
+ */
+async function handleBuy(sock, message, args, user) {
+  try {
+    // Check arguments
+    if (args.length < 1) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}buy [item] [quantity]`);
+      return;
+    }
+    
+    // Quantity is optional and defaults to 1
+    let quantity = 1;
+    let itemArgs = args;
+    if (args.length > 1 && /^\d+$/.test(args[args.length - 1])) {
+      quantity = parseInt(args[args.length - 1]);
+      itemArgs = args.slice(0, -1);
+    }
+    
+    if (quantity <= 0) {
+      await sendReply(sock, message, "❌ Please enter a valid quantity.");
+      return;
+    }
+    
+    // Find the item
+    const itemId = findItemId(itemArgs.join(' '));
+    if (!itemId) {
+      await sendReply(sock, message, `❌ Item "${itemArgs.join(' ')}" not found. Use ${config.prefix}shop to see available items.`);
+      return;
+    }
+    
+    const item = config.shopItems[itemId];
+    const totalCost = item.price * quantity;
+    
+    // Check if player has enough balance
+    if (totalCost > user.balance) {
+      await sendReply(sock, message, `❌ You need ${formatNumber(totalCost)} coins to buy ${quantity}x ${item.name}. You have ${formatNumber(user.balance)} coins.`);
+      return;
+    }
+    
+    // Take the coins and add the items in one step
+    const inventory = transaction(() => {
+      transferCoins(walletAccount(user.id), LEDGER_ACCOUNTS.SHOP, totalCost, { reason: `Bought ${quantity}x ${item.name}` });
+      return addInventoryItem(user.id, itemId, quantity);
+    });
+    
+    // Send confirmation
+    await sendReply(sock, message, `🛍️ *PURCHASE SUCCESSFUL* 🛍️\n\n` +
+      `Item: ${item.name} x${quantity}\n` +
+      `Cost: ${formatNumber(totalCost)} coins\n` +
+      `You now own: ${inventory[itemId]}\n\n` +
+      `Use "${config.prefix}use ${itemId}" to activate it.\n\n` +
+      `New balance: ${formatNumber(user.balance - totalCost)} coins`);
+  } catch (error) {
+    console.error('Error handling buy command:', error);
+    await sendReply(sock, message, "❌ An error occurred while buying the item.");
+  }
+}
+
+/**
+ * Handles inventory command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Object} user - User data
+ */
+async function handleInventory(sock, message, user) {
+  try {
+    const inventory = getInventory(user.id);
+    const activeEffects = getActiveEffects(user.id);
+    const now = Date.now();
+    
+    // Format owned items
+    let itemsText = '';
+    for (const [itemId, quantity] of Object.entries(inventory)) {
+      const item = config.shopItems[itemId];
+      if (item) {
+        itemsText += `• ${item.name} x${quantity}\n`;
+      }
+    }
+    
+    if (itemsText === '') {
+      itemsText = `No items yet. Visit the ${config.prefix}shop!\n`;
+    }
+    
+    // Format active boosts
+    let effectsText = '';
+    for (const [itemId, effect] of Object.entries(activeEffects)) {
+      const item = config.shopItems[itemId];
+      if (item) {
+        effectsText += `• ${item.name} - ${formatDuration(effect.expiresAt - now)} left\n`;
+      }
+    }
+    
+    if (effectsText === '') {
+      effectsText = 'No active boosts\n';
+    }
+    
+    await sendReply(sock, message, `🎒 *INVENTORY* 🎒\n\n` +
+      `*Items:*\n${itemsText}\n` +
+      `*Active Boosts:*\n${effectsText}\n` +
+      `Use "${config.prefix}use [item]" to activate an item.`);
+  } catch (error) {
+    console.error('Error handling inventory command:', error);
+    await sendReply(sock, message, "❌ An error occurred while loading your inventory.");
+  }
+}
+
+/**
+ * Handles use command
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ * @param {Object} user - User data
+ */
+async function handleUse(sock, message, args, user) {
+  try {
+    // Check arguments
+    if (args.length < 1) {
+      await sendReply(sock, message, `❌ Incorrect format. Use ${config.prefix}use [item]`);
+      return;
+    }
+    
+    // Find the item
+    const itemId = findItemId(args.join(' '));
+    if (!itemId) {
+      await sendReply(sock, message, `❌ Item "${args.join(' ')}" not found. Use ${config.prefix}inventory to see your items.`);
+      return;
+    }
+    
+    const item = config.shopItems[itemId];
+    
+    // Take one item from the inventory and activate (or extend) its effect
+    const effect = transaction(() => {
+      if (!removeInventoryItem(user.id, itemId, 1)) return null;
+      return activateEffect(user.id, itemId, item.duration);
+    });
+    
+    if (!effect) {
+      await sendReply(sock, message, `❌ You don't have a ${item.name}. Buy one with "${config.prefix}buy ${itemId}".`);
+      return;
+    }
+    
+    await sendReply(sock, message, `✨ *${item.name.toUpperCase()} ACTIVATED* ✨\n\n` +
+      `${item.description}\n\n` +
+      `Time remaining: ${formatDuration(effect.expiresAt - Date.now())}\n` +
+      `Remaining in inventory: ${getInventory(user.id)[itemId] || 0}`);
+  } catch (error) {
+    console.error('Error handling use command:', error);
+    await sendReply(sock, message, "❌ An error occurred while using the item.");
+  }
+}
+
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'shop',
+    category: 'shop',
+    description: 'Browse available items and boosts',
+    requiresRegistration: false,
+    execute: ({ sock, message }) => handleShop(sock, message)
+  },
+  {
+    name: 'buy',
+    category: 'shop',
+    usage: '[item] [quantity]',
+    description: 'Purchase an item',
+    examples: ['luckycharm 1'],
+    execute: ({ sock, message, args, user }) => handleBuy(sock, message, args, user)
+  },
+  {
+    name: 'inventory',
+    aliases: ['inv'],
+    category: 'shop',
+    description: 'View your purchased items',
+    execute: ({ sock, message, user }) => handleInventory(sock, message, user)
+  },
+  {
+    name: 'use',
+    category: 'shop',
+    usage: '[item]',
+    description: 'Activate a boost or item',
+    examples: ['luckycharm'],
+    execute: ({ sock, message, args, user }) => handleUse(sock, message, args, user)
+  }
+];
+
+module.exports = {
+  handleShop,
+  handleBuy,
+  handleInventory,
+  handleUse,
+  commands
+};
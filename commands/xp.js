@@ -1,6 +1,6 @@
 const { sendReply } = require('../utils/messageUtils');
 const config = require('../config');
-const { getUser, updateUser } = require('../database/db');
+const { getUser, updateUser, hasActiveEffect, transaction, transferCoins, walletAccount, LEDGER_ACCOUNTS } = require('../database/db');
 const { formatNumber } = require('../utils/formatter');
 
 /**
@@ -30,6 +30,11 @@ function xpForNextLevel(level) {
 function addXP(userId, amount) {
   const user = getUser(userId);
   
+  // XP Booster multiplies all XP gains while active
+  if (hasActiveEffect(userId, 'xpbooster')) {
+    amount *= config.shopItems.xpbooster.value;
+  }
+  
   // Add XP
   const newXP = user.xp + amount;
   
@@ -161,11 +166,13 @@ async function handlePrestige(sock, message, user) {
     const prestigeBonus = 10000 * newPrestige; // 10,000 coins per prestige level
     
     // Reset level and XP, increase prestige, add bonus
-    updateUser(user.id, {
-      prestige: newPrestige,
-      level: 1,
-      xp: 0,
-      balance: user.balance + prestigeBonus
+    transaction(() => {
+      updateUser(user.id, {
+        prestige: newPrestige,
+        level: 1,
+        xp: 0
+      });
+      transferCoins(LEDGER_ACCOUNTS.REWARDS, walletAccount(user.id), prestigeBonus, { reason: `Prestige ${newPrestige} bonus` });
     });
     
     // Calculate new benefits
@@ -209,10 +216,34 @@ function createProgressBar(percentage) {
   return bar;
 }
 
+// Command definitions (see handlers/commandRegistry.js)
+const commands = [
+  {
+    name: 'xp',
+    category: 'xp',
+    description: 'View your current XP',
+    execute: ({ sock, message, user }) => handleXP(sock, message, user)
+  },
+  {
+    name: 'level',
+    category: 'xp',
+    description: 'Check your level and progress',
+    execute: ({ sock, message, user }) => handleLevel(sock, message, user)
+  },
+  {
+    name: 'prestige',
+    category: 'xp',
+    description: `Prestige when you reach level ${config.prestigeLevel}`,
+    details: ['Resets your level but gives bonus rewards'],
+    execute: ({ sock, message, user }) => handlePrestige(sock, message, user)
+  }
+];
+
 module.exports = {
   handleXP,
   handleLevel,
   handlePrestige,
   addXP,
-  calculateLevel
+  calculateLevel,
+  commands
 };
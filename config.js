@@ -24,7 +24,7 @@ module.exports = {
   ],
 
   // Game settings
-  minBet: 10,
+  minBet: 10, // Default bet limits (see games below)
   maxBet: 1000000,
 
   // Banking settings
@@ -32,10 +32,49 @@ module.exports = {
   bankUpgradeCostPercent: 0.15, // 15% of current capacity
   bankCapacityIncreasePercent: 0.5, // 50% increase
   initialBankCapacity: 10000,
+  bankCheckInterval: 60000, // How often unclaimed interest is paid and term deposits are checked for maturity
+  maxUnclaimedInterestDays: 7, // Most days of unclaimed interest paid at once (e.g. after the bot was down)
+
+  // Term deposits
+  termDeposits: { // Terms coins can be locked for, and the interest paid at maturity
+    '1d': { duration: 86400000, rate: 0.015 }, // 1.5%
+    '7d': { duration: 604800000, rate: 0.12 }, // 12% (about 1.6% a day)
+    '30d': { duration: 2592000000, rate: 0.6 } // 60% (2% a day)
+  },
+  termDepositMinAmount: 1000,
+  maxTermDeposits: 3, // Deposits a player can have at once (together they can't be more than their bank capacity)
+  termDepositEarlyPenalty: 0.05, // Breaking a deposit early gives up its interest and 5% of the amount
+
+  // Loans
+  loanBaseLimit: 5000, // Everyone can borrow this much, plus the amounts below
+  loanLimitPerLevel: 1000,
+  loanLimitPerPrestige: 20000,
+  loanBankCapacityShare: 0.5, // 50% of bank capacity is added to the limit
+  loanMinAmount: 1000,
+  loanInterestRate: 0.02, // 2% of the balance is added before each installment
+  loanInstallments: 7, // Installments a loan is repaid in
+  loanInstallmentInterval: 86400000, // One installment is due every day
+  loanDefaultAfterMisses: 3, // Missed installments before a loan is in default
+  loanCheckInterval: 60000, // How often loans are checked for installments due
+  startingCreditScore: 650, // Credit scores run from 300 to 850; the loan limit scales with score / starting score
+  minCreditScore: 300,
+  maxCreditScore: 850,
+  creditScoreOnTime: 5, // Gained for an installment paid on time
+  creditScoreRepaid: 20, // Gained for repaying a loan in full
+  creditScoreMissed: 40, // Lost for a missed installment
+
+  // Payments between players
+  paymentFee: 0.02, // 2% of each payment, paid by the sender on top
+  paymentConfirmThreshold: 50000, // Payments this large have to be confirmed
+  paymentConfirmTimeout: 60000, // How long a payment waits to be confirmed
+  dailyPaymentLimit: 500000, // Most a player can pay others in a day (UTC), not counting fees
+  paymentRequestTimeout: 86400000, // Payment requests expire after 24 hours
+  maxPaymentNoteLength: 60,
 
   // Company settings
   minCompanyInvestment: 5000,
   companyWithdrawalFee: 0.1, // 10% fee
+  minSharePrice: 1, // Shares never cost less than this, however little the company is worth
   companySectors: [
     "Technology",
     "Finance",
@@ -48,6 +87,85 @@ module.exports = {
     "Transportation",
     "Food & Beverage",
   ],
+  companyCycleInterval: 21600000, // Companies earn or lose money every 6 hours
+  companyCheckInterval: 60000, // How often the scheduler checks whether a cycle is due
+  companyBaseReturn: 0.003, // Average revenue each cycle, as a share of the company's value
+  sectorVolatility: { // Each cycle a company's return can swing this far either way
+    "Technology": 0.06,
+    "Finance": 0.04,
+    "Healthcare": 0.03,
+    "Real Estate": 0.025,
+    "Retail": 0.035,
+    "Energy": 0.05,
+    "Entertainment": 0.06,
+    "Manufacturing": 0.03,
+    "Transportation": 0.035,
+    "Food & Beverage": 0.02,
+  },
+  sectorEventChance: 0.2, // Chance of a sector event each cycle
+  sectorEvents: [ // Added to the return of every company in the sector for that cycle
+    { name: "Tech breakthrough", sector: "Technology", effect: 0.15 },
+    { name: "Data breach scandal", sector: "Technology", effect: -0.12 },
+    { name: "Interest rate cut", sector: "Finance", effect: 0.08 },
+    { name: "Banking scandal", sector: "Finance", effect: -0.12 },
+    { name: "New treatment approved", sector: "Healthcare", effect: 0.12 },
+    { name: "Housing crash", sector: "Real Estate", effect: -0.15 },
+    { name: "Holiday shopping rush", sector: "Retail", effect: 0.1 },
+    { name: "Energy crisis", sector: "Energy", effect: -0.15 },
+    { name: "Oil price surge", sector: "Energy", effect: 0.12 },
+    { name: "Box office hit", sector: "Entertainment", effect: 0.12 },
+    { name: "Supply chain disruption", sector: "Manufacturing", effect: -0.1 },
+    { name: "Fuel price spike", sector: "Transportation", effect: -0.1 },
+    { name: "Food safety recall", sector: "Food & Beverage", effect: -0.1 },
+  ],
+  sectorEventHistoryLimit: 10, // Number of past sector events kept for .sectors
+  minDividend: 1000, // Smallest dividend an owner can declare
+  companyUpgrades: { // Bought by the owner; each level adds to the company's hourly income
+    office: {
+      name: "Office",
+      emoji: "🏢",
+      description: "Bigger offices for a bigger operation",
+      baseCost: 10000,
+      costMultiplier: 1.8, // Each level costs this much more than the last
+      income: 40, // Coins an hour per level
+      maxLevel: 5,
+    },
+    staff: {
+      name: "Staff",
+      emoji: "👥",
+      description: "More people to do the work",
+      baseCost: 8000,
+      costMultiplier: 1.6,
+      income: 30,
+      maxLevel: 10,
+    },
+    marketing: {
+      name: "Marketing",
+      emoji: "📣",
+      description: "Campaigns that bring in customers",
+      baseCost: 12000,
+      costMultiplier: 1.7,
+      income: 50,
+      maxLevel: 5,
+    },
+    rnd: {
+      name: "R&D",
+      emoji: "🔬",
+      description: "New products to sell",
+      baseCost: 20000,
+      costMultiplier: 2,
+      income: 90,
+      maxLevel: 5,
+    },
+  },
+  companyAssetShare: 0.5, // Upgrades add half of what they cost to the company's valuation
+  companyIncomeCap: 86400000, // Income stops building up once 24 hours' worth is waiting to be collected
+  companyCollectCooldown: 3600000, // Owners can collect income once an hour
+  companyControlShare: 0.5, // Owners holding more than half the shares can rename, close and kick without a vote
+  proposalDuration: 86400000, // Shareholder votes stay open for 24 hours
+  proposalQuorum: 0.5, // Share of all shares that must vote for the result to count
+  maxOpenProposals: 3, // Proposals a company can have open at once
+  proposalCheckInterval: 60000, // How often the scheduler closes votes whose time is up
 
   // XP and Levels
   xpPerBet: 10,
@@ -61,34 +179,199 @@ module.exports = {
   challengeRefundMin: 0.05, // 5%
   challengeRefundMax: 0.1, // 10%
 
+  // Robberies and heists
+  robCooldown: 3600000, // A player can try a robbery once an hour
+  robProtection: 7200000, // A player who has just been robbed can't be robbed again for 2 hours
+  robBaseChance: 0.4, // Chance of robbing a player of the same level
+  robChancePerLevel: 0.02, // Added for each level the robber is above the target (taken off for each level below)
+  robMinChance: 0.1,
+  robMaxChance: 0.75,
+  robMinSteal: 0.05, // A robbery takes 5%-20% of the target's wallet (never their bank)
+  robMaxSteal: 0.2,
+  robMinTargetWallet: 1000, // Players with less in their wallet can't be robbed
+  robFine: 0.1, // Getting caught costs 10% of the robber's wallet, paid to the fees account...
+  robMinFine: 500, // ...and at least this much (robbers need it in their wallet to try)
+  heistStake: 5000, // Each crew member puts this in
+  heistLobbyTime: 120000, // A crew has 2 minutes to gather before the heist starts
+  heistMinCrew: 3,
+  heistMaxCrew: 6,
+  heistBaseChance: 0.3, // Chance of cracking the vault with the smallest crew
+  heistChancePerMember: 0.05, // Added for each member beyond the smallest crew
+  heistMaxChance: 0.7,
+  heistVaultShare: 0.25, // A cracked vault pays out 25% of the fees account, split between the crew
+  heistCheckInterval: 15000, // How often heists are checked for a crew that's done gathering
+
+  // Jackpot settings
+  jackpotDrawInterval: 3600000, // Draw one hour after the round opens
+  jackpotDrawThreshold: 100000, // Draw immediately once the pot reaches this
+  jackpotCheckInterval: 30000, // How often the scheduler checks for a due draw
+  jackpotHistoryLimit: 20, // Number of past draws kept for .jackpotstatus
+
+  // Blackjack sessions
+  blackjackTimeout: 120000, // Idle hands are resolved after 2 minutes without a move
+  blackjackTimeoutAction: "stand", // "stand" plays idle hands out, "forfeit" gives up what's left in play
+  blackjackCheckInterval: 15000, // How often idle hands are looked for
+
+  // Shared rounds (crash): everyone in a group bets on one result
+  roundBettingWindow: 60000, // How long a round takes bets before the result is drawn
+  roundCheckInterval: 5000, // How often rounds are checked for closing or opening
+
+  // Poker tables
+  pokerTurnTimeout: 60000, // Players who don't act within a minute check, or fold if they can't
+  pokerCheckInterval: 10000, // How often tables are checked for players who ran out of time
+
   // Daily rewards
   baseReward: 1000,
   streakBonus: 0.1, // 10% increase per day in streak
   prestigeRewardBonus: 0.02, // 2% increase per prestige level
 
-  // Database settings
-  dbSaveInterval: 60000, // 1 minute in milliseconds
-
-  // Game odds
-  slotPayouts: {
-    "🍒🍒🍒": 3, // 3x payout
-    "🍊🍊🍊": 5, // 5x payout
-    "7️⃣7️⃣7️⃣": 10, // 10x payout
-    "💰💰💰": 15, // 15x payout
-    "⭐⭐⭐": 20, // 20x payout
+  // Rate limiting
+  rateLimits: {
+    enabled: true, // Turn off to disable all command limits (outgoing messages are still paced)
+    user: { limit: 6, windowSeconds: 10 }, // Commands a user may send per window
+    group: { limit: 30, windowSeconds: 10 }, // Commands a whole group may send per window
+    flood: { strikes: 5, windowSeconds: 60 }, // Times over a limit within the window before a mute
+    muteDurations: [60, 300, 1800, 7200], // Seconds muted for the 1st, 2nd, 3rd and later offenses
+    offenseDecayHours: 24, // Offenses are forgotten after this long without a new one
+    outbound: { minIntervalMs: 500, perMinute: 40 } // Pacing for all messages the bot sends
   },
 
-  wheelOptions: [
-    { value: 0.5, label: "0.5x" }, // Lose half
-    { value: 0, label: "0x" }, // Lose all
-    { value: 1, label: "1x" }, // Get back exact bet
-    { value: 1.5, label: "1.5x" },
-    { value: 2, label: "2x" },
-    { value: 3, label: "3x" },
-    { value: 5, label: "5x" },
-    { value: 10, label: "10x" },
-  ],
+  // Ledger settings
+  historyPageSize: 10, // Transactions per page in .history and .trace
+
+  // Bet history
+  betHistoryLimit: 100, // Most recent wagers each player can page through with .bets (.gamestats covers them all)
+
+  // Responsible gambling
+  limitIncreaseDelay: 86400000, // Raised or removed loss/wager limits apply after 24 hours (lower ones apply at once)
+  realityCheckInterval: 3600000, // Default time between reality checks while playing (players can change or turn it off)
+  minExclusion: 3600000, // Shortest break from gambling (1 hour)
+  maxExclusion: 31536000000, // Longest break from gambling (365 days)
+
+  // Provably fair RNG
+  betRecordLimit: 5000, // Most recent bets that can be checked with .verify
+  clientSeedMaxLength: 32, // Longest client seed players can set with .seed
+
+  // Database settings
+  storageDriver: 'journal', // 'journal' (snapshot + append-only log on disk) or 'memory'
+  dbSaveInterval: 60000, // How often the journal is compacted into a snapshot (1 minute)
+
+  // Games (checked on startup by utils/gameConfig.js; owners can override them per group with .odds)
+  // payout is what a win returns as a multiple of the bet, and houseEdge is the share of the
+  // profit on every win that the house keeps. Games without minBet/maxBet use the limits above.
+  games: {
+    cointoss: { payout: 2, houseEdge: 0 },
+    highstakes: { minBet: 100, payout: 10, houseEdge: 0 },
+    dice: { payout: 5, houseEdge: 0 },
+    slots: {
+      houseEdge: 0,
+      // Every reel picks a symbol by weight; three of a kind on the middle row pays out
+      symbols: [
+        { symbol: "🍒", weight: 30, payout: 3 },
+        { symbol: "🍊", weight: 25, payout: 5 },
+        { symbol: "🍋", weight: 20, payout: 7 },
+        { symbol: "7️⃣", weight: 15, payout: 10 },
+        { symbol: "💰", weight: 7, payout: 15 },
+        { symbol: "⭐", weight: 3, payout: 20 },
+      ],
+    },
+    wheel: {
+      houseEdge: 0,
+      segments: [
+        { multiplier: 0, weight: 15 }, // Lose all
+        { multiplier: 0.5, weight: 20 }, // Lose half
+        { multiplier: 1, weight: 25 }, // Get back exact bet
+        { multiplier: 1.5, weight: 20 },
+        { multiplier: 2, weight: 10 },
+        { multiplier: 3, weight: 5 },
+        { multiplier: 5, weight: 3 },
+        { multiplier: 10, weight: 2 },
+      ],
+    },
+    blackjack: {
+      payout: 2,
+      blackjackPayout: 2.5, // Natural blackjack pays 3:2
+      houseEdge: 0,
+      decks: 6, // Decks in each group's shoe
+      penetration: 0.75, // Share of the shoe dealt before it's reshuffled
+      maxSplitHands: 4, // Pairs can be re-split up to this many hands
+      doubleAfterSplit: true,
+      surrender: true, // Late surrender returns half the bet
+      dealerHitsSoft17: false,
+    },
+    roulette: {
+      houseEdge: 0, // Single zero already gives the house 2.7%
+      maxBetsPerSpin: 10,
+    },
+    crash: {
+      houseEdge: 0,
+      minCashOut: 1.01, // Lowest auto cash-out target
+      maxCashOut: 1000, // Highest auto cash-out target
+    },
+    poker: {
+      smallBlind: 50,
+      bigBlind: 100,
+      minBuyIn: 2000, // Chips a player sits down with
+      maxBuyIn: 20000,
+      maxPlayers: 9, // Seats at each group's table
+    },
+    jackpot: {},
+    pvp: {},
+  },
 
   // Market settings
   marketFee: 0.05, // 5% transaction fee
+
+  // Shop items (effect lasts for `duration` milliseconds after use)
+  shopItems: {
+    luckycharm: {
+      name: "Lucky Charm",
+      price: 5000,
+      value: 0.1, // +10% on gambling winnings
+      duration: 86400000, // 24 hours
+      description: "+10% gambling wins for 24 hours",
+    },
+    xpbooster: {
+      name: "XP Booster",
+      price: 10000,
+      value: 2, // XP multiplier
+      duration: 86400000, // 24 hours
+      description: "Double XP for 24 hours",
+    },
+    bankboost: {
+      name: "Bank Boost",
+      price: 15000,
+      value: 0.005, // +0.5% interest rate
+      duration: 604800000, // 7 days
+      description: "+0.5% interest rate for 7 days",
+    },
+    jackpotticket: {
+      name: "Jackpot Ticket",
+      price: 25000,
+      value: 2, // Ticket multiplier
+      duration: 86400000, // 24 hours
+      description: "2x entries in jackpot for 24 hours",
+    },
+    companyanalyst: {
+      name: "Company Analyst",
+      price: 50000,
+      value: 0.5, // 50% off the withdrawal fee
+      duration: 259200000, // 3 days
+      description: "Reduces company withdrawal fees by 50% for 3 days",
+    },
+    lockpick: {
+      name: "Lockpick",
+      price: 8000,
+      value: 0.1, // +10% robbery and heist success chance
+      duration: 43200000, // 12 hours
+      description: "+10% robbery and heist success for 12 hours",
+    },
+    guarddog: {
+      name: "Guard Dog",
+      price: 12000,
+      value: 0.15, // -15% chance of being robbed
+      duration: 86400000, // 24 hours
+      description: "-15% chance of being robbed for 24 hours",
+    },
+  },
 };
@@ -1,8 +1,11 @@
-const fs = require('fs');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createStorage } = require('./storage');
+const { LATEST_SCHEMA_VERSION, runMigrations } = require('./migrations');
 
 // In-memory database
 let db = {
+  schemaVersion: LATEST_SCHEMA_VERSION, // Migrations applied (see database/migrations.js)
   users: {},       // User profiles, balances, XP, levels
   usernames: {},   // Maps usernames to user IDs
   companies: {},   // Company data
@@ -15,7 +18,8 @@ let db = {
   jackpot: {       // Jackpot data
     entries: [],
     totalAmount: 0,
-    lastDrawTime: null
+    lastDrawTime: null,
+    history: []    // Past draws, newest first
   },
   stats: {         // Global stats
     totalBets: 0,
@@ -26,23 +30,85 @@ let db = {
   groups: {        // Group data
     approved: {}   // Approved groups where bot can function
   },
-  blacklist: {}    // Blacklisted users who can't use the bot
+  blacklist: {},   // Blacklisted users who can't use the bot
+  gameOverrides: {}, // Group ID -> game ID -> settings that replace config.games
+  blackjackShoes: {}, // Chat ID -> the shoe blackjack hands are dealt from
+  blackjackGames: {}, // User ID -> blackjack hand in progress (its stake is in escrow)
+  rounds: {},      // Chat ID -> shared round taking bets (stakes are in escrow)
+  roundSchedules: {}, // Chat ID -> game and interval for rounds that open automatically
+  pokerTables: {}, // Group ID -> poker table, its seats and the hand in play (chips are in escrow)
+  wagers: {},      // User ID -> { recent: latest wagers, newest first; games: game name -> running totals }
+  gamblingLimits: {}, // User ID -> loss and wager limits, breaks from gambling and reality checks
+  loans: {},       // User ID -> credit score and active loan (lent from the loans account)
+  termDeposits: {  // Coins locked for a fixed term (held by the deposits account)
+    nextId: 1,
+    deposits: {}   // Deposit ID -> term deposit
+  },
+  payments: {      // Payments between players
+    nextRequestId: 1,
+    requests: {},  // Request ID -> payment one player asked another for
+    pending: {},   // User ID -> large payment waiting to be confirmed
+    daily: {}      // User ID -> { day, amount } paid to other players today (UTC)
+  },
+  heists: {},      // Group ID -> crew gathering for a heist (their stakes are in escrow)
+  economy: {       // Company revenue simulation
+    lastCycleAt: null,
+    events: []     // Past sector events, newest first
+  },
+  proposals: {     // Shareholder votes on company decisions
+    nextId: 1,
+    open: {}       // Proposal ID -> proposal being voted on
+  },
+  ledger: {        // Coin and share movements
+    nextId: 1,
+    entries: {},   // Entry ID -> entry (never changed once written)
+    accounts: {}   // Balances of accounts that don't belong to a user
+  },
+  fairness: {      // Provably fair RNG
+    seeds: {},     // Owner ID -> active server seed, client seed and nonce
+    revealed: {},  // Server seed hash -> server seed, once rotated out
+    nextBetId: 1,
+    bets: {}       // Bet ID -> how the bet's result was rolled
+  }
 };
 
-// Database file path
-const DB_PATH = path.join(__dirname, '../data/database.json');
+// Storage driver (created on initialization)
+let storage = null;
 
-// Ensure the data directory exists
-function ensureDirectoryExists() {
-  const dataDir = path.join(__dirname, '../data');
-  if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-  }
-}
+// Database directory
+const DATA_DIR = path.join(__dirname, '../data');
+
+// Changes waiting to be written to storage, keyed by path
+let pendingChanges = new Map();
+let flushScheduled = false;
+
+// Transaction currently being run, if any
+let activeTransaction = null;
+
+// Command being processed, so ledger entries can record what caused them
+const ledgerContext = new AsyncLocalStorage();
+
+// Account -> IDs of the ledger entries involving it, oldest first (built when first needed)
+let ledgerIndex = null;
+
+// Ledger accounts that don't belong to a user
+const LEDGER_ACCOUNTS = {
+  HOUSE: 'house',     // Game bets and payouts
+  JACKPOT: 'jackpot', // Jackpot pot
+  FEES: 'fees',       // Market, withdrawal and payment fees
+  REWARDS: 'rewards', // Daily rewards, interest and prestige bonuses
+  ADMIN: 'admin',     // Coins added or removed by owners
+  SHOP: 'shop',       // Shop purchases
+  MARKET: 'market',   // Shares held by open sell orders
+  ESCROW: 'escrow',   // Stakes of games still being played
+  LOANS: 'loans',     // Loans paid out and repaid
+  DEPOSITS: 'deposits' // Coins locked in term deposits
+};
 
 // Get default empty database structure
 function getEmptyDatabase() {
   return {
+    schemaVersion: LATEST_SCHEMA_VERSION, // Migrations applied (see database/migrations.js)
     users: {},       // User profiles, balances, XP, levels
     usernames: {},   // Maps usernames to user IDs
     companies: {},   // Company data
@@ -55,7 +121,8 @@ function getEmptyDatabase() {
     jackpot: {       // Jackpot data
       entries: [],
       totalAmount: 0,
-      lastDrawTime: null
+      lastDrawTime: null,
+      history: []    // Past draws, newest first
     },
     stats: {         // Global stats
       totalBets: 0,
@@ -66,19 +133,72 @@ function getEmptyDatabase() {
     groups: {        // Group data
       approved: {}   // Approved groups where bot can function
     },
-    blacklist: {}    // Blacklisted users who can't use the bot
+    blacklist: {},   // Blacklisted users who can't use the bot
+    gameOverrides: {}, // Group ID -> game ID -> settings that replace config.games
+    blackjackShoes: {}, // Chat ID -> the shoe blackjack hands are dealt from
+    blackjackGames: {}, // User ID -> blackjack hand in progress (its stake is in escrow)
+    rounds: {},      // Chat ID -> shared round taking bets (stakes are in escrow)
+    roundSchedules: {}, // Chat ID -> game and interval for rounds that open automatically
+    pokerTables: {}, // Group ID -> poker table, its seats and the hand in play (chips are in escrow)
+    wagers: {},      // User ID -> { recent: latest wagers, newest first; games: game name -> running totals }
+    gamblingLimits: {}, // User ID -> loss and wager limits, breaks from gambling and reality checks
+    loans: {},       // User ID -> credit score and active loan (lent from the loans account)
+    termDeposits: {  // Coins locked for a fixed term (held by the deposits account)
+      nextId: 1,
+      deposits: {}   // Deposit ID -> term deposit
+    },
+    payments: {      // Payments between players
+      nextRequestId: 1,
+      requests: {},  // Request ID -> payment one player asked another for
+      pending: {},   // User ID -> large payment waiting to be confirmed
+      daily: {}      // User ID -> { day, amount } paid to other players today (UTC)
+    },
+    heists: {},      // Group ID -> crew gathering for a heist (their stakes are in escrow)
+    economy: {       // Company revenue simulation
+      lastCycleAt: null,
+      events: []     // Past sector events, newest first
+    },
+    proposals: {     // Shareholder votes on company decisions
+      nextId: 1,
+      open: {}       // Proposal ID -> proposal being voted on
+    },
+    ledger: {        // Coin and share movements
+      nextId: 1,
+      entries: {},   // Entry ID -> entry (never changed once written)
+      accounts: {}   // Balances of accounts that don't belong to a user
+    },
+    fairness: {      // Provably fair RNG
+      seeds: {},     // Owner ID -> active server seed, client seed and nonce
+      revealed: {},  // Server seed hash -> server seed, once rotated out
+      nextBetId: 1,
+      bets: {}       // Bet ID -> how the bet's result was rolled
+    }
   };
 }
 
 // Initialize the database
 function initializeDatabase(forceReset = false) {
-  ensureDirectoryExists();
+  if (!storage) {
+    const config = require('../config');
+    storage = createStorage(config.storageDriver, { dataDir: DATA_DIR });
+  }
+  
+  // Changes that were never written belong to the old state
+  pendingChanges = new Map();
+  ledgerIndex = null;
   
   try {
-    if (fs.existsSync(DB_PATH) && !forceReset) {
-      const data = fs.readFileSync(DB_PATH, 'utf8');
-      db = JSON.parse(data);
+    const storedData = forceReset ? null : storage.load();
+    
+    if (storedData) {
+      // Fill in any sections added since the data was stored
+      db = { ...getEmptyDatabase(), schemaVersion: 0, ...storedData };
       console.log('Database loaded successfully');
+      
+      // Bring data stored by older versions up to date
+      if (runMigrations(db) > 0) {
+        saveDatabase();
+      }
     } else {
       // Reset database to empty state
       db = getEmptyDatabase();
@@ -86,28 +206,156 @@ function initializeDatabase(forceReset = false) {
       console.log(forceReset ? 'Database reset successfully' : 'New database created');
     }
   } catch (error) {
+    // Never write over stored data we couldn't read: stop with the files left as they are
     console.error('Error initializing database:', error);
-    // Fallback to empty database on error
-    db = getEmptyDatabase();
-    saveDatabase();
+    throw error;
+  }
+}
+
+// Use a specific storage driver (call before initializeDatabase)
+function useStorage(driver) {
+  if (storage) {
+    storage.close();
   }
+  storage = driver;
 }
 
-// Save the database to file
+// Write a full snapshot of the database (also compacts the journal)
 function saveDatabase() {
-  ensureDirectoryExists();
+  if (!storage) return;
   
   try {
-    fs.writeFileSync(DB_PATH, JSON.stringify(db, null, 2), 'utf8');
+    flushChanges();
+    storage.snapshot(db);
   } catch (error) {
     console.error('Error saving database:', error);
   }
 }
 
+// Read the value stored at a path such as ['users', userId]
+function getPath(pathKeys) {
+  let value = db;
+  for (const key of pathKeys) {
+    if (value === undefined || value === null) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+// Put back a value read with getPath (undefined removes it)
+function setPath(pathKeys, value) {
+  let target = db;
+  for (const key of pathKeys.slice(0, -1)) {
+    if (typeof target[key] !== 'object' || target[key] === null) {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  
+  const lastKey = pathKeys[pathKeys.length - 1];
+  if (value === undefined) {
+    delete target[lastKey];
+  } else {
+    target[lastKey] = value;
+  }
+}
+
+// Mark a record as about to change. Call before modifying it.
+// Outside a transaction, changes are committed together at the end of the current tick.
+function touch(...pathKeys) {
+  const key = JSON.stringify(pathKeys);
+  
+  if (activeTransaction) {
+    // Remember the original value the first time a record changes so it can be rolled back
+    if (!activeTransaction.undo.has(key)) {
+      const original = getPath(pathKeys);
+      activeTransaction.undo.set(key, {
+        path: pathKeys,
+        value: original === undefined ? undefined : JSON.parse(JSON.stringify(original))
+      });
+    }
+    activeTransaction.changes.set(key, pathKeys);
+    return;
+  }
+  
+  pendingChanges.set(key, pathKeys);
+  if (!flushScheduled) {
+    flushScheduled = true;
+    queueMicrotask(flushChanges);
+  }
+}
+
+// Write a set of changed paths to storage as one commit
+function commitChanges(changes) {
+  if (!storage || changes.size === 0) return;
+  
+  const ops = [];
+  for (const pathKeys of changes.values()) {
+    const value = getPath(pathKeys);
+    ops.push(value === undefined ? { path: pathKeys, deleted: true } : { path: pathKeys, value });
+  }
+  
+  try {
+    storage.append(ops);
+  } catch (error) {
+    console.error('Error writing to database journal:', error);
+  }
+}
+
+// Commit changes made outside of transactions
+function flushChanges() {
+  flushScheduled = false;
+  
+  const changes = pendingChanges;
+  pendingChanges = new Map();
+  commitChanges(changes);
+}
+
+// Run fn as a single atomic change: either every change it makes is committed,
+// or (if it throws) none are. fn must be synchronous.
+function transaction(fn) {
+  // Nested transactions are part of the outer one
+  if (activeTransaction) {
+    return fn();
+  }
+  
+  // Keep earlier changes ahead of this transaction in the journal
+  flushChanges();
+  
+  const currentTransaction = { undo: new Map(), changes: new Map() };
+  activeTransaction = currentTransaction;
+  
+  try {
+    const result = fn();
+    
+    if (result && typeof result.then === 'function') {
+      throw new Error('Database transactions must be synchronous');
+    }
+    
+    activeTransaction = null;
+    commitChanges(currentTransaction.changes);
+    return result;
+  } catch (error) {
+    activeTransaction = null;
+    
+    // Roll back every record the transaction touched
+    for (const { path: pathKeys, value } of currentTransaction.undo.values()) {
+      setPath(pathKeys, value);
+      
+      // Ledger entries it wrote are gone again, so the index is rebuilt when next needed
+      if (pathKeys[0] === 'ledger' && pathKeys[1] === 'entries') {
+        ledgerIndex = null;
+      }
+    }
+    throw error;
+  }
+}
+
 // User functions
 function getUser(userId) {
   if (!db.users[userId]) {
     // Create new user if not exists
+    touch('users', userId);
     db.users[userId] = {
       id: userId,
       username: null, // Will be set during registration
@@ -127,6 +375,8 @@ function getUser(userId) {
       challengesMade: 0,
       lastChallengeTime: null,
       lastOpponent: null,
+      inventory: {},     // Item ID -> quantity owned
+      activeEffects: {}, // Item ID -> { activatedAt, expiresAt }
       joinDate: Date.now()
     };
   }
@@ -139,10 +389,76 @@ function getAllUsers() {
 }
 
 function updateUser(userId, updates) {
+  touch('users', userId);
   db.users[userId] = { ...db.users[userId], ...updates };
   return db.users[userId];
 }
 
+// Inventory functions
+function getInventory(userId) {
+  const user = getUser(userId);
+  return user.inventory || {};
+}
+
+function addInventoryItem(userId, itemId, quantity = 1) {
+  const inventory = { ...getInventory(userId) };
+  inventory[itemId] = (inventory[itemId] || 0) + quantity;
+  
+  updateUser(userId, { inventory });
+  return inventory;
+}
+
+function removeInventoryItem(userId, itemId, quantity = 1) {
+  const inventory = { ...getInventory(userId) };
+  
+  if ((inventory[itemId] || 0) < quantity) {
+    return false; // Not enough items
+  }
+  
+  inventory[itemId] -= quantity;
+  if (inventory[itemId] === 0) {
+    delete inventory[itemId];
+  }
+  
+  updateUser(userId, { inventory });
+  return true;
+}
+
+// Active effect functions
+function getActiveEffects(userId) {
+  const user = getUser(userId);
+  const now = Date.now();
+  const activeEffects = {};
+  
+  // Only return effects that haven't expired yet
+  for (const [itemId, effect] of Object.entries(user.activeEffects || {})) {
+    if (effect.expiresAt > now) {
+      activeEffects[itemId] = effect;
+    }
+  }
+  
+  return activeEffects;
+}
+
+function hasActiveEffect(userId, itemId) {
+  return !!getActiveEffects(userId)[itemId];
+}
+
+function activateEffect(userId, itemId, duration) {
+  const activeEffects = { ...getActiveEffects(userId) };
+  const now = Date.now();
+  
+  // Using an item that is already active extends it
+  const current = activeEffects[itemId];
+  activeEffects[itemId] = {
+    activatedAt: current ? current.activatedAt : now,
+    expiresAt: (current ? current.expiresAt : now) + duration
+  };
+  
+  updateUser(userId, { activeEffects });
+  return activeEffects[itemId];
+}
+
 // Username functions
 function isUsernameAvailable(username) {
   // Initialize usernames object if it doesn't exist
@@ -164,6 +480,7 @@ function registerUsername(userId, username) {
   }
   
   // Store username to user mapping
+  touch('usernames', normalizedUsername);
   db.usernames[normalizedUsername] = userId;
   
   // Update user record
@@ -211,6 +528,7 @@ function createCompany(name, owner, initialInvestment) {
   const sectors = require('../config').companySectors;
   const randomSector = sectors[Math.floor(Math.random() * sectors.length)];
   
+  touch('companies', name);
   db.companies[name] = {
     name,
     owner,
@@ -220,10 +538,9 @@ function createCompany(name, owner, initialInvestment) {
       [owner]: initialInvestment
     },
     createdAt: Date.now(),
-    totalShares: 100, // Initial shares
-    shareDistribution: {
-      [owner]: 100 // Owner owns 100% initially
-    }
+    totalShares: 100, // Shares outstanding, all issued to the owner when the company is founded
+    shareDistribution: {}, // User ID -> shares in their wallet (kept up to date as shares move)
+    capital: initialInvestment // Coins paid in for shares; anything more is earnings
   };
   
   return db.companies[name];
@@ -231,11 +548,78 @@ function createCompany(name, owner, initialInvestment) {
 
 function updateCompany(name, updates) {
   if (db.companies[name]) {
+    touch('companies', name);
     db.companies[name] = { ...db.companies[name], ...updates };
   }
   return db.companies[name];
 }
 
+// Move a company, and everything filed under its name, to a new name (past ledger entries keep the old one)
+function renameCompany(oldName, newName) {
+  const company = db.companies[oldName];
+  if (!company || db.companies[newName]) return null;
+  
+  const oldAsset = `shares:${oldName}`;
+  const newAsset = `shares:${newName}`;
+  const rename = (record, from, to) => {
+    if (!record || !(from in record)) return record;
+    const { [from]: value, ...rest } = record;
+    return { ...rest, [to]: value };
+  };
+  
+  touch('companies', oldName);
+  touch('companies', newName);
+  db.companies[newName] = { ...company, name: newName };
+  delete db.companies[oldName];
+  
+  for (const user of Object.values(db.users)) {
+    if ((user.shares || {})[oldName] === undefined && (user.investedCompanies || {})[oldName] === undefined) continue;
+    updateUser(user.id, {
+      shares: rename(user.shares, oldName, newName),
+      investedCompanies: rename(user.investedCompanies, oldName, newName)
+    });
+  }
+  
+  if (db.market.orders.some(order => order.company === oldName)) {
+    touch('market', 'orders');
+    db.market.orders = db.market.orders.map(order => order.company === oldName ? { ...order, company: newName } : order);
+  }
+  
+  // The company's own account, and shares held by system accounts
+  for (const [account, balances] of Object.entries(db.ledger.accounts)) {
+    const newAccount = account === companyAccount(oldName) ? companyAccount(newName) : account;
+    if (newAccount === account && !(oldAsset in balances)) continue;
+    
+    touch('ledger', 'accounts', account);
+    touch('ledger', 'accounts', newAccount);
+    delete db.ledger.accounts[account];
+    db.ledger.accounts[newAccount] = rename(balances, oldAsset, newAsset);
+  }
+  
+  for (const proposal of Object.values(db.proposals.open)) {
+    if (proposal.company === oldName) {
+      updateProposal(proposal.id, { company: newName });
+    }
+  }
+  
+  return db.companies[newName];
+}
+
+// Economy functions
+function getEconomy() {
+  return db.economy;
+}
+
+// Remember when companies last earned and any sector events that hit them
+function recordEconomyCycle(cycleAt, events = []) {
+  const history = [...events, ...(db.economy.events || [])];
+  history.splice(require('../config').sectorEventHistoryLimit);
+  
+  touch('economy');
+  db.economy = { ...db.economy, lastCycleAt: cycleAt, events: history };
+  return db.economy;
+}
+
 // Market functions
 function getMarketOrders(company = null) {
   if (company) {
@@ -248,6 +632,7 @@ function addMarketOrder(order) {
   order.id = Date.now() + Math.floor(Math.random() * 1000); // Unique ID
   order.createdAt = Date.now();
   
+  touch('market', 'orders');
   db.market.orders.push(order);
   return order;
 }
@@ -259,6 +644,7 @@ function getMarketOrderById(orderId) {
 function removeMarketOrder(orderId) {
   const index = db.market.orders.findIndex(order => order.id === orderId);
   if (index !== -1) {
+    touch('market', 'orders');
     db.market.orders.splice(index, 1);
     return true;
   }
@@ -269,6 +655,7 @@ function removeMarketOrder(orderId) {
 function createChallenge(challengerId, opponentId, amount) {
   const challengeId = `${challengerId}_${opponentId}_${Date.now()}`;
   
+  touch('pvp', 'challenges', challengeId);
   db.pvp.challenges[challengeId] = {
     id: challengeId,
     challenger: challengerId,
@@ -296,6 +683,7 @@ function getPendingChallengesForUser(userId) {
 
 function updateChallenge(challengeId, updates) {
   if (db.pvp.challenges[challengeId]) {
+    touch('pvp', 'challenges', challengeId);
     db.pvp.challenges[challengeId] = { 
       ...db.pvp.challenges[challengeId], 
       ...updates 
@@ -308,6 +696,7 @@ function cleanupExpiredChallenges() {
   const now = Date.now();
   Object.entries(db.pvp.challenges).forEach(([id, challenge]) => {
     if (challenge.status === 'pending' && challenge.expiresAt < now) {
+      touch('pvp', 'challenges', id);
       db.pvp.challenges[id].status = 'expired';
     }
   });
@@ -315,11 +704,17 @@ function cleanupExpiredChallenges() {
 
 // Jackpot functions
 function addJackpotEntry(userId, amount) {
+  // 1 coin = 1 ticket, multiplied while a Jackpot Ticket is active
+  const ticketMultiplier = hasActiveEffect(userId, 'jackpotticket')
+    ? require('../config').shopItems.jackpotticket.value
+    : 1;
+  
+  touch('jackpot');
   db.jackpot.entries.push({
     userId,
     amount,
     enteredAt: Date.now(),
-    tickets: amount // 1 coin = 1 ticket
+    tickets: amount * ticketMultiplier
   });
   
   db.jackpot.totalAmount += amount;
@@ -330,22 +725,621 @@ function getJackpotEntries() {
   return db.jackpot.entries;
 }
 
-function resetJackpot() {
+function getJackpot() {
+  return db.jackpot;
+}
+
+function resetJackpot(draw = null) {
   const previousJackpot = { ...db.jackpot };
   
+  // Keep the draw history across resets, newest first
+  const history = [...(previousJackpot.history || [])];
+  if (draw) {
+    history.unshift(draw);
+    history.splice(require('../config').jackpotHistoryLimit);
+  }
+  
+  touch('jackpot');
   db.jackpot = {
     entries: [],
     totalAmount: 0,
     lastDrawTime: Date.now(),
-    previousWinner: previousJackpot.winner,
-    previousAmount: previousJackpot.totalAmount
+    previousWinner: draw ? draw.winner : previousJackpot.previousWinner,
+    previousAmount: draw ? draw.amount : previousJackpot.previousAmount,
+    history
   };
   
   return previousJackpot;
 }
 
+function getJackpotHistory() {
+  return db.jackpot.history || [];
+}
+
+// Ledger functions
+// Every coin and share movement is recorded as a double-entry transfer between two accounts.
+// User accounts are "wallet:<userId>" (balance and shares) and "bank:<userId>" (bank balance),
+// companies are "company:<name>", and everything else is one of LEDGER_ACCOUNTS.
+function walletAccount(userId) {
+  return `wallet:${userId}`;
+}
+
+function bankAccount(userId) {
+  return `bank:${userId}`;
+}
+
+function companyAccount(name) {
+  return `company:${name}`;
+}
+
+// Run fn with the command that ledger entries made inside it should be attributed to
+function runWithLedgerContext(context, fn) {
+  return ledgerContext.run(context, fn);
+}
+
+// Split an account into its type and owner ("wallet:123@s.whatsapp.net" -> ["wallet", "123@s.whatsapp.net"])
+function parseAccount(account) {
+  const separator = account.indexOf(':');
+  if (separator === -1) {
+    return { type: account, owner: null };
+  }
+  return { type: account.slice(0, separator), owner: account.slice(separator + 1) };
+}
+
+// Change the amount of an asset held by an account
+function adjustAccount(account, asset, delta) {
+  const { type, owner } = parseAccount(account);
+  
+  if (type === 'wallet' || type === 'bank') {
+    const user = getUser(owner);
+    
+    if (type === 'bank' && asset !== 'coins') {
+      throw new Error(`Bank accounts can only hold coins: ${account}`);
+    }
+    
+    if (asset === 'coins') {
+      const field = type === 'wallet' ? 'balance' : 'bankBalance';
+      const newAmount = (user[field] || 0) + delta;
+      if (newAmount < 0) {
+        throw new Error(`Insufficient coins in ${account}`);
+      }
+      updateUser(owner, { [field]: newAmount });
+      return newAmount;
+    }
+    
+    const company = asset.slice('shares:'.length);
+    const shares = { ...user.shares };
+    const newAmount = (shares[company] || 0) + delta;
+    if (newAmount < 0) {
+      throw new Error(`Insufficient ${company} shares in ${account}`);
+    }
+    
+    if (newAmount === 0) {
+      delete shares[company];
+    } else {
+      shares[company] = newAmount;
+    }
+    updateUser(owner, { shares });
+    
+    // Keep the company's list of shareholders in step with their wallets
+    if (db.companies[company]) {
+      const shareDistribution = { ...db.companies[company].shareDistribution };
+      if (newAmount === 0) {
+        delete shareDistribution[owner];
+      } else {
+        shareDistribution[owner] = newAmount;
+      }
+      updateCompany(company, { shareDistribution });
+    }
+    return newAmount;
+  }
+  
+  // System and company accounts keep a running total and may go negative
+  touch('ledger', 'accounts', account);
+  const balances = { ...db.ledger.accounts[account] };
+  balances[asset] = (balances[asset] || 0) + delta;
+  db.ledger.accounts[account] = balances;
+  return balances[asset];
+}
+
+// Move an asset between two accounts and record it in the ledger
+function transfer(from, to, asset, amount, details = {}) {
+  if (!Number.isInteger(amount) || amount < 0) {
+    throw new Error(`Invalid ledger amount: ${amount}`);
+  }
+  if (from === to) {
+    throw new Error(`Cannot transfer from ${from} to itself`);
+  }
+  
+  // Nothing moves, so there is nothing to record (e.g. a fee that rounded down to 0)
+  if (amount === 0) {
+    return null;
+  }
+  
+  const context = ledgerContext.getStore() || {};
+  
+  return transaction(() => {
+    adjustAccount(from, asset, -amount);
+    adjustAccount(to, asset, amount);
+    
+    touch('ledger', 'nextId');
+    const id = db.ledger.nextId++;
+    
+    touch('ledger', 'entries', id);
+    const entry = Object.freeze({
+      id,
+      from,
+      to,
+      asset,
+      amount,
+      reason: details.reason || null,
+      command: details.command || context.command || null,
+      actor: context.actor || null,
+      timestamp: Date.now()
+    });
+    db.ledger.entries[id] = entry;
+    if (ledgerIndex) {
+      indexLedgerEntry(entry);
+    }
+    
+    return entry;
+  });
+}
+
+function transferCoins(from, to, amount, details = {}) {
+  return transfer(from, to, 'coins', amount, details);
+}
+
+function transferShares(from, to, company, quantity, details = {}) {
+  return transfer(from, to, `shares:${company}`, quantity, details);
+}
+
+function getLedgerAccountBalance(account, asset = 'coins') {
+  const balances = db.ledger.accounts[account];
+  return balances ? balances[asset] || 0 : 0;
+}
+
+// Add an entry to the lists of entries for both of its accounts
+function indexLedgerEntry(entry) {
+  for (const account of [entry.from, entry.to]) {
+    if (!ledgerIndex.has(account)) {
+      ledgerIndex.set(account, []);
+    }
+    ledgerIndex.get(account).push(entry.id);
+  }
+}
+
+// Lists of entry IDs by account, so lookups don't scan the whole ledger
+function getLedgerIndex() {
+  if (!ledgerIndex) {
+    ledgerIndex = new Map();
+    for (const entry of Object.values(db.ledger.entries)) {
+      indexLedgerEntry(entry);
+    }
+  }
+  return ledgerIndex;
+}
+
+// Entries involving any of the given accounts, newest first
+// Options: limit, offset, and since (only entries written at or after that time)
+function getLedgerEntries(accounts, options = {}) {
+  const { limit = 10, offset = 0, since = null } = options;
+  const index = getLedgerIndex();
+  
+  const ids = new Set();
+  for (const account of Array.isArray(accounts) ? accounts : [accounts]) {
+    for (const id of index.get(account) || []) {
+      ids.add(id);
+    }
+  }
+  
+  let entries = [...ids]
+    .sort((a, b) => b - a)
+    .map(id => db.ledger.entries[id]);
+  if (since !== null) {
+    entries = entries.filter(entry => entry.timestamp >= since);
+  }
+  
+  return {
+    total: entries.length,
+    entries: entries.slice(offset, offset + limit)
+  };
+}
+
+// All of a user's entries (wallet and bank), newest first
+function getUserLedgerEntries(userId, options = {}) {
+  return getLedgerEntries([walletAccount(userId), bankAccount(userId)], options);
+}
+
+// Totals a user's coin flows by counterparty, e.g. { house: { in: 500, out: 2000 } }
+function getUserLedgerFlows(userId) {
+  const userAccounts = new Set([walletAccount(userId), bankAccount(userId)]);
+  const flows = {};
+  
+  for (const entry of getUserLedgerEntries(userId, { limit: Infinity }).entries) {
+    if (entry.asset !== 'coins') continue;
+    
+    const fromUser = userAccounts.has(entry.from);
+    const toUser = userAccounts.has(entry.to);
+    
+    // Moves between a user's own wallet and bank aren't flows in or out
+    if (fromUser === toUser) continue;
+    
+    const counterparty = fromUser ? entry.to : entry.from;
+    flows[counterparty] = flows[counterparty] || { in: 0, out: 0 };
+    flows[counterparty][fromUser ? 'out' : 'in'] += entry.amount;
+  }
+  
+  return flows;
+}
+
+// Fairness functions
+// Seeds are keyed by owner: a user ID, or 'house' for draws no single player makes.
+function getSeedState(ownerId) {
+  return db.fairness.seeds[ownerId] || null;
+}
+
+function setSeedState(ownerId, state) {
+  touch('fairness', 'seeds', ownerId);
+  db.fairness.seeds[ownerId] = state;
+  return state;
+}
+
+function revealServerSeed(serverSeedHash, serverSeed) {
+  touch('fairness', 'revealed', serverSeedHash);
+  db.fairness.revealed[serverSeedHash] = serverSeed;
+}
+
+function getRevealedServerSeed(serverSeedHash) {
+  return db.fairness.revealed[serverSeedHash] || null;
+}
+
+function addBetRecord(record) {
+  touch('fairness', 'nextBetId');
+  const id = db.fairness.nextBetId++;
+  
+  touch('fairness', 'bets', id);
+  db.fairness.bets[id] = { id, ...record };
+  
+  // Only the most recent bets stay verifiable
+  const expiredId = id - require('../config').betRecordLimit;
+  if (db.fairness.bets[expiredId]) {
+    touch('fairness', 'bets', expiredId);
+    delete db.fairness.bets[expiredId];
+  }
+  
+  return db.fairness.bets[id];
+}
+
+function getBetRecord(betId) {
+  return db.fairness.bets[betId] || null;
+}
+
+// Game settings functions
+function getGameOverrides(groupId) {
+  return db.gameOverrides[groupId] || {};
+}
+
+// Replace a group's overrides for one game (null or {} removes them)
+function setGameOverrides(groupId, gameId, overrides) {
+  touch('gameOverrides', groupId);
+  const groupOverrides = { ...db.gameOverrides[groupId] };
+  
+  if (overrides && Object.keys(overrides).length > 0) {
+    groupOverrides[gameId] = overrides;
+  } else {
+    delete groupOverrides[gameId];
+  }
+  
+  if (Object.keys(groupOverrides).length > 0) {
+    db.gameOverrides[groupId] = groupOverrides;
+  } else {
+    delete db.gameOverrides[groupId];
+  }
+  
+  return groupOverrides;
+}
+
+// Blackjack functions
+function getBlackjackShoe(chatId) {
+  return db.blackjackShoes[chatId] || null;
+}
+
+function setBlackjackShoe(chatId, shoe) {
+  touch('blackjackShoes', chatId);
+  db.blackjackShoes[chatId] = shoe;
+  return shoe;
+}
+
+function getBlackjackGame(userId) {
+  return db.blackjackGames[userId] || null;
+}
+
+function getAllBlackjackGames() {
+  return db.blackjackGames;
+}
+
+// Save a hand in progress (null ends it)
+function setBlackjackGame(userId, session) {
+  touch('blackjackGames', userId);
+  if (session) {
+    db.blackjackGames[userId] = session;
+  } else {
+    delete db.blackjackGames[userId];
+  }
+  return session;
+}
+
+// Shared round functions
+function getRound(chatId) {
+  return db.rounds[chatId] || null;
+}
+
+function getAllRounds() {
+  return db.rounds;
+}
+
+// Save a group's open round (null closes it)
+function setRound(chatId, round) {
+  touch('rounds', chatId);
+  if (round) {
+    db.rounds[chatId] = round;
+  } else {
+    delete db.rounds[chatId];
+  }
+  return round;
+}
+
+function getRoundSchedule(chatId) {
+  return db.roundSchedules[chatId] || null;
+}
+
+function getAllRoundSchedules() {
+  return db.roundSchedules;
+}
+
+// Save when a group's next automatic round opens (null turns them off)
+function setRoundSchedule(chatId, schedule) {
+  touch('roundSchedules', chatId);
+  if (schedule) {
+    db.roundSchedules[chatId] = schedule;
+  } else {
+    delete db.roundSchedules[chatId];
+  }
+  return schedule;
+}
+
+// Poker functions
+function getPokerTable(chatId) {
+  return db.pokerTables[chatId] || null;
+}
+
+function getAllPokerTables() {
+  return db.pokerTables;
+}
+
+// Save a group's table (null closes it)
+function setPokerTable(chatId, table) {
+  touch('pokerTables', chatId);
+  if (table) {
+    db.pokerTables[chatId] = table;
+  } else {
+    delete db.pokerTables[chatId];
+  }
+  return table;
+}
+
+// Wager functions
+function getWagers(userId) {
+  return db.wagers[userId] || { recent: [], games: {} };
+}
+
+function addWager(userId, wager, gameTotals) {
+  const wagers = getWagers(userId);
+  
+  touch('wagers', userId);
+  db.wagers[userId] = {
+    // Only the most recent wagers are kept; the totals cover every wager
+    recent: [wager, ...wagers.recent].slice(0, require('../config').betHistoryLimit),
+    games: { ...wagers.games, [wager.game]: gameTotals }
+  };
+  return db.wagers[userId];
+}
+
+// Responsible gambling functions
+function getGamblingLimits(userId) {
+  return db.gamblingLimits[userId] || null;
+}
+
+function setGamblingLimits(userId, limits) {
+  touch('gamblingLimits', userId);
+  if (limits) {
+    db.gamblingLimits[userId] = limits;
+  } else {
+    delete db.gamblingLimits[userId];
+  }
+  return limits;
+}
+
+// Loan functions
+function getLoanRecord(userId) {
+  return db.loans[userId] || null;
+}
+
+function getAllLoanRecords() {
+  return db.loans;
+}
+
+function setLoanRecord(userId, record) {
+  touch('loans', userId);
+  db.loans[userId] = record;
+  return record;
+}
+
+// Term deposit functions
+function addTermDeposit(deposit) {
+  touch('termDeposits', 'nextId');
+  const id = db.termDeposits.nextId++;
+  
+  touch('termDeposits', 'deposits', id);
+  db.termDeposits.deposits[id] = { id, ...deposit };
+  return db.termDeposits.deposits[id];
+}
+
+function getTermDeposit(depositId) {
+  return db.termDeposits.deposits[depositId] || null;
+}
+
+function getAllTermDeposits() {
+  return Object.values(db.termDeposits.deposits);
+}
+
+function getTermDepositsForUser(userId) {
+  return getAllTermDeposits().filter(deposit => deposit.userId === userId);
+}
+
+function removeTermDeposit(depositId) {
+  touch('termDeposits', 'deposits', depositId);
+  delete db.termDeposits.deposits[depositId];
+}
+
+// Heist functions
+function getHeist(chatId) {
+  return db.heists[chatId] || null;
+}
+
+function getAllHeists() {
+  return db.heists;
+}
+
+// Save a group's heist crew (null ends the heist)
+function setHeist(chatId, heist) {
+  touch('heists', chatId);
+  if (heist) {
+    db.heists[chatId] = heist;
+  } else {
+    delete db.heists[chatId];
+  }
+  return heist;
+}
+
+// Proposal functions
+function addProposal(proposal) {
+  touch('proposals', 'nextId');
+  const id = db.proposals.nextId++;
+  
+  touch('proposals', 'open', id);
+  db.proposals.open[id] = { id, ...proposal };
+  return db.proposals.open[id];
+}
+
+function getProposal(proposalId) {
+  return db.proposals.open[proposalId] || null;
+}
+
+function getAllProposals() {
+  return Object.values(db.proposals.open);
+}
+
+function getCompanyProposals(companyName) {
+  return getAllProposals().filter(proposal => proposal.company === companyName);
+}
+
+function updateProposal(proposalId, updates) {
+  if (db.proposals.open[proposalId]) {
+    touch('proposals', 'open', proposalId);
+    db.proposals.open[proposalId] = { ...db.proposals.open[proposalId], ...updates };
+  }
+  return db.proposals.open[proposalId] || null;
+}
+
+function removeProposal(proposalId) {
+  touch('proposals', 'open', proposalId);
+  delete db.proposals.open[proposalId];
+}
+
+// Payment functions
+function createPaymentRequest(requesterId, payerId, amount, note) {
+  touch('payments', 'nextRequestId');
+  const id = db.payments.nextRequestId++;
+  
+  touch('payments', 'requests', id);
+  db.payments.requests[id] = {
+    id,
+    requester: requesterId,
+    payer: payerId,
+    amount,
+    note,
+    status: 'pending',
+    createdAt: Date.now(),
+    expiresAt: Date.now() + require('../config').paymentRequestTimeout
+  };
+  
+  return db.payments.requests[id];
+}
+
+function getPaymentRequest(requestId) {
+  return db.payments.requests[requestId] || null;
+}
+
+function getPendingPaymentRequestsForUser(userId) {
+  return Object.values(db.payments.requests).filter(
+    request =>
+      request.status === 'pending' &&
+      (request.requester === userId || request.payer === userId)
+  );
+}
+
+function updatePaymentRequest(requestId, updates) {
+  if (db.payments.requests[requestId]) {
+    touch('payments', 'requests', requestId);
+    db.payments.requests[requestId] = {
+      ...db.payments.requests[requestId],
+      ...updates
+    };
+  }
+  return db.payments.requests[requestId];
+}
+
+// Settled requests are only kept until they would have expired
+function cleanupExpiredPaymentRequests() {
+  const now = Date.now();
+  Object.entries(db.payments.requests).forEach(([id, request]) => {
+    if (request.expiresAt < now) {
+      touch('payments', 'requests', id);
+      delete db.payments.requests[id];
+    }
+  });
+}
+
+function getPendingPayment(userId) {
+  return db.payments.pending[userId] || null;
+}
+
+// Save a player's payment waiting to be confirmed (null clears it)
+function setPendingPayment(userId, payment) {
+  touch('payments', 'pending', userId);
+  if (payment) {
+    db.payments.pending[userId] = payment;
+  } else {
+    delete db.payments.pending[userId];
+  }
+  return payment;
+}
+
+function getDailyPayments(userId) {
+  return db.payments.daily[userId] || null;
+}
+
+function setDailyPayments(userId, totals) {
+  touch('payments', 'daily', userId);
+  db.payments.daily[userId] = totals;
+  return totals;
+}
+
 // Stats functions
 function updateGlobalStats(stats) {
+  touch('stats');
   db.stats = { ...db.stats, ...stats };
   return db.stats;
 }
@@ -360,6 +1354,7 @@ function approveGroup(groupId, metadata = {}) {
     db.groups.approved = {};
   }
   
+  touch('groups', 'approved', groupId);
   db.groups.approved[groupId] = {
     id: groupId,
     approvedAt: Date.now(),
@@ -372,6 +1367,7 @@ function approveGroup(groupId, metadata = {}) {
 
 function removeGroupApproval(groupId) {
   if (db.groups.approved && db.groups.approved[groupId]) {
+    touch('groups', 'approved', groupId);
     delete db.groups.approved[groupId];
     return true;
   }
@@ -409,6 +1405,8 @@ function blacklistUser(userId, blacklisted = true) {
     db.blacklist = {};
   }
   
+  touch('blacklist', userId);
+  
   if (blacklisted) {
     // Add to blacklist
     db.blacklist[userId] = {
@@ -442,10 +1440,18 @@ function getAllBlacklistedUsers() {
 // Export all functions
 module.exports = {
   initializeDatabase,
+  useStorage,
   saveDatabase,
+  transaction,
   getUser,
   getAllUsers,
   updateUser,
+  getInventory,
+  addInventoryItem,
+  removeInventoryItem,
+  getActiveEffects,
+  hasActiveEffect,
+  activateEffect,
   isUsernameAvailable,
   registerUsername,
   getUserByUsername,
@@ -454,6 +1460,9 @@ module.exports = {
   getAllCompanies,
   createCompany,
   updateCompany,
+  renameCompany,
+  getEconomy,
+  recordEconomyCycle,
   getMarketOrders,
   addMarketOrder,
   getMarketOrderById,
@@ -465,7 +1474,9 @@ module.exports = {
   cleanupExpiredChallenges,
   addJackpotEntry,
   getJackpotEntries,
+  getJackpot,
   resetJackpot,
+  getJackpotHistory,
   updateGlobalStats,
   getGlobalStats,
   approveGroup,
@@ -475,5 +1486,71 @@ module.exports = {
   blacklistUser,
   isUserBlacklisted,
   getAllBlacklistedUsers,
-  db // Export db for direct access (careful with this)
+  LEDGER_ACCOUNTS,
+  walletAccount,
+  bankAccount,
+  companyAccount,
+  runWithLedgerContext,
+  transferCoins,
+  transferShares,
+  getLedgerAccountBalance,
+  getLedgerEntries,
+  getUserLedgerEntries,
+  getUserLedgerFlows,
+  getSeedState,
+  setSeedState,
+  revealServerSeed,
+  getRevealedServerSeed,
+  addBetRecord,
+  getBetRecord,
+  getGameOverrides,
+  setGameOverrides,
+  getBlackjackShoe,
+  setBlackjackShoe,
+  getBlackjackGame,
+  getAllBlackjackGames,
+  setBlackjackGame,
+  getRound,
+  getAllRounds,
+  setRound,
+  getRoundSchedule,
+  getAllRoundSchedules,
+  setRoundSchedule,
+  getPokerTable,
+  getAllPokerTables,
+  setPokerTable,
+  getWagers,
+  addWager,
+  getGamblingLimits,
+  setGamblingLimits,
+  getLoanRecord,
+  getAllLoanRecords,
+  setLoanRecord,
+  addTermDeposit,
+  getTermDeposit,
+  getAllTermDeposits,
+  getTermDepositsForUser,
+  removeTermDeposit,
+  createPaymentRequest,
+  getPaymentRequest,
+  getPendingPaymentRequestsForUser,
+  updatePaymentRequest,
+  cleanupExpiredPaymentRequests,
+  getPendingPayment,
+  setPendingPayment,
+  getDailyPayments,
+  setDailyPayments,
+  getHeist,
+  getAllHeists,
+  setHeist,
+  addProposal,
+  getProposal,
+  getAllProposals,
+  getCompanyProposals,
+  updateProposal,
+  removeProposal,
+  // Live database object for direct access (careful with this: direct changes are not journaled)
+  get db() {
+    return db;
+  }
 };
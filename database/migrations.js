@@ -0,0 +1,162 @@
+/**
+ * Database migrations
+ * Each migration brings data stored by an older version of the bot up to date. The database
+ * records how many have been applied in `schemaVersion`; on load, any that haven't run yet
+ * are applied in order and the result is saved as a new snapshot. Migrations work on the raw
+ * data, before the database module starts using it, so they can't call its functions.
+ */
+
+// Shares the old model gave each company to start with
+const INITIAL_SHARES = 100;
+
+/**
+ * Adds up the values of an object
+ * @param {Object} values - Key -> number
+ * @returns {Number} Total
+ */
+function sum(values) {
+  return Object.values(values).reduce((total, value) => total + value, 0);
+}
+
+/**
+ * Reconciles every open company with the share issuance model: the shares players hold (in
+ * their wallets or listed on the market) become the shares outstanding, investors whose coins
+ * bought no shares are issued shares for them at the price the other shares imply, and the
+ * company's shareholder list, paid-in capital and ledger balance are rebuilt to match.
+ * Data from before the ledger, where only the company's list says who holds what, is read
+ * from that list.
+ * @param {Object} data - Stored database
+ */
+function reconcileCompanyShares(data) {
+  const now = Date.now();
+  const users = data.users || {};
+  const orders = (data.market && data.market.orders) || [];
+  
+  for (const [name, company] of Object.entries(data.companies || {})) {
+    if (company.closed) continue;
+    
+    const asset = `shares:${name}`;
+    const companyAccount = `company:${name}`;
+    const investors = company.investors || {};
+    
+    // Shares in players' wallets and on the market
+    const holdings = {};
+    for (const user of Object.values(users)) {
+      const held = (user.shares || {})[name] || 0;
+      if (held > 0) holdings[user.id] = held;
+    }
+    
+    /**
+     * Hands a player shares from the company, recording it in the ledger
+     * @param {String} userId - User ID
+     * @param {Number} quantity - Shares
+     */
+    const issue = (userId, quantity) => {
+      const user = users[userId];
+      user.shares = { ...user.shares, [name]: ((user.shares || {})[name] || 0) + quantity };
+      holdings[userId] = user.shares[name];
+      
+      const id = data.ledger.nextId++;
+      data.ledger.entries[id] = {
+        id,
+        from: companyAccount,
+        to: `wallet:${userId}`,
+        asset,
+        amount: quantity,
+        reason: 'Share reconciliation',
+        command: null,
+        actor: null,
+        timestamp: now
+      };
+    };
+    
+    const listings = orders.filter(order => order.company === name);
+    const listed = listings.reduce((total, order) => total + order.quantity, 0);
+    
+    if (Object.keys(holdings).length === 0 && listed === 0) {
+      for (const [userId, held] of Object.entries(company.shareDistribution || {})) {
+        if (held > 0 && users[userId]) issue(userId, held);
+      }
+    }
+    
+    // Investors whose coins bought no shares (small investments used to round down to nothing)
+    const orphaned = Object.entries(investors).filter(([userId, amount]) =>
+      amount > 0 && users[userId] && !holdings[userId] && !listings.some(order => order.seller === userId));
+    const orphanedTotal = orphaned.reduce((total, [, amount]) => total + amount, 0);
+    
+    // Their coins are part of the value, so the other shares are priced at what's left
+    const heldShares = sum(holdings) + listed;
+    const remainingValue = company.value - orphanedTotal;
+    const price = heldShares > 0 && remainingValue > 0
+      ? remainingValue / heldShares
+      : Math.max(1, company.value) / INITIAL_SHARES;
+    
+    for (const [userId, amount] of orphaned) {
+      issue(userId, Math.max(1, Math.round(amount / price)));
+    }
+    
+    company.totalShares = sum(holdings) + listed;
+    company.shareDistribution = { ...holdings };
+    company.capital = sum(investors);
+    
+    // Investors' own records of what they put in
+    for (const [userId, amount] of Object.entries(investors)) {
+      if (!users[userId]) continue;
+      users[userId].investedCompanies = { ...users[userId].investedCompanies, [name]: amount };
+    }
+    
+    // The company account is short every share held outside it
+    data.ledger.accounts[companyAccount] = { ...data.ledger.accounts[companyAccount], [asset]: -company.totalShares };
+  }
+}
+
+/**
+ * Starts paying unclaimed bank interest from today. Before it was paid automatically, days
+ * nobody claimed were simply lost, so marking everyone as having claimed up to yesterday
+ * stops the first payout from back-paying every day since they joined or last claimed.
+ * @param {Object} data - Stored database
+ */
+function startUnclaimedInterest(data) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  
+  for (const user of Object.values(data.users || {})) {
+    if (!user.lastInterestClaim || user.lastInterestClaim < today.getTime()) {
+      user.lastInterestClaim = today.getTime() - 1;
+    }
+  }
+}
+
+// Applied in order; a database at schema version N has had the first N applied
+const MIGRATIONS = [
+  { description: 'Reconcile company shares with the share issuance model', migrate: reconcileCompanyShares },
+  { description: 'Start paying unclaimed bank interest from today', migrate: startUnclaimedInterest }
+];
+
+const LATEST_SCHEMA_VERSION = MIGRATIONS.length;
+
+/**
+ * Applies the migrations stored data hasn't had yet
+ * @param {Object} data - Stored database (changed in place)
+ * @returns {Number} Migrations applied
+ */
+function runMigrations(data) {
+  let applied = 0;
+  
+  while ((data.schemaVersion || 0) < LATEST_SCHEMA_VERSION) {
+    const version = data.schemaVersion || 0;
+    const migration = MIGRATIONS[version];
+    
+    console.log(`Migrating database to version ${version + 1}: ${migration.description}`);
+    migration.migrate(data);
+    data.schemaVersion = version + 1;
+    applied++;
+  }
+  
+  return applied;
+}
+
+module.exports = {
+  LATEST_SCHEMA_VERSION,
+  runMigrations
+};
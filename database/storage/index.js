@@ -0,0 +1,35 @@
+/**
+ * Storage drivers
+ * A driver persists the database state. It must provide:
+ *   load()          - returns the stored state, or null if there is none
+ *   append(ops)     - durably records one committed change set
+ *   snapshot(state) - stores the full state and drops the changes it covers
+ *   close()         - releases any open files
+ */
+const { createJournalStorage } = require('./journalStorage');
+const { createMemoryStorage } = require('./memoryStorage');
+
+const drivers = {
+  journal: createJournalStorage,
+  memory: createMemoryStorage
+};
+
+/**
+ * Creates a storage driver by name
+ * @param {String} driverName - Driver name ('journal' or 'memory')
+ * @param {Object} options - Driver options
+ * @returns {Object} Storage driver
+ */
+function createStorage(driverName, options = {}) {
+  const createDriver = drivers[driverName];
+  
+  if (!createDriver) {
+    throw new Error(`Unknown storage driver: ${driverName}`);
+  }
+  
+  return createDriver(options);
+}
+
+module.exports = {
+  createStorage
+};
@@ -0,0 +1,181 @@
+/**
+ * Journal storage driver
+ * Keeps a JSON snapshot plus an append-only journal of committed changes.
+ * Every commit is one line in the journal, so a crash can only ever lose the
+ * line being written, never half of a transaction or the snapshot itself.
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Creates a journal storage driver
+ * @param {Object} options - Driver options
+ * @param {String} options.dataDir - Directory holding the snapshot and journal
+ * @param {String} [options.snapshotFile] - Snapshot file name
+ * @param {String} [options.journalFile] - Journal file name
+ * @returns {Object} Storage driver
+ */
+function createJournalStorage(options) {
+  const dataDir = options.dataDir;
+  const snapshotPath = path.join(dataDir, options.snapshotFile || 'database.json');
+  const journalPath = path.join(dataDir, options.journalFile || 'database.journal');
+  
+  let journalFd = null;
+  let sequence = 0;
+  
+  function ensureDirectoryExists() {
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+  }
+  
+  function openJournal() {
+    if (journalFd === null) {
+      ensureDirectoryExists();
+      journalFd = fs.openSync(journalPath, 'a');
+    }
+    return journalFd;
+  }
+  
+  function closeJournal() {
+    if (journalFd !== null) {
+      fs.closeSync(journalFd);
+      journalFd = null;
+    }
+  }
+  
+  /**
+   * Reads the journal and returns every complete commit in it
+   * @returns {Array} Commits in the order they were written
+   */
+  function readJournal() {
+    if (!fs.existsSync(journalPath)) return [];
+    
+    const commits = [];
+    const contents = fs.readFileSync(journalPath, 'utf8');
+    const lines = contents.split('\n');
+    let validLength = 0;
+    
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      if (line.trim()) {
+        try {
+          commits.push(JSON.parse(line));
+        } catch (error) {
+          // Anything unreadable before the last entry means the journal is damaged,
+          // so stop rather than lose the commits after it
+          if (lines.slice(i + 1).some(rest => rest.trim())) {
+            throw new Error(`Journal entry on line ${i + 1} of ${journalPath} is damaged: ${error.message}`);
+          }
+          
+          // A torn last line means we crashed mid-append; that commit never happened.
+          // Cut it off so new commits don't get appended onto it.
+          console.warn('Discarding incomplete journal entry');
+          fs.truncateSync(journalPath, validLength);
+          break;
+        }
+      }
+      validLength += Buffer.byteLength(line) + 1;
+    }
+    
+    return commits;
+  }
+  
+  /**
+   * Loads the latest state: the snapshot with the journal replayed on top
+   * @returns {Object|null} Stored state, or null if nothing has been stored yet
+   */
+  function load() {
+    let state = null;
+    
+    if (fs.existsSync(snapshotPath)) {
+      state = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+    }
+    
+    const commits = readJournal();
+    if (commits.length > 0) {
+      state = state || {};
+      for (const commit of commits) {
+        applyOperations(state, commit.ops);
+        sequence = Math.max(sequence, commit.seq);
+      }
+      console.log(`Replayed ${commits.length} journal entries`);
+    }
+    
+    return state;
+  }
+  
+  /**
+   * Durably appends one commit to the journal
+   * @param {Array} ops - Operations ({ path, value } or { path, deleted: true })
+   */
+  function append(ops) {
+    if (ops.length === 0) return;
+    
+    sequence++;
+    const fd = openJournal();
+    fs.writeSync(fd, JSON.stringify({ seq: sequence, at: Date.now(), ops }) + '\n');
+    fs.fsyncSync(fd);
+  }
+  
+  /**
+   * Writes a full snapshot and clears the journal it supersedes
+   * @param {Object} state - Complete database state
+   */
+  function snapshot(state) {
+    ensureDirectoryExists();
+    
+    // Write to a temporary file first so the old snapshot survives a crash mid-write
+    const tempPath = `${snapshotPath}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(state, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, snapshotPath);
+    
+    // Replaying journal entries onto a newer snapshot is harmless (they only set
+    // values), so a crash before this truncate cannot corrupt anything
+    closeJournal();
+    fs.writeFileSync(journalPath, '');
+  }
+  
+  return {
+    name: 'journal',
+    load,
+    append,
+    snapshot,
+    close: closeJournal
+  };
+}
+
+/**
+ * Applies journal operations to a state object
+ * @param {Object} state - State to modify
+ * @param {Array} ops - Operations to apply
+ */
+function applyOperations(state, ops) {
+  for (const op of ops) {
+    let target = state;
+    for (const key of op.path.slice(0, -1)) {
+      if (typeof target[key] !== 'object' || target[key] === null) {
+        target[key] = {};
+      }
+      target = target[key];
+    }
+    
+    const lastKey = op.path[op.path.length - 1];
+    if (op.deleted) {
+      delete target[lastKey];
+    } else {
+      target[lastKey] = op.value;
+    }
+  }
+}
+
+module.exports = {
+  createJournalStorage,
+  applyOperations
+};
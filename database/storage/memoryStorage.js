@@ -0,0 +1,34 @@
+/**
+ * Memory storage driver
+ * Keeps nothing on disk. Useful for tests and throwaway instances.
+ */
+
+/**
+ * Creates a memory storage driver
+ * @param {Object} [options] - Driver options
+ * @param {Object} [options.initialState] - State returned by the first load
+ * @returns {Object} Storage driver
+ */
+function createMemoryStorage(options = {}) {
+  let state = options.initialState ? JSON.parse(JSON.stringify(options.initialState)) : null;
+  const commits = [];
+  
+  return {
+    name: 'memory',
+    load: () => (state ? JSON.parse(JSON.stringify(state)) : null),
+    append: (ops) => {
+      if (ops.length > 0) commits.push(JSON.parse(JSON.stringify(ops)));
+    },
+    snapshot: (newState) => {
+      state = JSON.parse(JSON.stringify(newState));
+      commits.length = 0;
+    },
+    close: () => {},
+    // Commits since the last snapshot, for inspection in tests
+    getCommits: () => commits
+  };
+}
+
+module.exports = {
+  createMemoryStorage
+};
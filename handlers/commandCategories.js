@@ -0,0 +1,214 @@
+/**
+ * Help categories
+ * Every registered command belongs to one of these categories. The help menu lists
+ * them in this order, and each category page shows its commands followed by notes.
+ */
+const config = require('../config');
+const { formatNumber } = require('../utils/formatter');
+
+const categories = [
+  {
+    id: 'general',
+    title: 'Basic',
+    emoji: '📱',
+    heading: 'BASIC COMMANDS',
+    summary: 'Everyday commands',
+    aliases: ['basic'],
+    // Listed directly on the main menu instead of as a category
+    inMenu: false
+  },
+  {
+    id: 'gambling',
+    title: 'Gambling',
+    emoji: '🎲',
+    heading: 'GAMBLING HELP',
+    summary: 'Games of chance and jackpot',
+    aliases: [],
+    notes: `Min bet: ${config.minBet} coins\n` +
+      `Max bet: ${config.maxBet} coins`
+  },
+  {
+    id: 'pvp',
+    title: 'PvP',
+    emoji: '⚔️',
+    heading: 'PVP CHALLENGE HELP',
+    summary: 'Challenge other players',
+    aliases: ['challenge'],
+    notes: `*PvP Limits:*\n` +
+      `- Max ${config.maxChallengesPerHour} challenges per hour\n` +
+      `- Timeout: ${config.challengeTimeout} seconds to accept/decline\n` +
+      `- Refund: ${config.challengeRefundMin * 100}%-${config.challengeRefundMax * 100}% if opponent doesn't respond`
+  },
+  {
+    id: 'crime',
+    title: 'Crime',
+    emoji: '🦹',
+    heading: 'CRIME HELP',
+    summary: 'Rob players and pull off heists',
+    aliases: ['robbery', 'heists'],
+    notes: `*Staying safe:*\n` +
+      `• Coins in the bank can never be stolen, only your wallet\n` +
+      `• A Guard Dog from the shop makes you harder to rob\n` +
+      `• A Lockpick makes your robberies and heists more likely to work`
+  },
+  {
+    id: 'daily',
+    title: 'Daily',
+    emoji: '📅',
+    heading: 'DAILY REWARDS HELP',
+    summary: 'Daily rewards and streaks',
+    aliases: [],
+    notes: `*Streak Bonus:*\n` +
+      `Each consecutive day adds ${config.streakBonus * 100}% to your reward\n` +
+      `Example: 5-day streak = ${config.baseReward} + ${config.baseReward * config.streakBonus * 5} coins\n\n` +
+      `*Prestige Bonus:*\n` +
+      `Each prestige level adds ${config.prestigeRewardBonus * 100}% to your reward\n` +
+      `Example: Prestige 3 = ${config.baseReward * (1 + (3 * config.prestigeRewardBonus))} coins base reward\n\n` +
+      `*Tips:*\n` +
+      `• Claim your reward every 24 hours to maintain your streak\n` +
+      `• Missing a day resets your streak to 0\n` +
+      `• Higher prestige levels significantly increase your daily rewards`
+  },
+  {
+    id: 'company',
+    title: 'Company',
+    emoji: '🏢',
+    heading: 'COMPANY HELP',
+    summary: 'Create and manage companies',
+    aliases: ['companies']
+  },
+  {
+    id: 'leaderboard',
+    title: 'Leaderboards',
+    emoji: '🏆',
+    heading: 'LEADERBOARDS HELP',
+    summary: 'View top players',
+    aliases: ['leaderboards'],
+    notes: 'Leaderboards update in real-time and show the top 10 in each category'
+  },
+  {
+    id: 'xp',
+    title: 'XP & Levels',
+    emoji: '⭐',
+    heading: 'XP & LEVELS HELP',
+    summary: 'Level up and prestige',
+    aliases: ['levels'],
+    notes: `*How to earn XP:*\n` +
+      `• Betting: +${config.xpPerBet} XP per bet\n` +
+      `• Winning: +${config.xpPerWin} XP per win\n` +
+      `• Losing: +${config.xpPerLoss} XP per loss\n\n` +
+      `Level formula: level = sqrt(xp/100) + 1\n\n` +
+      `Each prestige level gives +${config.prestigeRewardBonus * 100}% daily reward bonus!`
+  },
+  {
+    id: 'shop',
+    title: 'Shop',
+    emoji: '🛍️',
+    heading: 'SHOP HELP',
+    summary: 'Buy items and upgrades',
+    aliases: [],
+    notes: `*Available Items:*\n` +
+      Object.values(config.shopItems)
+        .map(item => `• ${item.name} (${formatNumber(item.price)} coins) - ${item.description}`)
+        .join('\n')
+  },
+  {
+    id: 'bank',
+    title: 'Bank',
+    emoji: '🏦',
+    heading: 'BANKING HELP',
+    summary: 'Store and earn interest',
+    aliases: ['banking'],
+    notes: `*Benefits of using the bank:*\n` +
+      `• Earn daily interest on your savings\n` +
+      `• Keep coins safe from certain losses\n` +
+      `• Upgrade your capacity to store more coins\n\n` +
+      `Tip: Higher prestige levels increase your interest rate!`
+  },
+  {
+    id: 'market',
+    title: 'Market',
+    emoji: '🛒',
+    heading: 'MARKET HELP',
+    summary: 'Buy and sell shares',
+    aliases: [],
+    notes: `*Market fees:* ${config.marketFee * 100}% transaction fee on all trades`
+  },
+  {
+    id: 'groups',
+    title: 'Groups',
+    emoji: '👥',
+    heading: 'GROUP USAGE HELP',
+    summary: 'Information about using the bot in groups',
+    aliases: ['group'],
+    notes: `*Using the Bot in Groups:*\n` +
+      `This bot works in any group where it's an admin - no exceptions.\n\n` +
+      `*How to Use in Your Group:*\n` +
+      `1. Add the bot to your group\n` +
+      `2. Make the bot an admin\n` +
+      `3. It will automatically activate for everyone\n\n` +
+      `*Important Notes:*\n` +
+      `• Bot MUST be an admin to work - this is required\n` +
+      `• All commands work in all groups where bot is admin\n` +
+      `• Users must register with ${config.prefix}register before using most commands\n` +
+      `• Bot responses use quoted replies to the original message\n\n` +
+      `*Why Admin is Required:*\n` +
+      `• Admin status lets the bot monitor group activity\n` +
+      `• Prevents abuse and ensures reliable functionality\n` +
+      `• Enables proper message delivery and responses\n\n` +
+      `*For Bot Owners:*\n` +
+      `• Bot owners can use commands anywhere, including DMs\n` +
+      `• Use ${config.prefix}help whoami to check your owner status\n` +
+      `• Use ${config.prefix}help fixowner if owner recognition isn't working\n\n` +
+      `Questions or issues? Contact the bot owners.`
+  },
+  {
+    id: 'register',
+    title: 'Registration',
+    emoji: '📝',
+    heading: 'REGISTRATION HELP',
+    summary: 'How to register with a username',
+    aliases: ['registration'],
+    notes: `*Username Requirements:*\n` +
+      `• 3-15 characters long\n` +
+      `• Letters, numbers, and underscores only\n` +
+      `• No spaces or special characters\n` +
+      `• Must be unique (not taken by another user)\n\n` +
+      `*Why Register?*\n` +
+      `Registration is required to:\n` +
+      `• Use gambling and economy commands\n` +
+      `• Participate in challenges\n` +
+      `• Create or invest in companies\n` +
+      `• Transfer coins and shares to other users\n` +
+      `• Access most bot features\n\n` +
+      `*Important Notes:*\n` +
+      `• You can only register once\n` +
+      `• Your username cannot be changed after registration\n` +
+      `• Your username will be displayed in leaderboards and transactions\n\n` +
+      `After registering, you'll have full access to all bot features.`
+  },
+  {
+    id: 'admin',
+    title: 'Admin',
+    emoji: '👑',
+    heading: 'ADMIN COMMANDS',
+    summary: 'Owner-only commands (restricted)',
+    aliases: ['owner'],
+    notes: '*NOTE: These commands are ONLY available to bot owners*'
+  }
+];
+
+/**
+ * Finds a category by ID or alias
+ * @param {String} name - Category ID or alias
+ * @returns {Object|null} Category, or null if not found
+ */
+function getCategory(name) {
+  const key = name.toLowerCase();
+  return categories.find(category => category.id === key || category.aliases.includes(key)) || null;
+}
+
+module.exports = {
+  categories,
+  getCategory
+};
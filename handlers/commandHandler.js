@@ -1,25 +1,42 @@
-const config = require('../config');
 const { sendReply } = require('../utils/messageUtils');
-const { checkUserRegistered } = require('../utils/registrationUtils');
+const { registerCommands, getCommand, useMiddleware, dispatch } = require('./commandRegistry');
+const { rateLimit, requireOwner, requireRegistration, enforceCooldown, enforceGamblingControls } = require('./middleware');
 
-// Debug logger
-function debug(...args) {
-  console.log('[COMMAND_DEBUG]', ...args);
-}
+// Command modules - each exports a `commands` array of definitions
+const commandModules = [
+  require('../commands/register'),
+  require('../commands/help'),
+  require('../commands/general'),
+  require('../commands/gambling'),
+  require('../commands/rounds'),
+  require('../commands/poker'),
+  require('../commands/fairness'),
+  require('../commands/limits'),
+  require('../commands/loans'),
+  require('../commands/payments'),
+  require('../commands/robbery'),
+  require('../commands/banking'),
+  require('../commands/history'),
+  require('../commands/company'),
+  require('../commands/governance'),
+  require('../commands/leaderboard'),
+  require('../commands/xp'),
+  require('../commands/pvp'),
+  require('../commands/market'),
+  require('../commands/owner'),
+  require('../commands/odds'),
+  require('../commands/daily'),
+  require('../commands/shop')
+];
+
+commandModules.forEach(commandModule => registerCommands(commandModule.commands));
 
-// Import command handlers
-const helpCommands = require('../commands/help');
-const generalCommands = require('../commands/general');
-const gamblingCommands = require('../commands/gambling');
-const bankingCommands = require('../commands/banking');
-const companyCommands = require('../commands/company');
-const leaderboardCommands = require('../commands/leaderboard');
-const xpCommands = require('../commands/xp');
-const pvpCommands = require('../commands/pvp');
-const marketCommands = require('../commands/market');
-const registerCommands = require('../commands/register');
-const ownerCommands = require('../commands/owner');
-const dailyCommands = require('../commands/daily');
+// Checks run before every command, in order
+useMiddleware(rateLimit);
+useMiddleware(requireOwner);
+useMiddleware(requireRegistration);
+useMiddleware(enforceCooldown);
+useMiddleware(enforceGamblingControls);
 
 /**
  * Handles command processing
@@ -32,386 +49,20 @@ const dailyCommands = require('../commands/daily');
 async function handleCommand(sock, message, commandText, sender, user) {
   try {
     // Split command into parts (command and arguments)
-    const [command, ...args] = commandText.split(' ');
+    const [commandName, ...args] = commandText.split(' ');
     
-    // Commands that don't require registration
-    const noRegistrationCommands = ['help', 'ping', 'register', 'maingc'];
-    
-    // Process the command based on category
-    switch (command.toLowerCase()) {
-      // Registration command
-      case 'register':
-        await registerCommands.handleRegister(sock, message, args, user, sender);
-        break;
-        
-      // Help commands
-      case 'help':
-        console.log('COMMAND_HANDLER: Processing help command');
-        console.log('COMMAND_HANDLER: Arguments:', args);
-        try {
-          await helpCommands.handleHelp(sock, message, args, sender);
-          console.log('COMMAND_HANDLER: Help command processed successfully');
-        } catch (error) {
-          console.error('COMMAND_HANDLER: Error processing help command:', error);
-          console.error('COMMAND_HANDLER: Error stack:', error.stack);
-          // Try to send a simple error message
-          try {
-            await sendReply(sock, message, "❌ Error processing help command. Please try again later.");
-          } catch (replyError) {
-            console.error('COMMAND_HANDLER: Error sending error reply:', replyError);
-          }
-        }
-        break;
-      
-      // General commands
-      case 'ping':
-        await generalCommands.handlePing(sock, message);
-        break;
-      case 'balance':
-      case 'bal':
-        // Check registration for commands that require it
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await generalCommands.handleBalance(sock, message, user);
-        break;
-      case 'profile':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await generalCommands.handleProfile(sock, message, user);
-        break;
-      case 'maingc':
-        await generalCommands.handleMainGC(sock, message, sender);
-        break;
-        
-      // Gambling commands
-      case 'cointoss':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await gamblingCommands.handleCoinToss(sock, message, args, user);
-        break;
-      case 'dice':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await gamblingCommands.handleDice(sock, message, args, user);
-        break;
-      case 'highstakes':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await gamblingCommands.handleHighStakes(sock, message, args, user);
-        break;
-      case 'slots':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await gamblingCommands.handleSlots(sock, message, args, user);
-        break;
-      case 'blackjack':
-      case 'bj':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await gamblingCommands.handleBlackjack(sock, message, args, user);
-        break;
-      case 'wheelspin':
-      case 'wheel':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await gamblingCommands.handleWheelSpin(sock, message, args, user);
-        break;
-      case 'jackpot':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await gamblingCommands.handleJackpot(sock, message, args, user);
-        break;
-      case 'jackpotstatus':
-        // This can be viewed without registration
-        await gamblingCommands.handleJackpotStatus(sock, message);
-        break;
-        
-      // Banking commands
-      case 'dep':
-      case 'deposit':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await bankingCommands.handleDeposit(sock, message, args, user);
-        break;
-      case 'with':
-      case 'withdraw':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await bankingCommands.handleWithdraw(sock, message, args, user);
-        break;
-      case 'int':
-      case 'interest':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await bankingCommands.handleInterest(sock, message, user);
-        break;
-      case 'bank-upgrade':
-      case 'upgradebank':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await bankingCommands.handleBankUpgrade(sock, message, user);
-        break;
-      case 'bank':
-      case 'bank-info':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await bankingCommands.handleBankInfo(sock, message, user);
-        break;
-        
-      // Company commands
-      case 'cc':
-      case 'createcompany':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await companyCommands.handleCreateCompany(sock, message, args, user, sender);
-        break;
-      case 'cinfo':
-        // Company info can be viewed without registration
-        await companyCommands.handleCompanyInfo(sock, message, args);
-        break;
-      case 'ci':
-      case 'companyinvest':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await companyCommands.handleCompanyInvest(sock, message, args, user, sender);
-        break;
-      case 'cw':
-      case 'companywithdraw':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await companyCommands.handleCompanyWithdraw(sock, message, args, user, sender);
-        break;
-      case 'ctop':
-        // Company top can be viewed without registration
-        await companyCommands.handleCompanyTop(sock, message);
-        break;
-      case 'crq':
-      case 'companyrequest':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await companyCommands.handleCompanyRequest(sock, message, args, sender);
-        break;
-      case 'crn':
-      case 'companyrename':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await companyCommands.handleCompanyRename(sock, message, args, sender);
-        break;
-      case 'cclose':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await companyCommands.handleCompanyClose(sock, message, args, sender);
-        break;
-      case 'ckick':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await companyCommands.handleCompanyKick(sock, message, args, sender);
-        break;
-        
-      // Leaderboard commands (can be viewed without registration)
-      case 'toprich':
-        await leaderboardCommands.handleTopRich(sock, message);
-        break;
-      case 'topwins':
-        await leaderboardCommands.handleTopWins(sock, message);
-        break;
-      case 'topstreak':
-        await leaderboardCommands.handleTopStreak(sock, message);
-        break;
-      case 'toplevels':
-        await leaderboardCommands.handleTopLevels(sock, message);
-        break;
-      case 'topprestige':
-        await leaderboardCommands.handleTopPrestige(sock, message);
-        break;
-      case 'topcompanies':
-        await leaderboardCommands.handleTopCompanies(sock, message);
-        break;
-        
-      // XP and levels commands
-      case 'xp':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await xpCommands.handleXP(sock, message, user);
-        break;
-      case 'level':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await xpCommands.handleLevel(sock, message, user);
-        break;
-      case 'prestige':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await xpCommands.handlePrestige(sock, message, user);
-        break;
-        
-      // PvP commands
-      case 'challenge':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await pvpCommands.handleChallenge(sock, message, args, user, sender);
-        break;
-      case 'accept':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await pvpCommands.handleAccept(sock, message, user, sender);
-        break;
-      case 'decline':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await pvpCommands.handleDecline(sock, message, user, sender);
-        break;
-      case 'rematch':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await pvpCommands.handleRematch(sock, message, user, sender);
-        break;
-      
-      // Market commands
-      case 'market':
-        // Market listing can be viewed without registration
-        await marketCommands.handleMarket(sock, message, args);
-        break;
-      case 'buyshares':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await marketCommands.handleBuyShares(sock, message, args, user, sender);
-        break;
-      case 'sellshares':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await marketCommands.handleSellShares(sock, message, args, user, sender);
-        break;
-      case 'cancelorder':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await marketCommands.handleCancelOrder(sock, message, args, sender);
-        break;
-      case 'transfer':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await marketCommands.handleTransfer(sock, message, args, user, sender);
-        break;
-        
-      // Owner commands
-      case 'blacklist':
-        await ownerCommands.handleBlacklist(sock, message, args, user, sender);
-        break;
-      case 'unblacklist':
-        await ownerCommands.handleUnblacklist(sock, message, args, user, sender);
-        break;
-      case 'resetdata':
-        await ownerCommands.handleResetData(sock, message, args, user, sender);
-        break;
-      case 'resetalldata':
-        await ownerCommands.handleResetAllData(sock, message, args, user, sender);
-        break;
-      case 'addcoins':
-        await ownerCommands.handleAddCoins(sock, message, args, user, sender);
-        break;
-      case 'removecoins':
-        await ownerCommands.handleRemoveCoins(sock, message, args, user, sender);
-        break;
-      case 'makeowner':
-        await ownerCommands.handleMakeOwner(sock, message, args, user, sender);
-        break;
-      case 'removeowner':
-        await ownerCommands.handleRemoveOwner(sock, message, args, user, sender);
-        break;
-      case 'setxp':
-        await ownerCommands.handleSetXP(sock, message, args, user, sender);
-        break;
-        
-      // Daily commands
-      case 'daily':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await dailyCommands.handleDaily(sock, message, user);
-        break;
-      case 'streak':
-        if (!noRegistrationCommands.includes(command.toLowerCase())) {
-          const isRegistered = await checkUserRegistered(sock, message, sender);
-          if (!isRegistered) return;
-        }
-        await dailyCommands.handleStreak(sock, message, user);
-        break;
-      
-      // Unknown command - silently ignore
-      default:
-        // Don't respond to unknown commands
-        console.log(`Ignoring unknown command: ${command}`);
-        break;
+    const command = getCommand(commandName);
+    if (!command) {
+      // Don't respond to unknown commands
+      console.log(`Ignoring unknown command: ${commandName}`);
+      return;
     }
+    
+    await dispatch(command, { sock, message, args, user, sender, commandName: commandName.toLowerCase() });
   } catch (error) {
     console.error('Error handling command:', error);
     await sendReply(sock, message, "❌ An error occurred while processing your command.");
   }
 }
 
-module.exports = { handleCommand };
+module.exports = { handleCommand };
\ No newline at end of file
@@ -0,0 +1,134 @@
+/**
+ * Command registry
+ * Command modules describe their commands with metadata (see registerCommand) and the
+ * registry looks them up by name or alias and runs them through the middleware chain.
+ */
+const { categories } = require('./commandCategories');
+
+// Name or alias -> command definition
+const commandsByName = new Map();
+
+// Every command, in registration order
+const allCommands = [];
+
+// Functions run before every command: (context, next) => Promise
+const middlewares = [];
+
+/**
+ * Registers a command
+ * @param {Object} definition - Command definition
+ * @param {String} definition.name - Command name (what users type after the prefix)
+ * @param {Array} [definition.aliases] - Other names for the command
+ * @param {String} definition.category - Help category ID (see commandCategories.js)
+ * @param {String} [definition.usage] - Arguments, e.g. "[amount] [heads/tails]"
+ * @param {String} definition.description - One-line description for help
+ * @param {Array} [definition.examples] - Example arguments, e.g. ["100 heads"]
+ * @param {Array} [definition.details] - Extra help lines (fees, limits, ...)
+ * @param {String} [definition.role] - 'user' (default) or 'owner'
+ * @param {Boolean} [definition.requiresRegistration] - Whether the user must be registered (default true)
+ * @param {Number} [definition.cooldown] - Seconds a user must wait between uses (default 0)
+ * @param {Boolean} [definition.gambling] - Places or plays bets, so it's blocked during a break from gambling (default false)
+ * @param {Boolean} [definition.hidden] - Leave the command out of help
+ * @param {Function} definition.execute - Runs the command: (context) => Promise
+ * @returns {Object} The registered command
+ */
+function registerCommand(definition) {
+  if (!definition.name || typeof definition.execute !== 'function') {
+    throw new Error(`Invalid command definition: ${definition.name || 'missing name'}`);
+  }
+  
+  if (!categories.some(category => category.id === definition.category)) {
+    throw new Error(`Unknown category "${definition.category}" for command ${definition.name}`);
+  }
+  
+  const command = {
+    aliases: [],
+    usage: '',
+    examples: [],
+    details: [],
+    role: 'user',
+    requiresRegistration: true,
+    cooldown: 0,
+    gambling: false,
+    hidden: false,
+    ...definition,
+    name: definition.name.toLowerCase()
+  };
+  
+  for (const name of [command.name, ...command.aliases.map(alias => alias.toLowerCase())]) {
+    if (commandsByName.has(name)) {
+      throw new Error(`Command name "${name}" is already registered by ${commandsByName.get(name).name}`);
+    }
+    commandsByName.set(name, command);
+  }
+  
+  allCommands.push(command);
+  return command;
+}
+
+/**
+ * Registers a list of commands
+ * @param {Array} definitions - Command definitions
+ */
+function registerCommands(definitions) {
+  definitions.forEach(registerCommand);
+}
+
+/**
+ * Finds a command by name or alias
+ * @param {String} name - Command name or alias
+ * @returns {Object|null} Command, or null if not found
+ */
+function getCommand(name) {
+  return commandsByName.get(name.toLowerCase()) || null;
+}
+
+/**
+ * Gets registered commands
+ * @param {Object} [options] - Filters
+ * @param {String} [options.category] - Only commands in this category
+ * @param {Boolean} [options.includeHidden] - Include hidden commands
+ * @returns {Array} Commands in registration order
+ */
+function getCommands(options = {}) {
+  return allCommands.filter(command =>
+    (!options.category || command.category === options.category) &&
+    (options.includeHidden || !command.hidden)
+  );
+}
+
+/**
+ * Adds a middleware to run before every command
+ * @param {Function} middleware - (context, next) => Promise; call next() to continue
+ */
+function useMiddleware(middleware) {
+  middlewares.push(middleware);
+}
+
+/**
+ * Runs a command through the middleware chain
+ * @param {Object} command - Registered command
+ * @param {Object} context - { sock, message, args, user, sender, commandName }
+ */
+async function dispatch(command, context) {
+  const fullContext = { ...context, command };
+  
+  const run = async (index) => {
+    if (index < middlewares.length) {
+      await middlewares[index](fullContext, () => run(index + 1));
+    } else {
+      await command.execute(fullContext);
+    }
+  };
+  
+  await run(0);
+}
+
+module.exports = {
+  registerCommand,
+  registerCommands,
+  getCommand,
+  getCommands,
+  useMiddleware,
+  dispatch
+};
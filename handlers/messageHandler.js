@@ -1,6 +1,6 @@
 const { handleCommand } = require('./commandHandler');
 const config = require('../config');
-const { getUser, isGroupApproved, approveGroup, saveDatabase, isUserBlacklisted } = require('../database/db');
+const { getUser, isGroupApproved, approveGroup, saveDatabase, isUserBlacklisted, runWithLedgerContext } = require('../database/db');
 const { sendReply } = require('../utils/messageUtils');
 
 /**
@@ -154,8 +154,11 @@ async function handleMessage(sock, message) {
       const user = getUser(sender);
       console.log(`User data retrieved:`, user ? 'Found' : 'Not found');
       
-      // Process command with better error handling
-      await handleCommand(sock, message, commandText, sender, user);
+      // Process command with better error handling, attributing any coin movements to it in the ledger
+      const commandName = commandText.split(' ')[0].toLowerCase();
+      await runWithLedgerContext({ command: commandName, actor: sender }, () =>
+        handleCommand(sock, message, commandText, sender, user)
+      );
       console.log(`Command processing completed for ${commandText}`);
     } catch (cmdError) {
       console.error(`Error processing command ${commandText}:`, cmdError);
@@ -0,0 +1,170 @@
+/**
+ * Command middleware
+ * Each middleware receives the command context and a next() function. Calling next()
+ * continues to the next middleware (and finally the command); returning without
+ * calling it stops the command.
+ */
+const config = require('../config');
+const { sendReply } = require('../utils/messageUtils');
+const { checkUserRegistered } = require('../utils/registrationUtils');
+const { formatNumber, formatDuration } = require('../utils/formatter');
+const { checkCooldown, checkCommandRate, addStrike, getMuteRemaining, shouldNotify } = require('../utils/rateLimiter');
+const { isOwner, isOwnerId } = require('../commands/owner');
+const { getExclusionRemaining, takeRealityCheck } = require('../utils/gamblingLimits');
+const { isInDefault } = require('../utils/loans');
+
+/**
+ * Formats a wait time for users, rounding up to whole seconds
+ * @param {Number} ms - Milliseconds
+ * @returns {String} Formatted duration
+ */
+function formatWait(ms) {
+  return formatDuration(Math.ceil(ms / 1000) * 1000);
+}
+
+/**
+ * Tells a user they're going over a limit, and mutes them if they keep doing it
+ * @param {Object} context - Command context
+ * @param {String} noticeKey - Key for limiting how often this notice is sent
+ * @param {Number} retryAfter - Milliseconds until the user may try again
+ * @param {String} text - Notice to send
+ */
+async function handleLimited(context, noticeKey, retryAfter, text) {
+  const { sock, message, sender } = context;
+  const muteDuration = addStrike(sender);
+  
+  if (muteDuration > 0) {
+    await sendReply(sock, message, `🔇 *SLOW DOWN* 🔇\n\n` +
+      `You've been muted for ${formatDuration(muteDuration)} for spamming commands.\n` +
+      `Repeat offenses lead to longer mutes.`);
+  } else if (shouldNotify(noticeKey, retryAfter)) {
+    await sendReply(sock, message, text);
+  }
+}
+
+/**
+ * Ignores muted users and stops users and groups from sending commands too quickly
+ * @param {Object} context - Command context
+ * @param {Function} next - Continue to the next middleware
+ */
+async function rateLimit(context, next) {
+  const { message, sender } = context;
+  
+  // Owners are never limited, and limits can be switched off entirely
+  if (!config.rateLimits.enabled || isOwnerId(sender)) {
+    await next();
+    return;
+  }
+  
+  // Muted users are ignored until the mute runs out
+  if (getMuteRemaining(sender) > 0) return;
+  
+  const remoteJid = message.key.remoteJid;
+  const groupId = remoteJid.endsWith('@g.us') ? remoteJid : null;
+  const { retryAfter, limitedBy } = checkCommandRate(sender, groupId);
+  
+  if (limitedBy === 'user') {
+    await handleLimited(context, `rate:${sender}`, retryAfter,
+      `⏳ You're sending commands too fast. Try again in ${formatWait(retryAfter)}.`);
+    return;
+  }
+  
+  if (limitedBy === 'group') {
+    // Not this user's fault, so no strike - just one notice per group
+    if (shouldNotify(`rate:${groupId}`, retryAfter)) {
+      await sendReply(context.sock, message, `⏳ This group is sending commands too fast. Try again in ${formatWait(retryAfter)}.`);
+    }
+    return;
+  }
+  
+  await next();
+}
+
+/**
+ * Stops owner-only commands from being used by anyone else
+ * @param {Object} context - Command context
+ * @param {Function} next - Continue to the next middleware
+ */
+async function requireOwner(context, next) {
+  if (context.command.role === 'owner' && !await isOwner(context.sock, context.message, context.sender)) {
+    return;
+  }
+  await next();
+}
+
+/**
+ * Asks unregistered users to register before using commands that need it
+ * @param {Object} context - Command context
+ * @param {Function} next - Continue to the next middleware
+ */
+async function requireRegistration(context, next) {
+  if (context.command.requiresRegistration && !await checkUserRegistered(context.sock, context.message, context.sender)) {
+    return;
+  }
+  await next();
+}
+
+/**
+ * Makes users wait between uses of commands that have a cooldown
+ * @param {Object} context - Command context
+ * @param {Function} next - Continue to the next middleware
+ */
+async function enforceCooldown(context, next) {
+  const { command, sender } = context;
+  
+  if (command.cooldown > 0 && config.rateLimits.enabled && !isOwnerId(sender)) {
+    const retryAfter = checkCooldown(sender, command.name, command.cooldown);
+    
+    if (retryAfter > 0) {
+      await handleLimited(context, `cooldown:${sender}:${command.name}`, retryAfter,
+        `⏳ Please wait ${formatWait(retryAfter)} before using ${config.prefix}${command.name} again.`);
+      return;
+    }
+  }
+  
+  await next();
+}
+
+/**
+ * Blocks gambling commands during a player's break from gambling or while their loan is in
+ * default, and sends reality checks once a gambling command has run
+ * @param {Object} context - Command context
+ * @param {Function} next - Continue to the next middleware
+ */
+async function enforceGamblingControls(context, next) {
+  const { command, sock, message, sender } = context;
+  
+  if (!command.gambling) {
+    await next();
+    return;
+  }
+  
+  const excludedFor = getExclusionRemaining(sender);
+  if (excludedFor > 0) {
+    await sendReply(sock, message, `🛑 You're taking a break from gambling for another ${formatDuration(excludedFor)}.`);
+    return;
+  }
+  
+  if (isInDefault(sender)) {
+    await sendReply(sock, message, `🚫 Your loan is in default, so gambling is blocked until you repay it with ${config.prefix}repay.`);
+    return;
+  }
+  
+  await next();
+  
+  const check = takeRealityCheck(sender);
+  if (check) {
+    const result = check.net < 0 ? `are down ${formatNumber(-check.net)} coins` : `are up ${formatNumber(check.net)} coins`;
+    await sendReply(sock, message, `⏰ *REALITY CHECK* ⏰\n\n` +
+      `You've played ${formatNumber(check.bets)} game${check.bets === 1 ? '' : 's'} in the last ${formatDuration(check.since)} and ${result}.\n\n` +
+      `Set loss limits or take a break with ${config.prefix}limits.`);
+  }
+}
+
+module.exports = {
+  rateLimit,
+  requireOwner,
+  requireRegistration,
+  enforceCooldown,
+  enforceGamblingControls
+};
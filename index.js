@@ -7,15 +7,25 @@ const config = require('./config');
 const { initializeDatabase, saveDatabase } = require('./database/db');
 const { handleMessage } = require('./handlers/messageHandler');
 const { getBotProfileImage } = require('./utils/imageUtils');
+const { startJackpotScheduler } = require('./utils/jackpotScheduler');
+const { startBlackjackTimeouts } = require('./commands/gambling');
+const { startRoundScheduler } = require('./commands/rounds');
+const { startPokerTimeouts } = require('./commands/poker');
+const { startLoanScheduler } = require('./commands/loans');
+const { startBankScheduler } = require('./commands/banking');
+const { startHeistScheduler } = require('./commands/robbery');
+const { startCompanyScheduler } = require('./commands/company');
+const { startProposalScheduler } = require('./commands/governance');
+const { throttleSocket } = require('./utils/rateLimiter');
 
 // Initialize the database
 initializeDatabase();
 
-// Set up automatic database saving
+// Every change is journaled as it happens; periodically fold the journal into a snapshot
 setInterval(() => {
   saveDatabase();
   console.log('Database saved');
-}, 60000); // Save every minute
+}, config.dbSaveInterval);
 
 // Ensure auth folder exists
 if (!fs.existsSync('./auth')) {
@@ -31,6 +41,9 @@ async function connectToWhatsApp() {
     logger: P({ level: 'silent' })
   });
   
+  // Pace everything the bot sends so WhatsApp doesn't flag it for spamming
+  throttleSocket(sock);
+  
   // Auto-save credentials whenever they're updated
   sock.ev.on('creds.update', saveCreds);
   
@@ -52,6 +65,17 @@ async function connectToWhatsApp() {
       }
     } else if (connection === 'open') {
       console.log('WhatsApp bot connected!');
+      
+      // Start scheduled jobs (or hand them the new connection after a reconnect)
+      startJackpotScheduler(sock);
+      startBlackjackTimeouts(sock);
+      startRoundScheduler(sock);
+      startPokerTimeouts(sock);
+      startLoanScheduler(sock);
+      startBankScheduler(sock);
+      startHeistScheduler(sock);
+      startCompanyScheduler(sock);
+      startProposalScheduler(sock);
     }
   });
   
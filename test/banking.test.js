@@ -0,0 +1,196 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('assert');
+const { createHarness } = require('./harness');
+const { runBankJobs } = require('../commands/banking');
+const { getUser, updateUser, initializeDatabase, useStorage, transferCoins, walletAccount, getLedgerAccountBalance, LEDGER_ACCOUNTS } = require('../database/db');
+const { createStorage } = require('../database/storage');
+
+describe('banking', () => {
+  let harness;
+  
+  beforeEach(async () => {
+    harness = createHarness();
+    await harness.register('alice');
+  });
+  
+  afterEach(() => {
+    harness.cleanup();
+  });
+  
+  it('deposits and withdraws coins', async () => {
+    await harness.conversation()
+      .send('alice', '.deposit 5000')
+      .expectReply(/Successfully deposited 5,000 coins/)
+      .check(h => {
+        const alice = h.getUser('alice');
+        assert.equal(alice.balance, 45000);
+        assert.equal(alice.bankBalance, 5000);
+      })
+      .send('alice', '.with 2000')
+      .expectReply(/Successfully withdrew 2,000 coins/)
+      .check(h => {
+        const alice = h.getUser('alice');
+        assert.equal(alice.balance, 47000);
+        assert.equal(alice.bankBalance, 3000);
+      })
+      .run();
+  });
+  
+  it('only deposits up to the bank capacity', async () => {
+    await harness.conversation()
+      .send('alice', '.dep all')
+      .expectReply(/only deposit 10,000 coins due to bank capacity/)
+      .check(h => {
+        const alice = h.getUser('alice');
+        assert.equal(alice.bankBalance, 10000);
+        assert.equal(alice.balance, 40000);
+      })
+      .send('alice', '.dep 1')
+      .expectReply(/bank is full/)
+      .run();
+  });
+  
+  it('refuses to move more coins than the user has', async () => {
+    await harness.conversation()
+      .send('alice', '.withdraw 100')
+      .expectReply(/don't have enough coins in your bank/)
+      .send('alice', '.deposit 0')
+      .expectReply(/valid amount/)
+      .check(h => {
+        const alice = h.getUser('alice');
+        assert.equal(alice.balance, 50000);
+        assert.equal(alice.bankBalance, 0);
+      })
+      .run();
+  });
+  
+  it('records bank transfers in the transaction history', async () => {
+    await harness.conversation()
+      .send('alice', '.deposit 5000')
+      .send('alice', '.history')
+      .expectReply(/TRANSACTION HISTORY[\s\S]*5,000 coins wallet → bank/)
+      .run();
+  });
+  
+  it('locks coins in term deposits and charges for breaking them early', async () => {
+    await harness.conversation()
+      .send('alice', '.term 7d 5000')
+      .expectReply(/TERM DEPOSIT OPENED[\s\S]*locked for 7d 0h at 12\.0%[\s\S]*#1 • 7d • 5,000 coins → 5,600 coins[\s\S]*Wallet: 45,000 coins/)
+      .send('alice', '.term 30d 6000')
+      .expectReply(/can't add up to more than your bank capacity \(5,000 coins left\)/)
+      .send('alice', '.term 1d 500')
+      .expectReply(/Minimum term deposit is 1,000 coins/)
+      .send('alice', '.bank')
+      .expectReply(/Term Deposits\*\nValue at maturity of 5,000 coins:\n1d at 1\.5%: 5,075 coins[\s\S]*Your deposits \(1\/3\):\n#1 • 7d • 5,000 coins → 5,600 coins/)
+      .send('alice', '.term break 1')
+      .expectReply(/gives up 600 coins of interest and costs a 250 coin penalty, so you'd get 4,750 coins back/)
+      .check(h => assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.DEPOSITS), 5000))
+      .send('alice', '.term break 1 confirm')
+      .expectReply(/closed early[\s\S]*Returned: 4,750 coins\nPenalty: 250 coins/)
+      .send('alice', '.term break 1 confirm')
+      .expectReply(/don't have a term deposit #1/)
+      .check(h => {
+        assert.equal(h.getUser('alice').balance, 49750);
+        assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.DEPOSITS), 0);
+      })
+      .run();
+  });
+  
+  it('pays out matured deposits and interest nobody claimed', async () => {
+    await harness.conversation()
+      .send('alice', '.deposit 5000')
+      .send('alice', '.term 1d 2000')
+      .run();
+    
+    assert.deepEqual(await runBankJobs(harness.sock), { matured: 0, interestPaid: 0 });
+    
+    // Two days later: the deposit has matured and two days of interest weren't claimed
+    const now = Date.now();
+    mock.method(Date, 'now', () => now + 2 * 24 * 60 * 60 * 1000);
+    assert.deepEqual(await runBankJobs(harness.sock), { matured: 1, interestPaid: 1 });
+    
+    const notice = harness.sock.sent[harness.sock.sent.length - 1];
+    assert.equal(notice.jid, harness.userId('alice'));
+    assert.match(notice.text, /TERM DEPOSIT MATURED[\s\S]*Interest: 30 coins[\s\S]*2,030 coins have been added to your wallet/);
+    
+    const alice = harness.getUser('alice');
+    assert.equal(alice.balance, 45030);
+    assert.equal(alice.bankBalance, 5100);
+    
+    // Today's interest is still there to claim
+    assert.deepEqual(await runBankJobs(harness.sock), { matured: 0, interestPaid: 0 });
+    await harness.conversation()
+      .send('alice', '.int')
+      .expectReply(/earned 51 coins in interest/)
+      .run();
+  });
+  
+  it('pays at most a week of unclaimed interest to a player who joined long ago', async () => {
+    await harness.send('alice', '.deposit 5000');
+    
+    // Joined over a year ago and never claimed interest
+    updateUser(harness.userId('alice'), { joinDate: Date.now() - 400 * 24 * 60 * 60 * 1000, lastInterestClaim: null });
+    
+    assert.deepEqual(await runBankJobs(harness.sock), { matured: 0, interestPaid: 1 });
+    
+    // 5,000 -> 5,050 -> 5,100 -> 5,151 -> 5,202 -> 5,254 -> 5,306 -> 5,359
+    assert.equal(harness.getUser('alice').bankBalance, 5359);
+    assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.REWARDS), -359);
+  });
+  
+  it('starts paying unclaimed interest from the day it was introduced', async () => {
+    const alice = harness.userId('alice');
+    const longAgo = Date.now() - 400 * 24 * 60 * 60 * 1000;
+    
+    // Stored before unclaimed interest was paid: one player never claimed, the other long ago
+    const user = (id, username, bankBalance, lastInterestClaim) => ({ id, username, isRegistered: true, balance: 50000, bankBalance, bankCapacity: 10000, prestige: 0, joinDate: longAgo, lastInterestClaim });
+    const oldState = {
+      users: {
+        [alice]: user(alice, 'alice', 5000, null),
+        bob: user('bob', 'bob', 8000, longAgo)
+      }
+    };
+    useStorage(createStorage('memory', { initialState: oldState }));
+    initializeDatabase();
+    
+    assert.deepEqual(await runBankJobs(harness.sock), { matured: 0, interestPaid: 0 });
+    assert.equal(harness.getUser('alice').bankBalance, 5000);
+    assert.equal(getUser('bob').bankBalance, 8000);
+    assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.REWARDS), 0);
+    
+    // Today's interest can still be claimed
+    await harness.conversation()
+      .send('alice', '.int')
+      .expectReply(/earned 50 coins in interest/)
+      .run();
+  });
+  
+  it('sends a monthly statement as an image', async () => {
+    await harness.register('bob');
+    
+    await harness.conversation()
+      .send('alice', '.deposit 5000')
+      .send('alice', '.with 1000')
+      .send('alice', '.upgradebank')
+      .send('alice', '.pay bob 1000')
+      .send('alice', '.term 1d 1000')
+      .send('alice', '.term break 1 confirm')
+      .expectReply(/Penalty: 50 coins/)
+      // A fine isn't a fee
+      .check(h => transferCoins(walletAccount(h.userId('alice')), LEDGER_ACCOUNTS.FEES, 300, { reason: 'Robbery fine' }))
+      .send('alice', '.statement')
+      .expectReply(/BANK STATEMENT[\s\S]*Opening balance: 0 coins\nDeposits: \+5,000 coins\nWithdrawals: -1,000 coins\nInterest earned: \+0 coins\nClosing balance: 4,000 coins[\s\S]*Bank upgrades: 1 \(1,500 coins\)\nFees paid: 70 coins/)
+      .check(h => {
+        const reply = h.sock.sent[h.sock.sent.length - 1];
+        assert.equal(reply.hasImage, true);
+        assert.equal(reply.content.image.subarray(1, 4).toString(), 'PNG');
+      })
+      .send('alice', '.statement 2020-01')
+      .expectReply(/January 2020\n\nOpening balance: 0 coins[\s\S]*Closing balance: 0 coins/)
+      .send('alice', '.statement 2099-01')
+      .expectReply(/hasn't started yet/)
+      .send('alice', '.statement someday')
+      .expectReply(/Incorrect format/)
+      .run();
+  });
+});
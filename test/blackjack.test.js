@@ -0,0 +1,223 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const config = require('../config');
+const { createHarness } = require('./harness');
+const { resolveIdleBlackjackGames } = require('../commands/gambling');
+const {
+  initializeDatabase,
+  getBlackjackShoe,
+  setBlackjackShoe,
+  getBlackjackGame,
+  setBlackjackGame,
+  getBetRecord,
+  getLedgerAccountBalance,
+  LEDGER_ACCOUNTS
+} = require('../database/db');
+
+/**
+ * Makes a test user's hand look like it has been idle since before the timeout
+ * @param {Object} harness - Test harness
+ * @param {String} name - Test user name
+ */
+function idleHand(harness, name) {
+  const session = getBlackjackGame(harness.userId(name));
+  setBlackjackGame(harness.userId(name), { ...session, lastActionAt: Date.now() - config.blackjackTimeout - 1 });
+}
+
+/**
+ * Replaces the group's shoe with one that deals the given cards first
+ * @param {Object} harness - Test harness
+ * @param {Array} values - Card values in the order they're dealt (player, dealer, player, dealer, then hits)
+ */
+function stackShoe(harness, values) {
+  // Pad the shoe with low cards so it isn't due a reshuffle
+  const filler = Array.from({ length: 300 }, () => ({ suit: 'clubs', value: '2' }));
+  const stacked = values.map(value => ({ suit: 'spades', value })).reverse();
+  
+  setBlackjackShoe(harness.group, {
+    betId: 1,
+    decks: 6,
+    size: filler.length + stacked.length,
+    dealt: 0,
+    cards: [...filler, ...stacked],
+    roll: { ownerId: `shoe:${harness.group}`, game: 'Blackjack', serverSeedHash: 'stacked', clientSeed: 'stacked', nonce: 1, floatsUsed: 0 }
+  });
+}
+
+describe('blackjack', () => {
+  let harness;
+  
+  beforeEach(async () => {
+    harness = createHarness();
+    await harness.register('alice');
+  });
+  
+  afterEach(() => {
+    harness.cleanup();
+  });
+  
+  it('pays 3:2 on a natural', async () => {
+    stackShoe(harness, ['A', '9', 'K', '7']);
+    
+    await harness.conversation()
+      .send('alice', '.blackjack 100')
+      .expectReply(/BLACKJACK![\s\S]*You won 150 coins/)
+      .check(h => assert.equal(h.getUser('alice').balance, 50150))
+      .run();
+  });
+  
+  it('doubles the bet for one more card', async () => {
+    stackShoe(harness, ['5', '10', '6', '7', '10']);
+    
+    await harness.conversation()
+      .send('alice', '.blackjack 100')
+      .expectReply(/Your move: .*\.blackjack double/)
+      .send('alice', '.blackjack double')
+      .expectReply(/YOU WIN![\s\S]*You won 200 coins/)
+      .check(h => assert.equal(h.getUser('alice').balance, 50200))
+      .run();
+  });
+  
+  it('splits and re-splits pairs into separate hands', async () => {
+    // Hands: 8+8 -> split, first hand draws another 8 -> split again
+    stackShoe(harness, ['8', '10', '8', '7', '8', '3', '10', '10', '10']);
+    
+    await harness.conversation()
+      .send('alice', '.blackjack 100')
+      .send('alice', '.blackjack split')
+      .expectReply(/👉 \*Hand 1\* \(16\)[\s\S]*\*Hand 2\* \(11\)/)
+      .send('alice', '.blackjack split')
+      .expectReply(/\*Hand 3\*/)
+      .send('alice', '.blackjack stand')
+      .send('alice', '.blackjack stand')
+      .send('alice', '.blackjack hit')
+      // Hand 1: 8+10 = 18, hand 2: 8+10 = 18, hand 3: 8+3+10 = 21 against the dealer's 17
+      .expectReply(/Hand 1: 🎉 \*YOU WIN![\s\S]*Hand 3: 🎉 \*YOU WIN![\s\S]*You won 300 coins/)
+      .check(h => assert.equal(h.getUser('alice').balance, 50300))
+      .run();
+  });
+  
+  it('pays insurance 2:1 when the dealer has blackjack', async () => {
+    stackShoe(harness, ['10', 'A', '9', 'K']);
+    
+    await harness.conversation()
+      .send('alice', '.blackjack 100')
+      .expectReply(/dealer shows an ace[\s\S]*blackjack insurance/)
+      .send('alice', '.blackjack hit')
+      .expectReply(/can't hit right now/)
+      .send('alice', '.blackjack insurance')
+      // The hand loses 100, the 50 coin insurance returns 150
+      .expectReply(/DEALER BLACKJACK![\s\S]*Insurance paid 150 coins[\s\S]*Your bet has been returned/)
+      .check(h => assert.equal(h.getUser('alice').balance, 50000))
+      .run();
+  });
+  
+  it('returns half the bet on surrender', async () => {
+    stackShoe(harness, ['10', '10', '6', '7']);
+    
+    await harness.conversation()
+      .send('alice', '.blackjack 100')
+      .send('alice', '.blackjack surrender')
+      .expectReply(/SURRENDERED![\s\S]*You lost 50 coins/)
+      .check(h => assert.equal(h.getUser('alice').balance, 49950))
+      .run();
+  });
+  
+  it('deals hands from a shared shoe and records the cards each hand used', async () => {
+    await harness.register('bob');
+    
+    await harness.send('alice', '.blackjack 100');
+    const shoe = getBlackjackShoe(harness.group);
+    assert.equal(shoe.size, 6 * 52);
+    assert.equal(getBetRecord(shoe.betId).game, 'Blackjack shoe');
+    
+    await harness.send('bob', '.blackjack 100');
+    assert.equal(getBlackjackShoe(harness.group).betId, shoe.betId);
+    assert.ok(getBlackjackShoe(harness.group).dealt >= 8);
+    
+    // Finish alice's hand whatever she was dealt
+    await harness.send('alice', '.blackjack noinsurance');
+    const { sent } = await harness.send('alice', '.blackjack stand');
+    const betId = Number((sent.map(entry => entry.text).join('\n').match(/Bet #(\d+)/) || [])[1]);
+    
+    await harness.conversation()
+      .send('alice', `.verify ${betId}`)
+      .expectReply(new RegExp(`Player: alice[\\s\\S]*shoe #${shoe.betId} cards 1, 2, 3, 4[\\s\\S]*hidden until the shoe is reshuffled`))
+      .run();
+  });
+  
+  it('holds stakes in escrow until the hand is settled', async () => {
+    stackShoe(harness, ['5', '10', '6', '7', '10']);
+    
+    await harness.conversation()
+      .send('alice', '.blackjack 100')
+      .check(h => {
+        assert.equal(h.getUser('alice').balance, 49900);
+        assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.ESCROW), 100);
+      })
+      .send('alice', '.blackjack double')
+      .expectReply(/You won 200 coins/)
+      .check(h => {
+        assert.equal(h.getUser('alice').balance, 50200);
+        assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.ESCROW), 0);
+      })
+      .run();
+  });
+  
+  it('keeps hands in progress after the database is reloaded from disk', async () => {
+    harness.cleanup();
+    harness = createHarness({ driver: 'journal' });
+    await harness.register('alice');
+    stackShoe(harness, ['10', '10', '6', '7', '4']);
+    
+    await harness.send('alice', '.blackjack 100');
+    
+    // Reload from the snapshot and journal in the temporary data directory
+    initializeDatabase();
+    
+    await harness.conversation()
+      .send('alice', '.blackjack hit')
+      .expectReply(/\*Your Hand\* \(20\)/)
+      .send('alice', '.blackjack stand')
+      .expectReply(/YOU WIN![\s\S]*You won 100 coins/)
+      .check(h => assert.equal(h.getUser('alice').balance, 50100))
+      .run();
+  });
+  
+  it('stands idle hands after the timeout and tells the player', async () => {
+    stackShoe(harness, ['10', '10', '8', '7']);
+    await harness.send('alice', '.blackjack 100');
+    
+    // Not idle yet
+    assert.equal(await resolveIdleBlackjackGames(harness.sock), 0);
+    
+    idleHand(harness, 'alice');
+    assert.equal(await resolveIdleBlackjackGames(harness.sock), 1);
+    
+    const notice = harness.sock.sent[harness.sock.sent.length - 1];
+    assert.equal(notice.jid, harness.userId('alice'));
+    assert.match(notice.text, /TIMED OUT[\s\S]*stood for you[\s\S]*YOU WIN!/);
+    assert.equal(getBlackjackGame(harness.userId('alice')), null);
+    assert.equal(harness.getUser('alice').balance, 50100);
+  });
+  
+  it('can forfeit idle hands instead', async () => {
+    const timeoutAction = config.blackjackTimeoutAction;
+    config.blackjackTimeoutAction = 'forfeit';
+    
+    try {
+      stackShoe(harness, ['10', '10', '8', '7']);
+      await harness.send('alice', '.blackjack 100');
+      
+      idleHand(harness, 'alice');
+      await resolveIdleBlackjackGames(harness.sock);
+      
+      const notice = harness.sock.sent[harness.sock.sent.length - 1];
+      assert.match(notice.text, /forfeited for you[\s\S]*FORFEITED![\s\S]*You lost 100 coins/);
+      assert.equal(harness.getUser('alice').balance, 49900);
+      assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.ESCROW), 0);
+    } finally {
+      config.blackjackTimeoutAction = timeoutAction;
+    }
+  });
+});
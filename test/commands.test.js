@@ -0,0 +1,37 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const { createHarness } = require('./harness');
+
+describe('command middleware', () => {
+  let harness;
+  
+  beforeEach(async () => {
+    harness = createHarness({ owners: ['owner'] });
+    await harness.register('alice', 'bob');
+  });
+  
+  afterEach(() => {
+    harness.cleanup();
+  });
+  
+  it('turns away anyone but owners before an owner command runs', async () => {
+    await harness.conversation()
+      .send('alice', '.addcoins bob 1000')
+      .expectReply(/only available to bot owners/i)
+      .check((h, last) => {
+        assert.equal(last.sent.length, 1);
+        assert.equal(h.getUser('bob').balance, 50000);
+      })
+      // The owner check comes first, so unregistered users aren't asked to register
+      .send('carol', '.addcoins bob 1000')
+      .expectReply(/only available to bot owners/i)
+      .check((h, last) => {
+        assert.equal(last.sent.length, 1);
+        assert.equal(h.getUser('bob').balance, 50000);
+      })
+      .send('owner', '.addcoins bob 1000')
+      .expectReply(/COINS ADDED[\s\S]*New balance: 51,000 coins/)
+      .check(h => assert.equal(h.getUser('bob').balance, 51000))
+      .run();
+  });
+});
@@ -0,0 +1,325 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const { createHarness } = require('./harness');
+const { runCompanyCycle } = require('../commands/company');
+const { getUser, getCompany, updateCompany, getEconomy, approveGroup, transferCoins, transferShares, walletAccount, initializeDatabase, useStorage, getLedgerAccountBalance, LEDGER_ACCOUNTS } = require('../database/db');
+const { createStorage } = require('../database/storage');
+const config = require('../config');
+
+/**
+ * Makes a random number source that returns the given floats in turn
+ * @param {Array} floats - Floats in [0, 1)
+ * @returns {Function} Random number source
+ */
+function sequence(floats) {
+  return () => floats.shift();
+}
+
+/**
+ * Finds the floats that pick a sector event
+ * @param {String} name - Event name
+ * @returns {Array} [chance float, pick float]
+ */
+function sectorEvent(name) {
+  const index = config.sectorEvents.findIndex(event => event.name === name);
+  return [0, (index + 0.5) / config.sectorEvents.length];
+}
+
+describe('companies', () => {
+  let harness;
+  
+  beforeEach(async () => {
+    harness = createHarness();
+    await harness.register('alice', 'bob');
+    await harness.send('alice', '.cc 6000 TechCorp');
+  });
+  
+  afterEach(() => {
+    harness.cleanup();
+  });
+  
+  it('creates a company owned by its founder', () => {
+    const company = getCompany('TechCorp');
+    assert.equal(company.owner, harness.userId('alice'));
+    assert.equal(company.value, 6000);
+    assert.equal(harness.getUser('alice').balance, 44000);
+    assert.equal(harness.getUser('alice').shares.TechCorp, 100);
+  });
+  
+  it('lets other users invest', async () => {
+    await harness.conversation()
+      .send('bob', '.ci TechCorp 5000')
+      .expectReply(/INVESTMENT SUCCESSFUL[\s\S]*Investment: 4,980 coins\nShares Acquired: 83 at 60 coins each\nNot Needed: 20 coins[\s\S]*Your Shares: 83 of 183/)
+      .check(h => {
+        const bob = h.getUser('bob');
+        assert.equal(bob.balance, 45020);
+        assert.equal(bob.investedCompanies.TechCorp, 4980);
+        assert.equal(bob.shares.TechCorp, 83);
+        
+        const company = getCompany('TechCorp');
+        assert.equal(company.value, 10980);
+        assert.equal(company.totalShares, 183);
+        assert.deepEqual(company.shareDistribution, { [h.userId('alice')]: 100, [h.userId('bob')]: 83 });
+        assert.equal(getLedgerAccountBalance('company:TechCorp', 'shares:TechCorp'), -183);
+      })
+      .run();
+  });
+  
+  it('charges a fee on withdrawals', async () => {
+    await harness.send('bob', '.ci TechCorp 5000');
+    
+    await harness.conversation()
+      .send('bob', '.cw TechCorp 2000')
+      .expectReply(/WITHDRAWAL SUCCESSFUL[\s\S]*Shares Sold: 33 at 60 coins each\nWithdrawn: 1,980 coins\nFee \(10%\): 198 coins\nNet Amount: 1,782 coins/)
+      .check(h => {
+        const bob = h.getUser('bob');
+        assert.equal(bob.balance, 46802);
+        assert.equal(bob.investedCompanies.TechCorp, 3000);
+        assert.equal(bob.shares.TechCorp, 50);
+        assert.equal(getCompany('TechCorp').value, 9000);
+        assert.equal(getCompany('TechCorp').totalShares, 150);
+        assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.FEES, 'coins'), 198);
+      })
+      .run();
+  });
+  
+  it('issues and buys back shares at the share price', async () => {
+    await harness.conversation()
+      .send('bob', '.ci TechCorp 1000')
+      .expectReply(/Shares Acquired: 16 at 60 coins each/)
+      .send('bob', '.cinfo TechCorp')
+      .expectReply(/Total Shares: 116\nShare Price: 60 coins[\s\S]*Top Shareholders:\*\n- alice: 100 shares \(86\.2%\)\n- bob: 16 shares \(13\.8%\)/)
+      .send('bob', '.cw TechCorp 59')
+      .expectReply(/One share of "TechCorp" is worth 60 coins/)
+      .send('bob', '.cw TechCorp 5000')
+      .expectReply(/You only have 16 shares in this company, worth 960 coins/)
+      .send('bob', '.cw TechCorp all')
+      .expectReply(/Shares Sold: 16 at 60 coins each[\s\S]*Your Remaining Shares: 0/)
+      .check(h => {
+        assert.equal(h.getUser('bob').investedCompanies.TechCorp, undefined);
+        assert.deepEqual(getCompany('TechCorp').investors, { [h.userId('alice')]: 6000 });
+        assert.equal(getCompany('TechCorp').capital, 6000);
+      })
+      .run();
+    
+    // Once a share is worth more than an investment, the investment can't buy one
+    transferCoins(LEDGER_ACCOUNTS.ADMIN, 'company:TechCorp', 194000, { reason: 'Test revenue' });
+    updateCompany('TechCorp', { value: 200000 });
+    
+    await harness.conversation()
+      .send('bob', '.ci TechCorp 1500')
+      .expectReply(/One share of "TechCorp" costs 2,000 coins/)
+      .send('bob', '.ci TechCorp 5000')
+      .expectReply(/Shares Acquired: 2 at 2,000 coins each\nNot Needed: 1,000 coins/)
+      .send('alice', '.ckick TechCorp @bob')
+      .expectReply(/Their 2 shares have been bought back for 4,000 coins, minus a 20% fee/)
+      .expectDM('bob', /COMPANY INVESTMENT TERMINATED/)
+      .check(h => {
+        assert.equal(h.getUser('bob').balance, 50000 - 960 + 864 - 4000 + 3200);
+        assert.equal(getCompany('TechCorp').totalShares, 100);
+        assert.equal(getLedgerAccountBalance('company:TechCorp', 'shares:TechCorp'), -100);
+      })
+      .run();
+  });
+  
+  it('reconciles companies stored under the old share model', () => {
+    const alice = harness.userId('alice');
+    const bob = harness.userId('bob');
+    const carol = harness.userId('carol');
+    const user = (id, username, shares, investedCompanies) => ({ id, username, isRegistered: true, balance: 50000, shares, investedCompanies });
+    
+    // Shares were never issued, and carol's small investment bought none
+    const oldState = {
+      users: {
+        [alice]: user(alice, 'alice', { TechCorp: 100 }, { TechCorp: 6000, OldCo: 8000 }),
+        [bob]: user(bob, 'bob', { TechCorp: 45 }, { TechCorp: 5000 }),
+        [carol]: user(carol, 'carol', {}, { TechCorp: 500 })
+      },
+      companies: {
+        TechCorp: {
+          name: 'TechCorp', owner: alice, sector: 'Technology', value: 11500, totalShares: 100,
+          investors: { [alice]: 6000, [bob]: 5000, [carol]: 500 },
+          shareDistribution: { [alice]: 100, [bob]: 45 }
+        },
+        // From before the ledger: only the company knows who holds its shares
+        OldCo: {
+          name: 'OldCo', owner: alice, sector: 'Retail', value: 8000, totalShares: 100,
+          investors: { [alice]: 8000 },
+          shareDistribution: { [alice]: 100 }
+        }
+      }
+    };
+    useStorage(createStorage('memory', { initialState: oldState }));
+    initializeDatabase();
+    
+    const techCorp = getCompany('TechCorp');
+    assert.equal(techCorp.totalShares, 152);
+    assert.deepEqual(techCorp.shareDistribution, { [alice]: 100, [bob]: 45, [carol]: 7 });
+    assert.equal(techCorp.capital, 11500);
+    assert.equal(harness.getUser('carol').shares.TechCorp, 7);
+    assert.equal(getLedgerAccountBalance('company:TechCorp', 'shares:TechCorp'), -152);
+    
+    const oldCo = getCompany('OldCo');
+    assert.equal(oldCo.totalShares, 100);
+    assert.equal(harness.getUser('alice').shares.OldCo, 100);
+    assert.equal(getLedgerAccountBalance('company:OldCo', 'shares:OldCo'), -100);
+    
+    // The result is saved, so the migration only runs once
+    initializeDatabase();
+    assert.equal(getCompany('TechCorp').totalShares, 152);
+    assert.equal(harness.getUser('carol').shares.TechCorp, 7);
+  });
+  
+  it('does not let the owner withdraw everything', async () => {
+    await harness.conversation()
+      .send('alice', '.cw TechCorp all')
+      .expectReply(/cannot withdraw all your investment/)
+      .check(() => assert.equal(getCompany('TechCorp').value, 6000))
+      .run();
+  });
+  
+  it('closes a company in one go, buying out holders who never registered', async () => {
+    const dave = '999@s.whatsapp.net';
+    await harness.send('bob', '.ci TechCorp 1200');
+    transferShares(walletAccount(harness.userId('bob')), walletAccount(dave), 'TechCorp', 5, { reason: 'Test gift' });
+    
+    // A holder the company lists but whose wallet has no shares makes the last buyback fail
+    updateCompany('TechCorp', { shareDistribution: { ...getCompany('TechCorp').shareDistribution, '998@s.whatsapp.net': 10 } });
+    await harness.conversation()
+      .send('alice', '.cclose TechCorp')
+      .expectReply(/error occurred while closing the company/)
+      .check(h => {
+        assert.equal(getCompany('TechCorp').closed, undefined);
+        assert.equal(getCompany('TechCorp').totalShares, 120);
+        assert.equal(h.getUser('bob').shares.TechCorp, 15);
+        assert.equal(h.getUser('alice').shares.TechCorp, 100);
+      })
+      .run();
+    
+    const shareDistribution = { ...getCompany('TechCorp').shareDistribution };
+    delete shareDistribution['998@s.whatsapp.net'];
+    updateCompany('TechCorp', { shareDistribution });
+    await harness.conversation()
+      .send('alice', '.cclose TechCorp')
+      .expectReply(/successfully closed/)
+      .expectDM('bob', /COMPANY CLOSED[\s\S]*Your 15 shares/)
+      .check(h => {
+        assert.equal(getCompany('TechCorp').totalShares, 0);
+        assert.equal(getLedgerAccountBalance('company:TechCorp', 'shares:TechCorp'), 0);
+        assert.equal(h.getUser('bob').balance, 50000 - 1200 + 810);
+        assert.equal(getUser(dave).balance, 50000 + 270);
+        assert.equal(h.sock.sent.some(entry => entry.jid === dave), false);
+      })
+      .run();
+  });
+  
+  it('rejects investments in unknown companies or beyond the balance', async () => {
+    await harness.conversation()
+      .send('bob', '.ci NoSuchCo 5000')
+      .expectReply(/Company "NoSuchCo" not found/)
+      .send('bob', '.ci TechCorp 999999')
+      .expectReply(/don't have enough coins/)
+      .check(h => assert.equal(h.getUser('bob').balance, 50000))
+      .run();
+  });
+  
+  it('earns or loses money each cycle and announces sector events', async () => {
+    approveGroup(harness.group);
+    updateCompany('TechCorp', { sector: 'Technology' });
+    const now = Date.now();
+    
+    // Average return plus the event, with no swing either way
+    const boom = await runCompanyCycle(harness.sock, now, sequence([...sectorEvent('Tech breakthrough'), 0.5]));
+    assert.deepEqual(boom, { events: 1, companies: 1 });
+    assert.equal(getCompany('TechCorp').value, 6918);
+    assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.REWARDS), -918);
+    
+    const announcement = harness.sock.sent[harness.sock.sent.length - 1];
+    assert.equal(announcement.jid, harness.group);
+    assert.match(announcement.text, /SECTOR NEWS[\s\S]*Tech breakthrough: Technology \+15%[\s\S]*TechCorp: \+918 coins/);
+    
+    // Nothing more until the next cycle is due
+    assert.equal(await runCompanyCycle(harness.sock, now + 1000, sequence([0.9, 0.5])), null);
+    
+    updateCompany('TechCorp', { sector: 'Energy' });
+    await runCompanyCycle(harness.sock, now + config.companyCycleInterval, sequence([...sectorEvent('Energy crisis'), 0.5]));
+    assert.equal(getCompany('TechCorp').value, 5901);
+    assert.equal(getEconomy().events[0].name, 'Energy crisis');
+    
+    await harness.conversation()
+      .send('bob', '.cinfo TechCorp')
+      .expectReply(/Value: 5,901 coins\nEarnings: 0 coins\nLast Cycle: -1,017 coins/)
+      .send('bob', '.sectors')
+      .expectReply(/Energy: ±5\.0% a cycle[\s\S]*Energy crisis: Energy -15%[\s\S]*Tech breakthrough: Technology \+15%[\s\S]*Next cycle: in (12h 0m|11h 59m)/)
+      .run();
+  });
+  
+  it('pays dividends out of earnings in proportion to shares', async () => {
+    await harness.send('alice', '.cc 20000 PowerCo');
+    updateCompany('TechCorp', { sector: 'Technology' });
+    updateCompany('PowerCo', { sector: 'Technology' });
+    await runCompanyCycle(harness.sock, Date.now(), sequence([...sectorEvent('Tech breakthrough'), 0.5, 0.5]));
+    assert.equal(getCompany('PowerCo').value, 23060);
+    
+    await harness.conversation()
+      .send('bob', '.ci PowerCo 5000')
+      .expectReply(/Shares Acquired: 21 at 230\.6 coins each/)
+      .send('bob', '.cdiv PowerCo 1000')
+      .expectReply(/Only the company owner can declare dividends/)
+      .send('alice', '.cdiv PowerCo 5000')
+      .expectReply(/only has 3,060 coins of earnings/)
+      .send('alice', '.cdiv PowerCo 500')
+      .expectReply(/minimum dividend is 1,000 coins/)
+      .send('alice', '.cdiv PowerCo all')
+      .expectReply(/DIVIDEND DECLARED[\s\S]*Paid Out: 3,059 coins[\s\S]*alice: 2,528 coins \(100 shares\)\n- bob: 531 coins \(21 shares\)[\s\S]*Earnings Left: 1 coins/)
+      .expectDM('bob', /DIVIDEND PAID[\s\S]*Your payout: 531 coins/)
+      .check(h => {
+        assert.equal(h.getUser('bob').balance, 45688);
+        assert.equal(getCompany('PowerCo').value, 24844);
+        assert.equal(getCompany('PowerCo').dividendsPaid, 3059);
+        assert.equal(getLedgerAccountBalance('company:PowerCo'), 24844);
+      })
+      .run();
+  });
+  
+  it('sells upgrades that earn income for the owner to collect', async () => {
+    await harness.conversation()
+      .send('bob', '.cupgrade TechCorp')
+      .expectReply(/COMPANY UPGRADES[\s\S]*Office\* \(office\) - Level 0\/5[\s\S]*Next level: 10,000 coins/)
+      .check(h => assert.ok(h.sock.sent[h.sock.sent.length - 1].hasImage))
+      .send('bob', '.cupgrade TechCorp office')
+      .expectReply(/Only the company owner can buy upgrades/)
+      .send('alice', '.ccollect TechCorp')
+      .expectReply(/doesn't earn any income yet/)
+      .send('alice', '.cupgrade TechCorp office')
+      .expectReply(/UPGRADE BOUGHT[\s\S]*Office \(Level 1\/5\)[\s\S]*Cost: 10,000 coins[\s\S]*Income: 40 coins\/hour[\s\S]*Valuation: 11,000 coins[\s\S]*New balance: 34,000 coins/)
+      .send('alice', '.cupgrade TechCorp staff')
+      .expectReply(/Income: 70 coins\/hour \(\+30\)/)
+      .check(h => {
+        assert.equal(h.getUser('alice').balance, 26000);
+        assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.SHOP), 18000);
+      })
+      .run();
+    
+    // Two hours go by
+    updateCompany('TechCorp', { incomeSince: Date.now() - 2 * 3600000 });
+    
+    await harness.conversation()
+      .send('alice', '.ccollect TechCorp')
+      .expectReply(/INCOME COLLECTED[\s\S]*Collected: 140 coins[\s\S]*New Company Value: 6,140 coins/)
+      .check(h => assert.ok(h.sock.sent[h.sock.sent.length - 1].hasImage))
+      .send('alice', '.ccollect TechCorp')
+      .expectReply(/collect again in (1h 0m|59m)/)
+      .run();
+    
+    // Two days go by, but only a day's income builds up
+    updateCompany('TechCorp', { incomeSince: Date.now() - 48 * 3600000, lastCollectedAt: Date.now() - 2 * 3600000 });
+    
+    await harness.conversation()
+      .send('bob', '.cinfo TechCorp')
+      .expectReply(/Valuation: 15,140 coins \(including upgrades\)\nEarnings: 140 coins[\s\S]*Office: Level 1\/5\n👥 Staff: Level 1\/10\nIncome: 70 coins\/hour\nWaiting to be collected: 1,680 coins/)
+      .send('alice', '.ccollect TechCorp')
+      .expectReply(/Collected: 1,680 coins/)
+      .run();
+  });
+});
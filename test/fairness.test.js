@@ -0,0 +1,98 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const { createHarness } = require('./harness');
+const { computeFloats } = require('../utils/rng');
+
+/**
+ * Reads the bet ID from a game result
+ * @param {Array} sent - Messages sent by the bot
+ * @returns {Number} Bet ID
+ */
+function betIdFrom(sent) {
+  const match = sent.map(entry => entry.text).join('\n').match(/Bet #(\d+)/);
+  assert.ok(match, 'Expected a bet ID in the result');
+  return Number(match[1]);
+}
+
+describe('provably fair rolls', () => {
+  let harness;
+  
+  beforeEach(async () => {
+    harness = createHarness();
+    await harness.register('alice');
+  });
+  
+  afterEach(() => {
+    harness.cleanup();
+  });
+  
+  it('keeps the server seed secret until it is rotated', async () => {
+    const { sent } = await harness.send('alice', '.cointoss 100 heads');
+    const betId = betIdFrom(sent);
+    
+    await harness.conversation()
+      .send('alice', `.verify ${betId}`)
+      .expectReply(/Game: Coin toss[\s\S]*Nonce: 0[\s\S]*hidden until alice rotates it/)
+      .send('alice', '.seed rotate')
+      .expectReply(/SERVER SEED ROTATED[\s\S]*Bets made: 1/)
+      .send('alice', `.verify ${betId}`)
+      .expectReply(/SHA-256 matches the published hash/)
+      .run();
+  });
+  
+  it('lets anyone recompute a result from the revealed seeds', async () => {
+    const { sent } = await harness.send('alice', '.dice 100 3');
+    const betId = betIdFrom(sent);
+    const rolled = Number(sent[0].text.match(/Dice rolled: (\d)/)[1]);
+    
+    const { sent: rotated } = await harness.send('alice', '.seed rotate');
+    const serverSeed = rotated[0].text.match(/Server seed: (\w+)/)[1];
+    const serverSeedHash = rotated[0].text.match(/Hash: (\w+)/)[1];
+    const clientSeed = rotated[0].text.match(/Client seed: (\S+)/)[1];
+    
+    assert.equal(crypto.createHash('sha256').update(serverSeed).digest('hex'), serverSeedHash);
+    
+    const [float] = computeFloats(serverSeed, clientSeed, 0, 1);
+    assert.equal(Math.floor(float * 6) + 1, rolled);
+    
+    await harness.conversation()
+      .send('alice', `.verify ${betId}`)
+      .expectReply(`Floats: ${float.toFixed(6)}`)
+      .run();
+  });
+  
+  it('reveals the old server seed when the client seed changes', async () => {
+    const { sent } = await harness.send('alice', '.seed');
+    const oldHash = sent[0].text.match(/Server seed hash: (\w+)/)[1];
+    
+    await harness.conversation()
+      .send('alice', '.seed client lucky-7')
+      .expectReply(new RegExp(`CLIENT SEED SET[\\s\\S]*Hash: ${oldHash}[\\s\\S]*Client seed: lucky-7`))
+      .send('alice', '.seed client no spaces')
+      .expectReply(/Incorrect format/)
+      .send('alice', '.seed client ../../etc')
+      .expectReply(/letters, numbers, dashes or underscores/)
+      .run();
+  });
+  
+  it('rolls the same results from the same seeds', async () => {
+    const { sent: first } = await harness.send('alice', '.cointoss 100 heads');
+    
+    harness.cleanup();
+    harness = createHarness();
+    await harness.register('alice');
+    const { sent: second } = await harness.send('alice', '.cointoss 100 heads');
+    
+    assert.equal(first[0].text, second[0].text);
+  });
+  
+  it('reports unknown bets', async () => {
+    await harness.conversation()
+      .send('alice', '.verify 999')
+      .expectReply(/Bet #999 not found/)
+      .send('alice', '.verify')
+      .expectReply(/Incorrect format/)
+      .run();
+  });
+});
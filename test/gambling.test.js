@@ -0,0 +1,138 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const { createHarness } = require('./harness');
+const { getLedgerAccountBalance, LEDGER_ACCOUNTS } = require('../database/db');
+
+describe('betting', () => {
+  let harness;
+  
+  beforeEach(async () => {
+    harness = createHarness();
+    await harness.register('alice');
+  });
+  
+  afterEach(() => {
+    harness.cleanup();
+  });
+  
+  it('pays out a winning coin toss', async () => {
+    // A first float below 0.5 lands on heads
+    harness.rigNextRoll('alice', ([float]) => float < 0.5);
+    
+    await harness.conversation()
+      .send('alice', '.cointoss 1000 heads')
+      .expectReply(/Coin landed on heads![\s\S]*You won 1,000 coins/)
+      .check(h => {
+        const alice = h.getUser('alice');
+        assert.equal(alice.balance, 51000);
+        assert.equal(alice.gamesPlayed, 1);
+        assert.equal(alice.gamesWon, 1);
+        assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.HOUSE, 'coins'), -1000);
+      })
+      .run();
+  });
+  
+  it('takes the bet on a losing coin toss', async () => {
+    harness.rigNextRoll('alice', ([float]) => float >= 0.5);
+    
+    await harness.conversation()
+      .send('alice', '.cointoss 1000 heads')
+      .expectReply(/Coin landed on tails![\s\S]*You lost 1,000 coins/)
+      .check(h => {
+        const alice = h.getUser('alice');
+        assert.equal(alice.balance, 49000);
+        assert.equal(alice.gamesWon, 0);
+        assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.HOUSE, 'coins'), 1000);
+      })
+      .run();
+  });
+  
+  it('records every bet for .bets, .gamestats and the profile', async () => {
+    harness.rigNextRoll('alice', ([float]) => float < 0.5);
+    await harness.send('alice', '.cointoss 1000 heads');
+    harness.rigNextRoll('alice', ([float]) => float >= 0.5);
+    await harness.send('alice', '.cointoss 500 heads');
+    harness.rigNextRoll('alice', ([float]) => float >= 0.5);
+    await harness.send('alice', '.cointoss 200 heads');
+    
+    await harness.conversation()
+      .send('alice', '.bets')
+      .expectReply(/BET HISTORY[\s\S]*❌ Coin toss • .*\n  Bet 200, paid 0 \(-200\) • Bet #3[\s\S]*✅ Coin toss • .*\n  Bet 1,000, paid 2,000 \(\+1,000\) • Bet #1\n\nPage 1 of 1/)
+      .send('alice', '.gamestats')
+      .expectReply(/\*Coin toss\*\n  Bets: 3 • Won 33\.3%\n  Net: \+300 coins on 1,700 wagered\n  Biggest win: 1,000 coins\n  Longest streak: 1 won \/ 2 lost/)
+      .send('alice', '.profile')
+      .expectReply(/Wagered: 1,700 coins over 3 bets\nNet Profit: \+300 coins\nBiggest Win: 1,000 coins\nFavorite Game: Coin toss/)
+      .run();
+  });
+  
+  it('pays 5x for guessing the dice roll', async () => {
+    // floor(float * 6) + 1 = 4
+    harness.rigNextRoll('alice', ([float]) => Math.floor(float * 6) + 1 === 4);
+    
+    await harness.conversation()
+      .send('alice', '.dice 100 4')
+      .expectReply(/You won/)
+      .check(h => assert.ok(h.getUser('alice').balance > 50000))
+      .run();
+  });
+  
+  it('rejects bets outside the limits or above the balance', async () => {
+    await harness.conversation()
+      .send('alice', '.cointoss 5 heads')
+      .expectReply(/Minimum bet/i)
+      .send('alice', '.cointoss 60000 heads')
+      .expectReply(/enough coins/i)
+      .send('alice', '.cointoss abc heads')
+      .expectReply(/valid/i)
+      .send('alice', '.cointoss 100 sideways')
+      .expectReply(/heads' or 'tails/)
+      .check(h => assert.equal(h.getUser('alice').balance, 50000))
+      .run();
+  });
+  
+  it('pays every roulette bet that covers the winning number', async (t) => {
+    // The ball is spun after a delay
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    
+    // floor(float * 37) = 19: red, odd, high, 2nd dozen
+    harness.rigNextRoll('alice', ([float]) => Math.floor(float * 37) === 19);
+    
+    await harness.conversation()
+      .send('alice', '.roulette 100 19 100 19/20 100 red 100 even')
+      .expectReply(/100 on 19\/20 \(split\)[\s\S]*Total bet: 400 coins/)
+      .run();
+    
+    t.mock.timers.tick(2000);
+    await new Promise(resolve => setImmediate(resolve));
+    
+    // Straight 36x, split 18x and red 2x come back; even loses
+    const result = harness.sock.sent[harness.sock.sent.length - 1].text;
+    assert.match(result, /landed on 🔴 \*19\* \(red\)[\s\S]*✅ 100 on 19 \(straight\) → 3,600 coins[\s\S]*❌ 100 on Even[\s\S]*You won 5,200 coins/);
+    assert.equal(harness.getUser('alice').balance, 55200);
+  });
+  
+  it('rejects roulette bets that are not on the table', async () => {
+    await harness.conversation()
+      .send('alice', '.roulette 100')
+      .expectReply(/Incorrect format/)
+      .send('alice', '.roulette 100 17/19')
+      .expectReply(/"17\/19" isn't a roulette bet/)
+      .send('alice', '.roulette 30000 red 30000 black')
+      .expectReply(/enough coins for these bets \(60,000 coins in total\)/)
+      .check(h => assert.equal(h.getUser('alice').balance, 50000))
+      .run();
+  });
+  
+  it('enforces command cooldowns when rate limits are on', async () => {
+    harness.cleanup();
+    harness = createHarness({ rateLimits: true });
+    await harness.register('alice');
+    
+    await harness.conversation()
+      .send('alice', '.cointoss 100 heads')
+      .expectReply(/Coin landed/)
+      .send('alice', '.cointoss 100 heads')
+      .expectReply(/Please wait \d+s before using \.cointoss again/)
+      .run();
+  });
+});
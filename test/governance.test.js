@@ -0,0 +1,145 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const { createHarness } = require('./harness');
+const { runDueProposals } = require('../commands/governance');
+const { getCompany, updateCompany, getAllProposals, getLedgerAccountBalance, transferCoins, companyAccount, LEDGER_ACCOUNTS } = require('../database/db');
+const config = require('../config');
+
+describe('governance', () => {
+  let harness;
+  
+  beforeEach(async () => {
+    harness = createHarness();
+    await harness.register('alice', 'bob', 'carol');
+    
+    // alice founds TechCorp with 100 shares; bob buys 150 and carol 20 at 60 coins each
+    await harness.send('alice', '.cc 6000 TechCorp');
+    await harness.send('bob', '.ci TechCorp 9000');
+    await harness.send('carol', '.ci TechCorp 1200');
+  });
+  
+  afterEach(() => {
+    harness.cleanup();
+  });
+  
+  it('makes an owner without most of the shares put decisions to a vote', async () => {
+    await harness.conversation()
+      .send('alice', '.cclose TechCorp')
+      .expectReply(/Other shareholders hold most of "TechCorp", so closing it needs their vote[\s\S]*\.cpropose TechCorp close/)
+      .send('alice', '.crn TechCorp Acme')
+      .expectReply(/so renaming it needs their vote/)
+      .send('alice', '.ckick TechCorp @carol')
+      .expectReply(/so removing a shareholder needs their vote/)
+      .send('carol', '.cpropose TechCorp rename Acme')
+      .expectReply(/PROPOSAL OPENED[\s\S]*Proposal #1: Rename to "Acme"\n\nYes: 20 shares \(7\.4%\)\nNo: 0 shares \(0\.0%\)\nTurnout: 20 shares \(7\.4%\), 135 needed/)
+      .expectDM('alice', /VOTE OPENED[\s\S]*carol has put a proposal for "TechCorp" to a vote[\s\S]*Your votes: 100 shares \(37\.0%\)[\s\S]*\.cvote 1 yes/)
+      .expectDM('bob', /VOTE OPENED[\s\S]*Your votes: 150 shares \(55\.6%\)/)
+      .send('carol', '.cpropose TechCorp rename Acme')
+      .expectReply(/already a vote open on that \(#1\)/)
+      .send('alice', '.cvote 1 no')
+      .expectReply(/VOTE RECORDED[\s\S]*No: 100 shares \(37\.0%\)/)
+      .send('alice', '.cvote 1 yes')
+      .expectReply(/VOTE CHANGED[\s\S]*Yes: 120 shares \(44\.4%\)/)
+      .send('bob', '.cproposals')
+      .expectReply(/#1 TechCorp:\* Rename to "Acme"[\s\S]*Your vote: not voted/)
+      .send('bob', '.cvote 1 yes')
+      .expectReply(/VOTE CLOSED[\s\S]*Yes: 270 shares \(100\.0%\)[\s\S]*Result: ✅ Passed and carried out/)
+      .expectDM('alice', /VOTE CLOSED[\s\S]*Proposal #1: Rename to "Acme"/)
+      .expectDM('carol', /VOTE CLOSED/)
+      .check(h => {
+        assert.equal(getCompany('TechCorp'), undefined);
+        assert.equal(getCompany('Acme').name, 'Acme');
+        assert.equal(h.getUser('bob').shares.Acme, 150);
+        assert.equal(h.getUser('bob').investedCompanies.Acme, 9000);
+        assert.equal(getLedgerAccountBalance('company:Acme'), 16200);
+        assert.equal(getLedgerAccountBalance('company:Acme', 'shares:Acme'), -270);
+      })
+      // bob holds most of the shares, so his vote decides it straight away
+      .send('bob', '.cpropose Acme ceo @bob')
+      .expectReply(/VOTE CLOSED[\s\S]*Make bob CEO[\s\S]*Passed and carried out/)
+      .expectDM('alice', /VOTE CLOSED[\s\S]*Make bob CEO/)
+      .check(h => assert.equal(getCompany('Acme').owner, h.userId('bob')))
+      .send('alice', '.cdiv Acme 1000')
+      .expectReply(/Only the company owner can declare dividends/)
+      .run();
+  });
+  
+  it('makes an owner without most of the shares put a dividend to a vote', async () => {
+    // TechCorp has made 2,000 coins
+    transferCoins(LEDGER_ACCOUNTS.ADMIN, companyAccount('TechCorp'), 2000, { reason: 'Test earnings' });
+    updateCompany('TechCorp', { value: getCompany('TechCorp').value + 2000 });
+    
+    await harness.conversation()
+      .send('alice', '.cdiv TechCorp all')
+      .expectReply(/Other shareholders hold most of "TechCorp", so paying a dividend needs their vote[\s\S]*\.cpropose TechCorp dividend all/)
+      .check(h => assert.equal(h.getUser('bob').balance, 41000))
+      .send('alice', '.cpropose TechCorp dividend all')
+      .expectReply(/Proposal #1: Pay out all earnings as a dividend/)
+      .send('bob', '.cvote 1 yes')
+      .expectReply(/Result: ✅ Passed and carried out/)
+      .expectDM('bob', /DIVIDEND PAID[\s\S]*Your payout: 1,111 coins/)
+      .check(h => {
+        assert.equal(h.getUser('bob').balance, 41000 + 1111);
+        assert.equal(getCompany('TechCorp').dividendsPaid, 1999);
+      })
+      .run();
+  });
+  
+  it('counts votes when time runs out and needs a quorum', async () => {
+    await harness.conversation()
+      .send('bob', '.cpropose TechCorp kick @alice')
+      .expectReply(/owner can't be removed/)
+      .send('alice', '.cpropose TechCorp kick @carol')
+      .expectReply(/Proposal #1: Remove carol as a shareholder/)
+      .expectDM('carol', /VOTE OPENED/)
+      .send('carol', '.cvote 1 no')
+      .expectReply(/VOTE RECORDED/)
+      .run();
+    
+    // Nothing closes early
+    assert.equal(await runDueProposals(harness.sock), 0);
+    
+    // Only 120 of the 270 shares voted
+    assert.equal(await runDueProposals(harness.sock, Date.now() + config.proposalDuration), 1);
+    assert.match(harness.sock.sent[harness.sock.sent.length - 1].text, /VOTE CLOSED[\s\S]*Turnout: 120 shares \(44\.4%\), 135 needed\n\nResult: ⚠️ Not enough shares voted/);
+    assert.equal(getAllProposals().length, 0);
+    assert.equal(harness.getUser('carol').shares.TechCorp, 20);
+    
+    await harness.conversation()
+      .send('alice', '.cpropose TechCorp kick @carol')
+      .expectReply(/Proposal #2/)
+      .send('bob', '.cvote 2 yes')
+      .expectReply(/Result: ✅ Passed and carried out/)
+      .expectDM('carol', /removed from "TechCorp" by a shareholder vote[\s\S]*Amount returned: 960 coins/)
+      .expectDM('carol', /VOTE CLOSED[\s\S]*Remove carol as a shareholder/)
+      .check(h => {
+        assert.equal(h.getUser('carol').shares.TechCorp, undefined);
+        assert.equal(getCompany('TechCorp').totalShares, 250);
+      })
+      .run();
+  });
+  
+  it('cancels votes on a company that has been closed', async () => {
+    await harness.conversation()
+      .send('carol', '.cpropose TechCorp dividend 1000')
+      .expectReply(/only has 0 coins of earnings/)
+      .send('carol', '.cpropose TechCorp close')
+      .expectReply(/Proposal #1: Close the company/)
+      .send('alice', '.cpropose TechCorp ceo @carol')
+      .expectReply(/Proposal #2: Make carol CEO/)
+      .send('bob', '.cvote 1 yes')
+      .expectReply(/Result: ✅ Passed and carried out/)
+      .expectDM('alice', /COMPANY CLOSED[\s\S]*closed by a shareholder vote/)
+      .check(h => {
+        assert.equal(getCompany('TechCorp').closed, true);
+        assert.equal(h.getUser('bob').balance, 50000 - 9000 + 8100);
+      })
+      .run();
+    
+    // The other vote has nothing left to decide
+    assert.equal(await runDueProposals(harness.sock, Date.now() + config.proposalDuration), 1);
+    const cancelled = harness.sock.sent[harness.sock.sent.length - 1];
+    assert.equal(cancelled.jid, harness.userId('alice'));
+    assert.match(cancelled.text, /Make carol CEO\n\nResult: ⚠️ Cancelled: the company has closed/);
+  });
+});
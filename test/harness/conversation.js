@@ -0,0 +1,125 @@
+/**
+ * Conversation DSL
+ * Scripts a chat between test users and checks what the bot says back:
+ *
+ *   await harness.conversation()
+ *     .send('alice', '.register alice')
+ *     .expectReply(/REGISTRATION SUCCESSFUL/)
+ *     .send('alice', '.transfer TechCorp @bob 10')
+ *     .expectReply(/SHARES TRANSFERRED/)
+ *     .check(h => assert.equal(h.getUser('bob').shares.TechCorp, 10))
+ *     .run();
+ *
+ * Expectations apply to the messages sent in response to the most recent send().
+ */
+const assert = require('assert');
+
+/**
+ * Formats sent messages for assertion errors
+ * @param {Array} sent - Sent messages
+ * @returns {String} Readable list
+ */
+function describeSent(sent) {
+  if (sent.length === 0) return '  (nothing was sent)';
+  return sent.map(entry => `  to ${entry.jid}: ${JSON.stringify(entry.text)}`).join('\n');
+}
+
+/**
+ * Checks whether a message matches a pattern
+ * @param {Object} entry - Sent message
+ * @param {RegExp|String} pattern - Regular expression, or text the message must contain
+ * @returns {Boolean} True if it matches
+ */
+function matches(entry, pattern) {
+  return pattern instanceof RegExp ? pattern.test(entry.text) : entry.text.includes(pattern);
+}
+
+/**
+ * Creates a conversation script
+ * @param {Object} harness - Test harness (see harness/index.js)
+ * @returns {Object} Chainable conversation
+ */
+function createConversation(harness) {
+  const steps = [];
+  
+  const conversation = {
+    /**
+     * Sends a message as a test user
+     * @param {String} name - Test user name
+     * @param {String} text - Message text ("@name" mentions other test users)
+     * @param {Object} [options] - Send options ({ chat, dm })
+     */
+    send(name, text, options) {
+      steps.push(async state => {
+        state.last = { name, text, ...await harness.send(name, text, options) };
+      });
+      return conversation;
+    },
+    
+    /**
+     * Expects a reply in the chat the last message was sent in
+     * @param {RegExp|String} pattern - What the reply must match
+     */
+    expectReply(pattern) {
+      steps.push(state => {
+        const { chat, sent, text } = state.last;
+        const found = sent.some(entry => entry.jid === chat && matches(entry, pattern));
+        assert.ok(found, `Expected a reply to "${text}" matching ${pattern}, but the bot sent:\n${describeSent(sent)}`);
+      });
+      return conversation;
+    },
+    
+    /**
+     * Expects a direct message to a test user
+     * @param {String} name - Test user name
+     * @param {RegExp|String} pattern - What the message must match
+     */
+    expectDM(name, pattern) {
+      steps.push(state => {
+        const { sent, text } = state.last;
+        const userId = harness.userId(name);
+        const found = sent.some(entry => entry.jid === userId && matches(entry, pattern));
+        assert.ok(found, `Expected a DM to ${name} matching ${pattern} after "${text}", but the bot sent:\n${describeSent(sent)}`);
+      });
+      return conversation;
+    },
+    
+    /**
+     * Expects the bot to stay silent
+     */
+    expectNoReply() {
+      steps.push(state => {
+        const { sent, text } = state.last;
+        assert.equal(sent.length, 0, `Expected no reply to "${text}", but the bot sent:\n${describeSent(sent)}`);
+      });
+      return conversation;
+    },
+    
+    /**
+     * Runs a custom check
+     * @param {Function} fn - (harness, last) => void; last is { name, text, chat, message, sent }
+     */
+    check(fn) {
+      steps.push(async state => {
+        await fn(harness, state.last);
+      });
+      return conversation;
+    },
+    
+    /**
+     * Runs the script
+     * @returns {Promise<Object>} The result of the last send
+     */
+    async run() {
+      const state = { last: null };
+      for (const step of steps) {
+        await step(state);
+      }
+      return state.last;
+    }
+  };
+  
+  return conversation;
+}
+
+module.exports = { createConversation };
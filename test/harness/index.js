@@ -0,0 +1,168 @@
+/**
+ * Test harness
+ * Drives handleMessage end to end with a mock socket and an isolated database:
+ *
+ *   const harness = createHarness();
+ *   const { sent } = await harness.send('alice', '.register alice');
+ *   harness.cleanup();
+ *
+ * Test users are referred to by name; each name gets its own WhatsApp ID.
+ * Game seeds are derived from a fixed value, so every run rolls the same results.
+ */
+const { mock } = require('node:test');
+const config = require('../../config');
+const { getUser } = require('../../database/db');
+const { handleMessage } = require('../../handlers/messageHandler');
+const { resetRateLimits } = require('../../utils/rateLimiter');
+const { useDeterministicSeeds, rotateServerSeed, computeFloats, FLOATS_PER_ROUND } = require('../../utils/rng');
+const { createMockSocket } = require('./mockSocket');
+const { groupMessage, directMessage } = require('./messages');
+const { createTestDatabase } = require('./testDatabase');
+const { createConversation } = require('./conversation');
+
+const DEFAULT_GROUP = '120363000000000000@g.us';
+const DEFAULT_SEED = 'vryzen-test';
+
+/**
+ * Creates a test harness
+ * @param {Object} [options] - Harness options
+ * @param {String} [options.driver] - Database driver ('memory' or 'journal')
+ * @param {Boolean} [options.rateLimits] - Keep command rate limits on (off by default)
+ * @param {Boolean} [options.verbose] - Keep the bot's console logging (or set TEST_VERBOSE)
+ * @param {String} [options.group] - Default group ID messages are sent in
+ * @param {String} [options.seed] - Value all game seeds are derived from
+ * @param {Array} [options.owners] - Test user names to treat as bot owners
+ * @returns {Object} Harness
+ */
+function createHarness(options = {}) {
+  // The bot logs every message it handles; keep test output readable
+  const quiet = !options.verbose && !process.env.TEST_VERBOSE;
+  if (quiet) {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  }
+  
+  useDeterministicSeeds(options.seed || DEFAULT_SEED);
+  const database = createTestDatabase({ driver: options.driver });
+  const sock = createMockSocket();
+  const group = options.group || DEFAULT_GROUP;
+  const userIds = new Map();
+  
+  const owners = config.owners;
+  config.owners = [...owners, ...(options.owners || []).map(userId)];
+  
+  const rateLimitsEnabled = config.rateLimits.enabled;
+  config.rateLimits.enabled = Boolean(options.rateLimits);
+  resetRateLimits();
+  
+  /**
+   * Gets the WhatsApp ID for a test user, creating one for new names
+   * @param {String} name - Test user name
+   * @returns {String} User ID
+   */
+  function userId(name) {
+    if (!userIds.has(name)) {
+      userIds.set(name, `1555${String(userIds.size + 1).padStart(7, '0')}@s.whatsapp.net`);
+    }
+    return userIds.get(name);
+  }
+  
+  /**
+   * Sends a message as a test user and collects what the bot sends back.
+   * "@name" in the text becomes a mention of that test user.
+   * @param {String} name - Test user name
+   * @param {String} text - Message text
+   * @param {Object} [sendOptions] - { dm: true } for a direct message, or { chat } for another group
+   * @returns {Promise<Object>} { chat, message, sent }
+   */
+  async function send(name, text, sendOptions = {}) {
+    const from = userId(name);
+    const mentions = [];
+    
+    const messageText = text.replace(/@(\w+)/g, (match, mentionedName) => {
+      const mentionedId = userId(mentionedName);
+      mentions.push(mentionedId);
+      return `@${mentionedId.split('@')[0]}`;
+    });
+    
+    const message = sendOptions.dm
+      ? directMessage(from, messageText, { mentions })
+      : groupMessage(sendOptions.chat || group, from, messageText, { mentions });
+    
+    const start = sock.sent.length;
+    await handleMessage(sock, message);
+    
+    return {
+      chat: message.key.remoteJid,
+      message,
+      sent: sock.sent.slice(start)
+    };
+  }
+  
+  /**
+   * Picks a client seed for a test user so their next roll comes out a certain way,
+   * the same way a player could go looking for a lucky seed with .seed client
+   * @param {String} name - Test user name
+   * @param {Function} predicate - (floats) => Boolean, given the first 8 floats of the next roll
+   */
+  function rigNextRoll(name, predicate) {
+    for (let attempt = 0; attempt < 1000; attempt++) {
+      const { current } = rotateServerSeed(userId(name), `test-${attempt}`);
+      if (predicate(computeFloats(current.serverSeed, current.clientSeed, current.nonce, FLOATS_PER_ROUND))) {
+        return;
+      }
+    }
+    throw new Error(`No client seed gave ${name} a matching roll`);
+  }
+  
+  return {
+    sock,
+    group,
+    database,
+    userId,
+    send,
+    rigNextRoll,
+    
+    /**
+     * Gets a test user's database record
+     * @param {String} name - Test user name
+     * @returns {Object} User data
+     */
+    getUser: name => getUser(userId(name)),
+    
+    /**
+     * Starts a scripted conversation (see conversation.js)
+     * @returns {Object} Conversation
+     */
+    conversation() {
+      return createConversation(this);
+    },
+    
+    /**
+     * Registers test users, checking each registration succeeds
+     * @param {...String} names - Test user names (also used as usernames)
+     */
+    async register(...names) {
+      for (const name of names) {
+        const { sent } = await send(name, `${config.prefix}register ${name}`);
+        if (!sent.some(entry => entry.text.includes('REGISTRATION SUCCESSFUL'))) {
+          throw new Error(`Could not register ${name}: ${sent.map(entry => entry.text).join(' | ')}`);
+        }
+      }
+    },
+    
+    /**
+     * Restores everything the harness changed
+     */
+    cleanup() {
+      mock.restoreAll();
+      config.owners = owners;
+      config.rateLimits.enabled = rateLimitsEnabled;
+      resetRateLimits();
+      useDeterministicSeeds(null);
+      database.cleanup();
+    }
+  };
+}
+
+module.exports = { createHarness };
@@ -0,0 +1,70 @@
+/**
+ * Message factory
+ * Builds incoming messages shaped like the ones Baileys delivers to handleMessage.
+ */
+
+let nextMessageId = 1;
+
+/**
+ * Creates an incoming text message
+ * @param {Object} options - Message options
+ * @param {String} options.from - Sender ID
+ * @param {String} options.chat - Chat ID (a group ID ending in @g.us, or the sender for DMs)
+ * @param {String} options.text - Message text
+ * @param {Array} [options.mentions] - IDs of mentioned users
+ * @param {String} [options.pushName] - Sender's display name
+ * @returns {Object} Message object
+ */
+function createMessage({ from, chat, text, mentions = [], pushName = 'Tester' }) {
+  const key = {
+    remoteJid: chat,
+    fromMe: false,
+    id: `TEST${nextMessageId++}`
+  };
+  
+  // Group messages say who sent them; in DMs the chat is the sender
+  if (chat.endsWith('@g.us')) {
+    key.participant = from;
+  }
+  
+  // Plain messages arrive as `conversation`, messages with mentions as `extendedTextMessage`
+  const content = mentions.length > 0
+    ? { extendedTextMessage: { text, contextInfo: { mentionedJid: mentions } } }
+    : { conversation: text };
+  
+  return {
+    key,
+    pushName,
+    messageTimestamp: Math.floor(Date.now() / 1000),
+    message: content
+  };
+}
+
+/**
+ * Creates a message sent in a group
+ * @param {String} groupId - Group ID
+ * @param {String} from - Sender ID
+ * @param {String} text - Message text
+ * @param {Object} [options] - Extra options ({ mentions, pushName })
+ * @returns {Object} Message object
+ */
+function groupMessage(groupId, from, text, options = {}) {
+  return createMessage({ ...options, from, chat: groupId, text });
+}
+
+/**
+ * Creates a direct message to the bot
+ * @param {String} from - Sender ID
+ * @param {String} text - Message text
+ * @param {Object} [options] - Extra options ({ mentions, pushName })
+ * @returns {Object} Message object
+ */
+function directMessage(from, text, options = {}) {
+  return createMessage({ ...options, from, chat: from, text });
+}
+
+module.exports = {
+  createMessage,
+  groupMessage,
+  directMessage
+};
@@ -0,0 +1,65 @@
+/**
+ * In-memory stand-in for a Baileys socket
+ * Records everything the bot sends instead of talking to WhatsApp.
+ */
+
+/**
+ * Creates a mock WhatsApp connection
+ * @param {Object} [options] - Socket options
+ * @param {String} [options.botId] - The bot's own WhatsApp ID
+ * @param {Object} [options.groups] - Group ID -> metadata returned by groupMetadata()
+ * @returns {Object} Mock socket with a `sent` list of outgoing messages
+ */
+function createMockSocket(options = {}) {
+  const botId = options.botId || '10000000000@s.whatsapp.net';
+  const groups = options.groups || {};
+  const sent = [];
+  
+  return {
+    user: { id: botId },
+    sent,
+    ev: { on() {} },
+    
+    /**
+     * Records an outgoing message
+     * @param {String} jid - Chat the message is sent to
+     * @param {Object} content - Message content ({ text } or { image, caption })
+     * @param {Object} [sendOptions] - Send options ({ quoted })
+     * @returns {Promise<Object>} The sent message, like Baileys returns
+     */
+    async sendMessage(jid, content, sendOptions = {}) {
+      const entry = {
+        jid,
+        content,
+        text: content.text || content.caption || '',
+        hasImage: Boolean(content.image),
+        quoted: sendOptions.quoted || null
+      };
+      sent.push(entry);
+      
+      return { key: { remoteJid: jid, fromMe: true, id: `BOT${sent.length}` }, message: content };
+    },
+    
+    /**
+     * Returns group metadata; unknown groups have the bot as their only (admin) member
+     * @param {String} groupId - Group ID
+     * @returns {Promise<Object>} Group metadata
+     */
+    async groupMetadata(groupId) {
+      return groups[groupId] || {
+        id: groupId,
+        subject: 'Test Group',
+        participants: [{ id: botId, admin: 'admin' }]
+      };
+    },
+    
+    /**
+     * Forgets all recorded messages
+     */
+    clear() {
+      sent.length = 0;
+    }
+  };
+}
+
+module.exports = { createMockSocket };
@@ -0,0 +1,44 @@
+/**
+ * Isolated test database
+ * Points the database module at fresh storage so tests never touch data/.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { initializeDatabase, useStorage } = require('../../database/db');
+const { createStorage } = require('../../database/storage');
+
+/**
+ * Creates an empty database for one test
+ * @param {Object} [options] - Database options
+ * @param {String} [options.driver] - 'memory' (default) or 'journal' (in a temporary directory)
+ * @param {Object} [options.initialState] - Starting state for the memory driver
+ * @returns {Object} { storage, dataDir, cleanup }
+ */
+function createTestDatabase(options = {}) {
+  const driver = options.driver || 'memory';
+  const dataDir = driver === 'journal'
+    ? fs.mkdtempSync(path.join(os.tmpdir(), 'vryzen-test-'))
+    : null;
+  
+  const storage = createStorage(driver, { dataDir, initialState: options.initialState });
+  useStorage(storage);
+  initializeDatabase();
+  
+  return {
+    storage,
+    dataDir,
+    
+    /**
+     * Detaches the storage and deletes any temporary files
+     */
+    cleanup() {
+      useStorage(null);
+      if (dataDir) {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+module.exports = { createTestDatabase };
@@ -0,0 +1,90 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('assert');
+const { createHarness } = require('./harness');
+const { startJackpotScheduler, stopJackpotScheduler, getNextDrawTime } = require('../utils/jackpotScheduler');
+const { getJackpotEntries, getJackpotHistory, approveGroup, getLedgerAccountBalance, LEDGER_ACCOUNTS } = require('../database/db');
+const config = require('../config');
+
+describe('jackpot', () => {
+  let harness;
+  
+  beforeEach(async () => {
+    harness = createHarness();
+    await harness.register('alice', 'bob', 'carol');
+    approveGroup(harness.group);
+  });
+  
+  afterEach(() => {
+    harness.cleanup();
+  });
+  
+  /**
+   * Checks that a draw paid the whole pot to one of the players and announced it
+   * @param {Number} pot - Coins in the pot
+   * @param {Array} names - Test users who entered
+   */
+  function assertDrawn(pot, names) {
+    const announcement = harness.sock.sent.find(entry => entry.jid === harness.group && /JACKPOT DRAWN/.test(entry.text));
+    assert.ok(announcement, 'Expected the draw to be announced in the group');
+    assert.match(announcement.text, new RegExp(`Prize: ${pot.toLocaleString('en-US')} coins[\\s\\S]*Participants: ${names.length}`));
+    
+    const winnerDM = harness.sock.sent.find(entry => /YOU WON THE JACKPOT/.test(entry.text));
+    const winner = names.find(name => harness.userId(name) === winnerDM.jid);
+    assert.ok(winner, 'Expected one of the players to be told they won');
+    
+    assert.equal(getJackpotEntries().length, 0);
+    assert.equal(getJackpotHistory()[0].amount, pot);
+    assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.JACKPOT, 'coins'), 0);
+    assert.equal(names.reduce((total, name) => total + harness.getUser(name).balance, 0), names.length * 50000);
+  }
+  
+  it('draws when the round timer runs out', async (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    let now = Date.now();
+    mock.method(Date, 'now', () => now);
+    
+    await harness.conversation()
+      .send('alice', '.jackpot 1000')
+      .expectReply(/JACKPOT ENTRY CONFIRMED[\s\S]*Win chance: 100\.00%/)
+      .send('bob', '.jackpot 3000')
+      .expectReply(/Win chance: 75\.00%/)
+      .run();
+    
+    startJackpotScheduler(harness.sock);
+    harness.sock.clear();
+    
+    // The round is still open a minute before the hour is up
+    now = getNextDrawTime() - 60000;
+    t.mock.timers.tick(config.jackpotCheckInterval);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(harness.sock.sent.length, 0);
+    assert.equal(getJackpotEntries().length, 2);
+    
+    now += 60000;
+    t.mock.timers.tick(config.jackpotCheckInterval);
+    await new Promise(resolve => setImmediate(resolve));
+    assertDrawn(4000, ['alice', 'bob']);
+    assert.equal(getJackpotHistory()[0].reason, 'timer');
+    
+    stopJackpotScheduler();
+  });
+  
+  it('draws as soon as an entry takes the pot to the threshold', async () => {
+    await harness.conversation()
+      .send('alice', '.jackpot 40000')
+      .expectReply(/JACKPOT ENTRY CONFIRMED/)
+      .send('bob', '.jackpot 40000')
+      .expectReply(/JACKPOT ENTRY CONFIRMED/)
+      .check(h => {
+        assert.equal(getJackpotEntries().length, 2);
+        assert.equal(h.sock.sent.some(entry => /JACKPOT DRAWN/.test(entry.text)), false);
+      })
+      .send('carol', '.jackpot 20000')
+      .expectReply(/JACKPOT ENTRY CONFIRMED[\s\S]*Win chance: 20\.00%/)
+      .expectReply(/JACKPOT DRAWN/)
+      .run();
+    
+    assertDrawn(100000, ['alice', 'bob', 'carol']);
+    assert.equal(getJackpotHistory()[0].reason, 'threshold');
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const { createHarness } = require('./harness');
+const { getAllUsers, getUserLedgerEntries, getLedgerAccountBalance, transaction, transferCoins, walletAccount, bankAccount, LEDGER_ACCOUNTS } = require('../database/db');
+
+describe('ledger', () => {
+  let harness;
+  
+  beforeEach(async () => {
+    harness = createHarness();
+    await harness.register('alice', 'bob');
+  });
+  
+  afterEach(() => {
+    harness.cleanup();
+  });
+  
+  /**
+   * Adds up every coin held by players and by the bot's own accounts
+   * @returns {Number} Coins in existence
+   */
+  function totalCoins() {
+    const held = getAllUsers().reduce((total, user) => total + user.balance + user.bankBalance, 0);
+    return Object.values(LEDGER_ACCOUNTS).reduce((total, account) => total + getLedgerAccountBalance(account), held);
+  }
+  
+  it('keeps coins adding up across accounts', async () => {
+    // Players start with coins that came from nowhere; everything after that is a transfer
+    const startingCoins = totalCoins();
+    
+    harness.rigNextRoll('alice', ([float]) => float < 0.5);
+    await harness.conversation()
+      .send('alice', '.deposit 5000')
+      .expectReply(/deposited 5,000 coins/)
+      .send('alice', '.pay bob 1000')
+      .expectReply(/PAYMENT SENT/)
+      .send('alice', '.cointoss 2000 heads')
+      .expectReply(/You won 2,000 coins/)
+      .send('bob', '.jackpot 3000')
+      .expectReply(/JACKPOT ENTRY CONFIRMED/)
+      .run();
+    transferCoins(LEDGER_ACCOUNTS.ADMIN, bankAccount(harness.userId('bob')), 700, { reason: 'Test grant' });
+    
+    assert.equal(totalCoins(), startingCoins);
+    assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.ADMIN), -700);
+    assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.JACKPOT), 3000);
+    
+    // Bob's entries are found by account: the payment, his jackpot entry and the grant
+    const { total, entries } = getUserLedgerEntries(harness.userId('bob'));
+    assert.equal(total, 3);
+    assert.deepEqual(entries.map(entry => entry.reason), ['Test grant', 'Jackpot entry', 'Payment']);
+  });
+  
+  it('undoes every transfer in a transaction that throws', () => {
+    const alice = walletAccount(harness.userId('alice'));
+    const bob = walletAccount(harness.userId('bob'));
+    transferCoins(alice, bob, 100, { reason: 'Before' });
+    assert.equal(getUserLedgerEntries(harness.userId('bob')).total, 1);
+    
+    assert.throws(() => transaction(() => {
+      transferCoins(alice, bob, 1000, { reason: 'Rolled back' });
+      transferCoins(bob, LEDGER_ACCOUNTS.FEES, 500, { reason: 'Rolled back' });
+      // Bob only has 50,600 coins by now, so this fails part-way through
+      transferCoins(bob, LEDGER_ACCOUNTS.FEES, 60000, { reason: 'Rolled back' });
+    }), /Insufficient coins/);
+    
+    assert.equal(harness.getUser('alice').balance, 49900);
+    assert.equal(harness.getUser('bob').balance, 50100);
+    assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.FEES), 0);
+    assert.deepEqual(getUserLedgerEntries(harness.userId('bob')).entries.map(entry => entry.reason), ['Before']);
+    
+    // The next transfer takes the rolled-back entry's place and is listed against its own accounts
+    const entry = transferCoins(alice, LEDGER_ACCOUNTS.FEES, 50, { reason: 'After' });
+    assert.equal(entry.id, 2);
+    assert.deepEqual(getUserLedgerEntries(harness.userId('alice')).entries.map(e => e.reason), ['After', 'Before']);
+    assert.deepEqual(getUserLedgerEntries(harness.userId('bob')).entries.map(e => e.reason), ['Before']);
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('assert');
+const { createHarness } = require('./harness');
+const { getGamblingLimits, setGamblingLimits } = require('../database/db');
+
+describe('gambling limits', () => {
+  let harness;
+  
+  beforeEach(async () => {
+    harness = createHarness({ owners: ['owner'] });
+    await harness.register('alice');
+  });
+  
+  afterEach(() => {
+    harness.cleanup();
+  });
+  
+  it('stops bets that could go over a loss limit and delays raising it', async () => {
+    // Hold the clock still so the delay left is exact
+    const now = Date.now();
+    mock.method(Date, 'now', () => now);
+    harness.rigNextRoll('alice', ([float]) => float >= 0.5);
+    
+    await harness.conversation()
+      .send('alice', '.limits dailyloss 1000')
+      .expectReply(/daily loss limit is set to 1,000 coins/)
+      .send('alice', '.cointoss 800 heads')
+      .expectReply(/You lost 800 coins/)
+      .send('alice', '.cointoss 300 heads')
+      .expectReply(/over your daily loss limit of 1,000 coins \(200 coins left today\)/)
+      .send('alice', '.slots all')
+      .expectReply(/over your daily loss limit/)
+      .send('alice', '.limits dailyloss 5000')
+      .expectReply(/will be set to 5,000 coins in 1d 0h/)
+      .send('alice', '.limits')
+      .expectReply(/Daily loss limit: 800 \/ 1,000 coins\n  ⏳ raised to 5,000 in/)
+      .check(h => assert.equal(h.getUser('alice').balance, 49200))
+      .run();
+    
+    // The raise applies once the delay is over
+    const limits = getGamblingLimits(harness.userId('alice'));
+    setGamblingLimits(harness.userId('alice'), { ...limits, pending: { dailyLoss: { value: 5000, effectiveAt: Date.now() - 1 } } });
+    
+    harness.rigNextRoll('alice', ([float]) => float < 0.5);
+    await harness.conversation()
+      .send('alice', '.cointoss 300 heads')
+      .expectReply(/You won 300 coins/)
+      .send('alice', '.limits dailywager 500')
+      .expectReply(/daily wager limit is set to 500 coins/)
+      .send('alice', '.cointoss 100 heads')
+      .expectReply(/over your daily wager limit of 500 coins \(0 coins left today\)/)
+      .run();
+  });
+  
+  it('blocks gambling for the whole break', async () => {
+    const now = Date.now();
+    mock.method(Date, 'now', () => now);
+    
+    await harness.conversation()
+      .send('alice', '.cooloff 30m')
+      .expectReply(/Incorrect format/)
+      .send('alice', '.cooloff 24h')
+      .expectReply(/TAKE A BREAK[\s\S]*can't be ended early[\s\S]*\.cooloff 24h confirm/)
+      .send('alice', '.cointoss 100 heads')
+      .expectReply(/Coin landed/)
+      .send('alice', '.cooloff 24h confirm')
+      .expectReply(/BREAK STARTED/)
+      .send('alice', '.cointoss 100 heads')
+      .expectReply(/taking a break from gambling for another 1d 0h/)
+      .send('alice', '.poker create 2000')
+      .expectReply(/taking a break from gambling/)
+      .send('alice', '.cooloff 1h confirm')
+      .send('alice', '.bets')
+      .expectReply(/BET HISTORY/)
+      .send('owner', '.playerlimits alice')
+      .expectReply(/GAMBLING LIMITS: alice[\s\S]*Break from gambling: 🛑 1d 0h left/)
+      .run();
+  });
+  
+  it('sends reality checks while playing', async () => {
+    harness.rigNextRoll('alice', ([float]) => float >= 0.5);
+    
+    await harness.conversation()
+      .send('alice', '.limits reality 15')
+      .expectReply(/reality check every 15m 0s/)
+      .send('alice', '.cointoss 500 heads')
+      .run();
+    
+    // Nothing is sent until the interval has passed
+    const alice = harness.userId('alice');
+    const limits = getGamblingLimits(alice);
+    assert.deepEqual({ ...limits.check, startedAt: 0 }, { startedAt: 0, bets: 1, net: -500 });
+    setGamblingLimits(alice, { ...limits, check: { ...limits.check, startedAt: Date.now() - 20 * 60000 } });
+    
+    harness.rigNextRoll('alice', ([float]) => float >= 0.5);
+    await harness.conversation()
+      .send('alice', '.cointoss 200 heads')
+      .expectReply(/REALITY CHECK[\s\S]*You've played 2 games in the last 20m 0s and are down 700 coins/)
+      .check(() => assert.equal(getGamblingLimits(alice).check, null))
+      .send('alice', '.limits reality off')
+      .expectReply(/Reality checks are off/)
+      .run();
+  });
+  
+  it('lets owners set limits that apply at once', async () => {
+    await harness.conversation()
+      .send('alice', '.playerlimits alice dailyloss 100')
+      .expectReply(/only available to bot owners/i)
+      .send('owner', '.playerlimits alice weeklywager 1000')
+      .expectReply(/Weekly wager limit: 0 \/ 1,000 coins/)
+      .send('owner', '.playerlimits alice weeklywager 2000')
+      .expectReply(/Weekly wager limit: 0 \/ 2,000 coins\nReality/)
+      .send('alice', '.cointoss 2500 heads')
+      .expectReply(/over your weekly wager limit of 2,000 coins \(2,000 coins left this week\)/)
+      .run();
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const { createHarness } = require('./harness');
+const { runDueLoans } = require('../commands/loans');
+const { getLoanRecord, setLoanRecord, getLedgerAccountBalance, transferCoins, walletAccount, bankAccount, LEDGER_ACCOUNTS } = require('../database/db');
+
+/**
+ * Makes a test user's next loan installment due now
+ * @param {Object} harness - Test harness
+ * @param {String} name - Test user name
+ * @param {Object} [changes] - Other loan fields to change
+ */
+function makeInstallmentDue(harness, name, changes = {}) {
+  const userId = harness.userId(name);
+  const record = getLoanRecord(userId);
+  setLoanRecord(userId, { ...record, loan: { ...record.loan, nextDueAt: Date.now() - 1, ...changes } });
+}
+
+describe('loans', () => {
+  let harness;
+  
+  beforeEach(async () => {
+    harness = createHarness();
+    await harness.register('alice');
+  });
+  
+  afterEach(() => {
+    harness.cleanup();
+  });
+  
+  it('lends up to the limit and takes repayments', async () => {
+    await harness.conversation()
+      .send('alice', '.loan')
+      .expectReply(/Credit Score: 650[\s\S]*You can borrow 1,000 - 11,000 coins/)
+      .send('alice', '.loan 20000')
+      .expectReply(/You can borrow 1,000 - 11,000 coins/)
+      .send('alice', '.loan 7000')
+      .expectReply(/LOAN APPROVED[\s\S]*Owed: 7,000 coins[\s\S]*Next installment: 1,082 coins[\s\S]*Wallet: 57,000 coins/)
+      .send('alice', '.loan 1000')
+      .expectReply(/already have a loan/)
+      .send('alice', '.bank')
+      .expectReply(/Credit Score: 650\nOwed: 7,000 coins/)
+      .send('alice', '.repay 2000')
+      .expectReply(/Repaid 2,000 coins[\s\S]*Owed: 5,000 coins[\s\S]*Next installment: 0 coins/)
+      .send('alice', '.repay all')
+      .expectReply(/Repaid 5,000 coins[\s\S]*fully repaid! Credit Score: 670/)
+      .check(h => {
+        assert.equal(h.getUser('alice').balance, 50000);
+        assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.LOANS), 0);
+      })
+      .send('alice', '.repay all')
+      .expectReply(/don't have a loan/)
+      .run();
+  });
+  
+  it('takes unpaid installments from the wallet and then the bank', async () => {
+    await harness.conversation()
+      .send('alice', '.deposit 10000')
+      .send('alice', '.loan 5000')
+      .send('alice', '.cc 44500 Acme')
+      .check(h => assert.equal(h.getUser('alice').balance, 500))
+      .run();
+    
+    // Paid ahead: counts as on time
+    await harness.send('alice', '.with 1000');
+    await harness.send('alice', '.repay 1000');
+    makeInstallmentDue(harness, 'alice');
+    assert.equal(await runDueLoans(harness.sock), 1);
+    assert.equal(getLoanRecord(harness.userId('alice')).creditScore, 655);
+    
+    // Not paid ahead, but the whole installment is collected: not a miss
+    const { loan } = getLoanRecord(harness.userId('alice'));
+    makeInstallmentDue(harness, 'alice');
+    assert.equal(await runDueLoans(harness.sock), 1);
+    
+    const notice = harness.sock.sent[harness.sock.sent.length - 1];
+    assert.equal(notice.jid, harness.userId('alice'));
+    assert.match(notice.text, new RegExp(`LOAN INSTALLMENT[\\s\\S]*${loan.installmentAmount} coins were taken[\\s\\S]*Credit Score: 655`));
+    assert.doesNotMatch(notice.text, /more missed installment/);
+    
+    const alice = harness.getUser('alice');
+    assert.equal(alice.balance, 0);
+    assert.equal(alice.bankBalance, 9000 - (loan.installmentAmount - 500));
+    assert.equal(getLoanRecord(alice.id).creditScore, 655);
+    assert.equal(getLoanRecord(alice.id).loan.missedPayments, 0);
+    
+    // Nothing else is due yet
+    assert.equal(await runDueLoans(harness.sock), 0);
+  });
+  
+  it('blocks gambling, companies and loans while in default', async () => {
+    await harness.conversation()
+      .send('alice', '.loan 5000')
+      .send('alice', '.dep 10000')
+      .send('alice', '.cc 44000 Acme')
+      .run();
+    
+    // Nothing left to collect the installment from
+    const alice = harness.userId('alice');
+    transferCoins(walletAccount(alice), LEDGER_ACCOUNTS.ADMIN, 1000, { reason: 'Test spending' });
+    transferCoins(bankAccount(alice), LEDGER_ACCOUNTS.ADMIN, 10000, { reason: 'Test spending' });
+    
+    makeInstallmentDue(harness, 'alice', { missedPayments: 2 });
+    await runDueLoans(harness.sock);
+    assert.equal(getLoanRecord(alice).loan.defaulted, true);
+    assert.match(harness.sock.sent[harness.sock.sent.length - 1].text, /0 coins were taken[\s\S]*couldn't be collected and are still owed/);
+    transferCoins(LEDGER_ACCOUNTS.ADMIN, bankAccount(alice), 10000, { reason: 'Test refund' });
+    
+    await harness.conversation()
+      .send('alice', '.cointoss 100 heads')
+      .expectReply(/loan is in default, so gambling is blocked/)
+      .send('alice', '.cc 5000 Other')
+      .expectReply(/loan is in default/)
+      .send('alice', '.loan 1000')
+      .expectReply(/loan is in default/)
+      .send('alice', '.with 10000')
+      .send('alice', '.repay all')
+      .expectReply(/fully repaid! Credit Score: 630/)
+      .send('alice', '.cointoss 100 heads')
+      .expectReply(/Coin landed/)
+      .run();
+  });
+});
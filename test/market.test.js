@@ -0,0 +1,82 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const { createHarness } = require('./harness');
+const { getLedgerAccountBalance, LEDGER_ACCOUNTS } = require('../database/db');
+
+describe('share market', () => {
+  let harness;
+  
+  beforeEach(async () => {
+    harness = createHarness();
+    await harness.register('alice', 'bob');
+    await harness.send('alice', '.cc 6000 TechCorp');
+  });
+  
+  afterEach(() => {
+    harness.cleanup();
+  });
+  
+  it('escrows shares put up for sale', async () => {
+    await harness.conversation()
+      .send('alice', '.sellshares TechCorp 10 500')
+      .expectReply(/SELL ORDER CREATED/)
+      .check(h => {
+        assert.equal(h.getUser('alice').shares.TechCorp, 90);
+        assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.MARKET, 'shares:TechCorp'), 10);
+      })
+      .send('bob', '.market TechCorp')
+      .expectReply(/10 shares/)
+      .run();
+  });
+  
+  it('sells shares to a buyer, minus the market fee', async () => {
+    await harness.send('alice', '.sellshares TechCorp 10 500');
+    
+    await harness.conversation()
+      .send('bob', '.buyshares TechCorp 10')
+      .expectReply(/SHARES PURCHASED/)
+      .check(h => {
+        const alice = h.getUser('alice');
+        const bob = h.getUser('bob');
+        assert.equal(bob.shares.TechCorp, 10);
+        assert.equal(bob.balance, 45000);
+        assert.equal(alice.balance, 44000 + 4750);
+        assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.FEES, 'coins'), 250);
+      })
+      .run();
+  });
+  
+  it('returns shares when an order is cancelled', async () => {
+    await harness.send('alice', '.sellshares TechCorp 10 500');
+    
+    await harness.conversation()
+      .send('alice', '.cancelorder TechCorp')
+      .expectReply(/has been cancelled/)
+      .check(h => assert.equal(h.getUser('alice').shares.TechCorp, 100))
+      .send('bob', '.buyshares TechCorp 10')
+      .expectReply(/No sell orders found/)
+      .run();
+  });
+  
+  it('does not let sellers buy their own shares or sell more than they own', async () => {
+    await harness.send('alice', '.sellshares TechCorp 10 500');
+    
+    await harness.conversation()
+      .send('alice', '.buyshares TechCorp 10')
+      .expectReply(/cannot buy your own shares/)
+      .send('alice', '.sellshares TechCorp 500 10')
+      .expectReply(/You only have 90 shares/)
+      .run();
+  });
+  
+  it('transfers shares to a mentioned user', async () => {
+    await harness.conversation()
+      .send('alice', '.transfer TechCorp @bob 25')
+      .expectReply(/SHARES TRANSFERRED/)
+      .check(h => {
+        assert.equal(h.getUser('alice').shares.TechCorp, 75);
+        assert.equal(h.getUser('bob').shares.TechCorp, 25);
+      })
+      .run();
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const config = require('../config');
+const { createHarness } = require('./harness');
+const { validateGameSettings, validateGamesConfig, getDefaultSettings, calculateRtp } = require('../utils/gameConfig');
+
+describe('game settings', () => {
+  it('accepts the settings in config.js', () => {
+    assert.doesNotThrow(() => validateGamesConfig());
+  });
+  
+  it('reports every problem with a game', () => {
+    const problems = validateGameSettings('wheel', {
+      ...getDefaultSettings('wheel'),
+      minBet: 0,
+      houseEdge: 1.5,
+      segments: [{ multiplier: 2, weight: -1 }],
+      jackpotBonus: true
+    });
+    
+    assert.deepEqual(problems, [
+      'wheel.jackpotBonus is not a setting (use minBet, maxBet, segments, houseEdge)',
+      'wheel.minBet must be a whole number above 0',
+      'wheel.segments[0].weight must be a number above 0',
+      'wheel.houseEdge must be at least 0 and below 1 (0.02 is 2%)'
+    ]);
+  });
+  
+  it('refuses to start with a broken config', () => {
+    const slots = config.games.slots;
+    config.games.slots = { ...slots, symbols: [] };
+    
+    try {
+      assert.throws(() => validateGamesConfig(), /games\.slots\.symbols must be a non-empty list/);
+    } finally {
+      config.games.slots = slots;
+    }
+  });
+  
+  it('works out RTP from the odds tables', () => {
+    assert.equal(calculateRtp('cointoss', { payout: 2, houseEdge: 0 }), 1);
+    assert.equal(calculateRtp('cointoss', { payout: 2, houseEdge: 0.04 }), 0.98);
+    assert.equal(calculateRtp('wheel', { houseEdge: 0, segments: [{ multiplier: 0, weight: 3 }, { multiplier: 2, weight: 1 }] }), 0.5);
+    assert.equal(calculateRtp('slots', { houseEdge: 0, symbols: [{ symbol: 'A', weight: 1, payout: 8 }, { symbol: 'B', weight: 1, payout: 0 }] }), 1);
+    assert.equal(calculateRtp('crash', { houseEdge: 0, minCashOut: 1.01, maxCashOut: 1000 }), 1);
+  });
+});
+
+describe('.odds', () => {
+  let harness;
+  
+  beforeEach(async () => {
+    harness = createHarness({ owners: ['owner'] });
+    await harness.register('alice');
+  });
+  
+  afterEach(() => {
+    harness.cleanup();
+  });
+  
+  it('prints every game with its RTP', async () => {
+    await harness.conversation()
+      .send('owner', '.odds')
+      .expectReply(/Coin Toss\* \(cointoss\) - RTP 100\.00%[\s\S]*Slots[\s\S]*🍋🍋🍋 \(0\.80%\) pays 7x[\s\S]*PvP\* \(pvp\) - RTP n\/a/)
+      .send('alice', '.odds')
+      .expectReply(/only available to bot owners/i)
+      .run();
+  });
+  
+  it('overrides a game in one group only', async () => {
+    await harness.conversation()
+      .send('owner', '.odds set cointoss houseEdge 0.5')
+      .expectReply(/ODDS UPDATED[\s\S]*RTP 75\.00%[\s\S]*Group overrides: houseEdge/)
+      .send('owner', '.odds set cointoss maxBet 500')
+      .expectReply(/Bets: 10 - 500 coins/)
+      .send('alice', '.cointoss 1000 heads')
+      .expectReply('Maximum bet is 500 coins')
+      .check(h => h.rigNextRoll('alice', ([float]) => float < 0.5))
+      .send('alice', '.cointoss 400 heads')
+      .expectReply(/You won 200 coins/)
+      .send('alice', '.cointoss 1000 heads', { chat: '120363999999999999@g.us' })
+      .expectReply(/Coin landed/)
+      .run();
+  });
+  
+  it('rejects invalid overrides and resets them', async () => {
+    await harness.conversation()
+      .send('owner', '.odds set dice payout 0.5')
+      .expectReply(/Not saved[\s\S]*dice\.payout must be a number above 1/)
+      .send('owner', '.odds set dice minBet 5000000')
+      .expectReply(/dice\.minBet is above maxBet/)
+      .send('owner', '.odds set dice payout 6')
+      .expectReply(/pays 6x/)
+      .send('owner', '.odds reset dice')
+      .expectReply(/Dice reset/)
+      .send('owner', '.odds dice')
+      .expectReply(/pays 5x/)
+      .run();
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const config = require('../config');
+const { createHarness } = require('./harness');
+const { getLedgerAccountBalance, LEDGER_ACCOUNTS } = require('../database/db');
+
+describe('payments', () => {
+  let harness;
+
+  beforeEach(async () => {
+    harness = createHarness();
+    await harness.register('alice', 'bob');
+  });
+
+  afterEach(() => {
+    harness.cleanup();
+  });
+
+  it('pays other players and shows it in both histories', async () => {
+    await harness.conversation()
+      .send('alice', '.pay bob 1000 lunch')
+      .expectReply(/PAYMENT SENT[\s\S]*You paid bob 1,000 coins\.\nNote: lunch\nFee: 20 coins[\s\S]*Wallet: 48,980 coins/)
+      .expectDM('bob', /PAYMENT RECEIVED[\s\S]*alice has paid you 1,000 coins\.\nNote: lunch[\s\S]*Wallet: 51,000 coins/)
+      .send('alice', '.pay @bob 500')
+      .expectReply(/You paid bob 500 coins\.\nFee: 10 coins/)
+      .send('alice', '.pay alice 100')
+      .expectReply(/can't pay yourself/)
+      .send('alice', '.pay carol 100')
+      .expectReply(/User "carol" not found/)
+      .send('alice', '.pay bob 49000')
+      .expectReply(/need 49,980 coins in your wallet/)
+      .check(h => {
+        assert.equal(h.getUser('alice').balance, 48470);
+        assert.equal(h.getUser('bob').balance, 51500);
+        assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.FEES), 30);
+      })
+      .send('alice', '.history')
+      .expectReply(/-1,000 coins → bob\n  Payment: lunch \(\.pay\)/)
+      .send('bob', '.history')
+      .expectReply(/\+1,000 coins ← alice\n  Payment: lunch \(\.pay\)/)
+      .run();
+  });
+
+  it('asks for confirmation of large payments and keeps to the daily limit', async () => {
+    const { paymentConfirmThreshold, dailyPaymentLimit } = config;
+    config.paymentConfirmThreshold = 5000;
+    config.dailyPaymentLimit = 12000;
+
+    try {
+      await harness.conversation()
+        .send('alice', '.pay bob 8000 rent')
+        .expectReply(/CONFIRM PAYMENT[\s\S]*pay bob 8,000 coins \(plus a 160 coin fee\)[\s\S]*\.pay confirm/)
+        .check(h => assert.equal(h.getUser('bob').balance, 50000))
+        .send('alice', '.pay confirm')
+        .expectReply(/You paid bob 8,000 coins\.\nNote: rent[\s\S]*Paid today: 8,000 \/ 12,000 coins/)
+        .send('alice', '.pay confirm')
+        .expectReply(/don't have a payment waiting/)
+        .send('alice', '.pay bob 4500')
+        .expectReply(/over the daily limit of 12,000 coins \(4,000 coins left today\)/)
+        .send('alice', '.pay bob 4000')
+        .expectReply(/PAYMENT SENT/)
+        .check(h => assert.equal(h.getUser('bob').balance, 62000))
+        .run();
+    } finally {
+      config.paymentConfirmThreshold = paymentConfirmThreshold;
+      config.dailyPaymentLimit = dailyPaymentLimit;
+    }
+  });
+
+  it('lets players request payments and answer them', async () => {
+    await harness.conversation()
+      .send('alice', '.request @bob 2000 tickets')
+      .expectReply(/REQUEST SENT[\s\S]*asked bob for 2,000 coins \(request #1\)/)
+      .expectDM('bob', /PAYMENT REQUEST[\s\S]*alice is asking you for 2,000 coins\.\nNote: tickets[\s\S]*\.request accept 1/)
+      .send('bob', '.request')
+      .expectReply(/#1 • alice asks you for 2,000 coins \(tickets\)/)
+      .send('alice', '.request')
+      .expectReply(/#1 • You asked bob for 2,000 coins/)
+      .send('alice', '.request accept 1')
+      .expectReply(/don't have an open request #1 to accept/)
+      .send('bob', '.request accept')
+      .expectReply(/You paid alice 2,000 coins/)
+      .expectDM('alice', /bob has paid you 2,000 coins for your request #1/)
+      .send('bob', '.request accept 1')
+      .expectReply(/don't have an open request #1/)
+      .send('alice', '.request bob 300')
+      .send('bob', '.request reject')
+      .expectReply(/rejected alice's request #2/)
+      .expectDM('alice', /REQUEST REJECTED[\s\S]*bob has rejected your request #2/)
+      .send('alice', '.request bob 400')
+      .send('alice', '.request cancel 3')
+      .expectReply(/request #3 has been cancelled/)
+      .send('bob', '.request')
+      .expectReply(/No open requests/)
+      .send('bob', '.history')
+      .expectReply(/-2,000 coins → alice\n  Payment request #1: tickets \(\.request\)/)
+      .check(h => {
+        assert.equal(h.getUser('alice').balance, 52000);
+        assert.equal(h.getUser('bob').balance, 47960);
+      })
+      .run();
+  });
+});
@@ -0,0 +1,163 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const { createHarness } = require('./harness');
+const { resolveIdlePokerTurns } = require('../commands/poker');
+const { getPokerTable, setPokerTable, getLedgerAccountBalance, LEDGER_ACCOUNTS } = require('../database/db');
+
+const SUITS = { h: 'hearts', d: 'diamonds', c: 'clubs', s: 'spades' };
+
+/**
+ * Parses cards written like "Ah 10d"
+ * @param {String} text - Cards
+ * @returns {Array} Cards
+ */
+function cards(text) {
+  return text.split(' ').map(card => ({ value: card.slice(0, -1), suit: SUITS[card.slice(-1)] }));
+}
+
+/**
+ * Replaces the hole cards and the board of the hand in play
+ * @param {Object} harness - Test harness
+ * @param {Object} holeCards - Test user name -> cards
+ * @param {String} board - The five board cards, in the order they're dealt
+ */
+function stackDeck(harness, holeCards, board) {
+  const table = getPokerTable(harness.group);
+  for (const [name, hole] of Object.entries(holeCards)) {
+    table.hand.game.players.find(player => player.userId === harness.userId(name)).cards = cards(hole);
+  }
+  table.hand.deck = cards(board).reverse();
+  setPokerTable(harness.group, table);
+}
+
+/**
+ * Makes the player to act run out of time
+ * @param {Object} harness - Test harness
+ */
+function expireTurn(harness) {
+  const table = getPokerTable(harness.group);
+  setPokerTable(harness.group, { ...table, hand: { ...table.hand, lastActionAt: Date.now() - 3600000 } });
+}
+
+describe('poker', () => {
+  let harness;
+  
+  beforeEach(async () => {
+    harness = createHarness();
+    await harness.register('alice', 'bob', 'carol');
+  });
+  
+  afterEach(() => {
+    harness.cleanup();
+  });
+  
+  it('holds buy-ins in escrow, deals hole cards by DM and pays the last player in', async () => {
+    await harness.conversation()
+      .send('alice', '.poker')
+      .expectReply(/no poker table/)
+      .send('alice', '.poker create 5000')
+      .expectReply(/POKER TABLE[\s\S]*alice: 5,000 coins/)
+      .send('bob', '.poker join 100')
+      .expectReply(/buy-in is 2,000 to 20,000 coins/)
+      .send('bob', '.poker join 5000')
+      .check(h => {
+        assert.equal(h.getUser('bob').balance, 45000);
+        assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.ESCROW), 10000);
+      })
+      .send('carol', '.poker deal')
+      .expectReply(/not at the table/)
+      .send('bob', '.poker deal')
+      .expectReply(/POKER HAND #1[\s\S]*alice: 4,950 coins \(posted 50\)[\s\S]*bob: 4,900 coins \(posted 100\)[\s\S]*alice\* to act/)
+      .expectDM('alice', /YOUR HOLE CARDS/)
+      .expectDM('bob', /YOUR HOLE CARDS/)
+      .send('bob', '.poker call')
+      .expectReply(/It's alice's turn/)
+      .send('alice', '.poker fold')
+      .expectReply(/alice folds[\s\S]*HAND OVER[\s\S]*Pot \(150 coins\): bob/)
+      .send('alice', '.poker leave')
+      .expectReply(/left the table with 4,950 coins/)
+      .send('bob', '.poker leave')
+      .expectReply(/left the table with 5,050 coins/)
+      .check(h => {
+        assert.equal(h.getUser('alice').balance, 49950);
+        assert.equal(h.getUser('bob').balance, 50050);
+        assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.ESCROW), 0);
+        assert.equal(getPokerTable(h.group), null);
+      })
+      .run();
+  });
+  
+  it('splits all-ins into side pots at showdown', async () => {
+    await harness.conversation()
+      .send('alice', '.poker create 2000')
+      .send('bob', '.poker join 5000')
+      .send('carol', '.poker join 10000')
+      .send('alice', '.poker deal')
+      .run();
+    
+    stackDeck(harness, { alice: 'As Ac', bob: 'Ks Kc', carol: 'Qs 3c' }, '2h 7d 9c Js 4h');
+    
+    const { sent } = await harness.conversation()
+      .send('alice', '.poker allin')
+      .expectReply(/alice goes all-in for 2,000/)
+      .send('bob', '.poker allin')
+      // Nobody is left to call a raise
+      .send('carol', '.poker raise 6000')
+      .expectReply(/can't raise right now[\s\S]*\.poker call 4,900/)
+      .send('carol', '.poker call')
+      .expectReply(/SHOWDOWN[\s\S]*Main pot \(6,000 coins\): alice \(Pair\)\nSide pot 1 \(6,000 coins\): bob \(Pair\)/)
+      .run();
+    
+    const table = getPokerTable(harness.group);
+    assert.equal(table.hand, null);
+    assert.deepEqual(table.seats.map(seat => seat.stack), [6000, 6000, 5000]);
+    assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.ESCROW), 17000);
+    
+    // The deck's seed is revealed as soon as the hand is over
+    const betId = sent[sent.length - 1].text.match(/Bet #(\d+)/)[1];
+    await harness.conversation()
+      .send('carol', `.verify ${betId}`)
+      .expectReply(/Game: Poker[\s\S]*Player: Everyone at the table[\s\S]*SHA-256 matches/)
+      .run();
+  });
+  
+  it('acts for players who run out of time and folds players who leave mid-hand', async () => {
+    await harness.conversation()
+      .send('alice', '.poker create 5000')
+      .send('bob', '.poker join 5000')
+      .send('alice', '.poker deal')
+      .run();
+    
+    // Nothing happens until the turn times out
+    assert.equal(await resolveIdlePokerTurns(harness.sock), 0);
+    
+    // Players who can't check fold
+    expireTurn(harness);
+    assert.equal(await resolveIdlePokerTurns(harness.sock), 1);
+    assert.match(harness.sock.sent[harness.sock.sent.length - 1].text, /alice ran out of time\.\nalice folds[\s\S]*Pot \(150 coins\): bob/);
+    
+    // The button moves to bob, who posts the small blind
+    await harness.conversation()
+      .send('bob', '.poker deal')
+      .expectReply(/Button: bob/)
+      .send('bob', '.poker call')
+      .expectReply(/bob calls 50[\s\S]*alice\* to act/)
+      .send('bob', '.poker leave')
+      .expectReply(/fold when your turn comes/)
+      .run();
+    
+    // Players who can check do
+    expireTurn(harness);
+    assert.equal(await resolveIdlePokerTurns(harness.sock), 1);
+    assert.match(harness.sock.sent[harness.sock.sent.length - 1].text, /alice checks\n\n\*FLOP\*/);
+    
+    await harness.conversation()
+      .send('alice', '.poker check')
+      .expectReply(/bob folds \(leaving the table\)[\s\S]*Pot \(200 coins\): alice[\s\S]*bob left with 4,950 coins/)
+      .check(h => {
+        assert.equal(h.getUser('bob').balance, 49950);
+        assert.deepEqual(getPokerTable(h.group).seats.map(seat => seat.stack), [5050]);
+      })
+      .run();
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const { createHarness } = require('./harness');
+const { updateUser } = require('../database/db');
+const config = require('../config');
+
+describe('pvp challenges', () => {
+  let harness;
+  
+  beforeEach(async () => {
+    harness = createHarness();
+    await harness.register('alice', 'bob');
+  });
+  
+  afterEach(() => {
+    harness.cleanup();
+  });
+  
+  it('notifies the opponent of a challenge', async () => {
+    await harness.conversation()
+      .send('alice', '.challenge bob 1000')
+      .expectReply(/CHALLENGE SENT/)
+      .expectDM('bob', /CHALLENGE RECEIVED/)
+      .run();
+  });
+  
+  it('pays the challenger when they win', async () => {
+    await harness.send('alice', '.challenge bob 1000');
+    
+    // Heads: the challenger wins (the coin is tossed with the accepting player's seeds)
+    harness.rigNextRoll('bob', ([float]) => float < 0.5);
+    
+    await harness.conversation()
+      .send('bob', '.accept')
+      .expectReply(/CHALLENGE LOST/)
+      .expectDM('alice', /CHALLENGE WON/)
+      .check(h => {
+        assert.equal(h.getUser('alice').balance, 51000);
+        assert.equal(h.getUser('bob').balance, 49000);
+      })
+      .run();
+  });
+  
+  it('pays the opponent when they win', async () => {
+    await harness.send('alice', '.challenge bob 1000');
+    
+    // Tails: the opponent wins
+    harness.rigNextRoll('bob', ([float]) => float >= 0.5);
+    
+    await harness.conversation()
+      .send('bob', '.accept')
+      .expectReply(/CHALLENGE WON/)
+      .expectDM('alice', /CHALLENGE LOST/)
+      .check(h => {
+        assert.equal(h.getUser('alice').balance, 49000);
+        assert.equal(h.getUser('bob').balance, 51000);
+      })
+      .run();
+  });
+  
+  it('lets the opponent decline', async () => {
+    await harness.send('alice', '.challenge bob 1000');
+    
+    await harness.conversation()
+      .send('bob', '.decline')
+      .expectReply(/declined the challenge from alice/)
+      .expectDM('alice', /CHALLENGE DECLINED/)
+      .send('bob', '.accept')
+      .expectReply(/don't have any pending challenges/)
+      .check(h => {
+        assert.equal(h.getUser('alice').balance, 50000);
+        assert.equal(h.getUser('bob').balance, 50000);
+      })
+      .run();
+  });
+  
+  it('keeps count of challenges made this hour with the player', async () => {
+    assert.equal(harness.getUser('alice').challengesMade, 0);
+    assert.equal(harness.getUser('alice').lastChallengeTime, null);
+    
+    await harness.conversation()
+      .send('alice', '.challenge bob 1000')
+      .expectReply(/CHALLENGE SENT/)
+      .check(h => assert.equal(h.getUser('alice').challengesMade, 1))
+      .send('bob', '.decline')
+      .run();
+    
+    // Still counted after a restart, since it's stored with the player
+    updateUser(harness.userId('alice'), { challengesMade: config.maxChallengesPerHour });
+    await harness.conversation()
+      .send('alice', '.challenge bob 1000')
+      .expectReply(/reached the limit of 5 challenges per hour[\s\S]*challenge again in 60 minutes/)
+      .run();
+  });
+  
+  it('rejects challenges against yourself or unknown users', async () => {
+    await harness.conversation()
+      .send('alice', '.challenge alice 1000')
+      .expectReply(/yourself/i)
+      .send('alice', '.challenge nobody 1000')
+      .expectReply(/User "nobody" not found/)
+      .run();
+  });
+});
@@ -0,0 +1,144 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('assert');
+const { createHarness } = require('./harness');
+const { createMockSocket } = require('./harness/mockSocket');
+const { throttleSocket, resetRateLimits } = require('../utils/rateLimiter');
+const config = require('../config');
+
+describe('rate limits', () => {
+  let harness;
+  let now;
+  
+  beforeEach(async () => {
+    harness = createHarness({ rateLimits: true });
+    await harness.register('alice', 'bob');
+    
+    // Registering counted towards the limits; start each test with a clean window
+    now = Date.now() + config.rateLimits.flood.windowSeconds * 1000;
+    mock.method(Date, 'now', () => now);
+  });
+  
+  afterEach(() => {
+    harness.cleanup();
+  });
+  
+  /**
+   * Sends the same command several times
+   * @param {String} name - Test user name
+   * @param {Number} times - How many times to send it
+   * @returns {Promise<Array>} What the bot sent back each time
+   */
+  async function sendRepeatedly(name, times) {
+    const replies = [];
+    for (let i = 0; i < times; i++) {
+      const { sent } = await harness.send(name, '.balance');
+      replies.push(sent.map(entry => entry.text));
+    }
+    return replies;
+  }
+  
+  it('turns away a burst of commands from one user', async () => {
+    const { limit } = config.rateLimits.user;
+    const replies = await sendRepeatedly('alice', limit + 2);
+    
+    assert.ok(replies.slice(0, limit).every(sent => sent.length === 1 && /Wallet/.test(sent[0])));
+    assert.deepEqual(replies[limit], ["⏳ You're sending commands too fast. Try again in 10s."]);
+    
+    // One notice is enough while the limit lasts
+    assert.deepEqual(replies[limit + 1], []);
+    
+    // Other users aren't held up
+    await harness.conversation()
+      .send('bob', '.balance')
+      .expectReply(/Wallet/)
+      .run();
+    
+    now += config.rateLimits.user.windowSeconds * 1000;
+    await harness.conversation()
+      .send('alice', '.balance')
+      .expectReply(/Wallet/)
+      .run();
+  });
+  
+  it('mutes users who keep flooding, for longer each time until they behave', async () => {
+    const { user, flood, muteDurations, offenseDecayHours } = config.rateLimits;
+    
+    // Every command over the limit is a strike; the last strike brings a mute with a single notice
+    let replies = await sendRepeatedly('alice', user.limit + flood.strikes);
+    assert.match(replies[user.limit][0], /too fast/);
+    assert.ok(replies.slice(user.limit + 1, -1).every(sent => sent.length === 0));
+    assert.deepEqual(replies[replies.length - 1], [
+      "🔇 *SLOW DOWN* 🔇\n\nYou've been muted for 1m 0s for spamming commands.\nRepeat offenses lead to longer mutes."
+    ]);
+    
+    // Muted users are ignored
+    await harness.conversation()
+      .send('alice', '.balance')
+      .expectNoReply()
+      .run();
+    
+    now += muteDurations[0] * 1000;
+    await harness.conversation()
+      .send('alice', '.balance')
+      .expectReply(/Wallet/)
+      .run();
+    
+    // A second offense mutes for longer
+    now += user.windowSeconds * 1000;
+    replies = await sendRepeatedly('alice', user.limit + flood.strikes);
+    assert.match(replies[replies.length - 1][0], /muted for 5m 0s/);
+    
+    // Offenses are forgotten after a quiet spell
+    now += offenseDecayHours * 3600000 + muteDurations[1] * 1000;
+    replies = await sendRepeatedly('alice', user.limit + flood.strikes);
+    assert.match(replies[replies.length - 1][0], /muted for 1m 0s/);
+  });
+});
+
+describe('outbound send queue', () => {
+  beforeEach(() => {
+    resetRateLimits();
+  });
+  
+  afterEach(() => {
+    resetRateLimits();
+  });
+  
+  it('sends queued messages one at a time within the per-minute allowance', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+    const { minIntervalMs, perMinute } = config.rateLimits.outbound;
+    const sock = throttleSocket(createMockSocket());
+    
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+    const advance = async ms => {
+      t.mock.timers.tick(ms);
+      await flush();
+    };
+    
+    // A message more than the per-minute allowance, all queued at once
+    const deliveries = [];
+    for (let i = 0; i <= perMinute; i++) {
+      deliveries.push(sock.sendMessage('chat@g.us', { text: `Message ${i}` }));
+    }
+    await flush();
+    assert.equal(sock.sent.length, 1);
+    
+    // One at a time, in order, with a gap between them
+    await advance(minIntervalMs - 1);
+    assert.equal(sock.sent.length, 1);
+    await advance(1);
+    assert.equal(sock.sent.length, 2);
+    for (let i = 2; i < perMinute; i++) {
+      await advance(minIntervalMs);
+    }
+    assert.equal(sock.sent.length, perMinute);
+    assert.deepEqual(sock.sent.map(entry => entry.text), [...Array(perMinute).keys()].map(i => `Message ${i}`));
+    
+    // The last one waits until a minute after the first
+    await advance(60000 - perMinute * minIntervalMs);
+    assert.equal(sock.sent.length, perMinute);
+    await advance(minIntervalMs);
+    assert.equal(sock.sent.length, perMinute + 1);
+    await Promise.all(deliveries);
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createHarness } = require('./harness');
+const { initializeDatabase } = require('../database/db');
+
+describe('registration', () => {
+  let harness;
+  
+  beforeEach(() => {
+    harness = createHarness();
+  });
+  
+  afterEach(() => {
+    harness.cleanup();
+  });
+  
+  it('registers a new user with a username', async () => {
+    await harness.conversation()
+      .send('alice', '.register alice')
+      .expectReply(/REGISTRATION SUCCESSFUL/)
+      .check(h => {
+        const user = h.getUser('alice');
+        assert.equal(user.username, 'alice');
+        assert.equal(user.isRegistered, true);
+      })
+      .run();
+  });
+  
+  it('asks unregistered users to register before using commands', async () => {
+    await harness.conversation()
+      .send('alice', '.balance')
+      .expectReply(/REGISTRATION REQUIRED/)
+      .run();
+  });
+  
+  it('lets unregistered users use commands that do not need registration', async () => {
+    await harness.conversation()
+      .send('alice', '.ping')
+      .expectReply(/Pong|online/i)
+      .run();
+  });
+  
+  it('rejects invalid and taken usernames', async () => {
+    await harness.register('alice');
+    
+    await harness.conversation()
+      .send('bob', '.register ab')
+      .expectReply(/between 3 and 15 characters/)
+      .send('bob', '.register bad-name')
+      .expectReply(/letters, numbers, and underscores/)
+      .send('bob', '.register ALICE')
+      .expectReply(/already taken/)
+      .run();
+  });
+  
+  it('does not let a user register twice', async () => {
+    await harness.register('alice');
+    
+    await harness.conversation()
+      .send('alice', '.register alice2')
+      .expectReply(/already registered with username: \*alice\*/)
+      .run();
+  });
+  
+  it('ignores unknown commands and plain chat', async () => {
+    await harness.conversation()
+      .send('alice', '.notacommand')
+      .expectNoReply()
+      .send('alice', 'just chatting')
+      .expectNoReply()
+      .run();
+  });
+  
+  it('works in direct messages', async () => {
+    await harness.conversation()
+      .send('alice', '.register alice', { dm: true })
+      .expectReply(/REGISTRATION SUCCESSFUL/)
+      .run();
+  });
+  
+  it('keeps registrations after the database is reloaded from disk', async () => {
+    harness.cleanup();
+    harness = createHarness({ driver: 'journal' });
+    await harness.register('alice');
+    
+    // Reload from the snapshot and journal in the temporary data directory
+    initializeDatabase();
+    
+    assert.equal(harness.getUser('alice').username, 'alice');
+  });
+  
+  it('refuses to load a damaged snapshot and leaves the files alone', async () => {
+    harness.cleanup();
+    harness = createHarness({ driver: 'journal' });
+    await harness.register('alice');
+    await harness.send('alice', '.deposit 1000');
+    
+    const snapshotPath = path.join(harness.database.dataDir, 'database.json');
+    const journalPath = path.join(harness.database.dataDir, 'database.journal');
+    fs.writeFileSync(snapshotPath, '{"users": {');
+    const journal = fs.readFileSync(journalPath, 'utf8');
+    assert.notEqual(journal, '');
+    
+    assert.throws(() => initializeDatabase(), SyntaxError);
+    assert.equal(fs.readFileSync(snapshotPath, 'utf8'), '{"users": {');
+    assert.equal(fs.readFileSync(journalPath, 'utf8'), journal);
+  });
+  
+  it('drops only a torn last journal entry', async () => {
+    harness.cleanup();
+    harness = createHarness({ driver: 'journal' });
+    await harness.register('alice');
+    await harness.send('alice', '.deposit 1000');
+    
+    const journalPath = path.join(harness.database.dataDir, 'database.journal');
+    const journal = fs.readFileSync(journalPath, 'utf8');
+    
+    // A crash part-way through writing the last entry
+    fs.appendFileSync(journalPath, '{"seq":99,"ops":[{"pa');
+    initializeDatabase();
+    assert.equal(harness.getUser('alice').bankBalance, 1000);
+    assert.equal(fs.readFileSync(journalPath, 'utf8'), journal);
+    
+    // Damage before the last entry would lose the commits after it
+    const damaged = `{"seq":98,"ops":[{"pa\n${journal}`;
+    fs.writeFileSync(journalPath, damaged);
+    assert.throws(() => initializeDatabase(), /Journal entry on line 1 of .* is damaged/);
+    assert.equal(fs.readFileSync(journalPath, 'utf8'), damaged);
+  });
+});
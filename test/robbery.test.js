@@ -0,0 +1,149 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const { createHarness } = require('./harness');
+const { runDueHeists } = require('../commands/robbery');
+const { getHeist, setHeist, transferCoins, getLedgerAccountBalance, LEDGER_ACCOUNTS } = require('../database/db');
+const { HEIST_SEED_PREFIX, rotateServerSeed, computeFloats, FLOATS_PER_ROUND } = require('../utils/rng');
+
+/**
+ * Picks a client seed for the group's heists so the next one rolls a certain way
+ * @param {Object} harness - Test harness
+ * @param {Function} predicate - (floats) => Boolean
+ */
+function rigNextHeist(harness, predicate) {
+  for (let attempt = 0; attempt < 1000; attempt++) {
+    const { current } = rotateServerSeed(`${HEIST_SEED_PREFIX}${harness.group}`, `test-${attempt}`);
+    if (predicate(computeFloats(current.serverSeed, current.clientSeed, current.nonce, FLOATS_PER_ROUND))) return;
+  }
+  throw new Error('No client seed gave a matching heist roll');
+}
+
+/**
+ * Ends the group's heist lobby, as if its time had run out
+ * @param {Object} harness - Test harness
+ */
+function closeLobby(harness) {
+  setHeist(harness.group, { ...getHeist(harness.group), startsAt: Date.now() - 1 });
+}
+
+describe('robbery', () => {
+  let harness;
+  
+  beforeEach(async () => {
+    harness = createHarness();
+    await harness.register('alice', 'bob', 'carol');
+  });
+  
+  afterEach(() => {
+    harness.cleanup();
+  });
+  
+  it('steals from wallets but never banks, and fines robbers who get caught', async () => {
+    harness.rigNextRoll('alice', floats => floats[0] < 0.4);
+    harness.rigNextRoll('carol', floats => floats[0] >= 0.4);
+    
+    await harness.conversation()
+      .send('bob', '.deposit 10000')
+      .send('alice', '.rob @bob')
+      .expectReply(/ROBBERY SUCCESSFUL[\s\S]*You stole [\d,]+ coins from bob's wallet![\s\S]*Chance: 40\.0%[\s\S]*\.verify/)
+      .expectDM('bob', /YOU'VE BEEN ROBBED[\s\S]*alice stole [\d,]+ coins from your wallet[\s\S]*Bank: 10,000 coins \(safe\)/)
+      .check(h => {
+        const alice = h.getUser('alice');
+        const bob = h.getUser('bob');
+        assert.ok(alice.balance >= 52000 && alice.balance <= 58000);
+        assert.equal(alice.balance + bob.balance, 90000);
+        assert.equal(bob.bankBalance, 10000);
+      })
+      .send('alice', '.rob carol')
+      .expectReply(/lying low after your last robbery\. Try again in (1h 0m|59m)/)
+      .send('carol', '.rob bob')
+      .expectReply(/bob was robbed recently/)
+      .send('carol', '.rob alice')
+      .expectReply(/CAUGHT![\s\S]*fined 5,000 coins[\s\S]*New balance: 45,000 coins/)
+      .expectDM('alice', /ROBBERY FOILED[\s\S]*carol tried to rob you/)
+      .check(h => assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.FEES), 5000))
+      .send('carol', '.history')
+      .expectReply(/-5,000 coins → fees\n  Robbery fine \(\.rob\)/)
+      .run();
+  });
+  
+  it('lets lockpicks and guard dogs change the odds', async () => {
+    harness.rigNextRoll('alice', floats => floats[0] >= 0.35 && floats[0] < 0.4);
+    
+    await harness.conversation()
+      .send('alice', '.rob alice')
+      .expectReply(/can't rob yourself/)
+      .send('alice', '.rob dave')
+      .expectReply(/User "dave" not found/)
+      .send('alice', '.buy lockpick 1')
+      .send('alice', '.use lockpick')
+      .send('bob', '.buy guarddog 1')
+      .send('bob', '.use guarddog')
+      .send('alice', '.rob bob')
+      .expectReply(/CAUGHT![\s\S]*Chance: 35\.0%/)
+      .run();
+  });
+  
+  it('gathers a crew for a heist and settles it against the vault', async () => {
+    transferCoins(LEDGER_ACCOUNTS.ADMIN, LEDGER_ACCOUNTS.FEES, 40000, { reason: 'Test fees' });
+    
+    await harness.conversation()
+      .send('alice', '.heist join')
+      .expectReply(/no heist being planned here/)
+      .send('alice', '.heist start')
+      .expectReply(/HEIST PLANNED[\s\S]*Crew: alice \(1\/6, at least 3 needed\)[\s\S]*Vault: 10,000 coins[\s\S]*New balance: 45,000 coins/)
+      .send('alice', '.heist join')
+      .expectReply(/already in this crew/)
+      .send('bob', '.heist join')
+      .expectReply(/JOINED THE CREW[\s\S]*Crew: alice, bob \(2\/6/)
+      .run();
+    
+    // Nothing happens until the crew has had time to gather
+    assert.equal(await runDueHeists(harness.sock), 0);
+    
+    // Too few turned up: everyone gets their stake back
+    closeLobby(harness);
+    assert.equal(await runDueHeists(harness.sock), 1);
+    assert.match(harness.sock.sent[harness.sock.sent.length - 1].text, /HEIST CALLED OFF[\s\S]*Only 2 of the 3/);
+    assert.equal(harness.getUser('alice').balance, 50000);
+    assert.equal(getHeist(harness.group), null);
+    
+    // Cracked: the vault is shared out
+    rigNextHeist(harness, floats => floats[0] < 0.3);
+    await harness.conversation()
+      .send('alice', '.heist start')
+      .send('bob', '.heist join')
+      .send('carol', '.heist join')
+      .expectReply(/Chance: 30\.0%/)
+      .run();
+    closeLobby(harness);
+    await runDueHeists(harness.sock);
+    
+    const cracked = harness.sock.sent[harness.sock.sent.length - 1];
+    assert.equal(cracked.jid, harness.group);
+    assert.match(cracked.text, /VAULT CRACKED[\s\S]*got away with 9,999 coins[\s\S]*Each member gets 3,333 coins/);
+    assert.equal(harness.getUser('carol').balance, 53333);
+    assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.FEES), 30001);
+    
+    // Caught: the stakes go into the vault
+    rigNextHeist(harness, floats => floats[0] >= 0.3);
+    await harness.conversation()
+      .send('alice', '.heist start')
+      .send('bob', '.heist join')
+      .send('carol', '.heist join')
+      .run();
+    closeLobby(harness);
+    await runDueHeists(harness.sock);
+    
+    const failed = harness.sock.sent[harness.sock.sent.length - 1].text;
+    assert.match(failed, /HEIST FAILED[\s\S]*alice, bob, carol/);
+    assert.equal(harness.getUser('carol').balance, 48333);
+    assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.FEES), 45001);
+    
+    const betId = failed.match(/Bet #(\d+)/)[1];
+    await harness.conversation()
+      .send('alice', `.verify ${betId}`)
+      .expectReply(/Game: Heist\nPlayer: The heist crew\nResult: Crew caught \(chance 30\.0%\)[\s\S]*Hash check: ✅/)
+      .run();
+  });
+});
@@ -0,0 +1,135 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const { createHarness } = require('./harness');
+const { runDueRounds } = require('../commands/rounds');
+const { getRound, setRound, getRoundSchedule, setRoundSchedule, getLedgerAccountBalance, LEDGER_ACCOUNTS } = require('../database/db');
+const { ROUND_SEED_PREFIX, rotateServerSeed, computeFloats, FLOATS_PER_ROUND } = require('../utils/rng');
+const { drawCrashPoint } = require('../utils/crash');
+
+/**
+ * Picks a client seed for the group's rounds so the next one crashes a certain way
+ * @param {Object} harness - Test harness
+ * @param {Function} predicate - (crashPoint) => Boolean
+ */
+function rigCrashPoint(harness, predicate) {
+  for (let attempt = 0; attempt < 1000; attempt++) {
+    const { current } = rotateServerSeed(`${ROUND_SEED_PREFIX}${harness.group}`, `test-${attempt}`);
+    const floats = computeFloats(current.serverSeed, current.clientSeed, current.nonce, FLOATS_PER_ROUND);
+    if (predicate(drawCrashPoint(() => floats.shift()))) return;
+  }
+  throw new Error('No client seed gave a matching crash point');
+}
+
+/**
+ * Ends the group's betting window, as if it had run out
+ * @param {Object} harness - Test harness
+ */
+function closeBetting(harness) {
+  setRound(harness.group, { ...getRound(harness.group), closesAt: Date.now() - 1 });
+}
+
+describe('shared rounds', () => {
+  let harness;
+  
+  beforeEach(async () => {
+    harness = createHarness({ owners: ['owner'] });
+    await harness.register('alice', 'bob');
+  });
+  
+  afterEach(() => {
+    harness.cleanup();
+  });
+  
+  it('settles every bet in a crash round with one crash point', async () => {
+    rigCrashPoint(harness, crashPoint => crashPoint >= 2 && crashPoint < 5);
+    
+    await harness.conversation()
+      .send('owner', '.round start crash')
+      .expectReply(/CRASH ROUND OPEN[\s\S]*\.crash 100 2\.5/)
+      .send('alice', '.crash 100 2')
+      .expectReply(/BET PLACED[\s\S]*cash out at 2\.00x/)
+      .send('bob', '.crash 200 5x')
+      .expectReply(/Players in this round: 2/)
+      .run();
+    
+    // Nothing happens until the betting window is over
+    assert.deepEqual(await runDueRounds(harness.sock), { closed: 0, opened: 0 });
+    
+    closeBetting(harness);
+    assert.deepEqual(await runDueRounds(harness.sock), { closed: 1, opened: 0 });
+    
+    const result = harness.sock.sent[harness.sock.sent.length - 1];
+    assert.equal(result.jid, harness.group);
+    assert.match(result.text, /Crashed at [234]\.\d\dx[\s\S]*Winners:\*\n✅ alice: 100 coins, cash out at 2\.00x → won 100 coins[\s\S]*Losers:\*\n❌ bob: 200 coins, cash out at 5\.00x → lost 200 coins/);
+    assert.equal(harness.getUser('alice').balance, 50100);
+    assert.equal(harness.getUser('bob').balance, 49800);
+    assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.ESCROW), 0);
+    assert.equal(getRound(harness.group), null);
+    
+    // The round's seeds are revealed as soon as it's drawn
+    const betId = result.text.match(/Bet #(\d+)/)[1];
+    await harness.conversation()
+      .send('alice', `.verify ${betId}`)
+      .expectReply(/Game: Crash[\s\S]*Player: Everyone in the round[\s\S]*SHA-256 matches/)
+      .run();
+  });
+  
+  it('holds stakes in escrow and only takes one valid bet per player', async () => {
+    await harness.conversation()
+      .send('alice', '.crash 100 2')
+      .expectReply(/no crash round taking bets/)
+      .send('alice', '.round start crash')
+      .expectReply(/only available to bot owners/i)
+      .send('owner', '.round start crash')
+      .send('alice', '.crash 100 0.5')
+      .expectReply(/Pick an auto cash-out from 1\.01x to 1000\.00x/)
+      .send('alice', '.crash 100 3')
+      .check(h => {
+        assert.equal(h.getUser('alice').balance, 49900);
+        assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.ESCROW), 100);
+      })
+      .send('alice', '.crash 100 4')
+      .expectReply(/already bet on this round/)
+      .send('bob', '.crash')
+      .expectReply(/Bets: 1 \(100 coins\)\n• alice: 100 coins, cash out at 3\.00x/)
+      .run();
+    
+    closeBetting(harness);
+    await harness.conversation()
+      .send('bob', '.crash 100 2')
+      .expectReply(/no crash round taking bets/)
+      .run();
+  });
+  
+  it('opens rounds on a timer and refunds cancelled rounds', async () => {
+    await harness.conversation()
+      .send('owner', '.round auto crash 5')
+      .expectReply(/will open 5m 0s after each round ends[\s\S]*CRASH ROUND OPEN/)
+      .send('alice', '.crash 500 2')
+      .send('owner', '.round cancel')
+      .expectReply(/cancelled and 1 bet was refunded/)
+      .check(h => {
+        assert.equal(h.getUser('alice').balance, 50000);
+        assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.ESCROW), 0);
+      })
+      .run();
+    
+    // The next round waits for the interval
+    assert.deepEqual(await runDueRounds(harness.sock), { closed: 0, opened: 0 });
+    
+    setRoundSchedule(harness.group, { ...getRoundSchedule(harness.group), nextOpenAt: Date.now() - 1 });
+    assert.deepEqual(await runDueRounds(harness.sock), { closed: 0, opened: 1 });
+    assert.match(harness.sock.sent[harness.sock.sent.length - 1].text, /CRASH ROUND OPEN/);
+    
+    // Rounds nobody bets on close without a draw
+    closeBetting(harness);
+    await runDueRounds(harness.sock);
+    assert.match(harness.sock.sent[harness.sock.sent.length - 1].text, /Nobody bet on this round/);
+    
+    await harness.conversation()
+      .send('owner', '.round auto off')
+      .send('owner', '.round')
+      .expectReply(/No round open[\s\S]*Automatic rounds: Off/)
+      .run();
+  });
+});
@@ -0,0 +1,36 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const { createHarness } = require('./harness');
+const { getLedgerAccountBalance, LEDGER_ACCOUNTS } = require('../database/db');
+
+describe('shop', () => {
+  let harness;
+  
+  beforeEach(async () => {
+    harness = createHarness();
+    await harness.register('alice');
+  });
+  
+  afterEach(() => {
+    harness.cleanup();
+  });
+  
+  it('adds the Lucky Charm bonus to the profit of a win', async () => {
+    harness.rigNextRoll('alice', ([float]) => float < 0.5);
+    
+    await harness.conversation()
+      .send('alice', '.buy luckycharm')
+      .expectReply(/PURCHASE SUCCESSFUL[\s\S]*Item: Lucky Charm x1/)
+      .send('alice', '.use luckycharm')
+      .expectReply(/LUCKY CHARM ACTIVATED[\s\S]*\+10% gambling wins for 24 hours/)
+      .send('alice', '.use luckycharm')
+      .expectReply(/You don't have a Lucky Charm/)
+      .send('alice', '.cointoss 1000 heads')
+      .expectReply(/You won 1,000 coins!\n🍀 Lucky Charm bonus: \+100 coins\n\nNew balance: 46,100 coins/)
+      .check(h => {
+        assert.equal(h.getUser('alice').balance, 46100);
+        assert.equal(getLedgerAccountBalance(LEDGER_ACCOUNTS.HOUSE, 'coins'), -1100);
+      })
+      .run();
+  });
+});
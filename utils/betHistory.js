@@ -0,0 +1,122 @@
+/**
+ * Bet history
+ * Every settled wager is recorded for the player who made it: the game, the stake, what it paid
+ * and the provably fair bet it was decided by. Each game also keeps running totals, so
+ * .gamestats covers every wager even after old ones drop out of the recent list.
+ */
+const { getWagers, addWager, transaction } = require('../database/db');
+const { recordLimitUsage } = require('./gamblingLimits');
+
+/**
+ * Works out how a wager went
+ * @param {Number} stake - Coins staked
+ * @param {Number} payout - Coins paid back, including the stake
+ * @returns {String} 'win', 'loss' or 'push' (the stake came back)
+ */
+function getOutcome(stake, payout) {
+  if (payout > stake) return 'win';
+  return payout === stake ? 'push' : 'loss';
+}
+
+/**
+ * Creates the running totals for a game nobody has played yet
+ * @returns {Object} Game totals
+ */
+function createGameTotals() {
+  return {
+    bets: 0,
+    wins: 0,
+    losses: 0,
+    wagered: 0,
+    paidOut: 0,
+    biggestWin: 0,
+    streak: 0,         // Current run: above 0 for wins, below 0 for losses
+    longestWinStreak: 0,
+    longestLossStreak: 0
+  };
+}
+
+/**
+ * Adds a wager to a game's running totals
+ * @param {Object} totals - Game totals
+ * @param {Object} wager - Wager record
+ * @returns {Object} Updated totals
+ */
+function addToTotals(totals, wager) {
+  const updated = {
+    ...totals,
+    bets: totals.bets + 1,
+    wagered: totals.wagered + wager.stake,
+    paidOut: totals.paidOut + wager.payout
+  };
+  
+  // Pushes leave the streak as it was
+  if (wager.outcome === 'win') {
+    updated.wins++;
+    updated.biggestWin = Math.max(totals.biggestWin, wager.payout - wager.stake);
+    updated.streak = totals.streak > 0 ? totals.streak + 1 : 1;
+    updated.longestWinStreak = Math.max(totals.longestWinStreak, updated.streak);
+  } else if (wager.outcome === 'loss') {
+    updated.losses++;
+    updated.streak = totals.streak < 0 ? totals.streak - 1 : -1;
+    updated.longestLossStreak = Math.max(totals.longestLossStreak, -updated.streak);
+  }
+  
+  return updated;
+}
+
+/**
+ * Records a settled wager in a player's bet history and counts it towards their gambling limits
+ * @param {String} userId - User ID
+ * @param {Object} wager - { game, stake, payout, betId } (payout includes the stake and any bonus;
+ *   betId is the provably fair bet that decided it, if any)
+ * @returns {Object} Recorded wager
+ */
+function recordWager(userId, { game, stake, payout, betId = null }) {
+  const wager = {
+    game,
+    stake,
+    payout,
+    outcome: getOutcome(stake, payout),
+    betId,
+    timestamp: Date.now()
+  };
+  
+  transaction(() => {
+    const totals = getWagers(userId).games[game] || createGameTotals();
+    addWager(userId, wager, addToTotals(totals, wager));
+    recordLimitUsage(userId, stake, payout);
+  });
+  
+  return wager;
+}
+
+/**
+ * Adds up a player's totals across every game
+ * @param {String} userId - User ID
+ * @returns {Object} { bets, wagered, net, biggestWin, favoriteGame } (favoriteGame is the most played, or null)
+ */
+function getWagerSummary(userId) {
+  const games = Object.entries(getWagers(userId).games);
+  const summary = { bets: 0, wagered: 0, net: 0, biggestWin: 0, favoriteGame: null };
+  let favoriteBets = 0;
+  
+  for (const [game, totals] of games) {
+    summary.bets += totals.bets;
+    summary.wagered += totals.wagered;
+    summary.net += totals.paidOut - totals.wagered;
+    summary.biggestWin = Math.max(summary.biggestWin, totals.biggestWin);
+    
+    if (totals.bets > favoriteBets) {
+      summary.favoriteGame = game;
+      favoriteBets = totals.bets;
+    }
+  }
+  
+  return summary;
+}
+
+module.exports = {
+  recordWager,
+  getWagerSummary
+};
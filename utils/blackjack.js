@@ -0,0 +1,361 @@
+/**
+ * Blackjack engine
+ * Plays a hand under the rules in config.games.blackjack: dealer peek, insurance, double down,
+ * splits (up to maxSplitHands hands), late surrender and 3:2 naturals.
+ *
+ * Game state is plain data and cards come from a draw() function, so this module never
+ * sends messages, moves coins or decides where the cards come from.
+ */
+const { createDeck, shuffleDeck, calculateHandValue } = require('./games');
+
+/**
+ * Creates a shuffled multi-deck shoe
+ * @param {Number} decks - Number of 52-card decks
+ * @param {Function} random - Float source in [0, 1) (roll.random from utils/rng.js)
+ * @returns {Array} Cards, dealt from the end
+ */
+function createShoe(decks, random) {
+  const cards = [];
+  for (let deck = 0; deck < decks; deck++) {
+    cards.push(...createDeck());
+  }
+  
+  shuffleDeck(cards, random);
+  return cards;
+}
+
+/**
+ * Checks whether a shoe has been dealt past its cut card
+ * @param {Number} cardsLeft - Cards still in the shoe
+ * @param {Number} size - Cards the shoe started with
+ * @param {Number} penetration - Share of the shoe dealt before it's reshuffled
+ * @returns {Boolean} True if the shoe should be reshuffled before the next hand
+ */
+function needsReshuffle(cardsLeft, size, penetration) {
+  return cardsLeft <= size * (1 - penetration);
+}
+
+/**
+ * Gets a card's blackjack points, counting aces as 11
+ * @param {Object} card - Card
+ * @returns {Number} Points
+ */
+function cardPoints(card) {
+  if (card.value === 'A') return 11;
+  if (['K', 'Q', 'J'].includes(card.value)) return 10;
+  return parseInt(card.value);
+}
+
+/**
+ * Checks for a soft hand (an ace still counted as 11)
+ * @param {Array} cards - Cards
+ * @returns {Boolean} True if the hand is soft
+ */
+function isSoftHand(cards) {
+  const hardValue = cards.reduce((sum, card) => sum + (card.value === 'A' ? 1 : cardPoints(card)), 0);
+  return cards.some(card => card.value === 'A') && hardValue + 10 <= 21;
+}
+
+/**
+ * Checks for a natural blackjack (21 with the first two cards)
+ * @param {Array} cards - Cards
+ * @returns {Boolean} True if the cards are a natural
+ */
+function isNatural(cards) {
+  return cards.length === 2 && calculateHandValue(cards) === 21;
+}
+
+/**
+ * Deals a new game: two cards each, then the dealer peeks for blackjack
+ * @param {Number} bet - Bet on the first hand
+ * @param {Object} settings - Blackjack settings
+ * @param {Function} draw - () => next card
+ * @returns {Object} Game state
+ */
+function dealGame(bet, settings, draw) {
+  const playerCards = [draw()];
+  const dealer = [draw()];
+  playerCards.push(draw());
+  dealer.push(draw());
+  
+  const game = {
+    settings,
+    hands: [{ cards: playerCards, bet, doubled: false, split: false, status: 'playing' }],
+    dealer,
+    insurance: null,
+    activeHand: 0,
+    phase: 'playing'
+  };
+  
+  // Insurance is offered before the dealer checks their hole card
+  if (dealer[0].value === 'A') {
+    game.phase = 'insurance';
+    return game;
+  }
+  
+  openGame(game, draw);
+  return game;
+}
+
+/**
+ * Settles naturals after the dealer peeks, or starts the player's turn
+ * @param {Object} game - Game state
+ * @param {Function} draw - () => next card
+ */
+function openGame(game, draw) {
+  const hand = game.hands[0];
+  game.phase = 'playing';
+  
+  if (isNatural(hand.cards)) {
+    hand.status = 'blackjack';
+  } else if (isNatural(game.dealer)) {
+    hand.status = 'stood';
+  }
+  
+  if (hand.status !== 'playing') {
+    finishGame(game, draw);
+  }
+}
+
+/**
+ * Lists the actions the player can take now
+ * @param {Object} game - Game state
+ * @returns {Array} Action names
+ */
+function getAvailableActions(game) {
+  if (game.phase === 'insurance') return ['insurance', 'noinsurance'];
+  if (game.phase !== 'playing') return [];
+  
+  const { settings } = game;
+  const hand = game.hands[game.activeHand];
+  const actions = ['hit', 'stand'];
+  
+  if (hand.cards.length === 2) {
+    if (!hand.split || settings.doubleAfterSplit) {
+      actions.push('double');
+    }
+    
+    // Split aces get one card each and can't be split again
+    const splitAces = hand.split && hand.cards[0].value === 'A';
+    if (cardPoints(hand.cards[0]) === cardPoints(hand.cards[1]) && !splitAces && game.hands.length < settings.maxSplitHands) {
+      actions.push('split');
+    }
+    
+    // Late surrender: only as the first decision, after the dealer has checked for blackjack
+    if (settings.surrender && game.hands.length === 1) {
+      actions.push('surrender');
+    }
+  }
+  
+  return actions;
+}
+
+/**
+ * Gets the extra stake an action needs
+ * @param {Object} game - Game state
+ * @param {String} action - Action name
+ * @returns {Number} Coins added to the stake
+ */
+function getActionCost(game, action) {
+  switch (action) {
+    case 'double':
+    case 'split':
+      return game.hands[game.activeHand].bet;
+    case 'insurance':
+      return Math.floor(game.hands[0].bet / 2);
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Gets everything the player has staked on a game
+ * @param {Object} game - Game state
+ * @returns {Number} Total stake
+ */
+function getTotalStake(game) {
+  return game.hands.reduce((sum, hand) => sum + hand.bet, 0) + (game.insurance || 0);
+}
+
+/**
+ * Plays an action on the active hand
+ * @param {Object} game - Game state
+ * @param {String} action - Action name from getAvailableActions
+ * @param {Function} draw - () => next card
+ * @returns {Boolean} False if the action isn't allowed right now
+ */
+function playAction(game, action, draw) {
+  if (!getAvailableActions(game).includes(action)) return false;
+  
+  const hand = game.hands[game.activeHand];
+  
+  switch (action) {
+    case 'insurance':
+    case 'noinsurance':
+      game.insurance = action === 'insurance' ? getActionCost(game, action) : 0;
+      openGame(game, draw);
+      return true;
+    case 'hit':
+      hand.cards.push(draw());
+      break;
+    case 'stand':
+      hand.status = 'stood';
+      break;
+    case 'double':
+      hand.bet *= 2;
+      hand.doubled = true;
+      hand.cards.push(draw());
+      hand.status = calculateHandValue(hand.cards) > 21 ? 'bust' : 'stood';
+      break;
+    case 'split': {
+      const splitHand = { cards: [hand.cards.pop()], bet: hand.bet, doubled: false, split: true, status: 'playing' };
+      hand.split = true;
+      game.hands.splice(game.activeHand + 1, 0, splitHand);
+      
+      hand.cards.push(draw());
+      splitHand.cards.push(draw());
+      
+      if (hand.cards[0].value === 'A') {
+        hand.status = 'stood';
+        splitHand.status = 'stood';
+      }
+      break;
+    }
+    case 'surrender':
+      hand.status = 'surrendered';
+      break;
+  }
+  
+  resolveActiveHand(game, draw);
+  return true;
+}
+
+/**
+ * Ends a game the player stopped playing
+ * @param {Object} game - Game state
+ * @param {String} action - "stand" to stand every hand left (declining insurance), or "forfeit" to give them up
+ * @param {Function} draw - () => next card
+ */
+function timeOutGame(game, action, draw) {
+  if (action === 'forfeit') {
+    for (const hand of game.hands) {
+      if (hand.status === 'playing') hand.status = 'forfeited';
+    }
+    
+    // Hands the player already stood on are still played out
+    finishGame(game, draw);
+    return;
+  }
+  
+  while (game.phase !== 'finished') {
+    playAction(game, game.phase === 'insurance' ? 'noinsurance' : 'stand', draw);
+  }
+}
+
+/**
+ * Ends the active hand if it's bust or on 21, then moves to the next hand
+ * @param {Object} game - Game state
+ * @param {Function} draw - () => next card
+ */
+function resolveActiveHand(game, draw) {
+  const hand = game.hands[game.activeHand];
+  
+  if (hand.status === 'playing') {
+    const value = calculateHandValue(hand.cards);
+    if (value > 21) {
+      hand.status = 'bust';
+    } else if (value === 21) {
+      hand.status = 'stood';
+    }
+  }
+  
+  if (hand.status === 'playing') return;
+  
+  const next = game.hands.findIndex((other, index) => index > game.activeHand && other.status === 'playing');
+  if (next === -1) {
+    finishGame(game, draw);
+    return;
+  }
+  
+  game.activeHand = next;
+  resolveActiveHand(game, draw);
+}
+
+/**
+ * Plays the dealer's hand if any hand is still waiting on it
+ * @param {Object} game - Game state
+ * @param {Function} draw - () => next card
+ */
+function finishGame(game, draw) {
+  game.phase = 'finished';
+  
+  const waiting = game.hands.some(hand => hand.status === 'stood');
+  if (!waiting || isNatural(game.dealer)) return;
+  
+  while (true) {
+    const value = calculateHandValue(game.dealer);
+    const hitsSoft17 = value === 17 && game.settings.dealerHitsSoft17 && isSoftHand(game.dealer);
+    if (value >= 17 && !hitsSoft17) break;
+    game.dealer.push(draw());
+  }
+}
+
+/**
+ * Works out what each part of a finished game returns
+ * @param {Object} game - Finished game state
+ * @returns {Object} { hands: [{ bet, outcome, multiplier }], insurance: { bet, multiplier } | null }
+ *   Outcomes: blackjack, win, push, lose, bust, surrender, forfeit. Multipliers are before the house edge.
+ */
+function settleGame(game) {
+  const { settings } = game;
+  const dealerNatural = isNatural(game.dealer);
+  const dealerValue = calculateHandValue(game.dealer);
+  
+  const hands = game.hands.map(hand => {
+    const value = calculateHandValue(hand.cards);
+    let outcome;
+    let multiplier = 0;
+    
+    if (hand.status === 'surrendered') {
+      outcome = 'surrender';
+      multiplier = 0.5;
+    } else if (hand.status === 'bust') {
+      outcome = 'bust';
+    } else if (hand.status === 'forfeited') {
+      outcome = 'forfeit';
+    } else if (hand.status === 'blackjack') {
+      outcome = dealerNatural ? 'push' : 'blackjack';
+      multiplier = dealerNatural ? 1 : settings.blackjackPayout;
+    } else if (dealerNatural || (value < dealerValue && dealerValue <= 21)) {
+      outcome = 'lose';
+    } else if (value === dealerValue) {
+      outcome = 'push';
+      multiplier = 1;
+    } else {
+      outcome = 'win';
+      multiplier = settings.payout;
+    }
+    
+    return { bet: hand.bet, outcome, multiplier };
+  });
+  
+  // Insurance pays 2:1 when the dealer has blackjack
+  const insurance = game.insurance
+    ? { bet: game.insurance, multiplier: dealerNatural ? 3 : 0 }
+    : null;
+  
+  return { hands, insurance };
+}
+
+module.exports = {
+  createShoe,
+  needsReshuffle,
+  isNatural,
+  dealGame,
+  getAvailableActions,
+  getActionCost,
+  getTotalStake,
+  playAction,
+  timeOutGame,
+  settleGame
+};
@@ -0,0 +1,55 @@
+/**
+ * Crash
+ * A multiplier climbs from 1.00x until it crashes. Each bet names a cash-out target and pays
+ * that multiple of the stake if the round crashes at or above it.
+ *
+ * Crash points are floor(100 / (1 - float)) / 100, so the chance of reaching any target m
+ * is exactly 1/m and every target returns the full stake on average before the house edge.
+ */
+
+// Crash points and targets are shown to two decimals
+const CASH_OUT_DECIMALS = 2;
+
+/**
+ * Draws a round's crash point
+ * @param {Function} random - Float source in [0, 1) (roll.random from utils/rng.js)
+ * @returns {Number} Crash point (1.00 or more)
+ */
+function drawCrashPoint(random) {
+  return Math.floor(100 / (1 - random())) / 100;
+}
+
+/**
+ * Gets the chance a round reaches a cash-out target
+ * @param {Number} cashOut - Cash-out target
+ * @returns {Number} Probability between 0 and 1
+ */
+function getCashOutChance(cashOut) {
+  return 1 / cashOut;
+}
+
+/**
+ * Parses a cash-out target
+ * @param {String} text - Target as typed (e.g. "2", "2.5" or "2.5x")
+ * @returns {Number|null} Target, or null if it isn't a number with up to two decimals
+ */
+function parseCashOut(text) {
+  const match = text.toLowerCase().match(/^(\d+(?:\.\d{1,2})?)x?$/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Formats a crash point or cash-out target (e.g. 2.50x)
+ * @param {Number} multiplier - Multiplier
+ * @returns {String} Formatted multiplier
+ */
+function formatCrashMultiplier(multiplier) {
+  return `${multiplier.toFixed(CASH_OUT_DECIMALS)}x`;
+}
+
+module.exports = {
+  drawCrashPoint,
+  getCashOutChance,
+  parseCashOut,
+  formatCrashMultiplier
+};
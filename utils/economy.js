@@ -0,0 +1,136 @@
+/**
+ * Company economy
+ * Every cycle each company earns or loses a share of its value: a small average return plus
+ * a random swing whose size depends on its sector, and sometimes a sector event that hits
+ * every company in the sector at once. Earnings are kept in the company until the owner pays
+ * them out as dividends, which go to shareholders in proportion to their shares.
+ *
+ * Owners can also buy upgrades, which earn the company income by the hour. Income builds up
+ * (to at most config.companyIncomeCap worth) until the owner collects it into the company,
+ * and upgrades count towards the company's valuation as assets on top of its coins.
+ */
+const config = require('../config');
+
+/**
+ * Gets how far a sector's returns can swing in a cycle
+ * @param {String} sector - Sector name
+ * @returns {Number} Largest swing either way, as a share of the company's value
+ */
+function getSectorVolatility(sector) {
+  return config.sectorVolatility[sector] || 0;
+}
+
+/**
+ * Decides whether a sector event happens this cycle, and which
+ * @param {Function} [random] - Returns a float in [0, 1)
+ * @returns {Object|null} Event from config.sectorEvents, or null if there is none
+ */
+function rollSectorEvent(random = Math.random) {
+  if (config.sectorEvents.length === 0 || random() >= config.sectorEventChance) return null;
+  return config.sectorEvents[Math.floor(random() * config.sectorEvents.length)];
+}
+
+/**
+ * Works out a company's return for a cycle
+ * @param {Object} company - Company data
+ * @param {Array} events - Sector events this cycle
+ * @param {Function} [random] - Returns a float in [0, 1)
+ * @returns {Number} Return as a share of the company's value (negative for a loss)
+ */
+function getCompanyReturn(company, events, random = Math.random) {
+  const swing = (random() * 2 - 1) * getSectorVolatility(company.sector);
+  const eventEffect = events
+    .filter(event => event.sector === company.sector)
+    .reduce((total, event) => total + event.effect, 0);
+  
+  return config.companyBaseReturn + swing + eventEffect;
+}
+
+/**
+ * Gets how much of a company's value is earnings rather than invested coins
+ * @param {Object} company - Company data
+ * @returns {Number} Coins that can be paid out as dividends
+ */
+function getRetainedEarnings(company) {
+  return Math.max(0, company.value - (company.capital || 0));
+}
+
+/**
+ * Splits a dividend between a company's shareholders
+ * @param {Object} company - Company data
+ * @param {Number} amount - Coins to pay out
+ * @returns {Array} [{ userId, shares, amount }], largest holding first (rounding leftovers stay in the company)
+ */
+function getDividendPayouts(company, amount) {
+  const holders = Object.entries(company.shareDistribution || {})
+    .filter(([, shares]) => shares > 0)
+    .sort(([, a], [, b]) => b - a);
+  const totalShares = holders.reduce((total, [, shares]) => total + shares, 0);
+  
+  return holders.map(([userId, shares]) => ({
+    userId,
+    shares,
+    amount: Math.floor(amount * shares / totalShares)
+  }));
+}
+
+/**
+ * Gets what the next level of an upgrade costs
+ * @param {Object} company - Company data
+ * @param {String} upgradeId - Upgrade (a key of config.companyUpgrades)
+ * @returns {Number|null} Cost in coins, or null if the upgrade is at its highest level
+ */
+function getUpgradeCost(company, upgradeId) {
+  const upgrade = config.companyUpgrades[upgradeId];
+  const level = (company.upgrades || {})[upgradeId] || 0;
+  if (level >= upgrade.maxLevel) return null;
+  
+  return Math.floor(upgrade.baseCost * Math.pow(upgrade.costMultiplier, level));
+}
+
+/**
+ * Adds up the income a company's upgrades earn
+ * @param {Object} company - Company data
+ * @returns {Number} Coins an hour
+ */
+function getHourlyIncome(company) {
+  return Object.entries(company.upgrades || {})
+    .filter(([upgradeId]) => config.companyUpgrades[upgradeId])
+    .reduce((total, [upgradeId, level]) => total + level * config.companyUpgrades[upgradeId].income, 0);
+}
+
+/**
+ * Works out the income waiting to be collected
+ * @param {Object} company - Company data
+ * @param {Number} [now] - Current time
+ * @returns {Number} Coins, no more than config.companyIncomeCap worth
+ */
+function getPendingIncome(company, now = Date.now()) {
+  const hourlyIncome = getHourlyIncome(company);
+  if (!company.incomeSince) return company.pendingIncome || 0;
+  
+  const earned = (company.pendingIncome || 0) + Math.floor((now - company.incomeSince) / 3600000 * hourlyIncome);
+  const cap = Math.floor(config.companyIncomeCap / 3600000 * hourlyIncome);
+  return Math.min(cap, earned);
+}
+
+/**
+ * Gets a company's valuation: its coins plus what its upgrades are worth
+ * @param {Object} company - Company data
+ * @returns {Number} Valuation in coins
+ */
+function getCompanyValuation(company) {
+  return company.value + (company.assetValue || 0);
+}
+
+module.exports = {
+  getSectorVolatility,
+  rollSectorEvent,
+  getCompanyReturn,
+  getRetainedEarnings,
+  getDividendPayouts,
+  getUpgradeCost,
+  getHourlyIncome,
+  getPendingIncome,
+  getCompanyValuation
+};
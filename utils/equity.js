@@ -0,0 +1,143 @@
+/**
+ * Company shares
+ * Every share in a company is worth the same: the company's value divided by the shares
+ * outstanding. Investing issues new shares at that price and withdrawing sells shares back
+ * to the company at it, so neither changes what anyone else's shares are worth. Shares are
+ * whole: an investment buys as many as it covers, and the rest stays in the investor's
+ * wallet. Each share also carries an equal part of the coins paid in for shares (the
+ * company's capital), which keeps invested coins apart from earnings.
+ */
+const config = require('../config');
+const {
+  getUser,
+  updateUser,
+  getCompany,
+  updateCompany,
+  transaction,
+  transferCoins,
+  transferShares,
+  walletAccount,
+  companyAccount,
+  LEDGER_ACCOUNTS
+} = require('../database/db');
+const { formatNumber } = require('./formatter');
+
+/**
+ * Gets what one of a company's shares is worth
+ * @param {Object} company - Company data
+ * @returns {Number} Coins per share (not rounded; at least config.minSharePrice)
+ */
+function getSharePrice(company) {
+  if (!company.totalShares) return Math.max(config.minSharePrice, company.value);
+  return Math.max(config.minSharePrice, company.value / company.totalShares);
+}
+
+/**
+ * Formats a share price
+ * @param {Number} price - Coins per share
+ * @returns {String} Price to two decimal places at most (e.g. "60" or "60.48")
+ */
+function formatSharePrice(price) {
+  return formatNumber(+price.toFixed(2));
+}
+
+/**
+ * Works out what new shares cost
+ * @param {Object} company - Company data
+ * @param {Number} shares - Shares to issue
+ * @returns {Number} Coins (rounded up)
+ */
+function getIssueCost(company, shares) {
+  return Math.ceil(shares * getSharePrice(company));
+}
+
+/**
+ * Works out what the company pays to buy shares back
+ * @param {Object} company - Company data
+ * @param {Number} shares - Shares to buy back
+ * @returns {Number} Coins (rounded down)
+ */
+function getBuybackValue(company, shares) {
+  return Math.floor(shares * getSharePrice(company));
+}
+
+/**
+ * Issues new shares to an investor, who pays the share price for them
+ * @param {String} companyName - Company name
+ * @param {String} userId - Investor's user ID
+ * @param {Number} shares - Shares to issue
+ * @param {String} reason - Reason recorded in the ledger
+ * @returns {Object} { shares, cost }
+ */
+function issueShares(companyName, userId, shares, reason) {
+  return transaction(() => {
+    const company = getCompany(companyName);
+    const cost = getIssueCost(company, shares);
+    
+    transferCoins(walletAccount(userId), companyAccount(companyName), cost, { reason });
+    transferShares(companyAccount(companyName), walletAccount(userId), companyName, shares, { reason });
+    
+    const invested = (company.investors[userId] || 0) + cost;
+    updateCompany(companyName, {
+      value: company.value + cost,
+      totalShares: company.totalShares + shares,
+      capital: (company.capital || 0) + cost,
+      investors: { ...company.investors, [userId]: invested }
+    });
+    updateUser(userId, { investedCompanies: { ...getUser(userId).investedCompanies, [companyName]: invested } });
+    
+    return { shares, cost };
+  });
+}
+
+/**
+ * Buys shares back from a shareholder at the share price, keeping a fee
+ * @param {String} companyName - Company name
+ * @param {String} userId - Shareholder's user ID
+ * @param {Number} shares - Shares to buy back (no more than they hold)
+ * @param {Object} options - { feeRate, reason, feeReason }
+ * @returns {Object} { shares, value, fee, net }
+ */
+function buyBackShares(companyName, userId, shares, { feeRate, reason, feeReason }) {
+  return transaction(() => {
+    const company = getCompany(companyName);
+    const held = (getUser(userId).shares || {})[companyName] || 0;
+    const value = getBuybackValue(company, shares);
+    const fee = Math.floor(value * feeRate);
+    
+    transferShares(walletAccount(userId), companyAccount(companyName), companyName, shares, { reason });
+    transferCoins(companyAccount(companyName), walletAccount(userId), value - fee, { reason });
+    transferCoins(companyAccount(companyName), LEDGER_ACCOUNTS.FEES, fee, { reason: feeReason });
+    
+    // What they put in shrinks with the shares they keep
+    const investors = { ...company.investors };
+    const investedCompanies = { ...getUser(userId).investedCompanies };
+    const invested = Math.round((investors[userId] || 0) * (held - shares) / held);
+    if (invested > 0) {
+      investors[userId] = invested;
+      investedCompanies[companyName] = invested;
+    } else {
+      delete investors[userId];
+      delete investedCompanies[companyName];
+    }
+    
+    updateCompany(companyName, {
+      value: company.value - value,
+      totalShares: company.totalShares - shares,
+      capital: (company.capital || 0) - Math.floor((company.capital || 0) * shares / company.totalShares),
+      investors
+    });
+    updateUser(userId, { investedCompanies });
+    
+    return { shares, value, fee, net: value - fee };
+  });
+}
+
+module.exports = {
+  getSharePrice,
+  formatSharePrice,
+  getIssueCost,
+  getBuybackValue,
+  issueShares,
+  buyBackShares
+};
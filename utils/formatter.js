@@ -9,6 +9,15 @@ function formatNumber(num) {
   return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
 }
 
+/**
+ * Formats a signed coin amount (e.g. +1,200 or -300)
+ * @param {Number} amount - Coins
+ * @returns {String} Formatted amount
+ */
+function formatSigned(amount) {
+  return `${amount < 0 ? '-' : '+'}${formatNumber(Math.abs(amount))}`;
+}
+
 /**
  * Formats a date to readable string
  * @param {Number|Date} timestamp - Timestamp or Date object
@@ -68,6 +77,7 @@ function truncateText(text, maxLength = 30) {
 
 module.exports = {
   formatNumber,
+  formatSigned,
   formatDate,
   formatDuration,
   formatPercentage,
@@ -0,0 +1,267 @@
+/**
+ * Responsible gambling controls
+ * Players can cap how much they wager or lose in a day (UTC) or a rolling week, take a break
+ * from gambling that can't be ended early, and get reality checks about their play.
+ *
+ * Lowering a limit applies at once; raising or removing one only applies after
+ * config.limitIncreaseDelay, so it can't be lifted in the heat of the moment.
+ * Only settled bets count towards the limits, and a new bet is checked as if it will be lost.
+ */
+const config = require('../config');
+const { getGamblingLimits, setGamblingLimits, transaction } = require('../database/db');
+const { formatNumber, formatDuration } = require('./formatter');
+
+// Limits players can set, keyed by what they type
+const LIMITS = {
+  dailyloss: { key: 'dailyLoss', label: 'Daily loss limit', period: 'day', measure: 'lost' },
+  weeklyloss: { key: 'weeklyLoss', label: 'Weekly loss limit', period: 'week', measure: 'lost' },
+  dailywager: { key: 'dailyWager', label: 'Daily wager limit', period: 'day', measure: 'wagered' },
+  weeklywager: { key: 'weeklyWager', label: 'Weekly wager limit', period: 'week', measure: 'wagered' }
+};
+
+// Days of totals kept for weekly limits
+const WEEK_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Gets the day a timestamp falls on (UTC)
+ * @param {Number} timestamp - Timestamp
+ * @returns {String} Day key (e.g. "2024-05-01")
+ */
+function getDayKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Loads a player's controls as a copy, applying limit increases that have come into effect
+ * @param {String} userId - User ID
+ * @param {Number} [now] - Current time
+ * @returns {Object} { limits, pending, excludedUntil, realityCheckInterval, check, days }
+ */
+function loadControls(userId, now = Date.now()) {
+  const stored = getGamblingLimits(userId);
+  const controls = stored ? JSON.parse(JSON.stringify(stored)) : {
+    limits: {},
+    pending: {},          // Limit key -> { value, effectiveAt } for raised or removed limits
+    excludedUntil: null,
+    realityCheckInterval: null, // Milliseconds, 0 for off, or null for config.realityCheckInterval
+    check: null,          // { startedAt, bets, net } since the last reality check
+    days: {}              // Day key -> { wagered, net }
+  };
+  
+  for (const [key, pending] of Object.entries(controls.pending)) {
+    if (pending.effectiveAt <= now) {
+      controls.limits[key] = pending.value;
+      delete controls.pending[key];
+    }
+  }
+  
+  return controls;
+}
+
+/**
+ * Adds up how much a player has wagered and lost today and over the last week
+ * @param {Object} controls - Player's controls
+ * @param {Number} [now] - Current time
+ * @returns {Object} { day: { wagered, lost }, week: { wagered, lost } }
+ */
+function getUsage(controls, now = Date.now()) {
+  const total = days => {
+    let wagered = 0;
+    let net = 0;
+    for (const day of days) {
+      const totals = controls.days[day];
+      if (!totals) continue;
+      wagered += totals.wagered;
+      net += totals.net;
+    }
+    return { wagered, lost: Math.max(0, -net) };
+  };
+  
+  const week = [];
+  for (let offset = 0; offset < WEEK_DAYS; offset++) {
+    week.push(getDayKey(now - offset * DAY_MS));
+  }
+  
+  return { day: total([week[0]]), week: total(week) };
+}
+
+/**
+ * Gets a player's controls and how much of each limit they've used
+ * @param {String} userId - User ID
+ * @returns {Object} { limits, pending, excludedUntil, realityCheckInterval, usage }
+ */
+function getGamblingControls(userId) {
+  const now = Date.now();
+  const controls = loadControls(userId, now);
+  
+  return {
+    limits: controls.limits,
+    pending: controls.pending,
+    excludedUntil: controls.excludedUntil && controls.excludedUntil > now ? controls.excludedUntil : null,
+    realityCheckInterval: controls.realityCheckInterval === null ? config.realityCheckInterval : controls.realityCheckInterval,
+    usage: getUsage(controls, now)
+  };
+}
+
+/**
+ * Sets one of a player's limits
+ * @param {String} userId - User ID
+ * @param {String} name - Limit as typed (see LIMITS)
+ * @param {Number|null} value - New limit in coins, or null to remove it
+ * @param {Object} [options] - { immediate: true } to skip the delay on raising a limit (owners)
+ * @returns {Object} { effectiveAt } (null if it applies now)
+ */
+function setLimit(userId, name, value, options = {}) {
+  const { key } = LIMITS[name];
+  
+  return transaction(() => {
+    const now = Date.now();
+    const controls = loadControls(userId, now);
+    const current = controls.limits[key] || null;
+    const tightens = value !== null && (current === null || value <= current);
+    
+    delete controls.pending[key];
+    let effectiveAt = null;
+    if (tightens || options.immediate || value === current) {
+      controls.limits[key] = value;
+    } else {
+      effectiveAt = now + config.limitIncreaseDelay;
+      controls.pending[key] = { value, effectiveAt };
+    }
+    
+    setGamblingLimits(userId, controls);
+    return { effectiveAt };
+  });
+}
+
+/**
+ * Sets how often a player gets reality checks
+ * @param {String} userId - User ID
+ * @param {Number} interval - Milliseconds between checks, or 0 for none
+ */
+function setRealityCheckInterval(userId, interval) {
+  transaction(() => {
+    const controls = loadControls(userId);
+    controls.realityCheckInterval = interval;
+    setGamblingLimits(userId, controls);
+  });
+}
+
+/**
+ * Stops a player from gambling for a while. A break can be made longer but never shorter.
+ * @param {String} userId - User ID
+ * @param {Number} duration - Milliseconds
+ * @returns {Number} When the break ends
+ */
+function excludeUser(userId, duration) {
+  return transaction(() => {
+    const controls = loadControls(userId);
+    controls.excludedUntil = Math.max(controls.excludedUntil || 0, Date.now() + duration);
+    setGamblingLimits(userId, controls);
+    return controls.excludedUntil;
+  });
+}
+
+/**
+ * Gets how long a player's break from gambling has left
+ * @param {String} userId - User ID
+ * @returns {Number} Milliseconds, or 0 if they aren't on a break
+ */
+function getExclusionRemaining(userId) {
+  const stored = getGamblingLimits(userId);
+  return stored && stored.excludedUntil ? Math.max(0, stored.excludedUntil - Date.now()) : 0;
+}
+
+/**
+ * Checks a new bet against a player's break and limits
+ * @param {String} userId - User ID
+ * @param {Number} amount - Coins the bet puts at stake
+ * @returns {String|null} Why the bet isn't allowed, or null if it is
+ */
+function checkBetLimits(userId, amount) {
+  const remaining = getExclusionRemaining(userId);
+  if (remaining > 0) {
+    return `You're taking a break from gambling for another ${formatDuration(remaining)}.`;
+  }
+  
+  const controls = loadControls(userId);
+  const usage = getUsage(controls);
+  
+  for (const { key, label, period, measure } of Object.values(LIMITS)) {
+    const limit = controls.limits[key];
+    if (!limit) continue;
+    
+    const used = usage[period][measure];
+    if (used + amount > limit) {
+      const left = Math.max(0, limit - used);
+      return `This bet would take you over your ${label.toLowerCase()} of ${formatNumber(limit)} coins ` +
+        `(${formatNumber(left)} coins left ${period === 'day' ? 'today' : 'this week'}).`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Counts a settled wager towards a player's limits and next reality check
+ * @param {String} userId - User ID
+ * @param {Number} stake - Coins staked
+ * @param {Number} payout - Coins paid back, including the stake
+ */
+function recordLimitUsage(userId, stake, payout) {
+  transaction(() => {
+    const now = Date.now();
+    const controls = loadControls(userId, now);
+    const today = getDayKey(now);
+    
+    // Only the last week matters for the limits
+    const oldest = getDayKey(now - (WEEK_DAYS - 1) * DAY_MS);
+    for (const day of Object.keys(controls.days)) {
+      if (day < oldest) delete controls.days[day];
+    }
+    
+    const totals = controls.days[today] || { wagered: 0, net: 0 };
+    controls.days[today] = { wagered: totals.wagered + stake, net: totals.net + payout - stake };
+    
+    const check = controls.check || { startedAt: now, bets: 0, net: 0 };
+    controls.check = { ...check, bets: check.bets + 1, net: check.net + payout - stake };
+    
+    setGamblingLimits(userId, controls);
+  });
+}
+
+/**
+ * Takes a player's reality check if one is due, starting the count again
+ * @param {String} userId - User ID
+ * @returns {Object|null} { bets, net, since } played since the last check, or null if none is due
+ */
+function takeRealityCheck(userId) {
+  const stored = getGamblingLimits(userId);
+  if (!stored || !stored.check) return null;
+  
+  const interval = stored.realityCheckInterval === null ? config.realityCheckInterval : stored.realityCheckInterval;
+  const now = Date.now();
+  if (!interval || now - stored.check.startedAt < interval) return null;
+  
+  return transaction(() => {
+    const controls = loadControls(userId, now);
+    const { bets, net, startedAt } = controls.check;
+    controls.check = null;
+    setGamblingLimits(userId, controls);
+    return { bets, net, since: now - startedAt };
+  });
+}
+
+module.exports = {
+  LIMITS,
+  getGamblingControls,
+  setLimit,
+  setRealityCheckInterval,
+  excludeUser,
+  getExclusionRemaining,
+  checkBetLimits,
+  recordLimitUsage,
+  takeRealityCheck
+};
@@ -0,0 +1,432 @@
+/**
+ * Game settings
+ * Validates config.games, merges in per-group overrides and works out each game's
+ * return to player (RTP): the share of all coins bet that comes back as payouts.
+ */
+const config = require('../config');
+const { getGameOverrides, setGameOverrides } = require('../database/db');
+const { calculateHandValue } = require('./games');
+const { createShoe, needsReshuffle, dealGame, playAction, settleGame } = require('./blackjack');
+const { POCKETS, BET_TYPES, getBetPayout } = require('./roulette');
+const { getCashOutChance } = require('./crash');
+
+// Hands played to estimate blackjack's RTP, which has no simple formula
+const BLACKJACK_SIMULATION_HANDS = 20000;
+
+// Settings every game accepts
+const COMMON_FIELDS = ['minBet', 'maxBet'];
+
+// Games, the settings they need and how their RTP is worked out
+const GAMES = {
+  cointoss: {
+    name: 'Coin Toss',
+    fields: ['payout', 'houseEdge'],
+    rtp: settings => 0.5 * applyHouseEdge(settings.payout, settings.houseEdge)
+  },
+  highstakes: {
+    name: 'High Stakes',
+    fields: ['payout', 'houseEdge'],
+    rtp: settings => 0.5 * applyHouseEdge(settings.payout, settings.houseEdge)
+  },
+  dice: {
+    name: 'Dice',
+    fields: ['payout', 'houseEdge'],
+    rtp: settings => applyHouseEdge(settings.payout, settings.houseEdge) / 6
+  },
+  slots: {
+    name: 'Slots',
+    fields: ['symbols', 'houseEdge'],
+    rtp: settings => {
+      const totalWeight = settings.symbols.reduce((sum, entry) => sum + entry.weight, 0);
+      return settings.symbols.reduce((sum, entry) => {
+        return sum + ((entry.weight / totalWeight) ** 3) * applyHouseEdge(entry.payout, settings.houseEdge);
+      }, 0);
+    }
+  },
+  wheel: {
+    name: 'Wheel',
+    fields: ['segments', 'houseEdge'],
+    rtp: settings => {
+      const totalWeight = settings.segments.reduce((sum, segment) => sum + segment.weight, 0);
+      return settings.segments.reduce((sum, segment) => {
+        return sum + (segment.weight / totalWeight) * applyHouseEdge(segment.multiplier, settings.houseEdge);
+      }, 0);
+    }
+  },
+  blackjack: {
+    name: 'Blackjack',
+    fields: ['payout', 'blackjackPayout', 'houseEdge', 'decks', 'penetration', 'maxSplitHands', 'doubleAfterSplit', 'surrender', 'dealerHitsSoft17'],
+    rtp: settings => simulateBlackjack(settings)
+  },
+  roulette: {
+    name: 'Roulette',
+    fields: ['houseEdge', 'maxBetsPerSpin'],
+    // Every bet type has the same RTP without a house edge; with one, show the worst
+    rtp: settings => Math.min(...Object.keys(BET_TYPES).map(type => {
+      return (BET_TYPES[type].size / POCKETS) * applyHouseEdge(getBetPayout(type), settings.houseEdge);
+    }))
+  },
+  crash: {
+    name: 'Crash',
+    fields: ['houseEdge', 'minCashOut', 'maxCashOut'],
+    // Every target has the same RTP without a house edge; with one, the highest target is the worst
+    rtp: settings => getCashOutChance(settings.maxCashOut) * applyHouseEdge(settings.maxCashOut, settings.houseEdge)
+  },
+  poker: {
+    name: 'Poker',
+    fields: ['smallBlind', 'bigBlind', 'minBuyIn', 'maxBuyIn', 'maxPlayers'],
+    // Players bet against each other, not the house
+    rtp: () => null
+  },
+  jackpot: {
+    name: 'Jackpot',
+    fields: [],
+    // The whole pot goes to the winner
+    rtp: () => 1
+  },
+  pvp: {
+    name: 'PvP',
+    fields: [],
+    // Players bet against each other, not the house
+    rtp: () => null
+  }
+};
+
+// Checks for each setting; they return an error message, or null if the value is fine
+const FIELD_CHECKS = {
+  minBet: value => isPositiveInteger(value) ? null : 'must be a whole number above 0',
+  maxBet: value => isPositiveInteger(value) ? null : 'must be a whole number above 0',
+  payout: value => isNumber(value) && value > 1 ? null : 'must be a number above 1',
+  blackjackPayout: value => isNumber(value) && value > 1 ? null : 'must be a number above 1',
+  houseEdge: value => isNumber(value) && value >= 0 && value < 1 ? null : 'must be at least 0 and below 1 (0.02 is 2%)',
+  decks: value => Number.isInteger(value) && value >= 1 && value <= 8 ? null : 'must be a whole number from 1 to 8',
+  penetration: value => isNumber(value) && value >= 0.25 && value <= 0.9 ? null : 'must be from 0.25 to 0.9 (0.75 deals three quarters of the shoe)',
+  maxSplitHands: value => Number.isInteger(value) && value >= 1 && value <= 8 ? null : 'must be a whole number from 1 (no splits) to 8',
+  doubleAfterSplit: value => typeof value === 'boolean' ? null : 'must be true or false',
+  surrender: value => typeof value === 'boolean' ? null : 'must be true or false',
+  dealerHitsSoft17: value => typeof value === 'boolean' ? null : 'must be true or false',
+  maxBetsPerSpin: value => Number.isInteger(value) && value >= 1 && value <= 20 ? null : 'must be a whole number from 1 to 20',
+  minCashOut: value => isCashOut(value) ? null : 'must be from 1.01 to 1000000 with up to two decimals',
+  maxCashOut: value => isCashOut(value) ? null : 'must be from 1.01 to 1000000 with up to two decimals',
+  smallBlind: value => isPositiveInteger(value) ? null : 'must be a whole number above 0',
+  bigBlind: value => isPositiveInteger(value) ? null : 'must be a whole number above 0',
+  minBuyIn: value => isPositiveInteger(value) ? null : 'must be a whole number above 0',
+  maxBuyIn: value => isPositiveInteger(value) ? null : 'must be a whole number above 0',
+  maxPlayers: value => Number.isInteger(value) && value >= 2 && value <= 10 ? null : 'must be a whole number from 2 to 10',
+  symbols: value => checkTable(value, (entry, index, seen) => {
+    if (typeof entry.symbol !== 'string' || entry.symbol === '') return `[${index}].symbol must be text`;
+    if (seen.has(entry.symbol)) return `[${index}].symbol ${entry.symbol} is listed twice`;
+    if (!isNumber(entry.weight) || entry.weight <= 0) return `[${index}].weight must be a number above 0`;
+    if (!isNumber(entry.payout) || entry.payout < 0) return `[${index}].payout must be a number of at least 0`;
+    seen.add(entry.symbol);
+    return null;
+  }),
+  segments: value => checkTable(value, (segment, index) => {
+    if (!isNumber(segment.multiplier) || segment.multiplier < 0) return `[${index}].multiplier must be a number of at least 0`;
+    if (!isNumber(segment.weight) || segment.weight <= 0) return `[${index}].weight must be a number above 0`;
+    return null;
+  })
+};
+
+// Blackjack RTP estimates, keyed by the settings they were simulated with
+const blackjackEstimates = new Map();
+
+/**
+ * Checks for a finite number
+ * @param {*} value - Value to check
+ * @returns {Boolean} True if it's a finite number
+ */
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Checks for a whole number above 0
+ * @param {*} value - Value to check
+ * @returns {Boolean} True if it's a positive integer
+ */
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Checks for a crash cash-out target
+ * @param {*} value - Value to check
+ * @returns {Boolean} True if it's a target players could type (two decimals at most)
+ */
+function isCashOut(value) {
+  return isNumber(value) && value >= 1.01 && value <= 1000000 && Math.abs(value * 100 - Math.round(value * 100)) < 1e-9;
+}
+
+/**
+ * Checks every row of an odds table
+ * @param {*} value - Table to check
+ * @param {Function} checkRow - (row, index, seen) => error message or null
+ * @returns {String|null} First problem found, or null
+ */
+function checkTable(value, checkRow) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return 'must be a non-empty list';
+  }
+  
+  const seen = new Set();
+  for (let index = 0; index < value.length; index++) {
+    const row = value[index];
+    if (typeof row !== 'object' || row === null) return `[${index}] must be an object`;
+    
+    const problem = checkRow(row, index, seen);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+/**
+ * Takes the house edge out of a win
+ * @param {Number} multiplier - Multiple of the bet a result returns
+ * @param {Number} houseEdge - Share of the profit the house keeps
+ * @returns {Number} Multiple of the bet actually paid
+ */
+function applyHouseEdge(multiplier, houseEdge = 0) {
+  if (multiplier <= 1) return multiplier;
+  return 1 + (multiplier - 1) * (1 - houseEdge);
+}
+
+/**
+ * Checks a game's complete settings
+ * @param {String} gameId - Game ID (a key of config.games)
+ * @param {Object} settings - Settings, including the default bet limits
+ * @returns {Array} Problems found (empty if the settings are valid)
+ */
+function validateGameSettings(gameId, settings) {
+  const game = GAMES[gameId];
+  if (!game) return [`${gameId} is not a game`];
+  
+  const allowed = [...COMMON_FIELDS, ...game.fields];
+  const problems = [];
+  
+  for (const key of Object.keys(settings)) {
+    if (!allowed.includes(key)) {
+      problems.push(`${gameId}.${key} is not a setting (use ${allowed.join(', ')})`);
+    }
+  }
+  
+  for (const key of allowed) {
+    if (settings[key] === undefined) {
+      problems.push(`${gameId}.${key} is missing`);
+      continue;
+    }
+    
+    const problem = FIELD_CHECKS[key](settings[key]);
+    if (problem) {
+      problems.push(`${gameId}.${key}${problem.startsWith('[') ? '' : ' '}${problem}`);
+    }
+  }
+  
+  if (problems.length === 0 && settings.minBet > settings.maxBet) {
+    problems.push(`${gameId}.minBet is above maxBet`);
+  }
+  
+  if (problems.length === 0 && settings.minCashOut > settings.maxCashOut) {
+    problems.push(`${gameId}.minCashOut is above maxCashOut`);
+  }
+  
+  if (problems.length === 0 && settings.smallBlind > settings.bigBlind) {
+    problems.push(`${gameId}.smallBlind is above bigBlind`);
+  }
+  
+  if (problems.length === 0 && settings.minBuyIn > settings.maxBuyIn) {
+    problems.push(`${gameId}.minBuyIn is above maxBuyIn`);
+  }
+  
+  if (problems.length === 0 && settings.minBuyIn < settings.bigBlind) {
+    problems.push(`${gameId}.minBuyIn is below bigBlind`);
+  }
+  
+  return problems;
+}
+
+/**
+ * Gets a game's settings from config.js alone
+ * @param {String} gameId - Game ID
+ * @returns {Object} Settings
+ */
+function getDefaultSettings(gameId) {
+  return { minBet: config.minBet, maxBet: config.maxBet, ...config.games[gameId] };
+}
+
+/**
+ * Checks config.games, throwing if anything is wrong so a bad config never goes live
+ */
+function validateGamesConfig() {
+  const problems = [];
+  
+  for (const gameId of Object.keys(config.games)) {
+    if (!GAMES[gameId]) problems.push(`${gameId} is not a game`);
+  }
+  
+  for (const gameId of Object.keys(GAMES)) {
+    if (!config.games[gameId]) {
+      problems.push(`${gameId} is missing`);
+      continue;
+    }
+    problems.push(...validateGameSettings(gameId, getDefaultSettings(gameId)));
+  }
+  
+  if (problems.length > 0) {
+    throw new Error(`Invalid game settings in config.js:\n- ${problems.map(problem => `games.${problem}`).join('\n- ')}`);
+  }
+}
+
+/**
+ * Gets the settings a game uses in a chat
+ * @param {String} gameId - Game ID
+ * @param {String} [chatId] - Group or chat the game is played in
+ * @returns {Object} Settings (config.js merged with the group's overrides)
+ */
+function getGameSettings(gameId, chatId = null) {
+  const defaults = getDefaultSettings(gameId);
+  const overrides = chatId ? getGameOverrides(chatId)[gameId] : null;
+  if (!overrides) return defaults;
+  
+  // Overrides were valid when set, but config.js may have changed since
+  const settings = { ...defaults, ...overrides };
+  const problems = validateGameSettings(gameId, settings);
+  if (problems.length > 0) {
+    console.warn(`Ignoring ${gameId} overrides for ${chatId}: ${problems.join('; ')}`);
+    return defaults;
+  }
+  
+  return settings;
+}
+
+/**
+ * Overrides one of a game's settings in a group
+ * @param {String} groupId - Group ID
+ * @param {String} gameId - Game ID
+ * @param {String} key - Setting name
+ * @param {*} value - New value
+ * @returns {Object} { settings } on success, or { problems } if the result would be invalid
+ */
+function setGameOverride(groupId, gameId, key, value) {
+  const overrides = { ...getGameOverrides(groupId)[gameId], [key]: value };
+  const settings = { ...getDefaultSettings(gameId), ...overrides };
+  
+  const problems = validateGameSettings(gameId, settings);
+  if (problems.length > 0) {
+    return { problems };
+  }
+  
+  setGameOverrides(groupId, gameId, overrides);
+  return { settings };
+}
+
+/**
+ * Removes a group's overrides
+ * @param {String} groupId - Group ID
+ * @param {String} [gameId] - Game to reset (all games if omitted)
+ */
+function resetGameOverrides(groupId, gameId = null) {
+  const gameIds = gameId ? [gameId] : Object.keys(getGameOverrides(groupId));
+  for (const id of gameIds) {
+    setGameOverrides(groupId, id, null);
+  }
+}
+
+/**
+ * Creates a small seeded random number generator (mulberry32) for simulations
+ * @param {Number} seed - Seed
+ * @returns {Function} Float source in [0, 1)
+ */
+function createSimulationRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+  };
+}
+
+/**
+ * Estimates blackjack's RTP for a player who hits below 17 and never insures, doubles,
+ * splits or surrenders, dealing from a shoe like the real game
+ * @param {Object} settings - Blackjack settings
+ * @returns {Number} Estimated RTP
+ */
+function simulateBlackjack(settings) {
+  const key = JSON.stringify(settings);
+  if (blackjackEstimates.has(key)) return blackjackEstimates.get(key);
+  
+  const random = createSimulationRandom(21);
+  let shoe = createShoe(settings.decks, random);
+  const shoeSize = shoe.length;
+  const draw = () => shoe.pop();
+  let returned = 0;
+  
+  for (let round = 0; round < BLACKJACK_SIMULATION_HANDS; round++) {
+    if (needsReshuffle(shoe.length, shoeSize, settings.penetration)) {
+      shoe = createShoe(settings.decks, random);
+    }
+    
+    const game = dealGame(1, settings, draw);
+    playAction(game, 'noinsurance', draw);
+    
+    while (game.phase === 'playing') {
+      const hand = game.hands[game.activeHand];
+      playAction(game, calculateHandValue(hand.cards) < 17 ? 'hit' : 'stand', draw);
+    }
+    
+    for (const hand of settleGame(game).hands) {
+      returned += applyHouseEdge(hand.multiplier, settings.houseEdge);
+    }
+  }
+  
+  const rtp = returned / BLACKJACK_SIMULATION_HANDS;
+  blackjackEstimates.set(key, rtp);
+  return rtp;
+}
+
+/**
+ * Works out a game's return to player
+ * @param {String} gameId - Game ID
+ * @param {Object} settings - Game settings
+ * @returns {Number|null} RTP (1 = every coin bet comes back), or null for player-vs-player games
+ */
+function calculateRtp(gameId, settings) {
+  return GAMES[gameId].rtp(settings);
+}
+
+/**
+ * Gets a game's display name
+ * @param {String} gameId - Game ID
+ * @returns {String} Name
+ */
+function getGameName(gameId) {
+  return GAMES[gameId].name;
+}
+
+/**
+ * Lists every game ID
+ * @returns {Array} Game IDs
+ */
+function getGameIds() {
+  return Object.keys(GAMES);
+}
+
+// Fail fast on a broken config.js
+validateGamesConfig();
+
+module.exports = {
+  BLACKJACK_SIMULATION_HANDS,
+  applyHouseEdge,
+  validateGameSettings,
+  validateGamesConfig,
+  getDefaultSettings,
+  getGameSettings,
+  setGameOverride,
+  resetGameOverrides,
+  calculateRtp,
+  getGameName,
+  getGameIds
+};
@@ -1,27 +1,29 @@
 /**
  * Performs a coin toss
+ * @param {Function} random - Float source in [0, 1) (roll.random from utils/rng.js)
  * @returns {String} 'heads' or 'tails'
  */
-function coinToss() {
-  return Math.random() < 0.5 ? 'heads' : 'tails';
+function coinToss(random) {
+  return random() < 0.5 ? 'heads' : 'tails';
 }
 
 /**
  * Rolls a dice
+ * @param {Function} random - Float source in [0, 1) (roll.random from utils/rng.js)
  * @returns {Number} 1-6
  */
-function rollDice() {
-  return Math.floor(Math.random() * 6) + 1;
+function rollDice(random) {
+  return Math.floor(random() * 6) + 1;
 }
 
 /**
  * Plays slots
+ * @param {Function} random - Float source in [0, 1) (roll.random from utils/rng.js)
+ * @param {Array} symbols - Symbol table ({ symbol, weight, payout }, see config.games.slots)
  * @returns {Object} Slot results and payout info
  */
-function playSlots() {
-  // Define symbols and their probabilities
-  const symbols = ['🍒', '🍊', '🍋', '7️⃣', '💰', '⭐'];
-  const weights = [0.3, 0.25, 0.2, 0.15, 0.07, 0.03]; // Probabilities add up to 1
+function playSlots(random, symbols) {
+  const totalWeight = symbols.reduce((sum, entry) => sum + entry.weight, 0);
   
   // Initialize the display grid (3x3)
   const display = [
@@ -37,139 +39,55 @@ function playSlots() {
   
   // Check if all symbols in middle row are the same
   if (middleRow[0] === middleRow[1] && middleRow[1] === middleRow[2]) {
-    win = true;
-    
-    // Set multiplier based on symbol
-    switch (middleRow[0]) {
-      case '🍒': multiplier = 3; break;
-      case '🍊': multiplier = 5; break;
-      case '🍋': multiplier = 7; break;
-      case '7️⃣': multiplier = 10; break;
-      case '💰': multiplier = 15; break;
-      case '⭐': multiplier = 20; break;
-    }
+    multiplier = symbols.find(entry => entry.symbol === middleRow[0]).payout;
+    win = multiplier > 0;
   }
   
   return { display, win, multiplier };
   
-  // Helper function to get random symbol based on probabilities
+  // Helper function to get random symbol based on weights
   function getRandomSymbol() {
-    const rand = Math.random();
-    let cumulativeProbability = 0;
+    const rand = random() * totalWeight;
+    let cumulativeWeight = 0;
     
-    for (let i = 0; i < symbols.length; i++) {
-      cumulativeProbability += weights[i];
-      if (rand < cumulativeProbability) {
-        return symbols[i];
+    for (const entry of symbols) {
+      cumulativeWeight += entry.weight;
+      if (rand < cumulativeWeight) {
+        return entry.symbol;
       }
     }
     
-    return symbols[0]; // Fallback
+    return symbols[0].symbol; // Fallback
   }
 }
 
 /**
  * Spins the wheel of fortune
+ * @param {Function} random - Float source in [0, 1) (roll.random from utils/rng.js)
+ * @param {Array} segments - Wheel segments ({ multiplier, weight }, see config.games.wheel)
  * @returns {Object} Wheel result object with multiplier and label
  */
-function spinWheel() {
-  // Define wheel options with their probabilities
-  const options = [
-    { value: 0, label: '0x', weight: 0.15 },    // 15% chance to lose all
-    { value: 0.5, label: '0.5x', weight: 0.20 }, // 20% chance to lose half
-    { value: 1, label: '1x', weight: 0.25 },     // 25% chance to get exact bet back
-    { value: 1.5, label: '1.5x', weight: 0.20 }, // 20% chance to win 1.5x
-    { value: 2, label: '2x', weight: 0.10 },     // 10% chance to win 2x
-    { value: 3, label: '3x', weight: 0.05 },     // 5% chance to win 3x
-    { value: 5, label: '5x', weight: 0.03 },     // 3% chance to win 5x
-    { value: 10, label: '10x', weight: 0.02 }    // 2% chance to win 10x
-  ];
-  
+function spinWheel(random, segments) {
   // Calculate total weight
-  const totalWeight = options.reduce((sum, option) => sum + option.weight, 0);
+  const totalWeight = segments.reduce((sum, segment) => sum + segment.weight, 0);
   
   // Spin the wheel
-  let random = Math.random() * totalWeight;
+  const spin = random() * totalWeight;
   let currentWeight = 0;
   
-  for (const option of options) {
-    currentWeight += option.weight;
-    if (random <= currentWeight) {
+  for (const segment of segments) {
+    currentWeight += segment.weight;
+    if (spin <= currentWeight) {
       return {
-        multiplier: option.value,
-        label: option.label
+        multiplier: segment.multiplier,
+        label: `${segment.multiplier}x`
       };
     }
   }
   
   // Fallback
-  return { multiplier: 1, label: '1x' };
-}
-
-/**
- * Deals a blackjack hand
- * @returns {Object} Blackjack hand object with player and dealer hands
- */
-function dealBlackjackHand() {
-  // Create a deck
-  const deck = createDeck();
-  
-  // Shuffle the deck
-  shuffleDeck(deck);
-  
-  // Deal initial cards
-  const playerHand = [drawCard(deck), drawCard(deck)];
-  const dealerHand = [drawCard(deck), drawCard(deck)];
-  
-  // Calculate initial hand values
-  const playerValue = calculateHandValue(playerHand);
-  const dealerValue = calculateHandValue(dealerHand);
-  
-  return {
-    playerHand,
-    dealerHand,
-    deck,
-    playerValue,
-    dealerValue
-  };
-}
-
-/**
- * Hits in blackjack (adds a card to player's hand)
- * @param {Array} playerHand - Player's hand
- * @param {Array} deck - Deck of cards
- * @returns {Object} Card drawn
- */
-function hitBlackjack(playerHand, deck = null) {
-  // If no deck provided, create a new one
-  if (!deck) {
-    deck = createDeck();
-    shuffleDeck(deck);
-  }
-  
-  // Draw a card and add to the player's hand
-  const card = drawCard(deck);
-  playerHand.push(card);
-  
-  return card;
-}
-
-/**
- * Stands in blackjack (dealer plays)
- * @param {Array} dealerHand - Dealer's hand
- * @param {Array} deck - Deck of cards
- */
-function standBlackjack(dealerHand, deck = null) {
-  // If no deck provided, create a new one
-  if (!deck) {
-    deck = createDeck();
-    shuffleDeck(deck);
-  }
-  
-  // Dealer keeps hitting until 17 or higher
-  while (calculateHandValue(dealerHand) < 17) {
-    dealerHand.push(drawCard(deck));
-  }
+  const lastSegment = segments[segments.length - 1];
+  return { multiplier: lastSegment.multiplier, label: `${lastSegment.multiplier}x` };
 }
 
 /**
@@ -221,38 +139,24 @@ function createDeck() {
 }
 
 /**
- * Shuffles a deck of cards
+ * Shuffles a deck of cards (Fisher-Yates, one float per swap)
  * @param {Array} deck - Deck to shuffle
+ * @param {Function} random - Float source in [0, 1) (roll.random from utils/rng.js)
  */
-function shuffleDeck(deck) {
+function shuffleDeck(deck, random) {
   for (let i = deck.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [deck[i], deck[j]] = [deck[j], deck[i]];
   }
 }
 
-/**
- * Draws a card from a deck
- * @param {Array} deck - Deck to draw from
- * @returns {Object} Card drawn
- */
-function drawCard(deck) {
-  if (deck.length === 0) {
-    // If deck is empty, create a new shuffled deck
-    const newDeck = createDeck();
-    shuffleDeck(newDeck);
-    deck.push(...newDeck);
-  }
-  
-  return deck.pop();
-}
-
 /**
  * Simulates a jackpot draw
  * @param {Array} entries - Jackpot entries
+ * @param {Function} random - Float source in [0, 1) (roll.random from utils/rng.js)
  * @returns {Object} Winner entry
  */
-function drawJackpot(entries) {
+function drawJackpot(entries, random) {
   if (entries.length === 0) {
     return null;
   }
@@ -261,7 +165,7 @@ function drawJackpot(entries) {
   const totalTickets = entries.reduce((sum, entry) => sum + entry.tickets, 0);
   
   // Draw a random ticket
-  const winningTicket = Math.floor(Math.random() * totalTickets) + 1;
+  const winningTicket = Math.floor(random() * totalTickets) + 1;
   
   // Find the winner
   let ticketCounter = 0;
@@ -281,9 +185,8 @@ module.exports = {
   rollDice,
   playSlots,
   spinWheel,
-  dealBlackjackHand,
-  hitBlackjack,
-  standBlackjack,
   calculateHandValue,
+  createDeck,
+  shuffleDeck,
   drawJackpot
 };
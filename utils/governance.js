@@ -0,0 +1,122 @@
+/**
+ * Shareholder governance
+ * Renaming or closing a company, paying a dividend, changing its CEO (the owner) and removing
+ * a shareholder can be put to a vote. Votes are weighted by the shares each voter holds when
+ * the vote is counted, so shares sold on in the meantime stop counting. A vote is decided early
+ * once either side holds a majority of all shares; otherwise it's counted when its time runs
+ * out, and only stands if enough of the shares voted. Owners who hold a majority of the shares
+ * themselves can still rename, close and kick without asking.
+ */
+const config = require('../config');
+const { getUser } = require('../database/db');
+const { formatNumber } = require('./formatter');
+
+// Decisions shareholders can vote on
+const PROPOSAL_TYPES = {
+  rename: { usage: '[new name]', description: 'Rename the company' },
+  close: { usage: '', description: 'Close the company and buy back every share' },
+  dividend: { usage: '[amount/all]', description: 'Pay earnings out as a dividend' },
+  ceo: { usage: '@user', description: 'Make another shareholder the owner' },
+  kick: { usage: '@user', description: 'Buy back a shareholder\'s shares and remove them' }
+};
+
+/**
+ * Gets how many votes a shareholder has
+ * @param {Object} company - Company data
+ * @param {String} userId - User ID
+ * @returns {Number} Shares in their wallet
+ */
+function getVotingPower(company, userId) {
+  return (company.shareDistribution || {})[userId] || 0;
+}
+
+/**
+ * Checks whether a player holds more of a company's shares than config.companyControlShare
+ * @param {Object} company - Company data
+ * @param {String} userId - User ID
+ * @returns {Boolean} Whether they can decide without a vote
+ */
+function hasControllingStake(company, userId) {
+  return getVotingPower(company, userId) > company.totalShares * config.companyControlShare;
+}
+
+/**
+ * Counts the votes on a proposal by the shares each voter holds now
+ * @param {Object} proposal - Proposal
+ * @param {Object} company - Company data
+ * @returns {Object} { yes, no, turnout, totalShares, quorum } in shares
+ */
+function tallyVotes(proposal, company) {
+  const tally = { yes: 0, no: 0, turnout: 0, totalShares: company.totalShares, quorum: Math.ceil(company.totalShares * config.proposalQuorum) };
+  
+  for (const [userId, choice] of Object.entries(proposal.votes)) {
+    const shares = getVotingPower(company, userId);
+    tally[choice] += shares;
+    tally.turnout += shares;
+  }
+  
+  return tally;
+}
+
+/**
+ * Works out how a vote ended
+ * @param {Object} tally - Votes counted with tallyVotes
+ * @param {Boolean} [final] - Whether voting has closed (otherwise only a vote that can't change is decided)
+ * @returns {String|null} 'passed', 'rejected', 'noquorum', or null if it's still open
+ */
+function getVoteOutcome(tally, final = false) {
+  if (tally.yes * 2 > tally.totalShares) return 'passed';
+  if (tally.no * 2 >= tally.totalShares) return 'rejected';
+  if (!final) return null;
+  
+  if (tally.turnout < tally.quorum) return 'noquorum';
+  return tally.yes > tally.no ? 'passed' : 'rejected';
+}
+
+/**
+ * Describes what a proposal would do
+ * @param {Object} proposal - Proposal
+ * @returns {String} e.g. 'Rename to "Acme"'
+ */
+function describeProposal(proposal) {
+  const target = proposal.target ? getUser(proposal.target) : null;
+  const targetName = target && target.username ? target.username : (proposal.target || '').split('@')[0];
+  
+  switch (proposal.type) {
+    case 'rename':
+      return `Rename to "${proposal.newName}"`;
+    case 'close':
+      return 'Close the company';
+    case 'dividend':
+      return proposal.amount === 'all'
+        ? 'Pay out all earnings as a dividend'
+        : `Pay a dividend of ${formatNumber(proposal.amount)} coins`;
+    case 'ceo':
+      return `Make ${targetName} CEO`;
+    case 'kick':
+      return `Remove ${targetName} as a shareholder`;
+    default:
+      return proposal.type;
+  }
+}
+
+/**
+ * Formats a number of shares as a share of all of them
+ * @param {Number} shares - Shares
+ * @param {Number} totalShares - Shares outstanding
+ * @returns {String} e.g. "40 shares (40.0%)"
+ */
+function formatVotes(shares, totalShares) {
+  const percent = totalShares > 0 ? (shares / totalShares * 100).toFixed(1) : '0.0';
+  return `${shares} shares (${percent}%)`;
+}
+
+module.exports = {
+  PROPOSAL_TYPES,
+  getVotingPower,
+  hasControllingStake,
+  tallyVotes,
+  getVoteOutcome,
+  describeProposal,
+  formatVotes
+};
@@ -4,6 +4,7 @@
 const fs = require('fs');
 const path = require('path');
 const sharp = require('sharp');
+const { formatNumber } = require('./formatter');
 
 // Default bot logo to use as fallback
 const BOT_IMAGE_PATH = path.join(__dirname, '..', 'assets', 'images', 'bot', 'bot_logo.svg');
@@ -14,13 +15,14 @@ const imageCache = {};
 /**
  * Convert SVG to PNG buffer for better WhatsApp compatibility
  * @param {Buffer} svgBuffer - The SVG buffer to convert
- * @param {String} cacheKey - Cache key to use for this conversion
+ * @param {String|null} cacheKey - Cache key to use for this conversion (null for images that change, which aren't cached)
+ * @param {Number} density - Rendering density in DPI
  * @returns {Promise<Buffer>} - PNG buffer
  */
-async function convertSvgToPng(svgBuffer, cacheKey) {
+async function convertSvgToPng(svgBuffer, cacheKey, density = 300) {
   try {
     // Check cache first
-    if (imageCache[cacheKey]) {
+    if (cacheKey && imageCache[cacheKey]) {
       console.log(`Using cached PNG for ${cacheKey}`);
       return imageCache[cacheKey];
     }
@@ -30,14 +32,16 @@ async function convertSvgToPng(svgBuffer, cacheKey) {
     // Convert SVG to PNG using sharp with improved settings
     // No resize to prevent the black empty areas, keep original dimensions
     // Use transparent background
-    const pngBuffer = await sharp(svgBuffer, { density: 300 })
+    const pngBuffer = await sharp(svgBuffer, { density })
       .png()
       .toBuffer();
     
     console.log(`Conversion successful, PNG size: ${pngBuffer.length} bytes`);
     
     // Cache the result
-    imageCache[cacheKey] = pngBuffer;
+    if (cacheKey) {
+      imageCache[cacheKey] = pngBuffer;
+    }
     
     return pngBuffer;
   } catch (error) {
@@ -60,6 +64,10 @@ async function getCategoryImage(category) {
       'pvp': 'pvp.svg', 
       'daily': 'daily.svg',
       'company': 'company.svg',
+      'companyinfo': 'companyinfo.svg',
+      'companyupgrade': 'companyupgrade.svg',
+      'companybuy': 'companybuy.svg',
+      'companycollect': 'companycollect.svg',
       'leaderboard': 'leaderboard.svg',
       'xp': 'xp.svg',
       'shop': 'shop.svg',
@@ -149,4 +157,91 @@ function getBotProfileImage() {
   }
 }
 
-module.exports = { getCategoryImage, getBotProfileImage };
\ No newline at end of file
+/**
+ * Escapes text for use inside SVG markup
+ * @param {String} text - Text to escape
+ * @returns {String} - Escaped text
+ */
+function escapeSvgText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Draws a bank statement as a PNG card: the month's figures and a chart of the balance
+ * at the end of each day
+ * @param {Object} statement - Statement (see utils/statement.js)
+ * @returns {Promise<Buffer>} - PNG buffer
+ */
+async function createStatementImage(statement) {
+  const width = 600;
+  const height = 760;
+  const font = 'font-family="Arial, sans-serif"';
+  
+  // Figures, with a divider line before the closing balance and the wallet items
+  const rows = [
+    ['Opening balance', formatNumber(statement.openingBalance)],
+    ['Deposits', `+${formatNumber(statement.deposits)}`],
+    ['Withdrawals', `-${formatNumber(statement.withdrawals)}`],
+    ['Interest earned', `+${formatNumber(statement.interest)}`],
+    ['Other', `${statement.other < 0 ? '-' : '+'}${formatNumber(Math.abs(statement.other))}`],
+    null,
+    ['Closing balance', formatNumber(statement.closingBalance), true],
+    null,
+    ['Term deposit interest', `+${formatNumber(statement.termInterest)}`],
+    [`Bank upgrades (${statement.upgrades})`, `-${formatNumber(statement.upgradeCost)}`],
+    ['Fees paid', `-${formatNumber(statement.fees)}`]
+  ];
+  
+  let y = 150;
+  let rowsSvg = '';
+  for (const row of rows) {
+    if (!row) {
+      rowsSvg += `<line x1="40" y1="${y - 12}" x2="${width - 40}" y2="${y - 12}" stroke="#D1D5DB" stroke-width="2" />`;
+      y += 10;
+      continue;
+    }
+    
+    const [label, value, bold] = row;
+    const weight = bold ? ' font-weight="bold"' : '';
+    rowsSvg += `<text x="40" y="${y}" ${font} font-size="20" fill="#111827"${weight}>${escapeSvgText(label)}</text>` +
+      `<text x="${width - 40}" y="${y}" ${font} font-size="20" fill="#111827" text-anchor="end"${weight}>${escapeSvgText(value)}</text>`;
+    y += 34;
+  }
+  
+  // Balance chart, scaled between the lowest and highest balance
+  const chart = { x: 40, y: y + 20, width: width - 80, height: 180 };
+  const balances = statement.dailyBalances.length > 0 ? statement.dailyBalances : [statement.openingBalance];
+  const low = Math.min(...balances);
+  const high = Math.max(...balances);
+  const range = high - low || 1;
+  const step = balances.length > 1 ? chart.width / (balances.length - 1) : 0;
+  const points = balances.map((balance, index) => {
+    const pointX = chart.x + index * step;
+    const pointY = chart.y + chart.height - ((balance - low) / range) * chart.height;
+    return `${pointX.toFixed(1)},${pointY.toFixed(1)}`;
+  });
+  
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<rect width="${width}" height="${height}" rx="30" fill="#FFFFFF" />` +
+    `<rect width="${width}" height="110" rx="30" fill="#047857" />` +
+    `<rect y="80" width="${width}" height="30" fill="#047857" />` +
+    `<text x="40" y="55" ${font} font-size="30" font-weight="bold" fill="#FFFFFF">Bank Statement</text>` +
+    `<text x="40" y="90" ${font} font-size="20" fill="#D1FAE5">${escapeSvgText(statement.username)} • ${escapeSvgText(statement.period)}</text>` +
+    rowsSvg +
+    `<rect x="${chart.x}" y="${chart.y}" width="${chart.width}" height="${chart.height}" fill="#F3F4F6" />` +
+    `<text x="${chart.x + 8}" y="${chart.y + 20}" ${font} font-size="14" fill="#6B7280">${formatNumber(high)}</text>` +
+    `<text x="${chart.x + 8}" y="${chart.y + chart.height - 8}" ${font} font-size="14" fill="#6B7280">${formatNumber(low)}</text>` +
+    (points.length > 1
+      ? `<polyline points="${points.join(' ')}" fill="none" stroke="#047857" stroke-width="3" />`
+      : `<circle cx="${chart.x + chart.width / 2}" cy="${chart.y + chart.height / 2}" r="5" fill="#047857" />`) +
+    `<text x="${width / 2}" y="${height - 25}" ${font} font-size="14" fill="#6B7280" text-anchor="middle">Balance at the end of each day</text>` +
+    `</svg>`;
+  
+  return convertSvgToPng(Buffer.from(svg), null, 144);
+}
+
+module.exports = { getCategoryImage, getBotProfileImage, createStatementImage };
\ No newline at end of file
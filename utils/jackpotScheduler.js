@@ -0,0 +1,216 @@
+/**
+ * Jackpot scheduler
+ * Draws the jackpot when the round timer runs out or the pot reaches the threshold
+ */
+const config = require('../config');
+const { getUser, getJackpot, getJackpotEntries, resetJackpot, getAllApprovedGroups, transaction, transferCoins, walletAccount, LEDGER_ACCOUNTS } = require('../database/db');
+const { drawJackpot } = require('./games');
+const { HOUSE_SEED, startRoll, recordRoll, rotateServerSeed } = require('./rng');
+const { recordWager } = require('./betHistory');
+const { formatNumber } = require('./formatter');
+
+// Latest WhatsApp connection (replaced on every reconnect)
+let activeSock = null;
+let schedulerInterval = null;
+let drawInProgress = false;
+
+/**
+ * Gets the time the current jackpot round will be drawn
+ * @returns {Number|null} Timestamp of the next draw, or null if the pot is empty
+ */
+function getNextDrawTime() {
+  const jackpot = getJackpot();
+  
+  if (!jackpot.entries || jackpot.entries.length === 0) {
+    return null;
+  }
+  
+  // A round opens with its first entry after the previous draw
+  const roundStart = Math.max(jackpot.lastDrawTime || 0, jackpot.entries[0].enteredAt);
+  return roundStart + config.jackpotDrawInterval;
+}
+
+/**
+ * Gets the current pot size
+ * @returns {Number} Total coins in the pot
+ */
+function getPotAmount() {
+  return getJackpotEntries().reduce((total, entry) => total + entry.amount, 0);
+}
+
+/**
+ * Draws the jackpot, pays the winner and announces the result
+ * @param {Object} sock - WhatsApp connection
+ * @param {String} reason - What triggered the draw ('timer' or 'threshold')
+ * @returns {Promise<Object|null>} The recorded draw, or null if nothing was drawn
+ */
+async function runJackpotDraw(sock, reason) {
+  // Never draw the same pot twice
+  if (drawInProgress) return null;
+  
+  const entries = getJackpotEntries();
+  if (entries.length === 0) return null;
+  
+  drawInProgress = true;
+  
+  try {
+    // Drawn with the house seeds, whose hash .jackpotstatus publishes while the round is open
+    const roll = startRoll(HOUSE_SEED, 'Jackpot');
+    const winnerEntry = drawJackpot(entries, roll.random);
+    
+    // Work out the odds the winner had across all of their entries
+    const totalAmount = getPotAmount();
+    const totalTickets = entries.reduce((total, entry) => total + entry.tickets, 0);
+    const winnerTickets = entries
+      .filter(entry => entry.userId === winnerEntry.userId)
+      .reduce((total, entry) => total + entry.tickets, 0);
+    const participants = new Set(entries.map(entry => entry.userId)).size;
+    
+    const winner = getUser(winnerEntry.userId);
+    const betId = recordRoll(roll, `${winner.username || winner.id.split('@')[0]} won with ${winnerTickets} of ${totalTickets} tickets`);
+    
+    const draw = {
+      winner: winner.id,
+      winnerName: winner.username || winner.id.split('@')[0],
+      amount: totalAmount,
+      tickets: winnerTickets,
+      totalTickets,
+      odds: (winnerTickets / totalTickets) * 100,
+      participants,
+      reason,
+      betId,
+      drawnAt: Date.now()
+    };
+    
+    // Credit the winner, clear the pot and record the draw in one step
+    transaction(() => {
+      transferCoins(LEDGER_ACCOUNTS.JACKPOT, walletAccount(winner.id), totalAmount, { reason: 'Jackpot win' });
+      resetJackpot(draw);
+      
+      // Each player's entries this round count as one wager
+      const stakes = {};
+      for (const entry of entries) {
+        stakes[entry.userId] = (stakes[entry.userId] || 0) + entry.amount;
+      }
+      for (const [userId, stake] of Object.entries(stakes)) {
+        recordWager(userId, { game: 'Jackpot', stake, payout: userId === winner.id ? totalAmount : 0, betId });
+      }
+      
+      // Reveal the seed this draw used so it can be verified, and commit to the next one
+      rotateServerSeed(HOUSE_SEED);
+    });
+    
+    console.log(`Jackpot drawn (${reason}): ${draw.winnerName} won ${draw.amount} coins`);
+    
+    await announceJackpotDraw(sock, draw, winner.balance + totalAmount);
+    
+    return draw;
+  } finally {
+    drawInProgress = false;
+  }
+}
+
+/**
+ * Announces a jackpot draw in every approved group and DMs the winner
+ * @param {Object} sock - WhatsApp connection
+ * @param {Object} draw - Recorded draw
+ * @param {Number} newBalance - Winner's balance after the payout
+ */
+async function announceJackpotDraw(sock, draw, newBalance) {
+  if (!sock) {
+    console.log('Jackpot draw not announced: no active connection');
+    return;
+  }
+  
+  const announcement = `🎯 *JACKPOT DRAWN* 🎯\n\n` +
+    `Winner: ${draw.winnerName}\n` +
+    `Prize: ${formatNumber(draw.amount)} coins\n` +
+    `Winning odds: ${draw.odds.toFixed(2)}%\n` +
+    `Participants: ${draw.participants}\n` +
+    `Verify the draw: ${config.prefix}verify ${draw.betId}\n\n` +
+    `A new round is open! Enter with "${config.prefix}jackpot [amount]".`;
+  
+  for (const group of getAllApprovedGroups()) {
+    try {
+      await sock.sendMessage(group.id, { text: announcement });
+    } catch (error) {
+      console.error(`Error announcing jackpot draw in group ${group.id}:`, error);
+    }
+  }
+  
+  try {
+    await sock.sendMessage(draw.winner, {
+      text: `🎉 *YOU WON THE JACKPOT!* 🎉\n\n` +
+        `${formatNumber(draw.amount)} coins have been added to your wallet.\n` +
+        `Your odds were ${draw.odds.toFixed(2)}% (${formatNumber(draw.tickets)} of ${formatNumber(draw.totalTickets)} tickets).\n\n` +
+        `New balance: ${formatNumber(newBalance)} coins`
+    });
+  } catch (error) {
+    console.error('Error notifying jackpot winner:', error);
+  }
+}
+
+/**
+ * Draws the jackpot straight away if the pot has reached the threshold
+ * @param {Object} sock - WhatsApp connection
+ * @returns {Promise<Object|null>} The recorded draw, or null if no draw happened
+ */
+async function checkJackpotThreshold(sock) {
+  if (getPotAmount() >= config.jackpotDrawThreshold) {
+    return await runJackpotDraw(sock || activeSock, 'threshold');
+  }
+  return null;
+}
+
+/**
+ * Draws the jackpot if the round timer has run out
+ */
+async function checkScheduledDraw() {
+  const nextDrawTime = getNextDrawTime();
+  
+  if (nextDrawTime && Date.now() >= nextDrawTime) {
+    await runJackpotDraw(activeSock, 'timer');
+  } else {
+    await checkJackpotThreshold(activeSock);
+  }
+}
+
+/**
+ * Starts the jackpot scheduler, or hands it a new connection after a reconnect
+ * @param {Object} sock - WhatsApp connection
+ */
+function startJackpotScheduler(sock) {
+  activeSock = sock;
+  
+  if (schedulerInterval) return;
+  
+  schedulerInterval = setInterval(() => {
+    checkScheduledDraw().catch(error => console.error('Error running scheduled jackpot draw:', error));
+  }, config.jackpotCheckInterval);
+  
+  // Resume the round that was running before a restart
+  const nextDrawTime = getNextDrawTime();
+  if (nextDrawTime) {
+    console.log(`Jackpot scheduler resumed, next draw at ${new Date(nextDrawTime).toISOString()}`);
+  } else {
+    console.log('Jackpot scheduler started');
+  }
+}
+
+/**
+ * Stops the jackpot scheduler
+ */
+function stopJackpotScheduler() {
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+    schedulerInterval = null;
+  }
+}
+
+module.exports = {
+  startJackpotScheduler,
+  stopJackpotScheduler,
+  checkJackpotThreshold,
+  runJackpotDraw,
+  getNextDrawTime
+};
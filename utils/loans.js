@@ -0,0 +1,226 @@
+/**
+ * Loans
+ * Players borrow from the loans account and repay in installments. Before each installment
+ * the balance grows by config.loanInterestRate, and the installment is sized so the loan is
+ * paid off by the last one (like a mortgage). Anything paid with .repay since the last
+ * installment counts towards the next one; whatever is still owed when it's due is taken
+ * from the wallet, then the bank.
+ *
+ * Credit scores go up for installments paid on time and loans repaid, and down for missed
+ * installments. After config.loanDefaultAfterMisses misses the loan is in default, which
+ * blocks gambling, company creation and new loans until it's repaid.
+ */
+const config = require('../config');
+const { getLoanRecord, setLoanRecord, transaction, transferCoins, walletAccount, bankAccount, getUser, LEDGER_ACCOUNTS } = require('../database/db');
+
+/**
+ * Loads a player's credit record as a copy
+ * @param {String} userId - User ID
+ * @returns {Object} { creditScore, loan, loansRepaid } (loan is null without an active loan)
+ */
+function loadLoanRecord(userId) {
+  const record = getLoanRecord(userId);
+  return record
+    ? JSON.parse(JSON.stringify(record))
+    : { creditScore: config.startingCreditScore, loan: null, loansRepaid: 0 };
+}
+
+/**
+ * Moves a credit score, keeping it in range
+ * @param {Object} record - Credit record (changed in place)
+ * @param {Number} change - Points to add (negative to take away)
+ */
+function adjustCreditScore(record, change) {
+  record.creditScore = Math.min(config.maxCreditScore, Math.max(config.minCreditScore, record.creditScore + change));
+}
+
+/**
+ * Works out the installment that pays a balance off in a number of installments,
+ * with interest added before each one
+ * @param {Number} balance - Coins owed
+ * @param {Number} rate - Interest added per installment
+ * @param {Number} installments - Installments left
+ * @returns {Number} Coins per installment
+ */
+function getInstallmentAmount(balance, rate, installments) {
+  if (installments <= 1) return Math.ceil(balance * (1 + rate));
+  if (rate === 0) return Math.ceil(balance / installments);
+  return Math.ceil(balance * rate / (1 - Math.pow(1 + rate, -installments)));
+}
+
+/**
+ * Gets a player's credit score
+ * @param {String} userId - User ID
+ * @returns {Number} Credit score
+ */
+function getCreditScore(userId) {
+  return loadLoanRecord(userId).creditScore;
+}
+
+/**
+ * Gets a player's active loan
+ * @param {String} userId - User ID
+ * @returns {Object|null} Loan, or null if they don't have one
+ */
+function getLoan(userId) {
+  return loadLoanRecord(userId).loan;
+}
+
+/**
+ * Checks whether a player's loan is in default
+ * @param {String} userId - User ID
+ * @returns {Boolean} True until the loan is repaid
+ */
+function isInDefault(userId) {
+  const record = getLoanRecord(userId);
+  return Boolean(record && record.loan && record.loan.defaulted);
+}
+
+/**
+ * Gets the most a player can borrow, from their level, prestige, bank capacity and credit score
+ * @param {Object} user - User data
+ * @returns {Number} Loan limit in coins (rounded down to 100)
+ */
+function getLoanLimit(user) {
+  const base = config.loanBaseLimit +
+    user.level * config.loanLimitPerLevel +
+    user.prestige * config.loanLimitPerPrestige +
+    user.bankCapacity * config.loanBankCapacityShare;
+  
+  const limit = base * getCreditScore(user.id) / config.startingCreditScore;
+  return Math.floor(limit / 100) * 100;
+}
+
+/**
+ * Pays out a loan
+ * @param {String} userId - User ID
+ * @param {Number} amount - Coins to borrow
+ * @returns {Object} The new loan
+ */
+function takeLoan(userId, amount) {
+  return transaction(() => {
+    const record = loadLoanRecord(userId);
+    const now = Date.now();
+    
+    record.loan = {
+      principal: amount,
+      balance: amount,
+      rate: config.loanInterestRate,
+      installments: config.loanInstallments,
+      installmentsLeft: config.loanInstallments,
+      installmentAmount: getInstallmentAmount(amount, config.loanInterestRate, config.loanInstallments),
+      paidThisPeriod: 0,
+      missedPayments: 0,
+      defaulted: false,
+      takenAt: now,
+      nextDueAt: now + config.loanInstallmentInterval
+    };
+    
+    transferCoins(LEDGER_ACCOUNTS.LOANS, walletAccount(userId), amount, { reason: 'Loan' });
+    setLoanRecord(userId, record);
+    return record.loan;
+  });
+}
+
+/**
+ * Pays off a loan that has nothing left owing
+ * @param {Object} record - Credit record (changed in place)
+ */
+function closeLoan(record) {
+  record.loan = null;
+  record.loansRepaid++;
+  adjustCreditScore(record, config.creditScoreRepaid);
+}
+
+/**
+ * Repays part or all of a player's loan from their wallet
+ * @param {String} userId - User ID
+ * @param {Number} amount - Coins to repay (capped at the balance)
+ * @returns {Object} { paid, loan } (loan is null once it's repaid)
+ */
+function repayLoan(userId, amount) {
+  return transaction(() => {
+    const record = loadLoanRecord(userId);
+    const paid = Math.min(amount, record.loan.balance);
+    
+    transferCoins(walletAccount(userId), LEDGER_ACCOUNTS.LOANS, paid, { reason: 'Loan repayment' });
+    record.loan.balance -= paid;
+    record.loan.paidThisPeriod += paid;
+    if (record.loan.balance === 0) {
+      closeLoan(record);
+    }
+    
+    setLoanRecord(userId, record);
+    return { paid, loan: record.loan };
+  });
+}
+
+/**
+ * Settles a player's installment if it's due: adds interest, takes whatever hasn't been
+ * repaid from the wallet and then the bank, and marks it missed if it couldn't all be collected
+ * @param {String} userId - User ID
+ * @param {Number} [now] - Current time
+ * @returns {Object|null} { interest, collected, missed, unpaid, defaulted, loan } (loan is null
+ *   once it's repaid), or null if nothing was due
+ */
+function settleInstallment(userId, now = Date.now()) {
+  return transaction(() => {
+    const record = loadLoanRecord(userId);
+    const { loan } = record;
+    if (!loan || loan.nextDueAt > now) return null;
+    
+    const interest = Math.floor(loan.balance * loan.rate);
+    loan.balance += interest;
+    
+    // Payments made since the last installment count towards this one
+    const due = Math.min(loan.balance, Math.max(0, loan.installmentAmount - loan.paidThisPeriod));
+    let collected = 0;
+    if (due > 0) {
+      const user = getUser(userId);
+      const fromWallet = Math.min(due, user.balance);
+      const fromBank = Math.min(due - fromWallet, user.bankBalance);
+      
+      transferCoins(walletAccount(userId), LEDGER_ACCOUNTS.LOANS, fromWallet, { reason: 'Loan installment' });
+      transferCoins(bankAccount(userId), LEDGER_ACCOUNTS.LOANS, fromBank, { reason: 'Loan installment' });
+      collected = fromWallet + fromBank;
+      loan.balance -= collected;
+    }
+    
+    // Only an installment that's still short after collection counts as missed
+    const missed = collected < due;
+    if (missed) {
+      loan.missedPayments++;
+      adjustCreditScore(record, -config.creditScoreMissed);
+      if (loan.missedPayments >= config.loanDefaultAfterMisses) {
+        loan.defaulted = true;
+      }
+    } else if (due === 0) {
+      adjustCreditScore(record, config.creditScoreOnTime);
+    }
+    
+    const result = { interest, collected, missed, unpaid: due - collected, defaulted: loan.defaulted };
+    
+    if (loan.balance === 0) {
+      closeLoan(record);
+    } else {
+      // Loans still owing after the last installment are due in full every period
+      loan.installmentsLeft = Math.max(1, loan.installmentsLeft - 1);
+      loan.installmentAmount = getInstallmentAmount(loan.balance, loan.rate, loan.installmentsLeft);
+      loan.paidThisPeriod = 0;
+      loan.nextDueAt += config.loanInstallmentInterval;
+    }
+    
+    setLoanRecord(userId, record);
+    return { ...result, loan: record.loan };
+  });
+}
+
+module.exports = {
+  getCreditScore,
+  getLoan,
+  isInDefault,
+  getLoanLimit,
+  takeLoan,
+  repayLoan,
+  settleInstallment
+};
@@ -0,0 +1,87 @@
+/**
+ * Payments between players
+ * Coins go straight from one wallet to another, with config.paymentFee paid by the sender
+ * on top. What a player pays others counts towards config.dailyPaymentLimit (fees don't),
+ * which resets at midnight UTC. Both wallets are ledger accounts, so every payment shows up
+ * in both players' .history.
+ */
+const config = require('../config');
+const { getDailyPayments, setDailyPayments, transaction, transferCoins, walletAccount, LEDGER_ACCOUNTS } = require('../database/db');
+const { formatNumber } = require('./formatter');
+
+/**
+ * Gets the day a timestamp falls on (UTC)
+ * @param {Number} timestamp - Timestamp
+ * @returns {String} Day key (e.g. "2024-05-01")
+ */
+function getDayKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Works out the fee on a payment
+ * @param {Number} amount - Coins being paid
+ * @returns {Number} Fee in coins
+ */
+function getPaymentFee(amount) {
+  return Math.floor(amount * config.paymentFee);
+}
+
+/**
+ * Gets how much a player has paid other players today
+ * @param {String} userId - User ID
+ * @returns {Number} Coins paid today, not counting fees
+ */
+function getPaidToday(userId) {
+  const totals = getDailyPayments(userId);
+  return totals && totals.day === getDayKey(Date.now()) ? totals.amount : 0;
+}
+
+/**
+ * Checks whether a player can make a payment
+ * @param {Object} user - Paying user's data
+ * @param {Number} amount - Coins to pay
+ * @returns {String|null} Why the payment isn't allowed, or null if it is
+ */
+function checkPayment(user, amount) {
+  const fee = getPaymentFee(amount);
+  if (amount + fee > user.balance) {
+    return `You need ${formatNumber(amount + fee)} coins in your wallet for this payment (including the ${formatNumber(fee)} coin fee).`;
+  }
+  
+  const paidToday = getPaidToday(user.id);
+  if (paidToday + amount > config.dailyPaymentLimit) {
+    return `This payment would take you over the daily limit of ${formatNumber(config.dailyPaymentLimit)} coins ` +
+      `(${formatNumber(Math.max(0, config.dailyPaymentLimit - paidToday))} coins left today).`;
+  }
+  
+  return null;
+}
+
+/**
+ * Pays another player from the sender's wallet, charging the fee
+ * @param {String} senderId - Paying user ID
+ * @param {String} recipientId - Receiving user ID
+ * @param {Number} amount - Coins to pay
+ * @param {String} reason - Reason recorded in the ledger
+ * @returns {Object} { fee }
+ */
+function sendPayment(senderId, recipientId, amount, reason) {
+  const fee = getPaymentFee(amount);
+  
+  transaction(() => {
+    const paidToday = getPaidToday(senderId);
+    transferCoins(walletAccount(senderId), walletAccount(recipientId), amount, { reason });
+    transferCoins(walletAccount(senderId), LEDGER_ACCOUNTS.FEES, fee, { reason: 'Payment fee' });
+    setDailyPayments(senderId, { day: getDayKey(Date.now()), amount: paidToday + amount });
+  });
+  
+  return { fee };
+}
+
+module.exports = {
+  getPaymentFee,
+  getPaidToday,
+  checkPayment,
+  sendPayment
+};
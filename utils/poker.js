@@ -0,0 +1,436 @@
+/**
+ * Texas Hold'em engine
+ * Plays a no-limit hand: blinds, the four betting rounds, side pots and the showdown.
+ *
+ * Like utils/blackjack.js, hand state is plain data and cards come from a draw() function,
+ * so this module never sends messages or moves coins. Chips only move between the stacks
+ * the hand was dealt with.
+ */
+
+// Card values from lowest to highest
+const CARD_RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+
+// Hand categories from lowest to highest (the first number of a hand's score)
+const HAND_NAMES = [
+  'High card',
+  'Pair',
+  'Two pair',
+  'Three of a kind',
+  'Straight',
+  'Flush',
+  'Full house',
+  'Four of a kind',
+  'Straight flush'
+];
+
+// Board cards dealt at the start of each street
+const STREETS = [
+  { name: 'preflop', cards: 0 },
+  { name: 'flop', cards: 3 },
+  { name: 'turn', cards: 1 },
+  { name: 'river', cards: 1 }
+];
+
+/**
+ * Gets a card's rank (2 to 14, aces high)
+ * @param {Object} card - Card
+ * @returns {Number} Rank
+ */
+function cardRank(card) {
+  return CARD_RANKS.indexOf(card.value) + 2;
+}
+
+/**
+ * Finds the top card of a straight
+ * @param {Array} ranks - Card ranks
+ * @returns {Number} Rank of the straight's top card, or 0 if there's no straight
+ */
+function getStraightHigh(ranks) {
+  const unique = [...new Set(ranks)].sort((a, b) => b - a);
+  
+  // Aces also play low (A-2-3-4-5)
+  if (unique.includes(14)) unique.push(1);
+  
+  for (let index = 0; index + 4 < unique.length; index++) {
+    if (unique[index] - unique[index + 4] === 4) return unique[index];
+  }
+  return 0;
+}
+
+/**
+ * Scores exactly five cards
+ * @param {Array} cards - Five cards
+ * @returns {Array} Score: [category, ...tiebreak ranks], compared with compareScores
+ */
+function scoreFiveCards(cards) {
+  const ranks = cards.map(cardRank).sort((a, b) => b - a);
+  const flush = cards.every(card => card.suit === cards[0].suit);
+  const straightHigh = getStraightHigh(ranks);
+  
+  // Ranks grouped by how often they appear, biggest groups (then highest ranks) first
+  const counts = new Map();
+  for (const rank of ranks) {
+    counts.set(rank, (counts.get(rank) || 0) + 1);
+  }
+  const groups = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || b - a);
+  const shape = groups.map(rank => counts.get(rank));
+  
+  if (straightHigh && flush) return [8, straightHigh];
+  if (shape[0] === 4) return [7, ...groups];
+  if (shape[0] === 3 && shape[1] === 2) return [6, ...groups];
+  if (flush) return [5, ...ranks];
+  if (straightHigh) return [4, straightHigh];
+  if (shape[0] === 3) return [3, ...groups];
+  if (shape[0] === 2 && shape[1] === 2) return [2, ...groups];
+  if (shape[0] === 2) return [1, ...groups];
+  return [0, ...ranks];
+}
+
+/**
+ * Compares two hand scores
+ * @param {Array} a - Score from evaluateHand
+ * @param {Array} b - Score from evaluateHand
+ * @returns {Number} Above 0 if a wins, below 0 if b wins, 0 for a tie
+ */
+function compareScores(a, b) {
+  for (let index = 0; index < Math.max(a.length, b.length); index++) {
+    if ((a[index] || 0) !== (b[index] || 0)) return (a[index] || 0) - (b[index] || 0);
+  }
+  return 0;
+}
+
+/**
+ * Finds the best five-card hand
+ * @param {Array} cards - Five to seven cards (hole cards and board)
+ * @returns {Object} { score, name, cards } for the best five cards
+ */
+function evaluateHand(cards) {
+  let best = null;
+  
+  // Try every way of leaving out cards beyond five (21 hands from seven cards)
+  const choose = (start, chosen) => {
+    if (chosen.length === 5) {
+      const score = scoreFiveCards(chosen);
+      if (!best || compareScores(score, best.score) > 0) {
+        best = { score, cards: chosen };
+      }
+      return;
+    }
+    for (let index = start; index <= cards.length - (5 - chosen.length); index++) {
+      choose(index + 1, [...chosen, cards[index]]);
+    }
+  };
+  choose(0, []);
+  
+  const royal = best.score[0] === 8 && best.score[1] === 14;
+  return { ...best, name: royal ? 'Royal flush' : HAND_NAMES[best.score[0]] };
+}
+
+/**
+ * Checks whether a player can still bet
+ * @param {Object} player - Player in the hand
+ * @returns {Boolean} True if the player hasn't folded and has chips behind
+ */
+function canAct(player) {
+  return !player.folded && !player.allIn;
+}
+
+/**
+ * Moves chips from a player's stack into their bet
+ * @param {Object} player - Player in the hand
+ * @param {Number} amount - Chips to put in (capped at the stack)
+ */
+function putChips(player, amount) {
+  const chips = Math.min(amount, player.stack);
+  player.stack -= chips;
+  player.bet += chips;
+  player.contributed += chips;
+  if (player.stack === 0) player.allIn = true;
+}
+
+/**
+ * Finds the next player who can bet after a seat
+ * @param {Object} hand - Hand state
+ * @param {Number} from - Player index to start after
+ * @returns {Number} Player index
+ */
+function nextPlayerToAct(hand, from) {
+  const count = hand.players.length;
+  for (let offset = 1; offset <= count; offset++) {
+    const index = (from + offset) % count;
+    if (canAct(hand.players[index])) return index;
+  }
+  return from;
+}
+
+/**
+ * Deals a new hand: two hole cards each, then the blinds
+ * @param {Array} seats - [{ userId, stack }] players with chips, in seat order
+ * @param {Number} button - Index in seats of the dealer button
+ * @param {Object} settings - { smallBlind, bigBlind }
+ * @param {Function} draw - () => next card
+ * @returns {Object} Hand state
+ */
+function dealHand(seats, button, settings, draw) {
+  const hand = {
+    settings: { smallBlind: settings.smallBlind, bigBlind: settings.bigBlind },
+    players: seats.map(seat => ({
+      userId: seat.userId,
+      stack: seat.stack,
+      cards: [],
+      bet: 0,
+      contributed: 0,
+      folded: false,
+      allIn: false,
+      acted: false
+    })),
+    button,
+    board: [],
+    street: 'preflop',
+    currentBet: 0,
+    minRaise: settings.bigBlind,
+    toAct: null,
+    phase: 'betting',
+    pots: null
+  };
+  
+  // One card at a time, starting left of the button
+  const count = hand.players.length;
+  for (let round = 0; round < 2; round++) {
+    for (let offset = 1; offset <= count; offset++) {
+      hand.players[(button + offset) % count].cards.push(draw());
+    }
+  }
+  
+  // Heads-up, the button posts the small blind and acts first before the flop
+  const smallBlind = count === 2 ? button : (button + 1) % count;
+  const bigBlind = (smallBlind + 1) % count;
+  putChips(hand.players[smallBlind], settings.smallBlind);
+  putChips(hand.players[bigBlind], settings.bigBlind);
+  hand.currentBet = settings.bigBlind;
+  
+  // The big blind has posted but still gets to act if nobody raises
+  hand.toAct = bigBlind;
+  continueHand(hand, draw);
+  return hand;
+}
+
+/**
+ * Lists what the player to act can do
+ * @param {Object} hand - Hand state
+ * @returns {Object} { actions, toCall, minRaiseTo, maxRaiseTo } (raises are to a total bet for the street)
+ */
+function getAvailableActions(hand) {
+  if (hand.phase !== 'betting') return { actions: [], toCall: 0, minRaiseTo: 0, maxRaiseTo: 0 };
+  
+  const player = hand.players[hand.toAct];
+  const toCall = Math.min(hand.currentBet - player.bet, player.stack);
+  const actions = ['fold', toCall > 0 ? 'call' : 'check'];
+  
+  const maxRaiseTo = player.bet + player.stack;
+  const minRaiseTo = Math.min(hand.currentBet + hand.minRaise, maxRaiseTo);
+  
+  // Raising only makes sense if someone else can still call
+  const opponentsCanAct = hand.players.some((other, index) => index !== hand.toAct && canAct(other));
+  if (opponentsCanAct && maxRaiseTo > hand.currentBet) {
+    if (maxRaiseTo > minRaiseTo) actions.push('raise');
+    actions.push('allin');
+  } else if (toCall === player.stack && toCall > 0) {
+    // Calling takes every chip, so it's also an all-in
+    actions.push('allin');
+  }
+  
+  return { actions, toCall, minRaiseTo, maxRaiseTo };
+}
+
+/**
+ * Raises a player's bet to a total for the street
+ * @param {Object} hand - Hand state
+ * @param {Object} player - Player in the hand
+ * @param {Number} total - Total bet for the street
+ */
+function raiseTo(hand, player, total) {
+  const raiseSize = total - hand.currentBet;
+  putChips(player, total - player.bet);
+  if (raiseSize <= 0) return;
+  
+  // A full raise sets the minimum for the next one. Everyone else has to act again
+  // (an all-in for less than a full raise reopens the betting too, to keep things simple).
+  if (raiseSize >= hand.minRaise) hand.minRaise = raiseSize;
+  hand.currentBet = total;
+  for (const other of hand.players) {
+    if (other !== player) other.acted = false;
+  }
+}
+
+/**
+ * Plays an action for the player to act
+ * @param {Object} hand - Hand state
+ * @param {String} action - fold, check, call, raise or allin
+ * @param {Number} amount - Total bet to raise to (raise only)
+ * @param {Function} draw - () => next card
+ * @returns {Boolean} False if the action (or raise amount) isn't allowed right now
+ */
+function playAction(hand, action, amount, draw) {
+  const { actions, toCall, minRaiseTo, maxRaiseTo } = getAvailableActions(hand);
+  if (!actions.includes(action)) return false;
+  
+  const player = hand.players[hand.toAct];
+  
+  switch (action) {
+    case 'fold':
+      player.folded = true;
+      break;
+    case 'call':
+      putChips(player, toCall);
+      break;
+    case 'raise':
+      if (!Number.isInteger(amount) || amount < minRaiseTo || amount > maxRaiseTo) return false;
+      raiseTo(hand, player, amount);
+      break;
+    case 'allin':
+      raiseTo(hand, player, maxRaiseTo);
+      break;
+  }
+  
+  player.acted = true;
+  continueHand(hand, draw);
+  return true;
+}
+
+/**
+ * Checks whether the current betting round is over
+ * @param {Object} hand - Hand state
+ * @returns {Boolean} True if no one still has to act
+ */
+function isBettingComplete(hand) {
+  const able = hand.players.filter(canAct);
+  
+  // A lone player with chips only has to match the bet
+  if (able.length <= 1) {
+    return able.length === 0 || able[0].bet >= hand.currentBet;
+  }
+  
+  return able.every(player => player.acted && player.bet === hand.currentBet);
+}
+
+/**
+ * Moves play on after an action: to the next player, the next street or the end of the hand
+ * @param {Object} hand - Hand state
+ * @param {Function} draw - () => next card
+ */
+function continueHand(hand, draw) {
+  if (hand.players.filter(player => !player.folded).length === 1) {
+    finishHand(hand);
+    return;
+  }
+  
+  if (!isBettingComplete(hand)) {
+    hand.toAct = nextPlayerToAct(hand, hand.toAct);
+    return;
+  }
+  
+  // Bets go into the pot (contributed keeps the running total)
+  for (const player of hand.players) {
+    player.bet = 0;
+    player.acted = false;
+  }
+  hand.currentBet = 0;
+  hand.minRaise = hand.settings.bigBlind;
+  
+  const streetIndex = STREETS.findIndex(street => street.name === hand.street);
+  if (streetIndex === STREETS.length - 1) {
+    finishHand(hand);
+    return;
+  }
+  
+  const street = STREETS[streetIndex + 1];
+  hand.street = street.name;
+  for (let card = 0; card < street.cards; card++) {
+    hand.board.push(draw());
+  }
+  
+  // Once fewer than two players can bet, the rest of the board is dealt straight away
+  if (hand.players.filter(canAct).length < 2) {
+    continueHand(hand, draw);
+    return;
+  }
+  
+  hand.toAct = nextPlayerToAct(hand, hand.button);
+}
+
+/**
+ * Splits the pot into a main pot and side pots and pays each to its best hand
+ * @param {Object} hand - Hand state (betting finished)
+ */
+function finishHand(hand) {
+  hand.phase = 'finished';
+  hand.toAct = null;
+  
+  const live = hand.players.filter(player => !player.folded);
+  const showdown = live.length > 1;
+  if (showdown) {
+    for (const player of live) {
+      const best = evaluateHand([...player.cards, ...hand.board]);
+      player.score = best.score;
+      player.handName = best.name;
+    }
+  }
+  
+  // Winners closest to the left of the button get any odd chips
+  const count = hand.players.length;
+  const seatOrder = player => (hand.players.indexOf(player) - hand.button - 1 + count) % count;
+  
+  // Each all-in amount among the players still in starts a new pot
+  const levels = [...new Set(live.map(player => player.contributed))].sort((a, b) => a - b);
+  hand.pots = [];
+  let previous = 0;
+  
+  levels.forEach((level, index) => {
+    // The last pot also takes anything folded players put in above the top level
+    const cap = index === levels.length - 1 ? Infinity : level;
+    const amount = hand.players.reduce((sum, player) => {
+      return sum + Math.min(player.contributed, cap) - Math.min(player.contributed, previous);
+    }, 0);
+    const eligible = live.filter(player => player.contributed >= level);
+    previous = level;
+    if (amount === 0) return;
+    
+    let winners = eligible;
+    if (showdown) {
+      const best = eligible.reduce((top, player) => compareScores(player.score, top.score) > 0 ? player : top);
+      winners = eligible.filter(player => compareScores(player.score, best.score) === 0);
+    }
+    winners.sort((a, b) => seatOrder(a) - seatOrder(b));
+    
+    const share = Math.floor(amount / winners.length);
+    winners.forEach((winner, winnerIndex) => {
+      winner.stack += share + (winnerIndex < amount % winners.length ? 1 : 0);
+    });
+    
+    hand.pots.push({
+      amount,
+      winners: winners.map(winner => winner.userId),
+      handName: showdown ? winners[0].handName : null
+    });
+  });
+}
+
+/**
+ * Gets the chips in the middle, including this street's bets
+ * @param {Object} hand - Hand state
+ * @returns {Number} Pot size
+ */
+function getPotSize(hand) {
+  return hand.players.reduce((sum, player) => sum + player.contributed, 0);
+}
+
+module.exports = {
+  HAND_NAMES,
+  evaluateHand,
+  compareScores,
+  dealHand,
+  getAvailableActions,
+  playAction,
+  getPotSize
+};
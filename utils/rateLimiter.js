@@ -0,0 +1,273 @@
+/**
+ * Rate limiting
+ * Sliding-window limits for commands (per user, per group and per command cooldown),
+ * flood detection with escalating mutes, and a queue that paces outgoing messages so
+ * the bot stays under WhatsApp's sending limits.
+ * Everything is kept in memory, so limits reset when the bot restarts.
+ */
+const config = require('../config');
+
+// Limit key -> { windowMs, hits } with hit timestamps oldest first
+const windows = new Map();
+
+// Notice key -> { intervalMs, time } for the last time the user was told they were limited
+const notices = new Map();
+
+// User ID -> { level, lastOffense, mutedUntil }
+const offenders = new Map();
+
+let lastSweep = 0;
+
+// Outgoing messages wait on this chain so they go out one at a time
+let sendChain = Promise.resolve();
+let lastSendTime = 0;
+
+/**
+ * Drops hits that have left the window
+ * @param {String} key - Limit key
+ * @param {Number} windowMs - Window length in milliseconds
+ * @param {Number} now - Current time
+ * @returns {Array} Hits still inside the window
+ */
+function getRecentHits(key, windowMs, now) {
+  const entry = windows.get(key);
+  const hits = entry ? entry.hits.filter(time => time > now - windowMs) : [];
+  
+  if (hits.length > 0) {
+    windows.set(key, { windowMs, hits });
+  } else {
+    windows.delete(key);
+  }
+  
+  return hits;
+}
+
+/**
+ * Forgets limits, notices and offenses that have expired so the maps don't grow forever
+ * @param {Number} now - Current time
+ */
+function sweep(now) {
+  if (now - lastSweep < 60000) return;
+  lastSweep = now;
+  
+  for (const [key, { windowMs, hits }] of windows) {
+    if (hits[hits.length - 1] <= now - windowMs) windows.delete(key);
+  }
+  for (const [key, { intervalMs, time }] of notices) {
+    if (time <= now - intervalMs) notices.delete(key);
+  }
+  
+  const decayMs = config.rateLimits.offenseDecayHours * 3600000;
+  for (const [userId, offender] of offenders) {
+    if (offender.mutedUntil < now && offender.lastOffense < now - decayMs) offenders.delete(userId);
+  }
+}
+
+/**
+ * Checks a limit without using it up
+ * @param {String} key - Limit key (e.g. "user:<userId>")
+ * @param {Number} limit - Hits allowed per window
+ * @param {Number} windowMs - Window length in milliseconds
+ * @returns {Number} Milliseconds until another hit is allowed (0 if allowed now)
+ */
+function checkLimit(key, limit, windowMs) {
+  const now = Date.now();
+  const hits = getRecentHits(key, windowMs, now);
+  
+  if (hits.length < limit) return 0;
+  
+  // Allowed again once enough of the oldest hits have left the window
+  return hits[hits.length - limit] + windowMs - now;
+}
+
+/**
+ * Records a hit against a limit
+ * @param {String} key - Limit key
+ * @param {Number} windowMs - Window length in milliseconds
+ */
+function recordHit(key, windowMs) {
+  const now = Date.now();
+  sweep(now);
+  
+  const hits = getRecentHits(key, windowMs, now);
+  hits.push(now);
+  windows.set(key, { windowMs, hits });
+}
+
+/**
+ * Checks a limit and uses it up if allowed
+ * @param {String} key - Limit key
+ * @param {Number} limit - Hits allowed per window
+ * @param {Number} windowMs - Window length in milliseconds
+ * @returns {Number} Milliseconds until another hit is allowed (0 if this hit was allowed)
+ */
+function consumeLimit(key, limit, windowMs) {
+  const retryAfter = checkLimit(key, limit, windowMs);
+  
+  if (retryAfter === 0) {
+    recordHit(key, windowMs);
+  }
+  
+  return retryAfter;
+}
+
+/**
+ * Decides whether to tell a user they were limited, so a flood of commands
+ * doesn't turn into a flood of replies
+ * @param {String} key - Notice key
+ * @param {Number} intervalMs - Minimum time between notices
+ * @returns {Boolean} True if the user should be told
+ */
+function shouldNotify(key, intervalMs) {
+  const now = Date.now();
+  
+  const notice = notices.get(key);
+  if (notice && now - notice.time < intervalMs) return false;
+  
+  notices.set(key, { intervalMs, time: now });
+  return true;
+}
+
+/**
+ * Gets how long a user is still muted for
+ * @param {String} userId - User ID
+ * @returns {Number} Milliseconds left (0 if not muted)
+ */
+function getMuteRemaining(userId) {
+  const offender = offenders.get(userId);
+  return offender ? Math.max(0, offender.mutedUntil - Date.now()) : 0;
+}
+
+/**
+ * Records a strike for going over a limit and mutes the user once they have too many.
+ * Each mute is longer than the last, until the user stays out of trouble long enough.
+ * @param {String} userId - User ID
+ * @returns {Number} Length of the new mute in milliseconds (0 if not muted)
+ */
+function addStrike(userId) {
+  const { flood, muteDurations, offenseDecayHours } = config.rateLimits;
+  const strikeKey = `strikes:${userId}`;
+  const strikeWindow = flood.windowSeconds * 1000;
+  
+  recordHit(strikeKey, strikeWindow);
+  if (checkLimit(strikeKey, flood.strikes, strikeWindow) === 0) return 0;
+  
+  const now = Date.now();
+  const offender = offenders.get(userId) || { level: 0, lastOffense: 0, mutedUntil: 0 };
+  
+  // Forgive old offenses
+  if (now - offender.lastOffense > offenseDecayHours * 3600000) {
+    offender.level = 0;
+  }
+  
+  const duration = muteDurations[Math.min(offender.level, muteDurations.length - 1)] * 1000;
+  offender.level++;
+  offender.lastOffense = now;
+  offender.mutedUntil = now + duration;
+  offenders.set(userId, offender);
+  windows.delete(strikeKey);
+  
+  console.log(`Muted ${userId} for ${duration / 1000}s (offense ${offender.level})`);
+  return duration;
+}
+
+/**
+ * Checks and uses a user's per-command cooldown
+ * @param {String} userId - User ID
+ * @param {String} commandName - Command name
+ * @param {Number} seconds - Cooldown length
+ * @returns {Number} Milliseconds left on the cooldown (0 if the command may run)
+ */
+function checkCooldown(userId, commandName, seconds) {
+  return consumeLimit(`cooldown:${userId}:${commandName}`, 1, seconds * 1000);
+}
+
+/**
+ * Checks and uses the per-user and per-group command limits
+ * @param {String} userId - User ID
+ * @param {String|null} groupId - Group ID, or null for direct messages
+ * @returns {Object} { retryAfter, limitedBy } - retryAfter is 0 if the command may run;
+ *   limitedBy is 'user' or 'group' when it may not
+ */
+function checkCommandRate(userId, groupId) {
+  const { user, group } = config.rateLimits;
+  const userWindow = user.windowSeconds * 1000;
+  const groupWindow = group.windowSeconds * 1000;
+  
+  const userRetry = checkLimit(`user:${userId}`, user.limit, userWindow);
+  if (userRetry > 0) {
+    return { retryAfter: userRetry, limitedBy: 'user' };
+  }
+  
+  if (groupId) {
+    const groupRetry = checkLimit(`group:${groupId}`, group.limit, groupWindow);
+    if (groupRetry > 0) {
+      return { retryAfter: groupRetry, limitedBy: 'group' };
+    }
+    recordHit(`group:${groupId}`, groupWindow);
+  }
+  
+  recordHit(`user:${userId}`, userWindow);
+  return { retryAfter: 0, limitedBy: null };
+}
+
+/**
+ * Forgets every limit, notice and mute, and when the last message was sent (used by tests)
+ */
+function resetRateLimits() {
+  windows.clear();
+  notices.clear();
+  offenders.clear();
+  lastSendTime = 0;
+}
+
+/**
+ * Waits until another message may be sent
+ */
+async function waitForSendSlot() {
+  const { minIntervalMs, perMinute } = config.rateLimits.outbound;
+  
+  while (true) {
+    const wait = Math.max(
+      checkLimit('outbound', perMinute, 60000),
+      lastSendTime + minIntervalMs - Date.now()
+    );
+    if (wait <= 0) break;
+    await new Promise(resolve => setTimeout(resolve, wait));
+  }
+  
+  lastSendTime = Date.now();
+  recordHit('outbound', 60000);
+}
+
+/**
+ * Routes all of a connection's outgoing messages through the send queue
+ * @param {Object} sock - WhatsApp connection
+ * @returns {Object} The same connection
+ */
+function throttleSocket(sock) {
+  const sendMessage = sock.sendMessage.bind(sock);
+  
+  sock.sendMessage = (...args) => {
+    const result = sendChain.then(async () => {
+      await waitForSendSlot();
+      return sendMessage(...args);
+    });
+    
+    // A failed send must not block the messages queued behind it
+    sendChain = result.catch(() => {});
+    return result;
+  };
+  
+  return sock;
+}
+
+module.exports = {
+  shouldNotify,
+  getMuteRemaining,
+  addStrike,
+  checkCooldown,
+  checkCommandRate,
+  resetRateLimits,
+  throttleSocket
+};
@@ -1,4 +1,4 @@
-const { isUserRegistered } = require('../database/db');
+const { getUser, getUserByUsername, isUserRegistered } = require('../database/db');
 const { sendReply } = require('./messageUtils');
 
 /**
@@ -28,4 +28,23 @@ async function checkUserRegistered(sock, message, userId) {
   return registered;
 }
 
-module.exports = { checkUserRegistered };
\ No newline at end of file
+/**
+ * Finds the registered player a command argument refers to
+ * @param {Object} message - Message object
+ * @param {String} arg - "@mention" or username
+ * @returns {Object|null} Registered user, or null if there isn't one
+ */
+function findRegisteredUser(message, arg) {
+  let player;
+  if (arg.startsWith('@')) {
+    const mentionedUser = message.message.extendedTextMessage?.contextInfo?.mentionedJid?.[0];
+    const number = arg.slice(1);
+    player = getUser(mentionedUser || (number.includes('@') ? number : `${number}@s.whatsapp.net`));
+  } else {
+    player = getUserByUsername(arg);
+  }
+  
+  return player && player.isRegistered ? player : null;
+}
+
+module.exports = { checkUserRegistered, findRegisteredUser };
\ No newline at end of file
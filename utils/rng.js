@@ -0,0 +1,258 @@
+/**
+ * Provably fair RNG
+ * Every game result is derived from a commit-reveal scheme:
+ *
+ *   float = HMAC-SHA256(serverSeed, `${clientSeed}:${nonce}:${round}`), read 4 bytes at a time / 2^32
+ *
+ * The bot publishes the SHA-256 hash of each server seed before it is used and reveals the
+ * seed itself when it is rotated out, so players can check that results weren't picked
+ * after their bet. Players choose their own client seed, and the nonce counts their bets.
+ */
+const crypto = require('crypto');
+const { getSeedState, setSeedState, revealServerSeed, getRevealedServerSeed, addBetRecord, getBetRecord, getUser, transaction } = require('../database/db');
+
+// Seed owner for draws that don't belong to one player (the jackpot)
+const HOUSE_SEED = 'house';
+
+// Seed owners for blackjack shoes are this followed by the chat ID
+const SHOE_SEED_PREFIX = 'shoe:';
+
+// Seed owners for shared rounds are this followed by the group ID
+const ROUND_SEED_PREFIX = 'round:';
+
+// Seed owners for poker tables are this followed by the group ID
+const TABLE_SEED_PREFIX = 'table:';
+
+// Seed owners for heists are this followed by the group ID
+const HEIST_SEED_PREFIX = 'heist:';
+
+// Each HMAC digest is 32 bytes, enough for 8 floats
+const FLOATS_PER_ROUND = 8;
+
+// Set with useDeterministicSeeds() so tests get the same seeds on every run
+let deterministicSeed = null;
+let seedCounter = 0;
+
+/**
+ * Generates a new random seed
+ * @param {Number} bytes - Seed length in bytes
+ * @returns {String} Hex seed
+ */
+function generateSeed(bytes = 32) {
+  if (deterministicSeed !== null) {
+    return hashSeed(`${deterministicSeed}:${seedCounter++}`).slice(0, bytes * 2);
+  }
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Hashes a server seed for publishing
+ * @param {String} serverSeed - Server seed
+ * @returns {String} SHA-256 hex digest
+ */
+function hashSeed(serverSeed) {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+/**
+ * Makes every seed generated from now on derive from a fixed value (for tests)
+ * @param {String|null} seed - Base seed, or null to go back to secure random seeds
+ */
+function useDeterministicSeeds(seed) {
+  deterministicSeed = seed;
+  seedCounter = 0;
+}
+
+/**
+ * Computes the floats for one HMAC round
+ * @param {String} serverSeed - Server seed
+ * @param {String} clientSeed - Client seed
+ * @param {Number} nonce - Bet nonce
+ * @param {Number} round - Round number (0 for the first 8 floats)
+ * @returns {Array} Floats in [0, 1)
+ */
+function computeRound(serverSeed, clientSeed, nonce, round) {
+  const digest = crypto.createHmac('sha256', serverSeed)
+    .update(`${clientSeed}:${nonce}:${round}`)
+    .digest();
+  
+  const floats = [];
+  for (let offset = 0; offset < digest.length; offset += 4) {
+    floats.push(digest.readUInt32BE(offset) / 2 ** 32);
+  }
+  return floats;
+}
+
+/**
+ * Computes the floats a bet used, as anyone can once the server seed is revealed
+ * @param {String} serverSeed - Server seed
+ * @param {String} clientSeed - Client seed
+ * @param {Number} nonce - Bet nonce
+ * @param {Number} count - Number of floats
+ * @returns {Array} Floats in [0, 1)
+ */
+function computeFloats(serverSeed, clientSeed, nonce, count) {
+  const floats = [];
+  for (let round = 0; floats.length < count; round++) {
+    floats.push(...computeRound(serverSeed, clientSeed, nonce, round));
+  }
+  return floats.slice(0, count);
+}
+
+/**
+ * Checks whether seeds belong to a player rather than the house, a blackjack shoe, a shared round, a poker table or a heist
+ * @param {String} ownerId - Seed owner
+ * @returns {Boolean} True for a user ID
+ */
+function isPlayerSeed(ownerId) {
+  return ownerId !== HOUSE_SEED && ![SHOE_SEED_PREFIX, ROUND_SEED_PREFIX, TABLE_SEED_PREFIX, HEIST_SEED_PREFIX].some(prefix => ownerId.startsWith(prefix));
+}
+
+/**
+ * Creates a fresh seed pair
+ * @param {String} clientSeed - Client seed to keep, or null for a random one
+ * @returns {Object} Seed state
+ */
+function createSeedState(clientSeed) {
+  const serverSeed = generateSeed();
+  
+  return {
+    serverSeed,
+    serverSeedHash: hashSeed(serverSeed),
+    clientSeed: clientSeed || generateSeed(8),
+    nonce: 0,
+    createdAt: Date.now()
+  };
+}
+
+/**
+ * Gets the active seeds for an owner, creating them on first use
+ * @param {String} ownerId - User ID, HOUSE_SEED, a shoe (SHOE_SEED_PREFIX + chat ID), a round (ROUND_SEED_PREFIX + group ID), a table (TABLE_SEED_PREFIX + group ID) or a heist (HEIST_SEED_PREFIX + group ID)
+ * @returns {Object} Seed state (the server seed must not be shown until it's rotated)
+ */
+function getActiveSeed(ownerId) {
+  return getSeedState(ownerId) || setSeedState(ownerId, createSeedState(null));
+}
+
+/**
+ * Reveals the active server seed and replaces it with a new one
+ * @param {String} ownerId - User ID, HOUSE_SEED, a shoe (SHOE_SEED_PREFIX + chat ID), a round (ROUND_SEED_PREFIX + group ID), a table (TABLE_SEED_PREFIX + group ID) or a heist (HEIST_SEED_PREFIX + group ID)
+ * @param {String} [clientSeed] - New client seed (keeps the current one if omitted)
+ * @returns {Object} { previous, current } seed states; previous includes the revealed server seed
+ */
+function rotateServerSeed(ownerId, clientSeed = null) {
+  return transaction(() => {
+    const previous = getActiveSeed(ownerId);
+    revealServerSeed(previous.serverSeedHash, previous.serverSeed);
+    
+    const current = createSeedState(clientSeed || previous.clientSeed);
+    current.previous = {
+      serverSeed: previous.serverSeed,
+      serverSeedHash: previous.serverSeedHash,
+      clientSeed: previous.clientSeed,
+      nonce: previous.nonce
+    };
+    setSeedState(ownerId, current);
+    
+    return { previous, current };
+  });
+}
+
+/**
+ * Starts rolling a bet. Pass roll.random to the game, then call recordRoll with the result.
+ * @param {String} ownerId - User ID, HOUSE_SEED, a shoe, a round, a table or a heist whose seeds the bet uses
+ * @param {String} game - Game name (e.g. "Coin toss")
+ * @returns {Object} Roll with a random() function returning floats in [0, 1)
+ */
+function startRoll(ownerId, game) {
+  const state = getActiveSeed(ownerId);
+  
+  // Every bet gets its own nonce, even if it's abandoned before it's recorded
+  setSeedState(ownerId, { ...state, nonce: state.nonce + 1 });
+  
+  let buffer = [];
+  let round = 0;
+  let floatsUsed = 0;
+  
+  return {
+    ownerId,
+    game,
+    serverSeedHash: state.serverSeedHash,
+    clientSeed: state.clientSeed,
+    nonce: state.nonce,
+    
+    get floatsUsed() {
+      return floatsUsed;
+    },
+    
+    random() {
+      if (buffer.length === 0) {
+        buffer = computeRound(state.serverSeed, state.clientSeed, state.nonce, round++);
+      }
+      floatsUsed++;
+      return buffer.shift();
+    }
+  };
+}
+
+/**
+ * Records a finished roll so it can be checked with .verify
+ * @param {Object} roll - Roll from startRoll
+ * @param {String} result - What the floats decided (e.g. "Landed on heads")
+ * @param {String} [playerId] - Player the bet belongs to, if the seeds aren't theirs (a blackjack shoe)
+ * @returns {Number} Bet ID
+ */
+function recordRoll(roll, result, playerId = null) {
+  const bet = addBetRecord({
+    ownerId: roll.ownerId,
+    game: roll.game,
+    serverSeedHash: roll.serverSeedHash,
+    clientSeed: roll.clientSeed,
+    nonce: roll.nonce,
+    floatsUsed: roll.floatsUsed,
+    result,
+    ...(playerId ? { playerId } : {}),
+    timestamp: Date.now()
+  });
+  
+  return bet.id;
+}
+
+/**
+ * Looks up everything needed to check a bet
+ * @param {Number} betId - Bet ID
+ * @returns {Object|null} { bet, owner, serverSeed, hashMatches, floats } (owner is the player, or null for the house;
+ *   serverSeed and floats are null until revealed)
+ */
+function verifyBet(betId) {
+  const bet = getBetRecord(betId);
+  if (!bet) return null;
+  
+  const serverSeed = getRevealedServerSeed(bet.serverSeedHash);
+  const playerId = bet.playerId || (isPlayerSeed(bet.ownerId) ? bet.ownerId : null);
+  
+  return {
+    bet,
+    owner: playerId ? getUser(playerId) : null,
+    serverSeed,
+    hashMatches: serverSeed ? hashSeed(serverSeed) === bet.serverSeedHash : null,
+    floats: serverSeed ? computeFloats(serverSeed, bet.clientSeed, bet.nonce, bet.floatsUsed) : null
+  };
+}
+
+module.exports = {
+  HOUSE_SEED,
+  SHOE_SEED_PREFIX,
+  ROUND_SEED_PREFIX,
+  TABLE_SEED_PREFIX,
+  HEIST_SEED_PREFIX,
+  FLOATS_PER_ROUND,
+  hashSeed,
+  useDeterministicSeeds,
+  computeFloats,
+  getActiveSeed,
+  rotateServerSeed,
+  startRoll,
+  recordRoll,
+  verifyBet
+};
@@ -0,0 +1,88 @@
+/**
+ * Robberies and heists
+ * A robbery takes a share of another player's wallet; coins in the bank can never be stolen.
+ * The chance depends on both players' levels and on their Lockpick and Guard Dog items, and
+ * a robber who gets caught pays a fine into the fees account. Heists are played by a crew
+ * against the vault, which pays out a share of the fees account when it's cracked.
+ */
+const config = require('../config');
+const { hasActiveEffect, getLedgerAccountBalance, LEDGER_ACCOUNTS } = require('../database/db');
+
+/**
+ * Keeps a chance within bounds
+ * @param {Number} chance - Chance
+ * @param {Number} min - Lowest allowed chance
+ * @param {Number} max - Highest allowed chance
+ * @returns {Number} Chance between min and max
+ */
+function clampChance(chance, min, max) {
+  return Math.min(max, Math.max(min, chance));
+}
+
+/**
+ * Works out the chance of a robbery working
+ * @param {Object} robber - Robber's user data
+ * @param {Object} target - Target's user data
+ * @returns {Number} Chance from config.robMinChance to config.robMaxChance
+ */
+function getRobChance(robber, target) {
+  let chance = config.robBaseChance + (robber.level - target.level) * config.robChancePerLevel;
+  
+  if (hasActiveEffect(robber.id, 'lockpick')) {
+    chance += config.shopItems.lockpick.value;
+  }
+  if (hasActiveEffect(target.id, 'guarddog')) {
+    chance -= config.shopItems.guarddog.value;
+  }
+  
+  return clampChance(chance, config.robMinChance, config.robMaxChance);
+}
+
+/**
+ * Works out the share of the target's wallet a robbery takes
+ * @param {Number} float - Roll float in [0, 1)
+ * @returns {Number} Share from config.robMinSteal to config.robMaxSteal
+ */
+function getStealShare(float) {
+  return config.robMinSteal + float * (config.robMaxSteal - config.robMinSteal);
+}
+
+/**
+ * Works out the fine for getting caught
+ * @param {Number} balance - Robber's wallet balance
+ * @returns {Number} Fine in coins (never more than the wallet)
+ */
+function getRobFine(balance) {
+  return Math.min(balance, Math.max(config.robMinFine, Math.floor(balance * config.robFine)));
+}
+
+/**
+ * Works out the chance of a crew cracking the vault
+ * @param {Array} crew - Crew members' user IDs
+ * @returns {Number} Chance up to config.heistMaxChance
+ */
+function getHeistChance(crew) {
+  const extraMembers = Math.max(0, crew.length - config.heistMinCrew);
+  const lockpicks = crew.filter(userId => hasActiveEffect(userId, 'lockpick')).length;
+  const chance = config.heistBaseChance +
+    extraMembers * config.heistChancePerMember +
+    lockpicks * config.shopItems.lockpick.value;
+  
+  return clampChance(chance, 0, config.heistMaxChance);
+}
+
+/**
+ * Gets how much a cracked vault pays out
+ * @returns {Number} Coins shared between the crew
+ */
+function getVaultAmount() {
+  return Math.max(0, Math.floor(getLedgerAccountBalance(LEDGER_ACCOUNTS.FEES) * config.heistVaultShare));
+}
+
+module.exports = {
+  getRobChance,
+  getStealShare,
+  getRobFine,
+  getHeistChance,
+  getVaultAmount
+};
@@ -0,0 +1,163 @@
+/**
+ * European roulette
+ * A single-zero wheel (0-36) and the standard table bets. Every bet covering n numbers
+ * pays 36/n times the stake, so straight up pays 35:1 and the even-money bets pay 1:1.
+ */
+
+// Numbers on the wheel
+const POCKETS = 37;
+
+const RED_NUMBERS = [1, 3, 5, 7, 9, 12, 14, 16, 18, 19, 21, 23, 25, 27, 30, 32, 34, 36];
+
+// Bet types by how many numbers they cover
+const BET_TYPES = {
+  straight: { name: 'Straight', size: 1 },
+  split: { name: 'Split', size: 2 },
+  street: { name: 'Street', size: 3 },
+  corner: { name: 'Corner', size: 4 },
+  sixline: { name: 'Six line', size: 6 },
+  dozen: { name: 'Dozen', size: 12 },
+  column: { name: 'Column', size: 12 },
+  redblack: { name: 'Red/black', size: 18 },
+  oddeven: { name: 'Odd/even', size: 18 },
+  highlow: { name: 'High/low', size: 18 }
+};
+
+// Outside bets, by every name players can use for them
+const OUTSIDE_BETS = {};
+
+/**
+ * Lists the numbers from one to another
+ * @param {Number} from - First number
+ * @param {Number} to - Last number
+ * @returns {Array} Numbers
+ */
+function range(from, to) {
+  return Array.from({ length: to - from + 1 }, (value, index) => from + index);
+}
+
+/**
+ * Adds an outside bet under each of its names
+ * @param {Array} names - Names players can type
+ * @param {String} type - Bet type
+ * @param {String} label - How the bet is shown
+ * @param {Array} numbers - Numbers covered
+ */
+function addOutsideBet(names, type, label, numbers) {
+  for (const name of names) {
+    OUTSIDE_BETS[name] = { type, label, numbers };
+  }
+}
+
+addOutsideBet(['red'], 'redblack', 'Red', RED_NUMBERS);
+addOutsideBet(['black'], 'redblack', 'Black', range(1, 36).filter(number => !RED_NUMBERS.includes(number)));
+addOutsideBet(['odd'], 'oddeven', 'Odd', range(1, 36).filter(number => number % 2 === 1));
+addOutsideBet(['even'], 'oddeven', 'Even', range(1, 36).filter(number => number % 2 === 0));
+addOutsideBet(['low', '1-18'], 'highlow', 'Low (1-18)', range(1, 18));
+addOutsideBet(['high', '19-36'], 'highlow', 'High (19-36)', range(19, 36));
+
+for (let dozen = 1; dozen <= 3; dozen++) {
+  const ordinal = ['1st', '2nd', '3rd'][dozen - 1];
+  addOutsideBet([`${ordinal}12`, `dozen${dozen}`, `d${dozen}`], 'dozen', `${ordinal} dozen`, range(dozen * 12 - 11, dozen * 12));
+  addOutsideBet([`col${dozen}`, `column${dozen}`], 'column', `Column ${dozen}`, range(1, 36).filter(number => (number - 1) % 3 === dozen - 1));
+}
+
+// Inside bets, keyed by their sorted numbers (e.g. "1,2,4,5" is a corner)
+const INSIDE_BETS = new Map();
+
+/**
+ * Adds an inside bet
+ * @param {String} type - Bet type
+ * @param {Array} numbers - Numbers covered
+ */
+function addInsideBet(type, numbers) {
+  INSIDE_BETS.set([...numbers].sort((a, b) => a - b).join(','), type);
+}
+
+// The layout has 12 rows of 3 numbers; 0 sits above the first row
+for (let number = 0; number <= 36; number++) {
+  addInsideBet('straight', [number]);
+}
+
+for (let number = 1; number <= 36; number++) {
+  const column = (number - 1) % 3;
+  if (column < 2) addInsideBet('split', [number, number + 1]);
+  if (number <= 33) addInsideBet('split', [number, number + 3]);
+  if (column < 2 && number <= 33) addInsideBet('corner', [number, number + 1, number + 3, number + 4]);
+}
+
+for (let row = 1; row <= 12; row++) {
+  addInsideBet('street', range(row * 3 - 2, row * 3));
+  if (row < 12) addInsideBet('sixline', range(row * 3 - 2, row * 3 + 3));
+}
+
+// Bets that include 0: splits with 1, 2 or 3, the two trios (paid as streets) and the first four
+for (const numbers of [[0, 1], [0, 2], [0, 3]]) addInsideBet('split', numbers);
+for (const numbers of [[0, 1, 2], [0, 2, 3]]) addInsideBet('street', numbers);
+addInsideBet('corner', [0, 1, 2, 3]);
+
+/**
+ * Parses a bet (a number, numbers joined by "/", a range like "4-6", or an outside bet name)
+ * @param {String} text - Bet as typed (e.g. "17", "17/18", "4-6", "1/2/4/5", "1-6", "red", "2nd12", "col3")
+ * @returns {Object|null} { type, label, numbers }, or null if it isn't a bet on the table
+ */
+function parseBet(text) {
+  const key = text.toLowerCase();
+  if (OUTSIDE_BETS[key]) return OUTSIDE_BETS[key];
+  
+  let numbers;
+  const rangeMatch = key.match(/^(\d{1,2})-(\d{1,2})$/);
+  if (rangeMatch) {
+    numbers = range(parseInt(rangeMatch[1]), parseInt(rangeMatch[2]));
+  } else if (/^\d{1,2}(\/\d{1,2})*$/.test(key)) {
+    numbers = key.split('/').map(number => parseInt(number));
+  } else {
+    return null;
+  }
+  
+  const numbersKey = [...numbers].sort((a, b) => a - b).join(',');
+  const type = INSIDE_BETS.get(numbersKey);
+  if (!type) {
+    // Ranges can also name a dozen (e.g. 13-24)
+    return Object.values(OUTSIDE_BETS).find(bet => bet.numbers.join(',') === numbersKey) || null;
+  }
+  
+  return { type, label: rangeMatch ? `${numbers[0]}-${numbers[numbers.length - 1]}` : numbers.join('/'), numbers };
+}
+
+/**
+ * Gets a bet's payout as a multiple of the stake (including the stake)
+ * @param {String} type - Bet type
+ * @returns {Number} Multiplier
+ */
+function getBetPayout(type) {
+  return 36 / BET_TYPES[type].size;
+}
+
+/**
+ * Spins the wheel
+ * @param {Function} random - Float source in [0, 1) (roll.random from utils/rng.js)
+ * @returns {Number} Winning number (0-36)
+ */
+function spinRoulette(random) {
+  return Math.floor(random() * POCKETS);
+}
+
+/**
+ * Gets a number's colour
+ * @param {Number} number - Number on the wheel
+ * @returns {String} 'green', 'red' or 'black'
+ */
+function getNumberColor(number) {
+  if (number === 0) return 'green';
+  return RED_NUMBERS.includes(number) ? 'red' : 'black';
+}
+
+module.exports = {
+  POCKETS,
+  BET_TYPES,
+  parseBet,
+  getBetPayout,
+  spinRoulette,
+  getNumberColor
+};
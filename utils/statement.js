@@ -0,0 +1,153 @@
+/**
+ * Bank statements
+ * A statement covers one calendar month of a player's bank account and is worked out from
+ * the ledger: the balance at the start and end of the month, what went in and out, and the
+ * balance at the end of each day for the chart. Bank upgrades, term deposit interest and fees
+ * are paid to or from the wallet, so they're listed alongside the bank account.
+ */
+const { getUserLedgerEntries, walletAccount, bankAccount, LEDGER_ACCOUNTS } = require('../database/db');
+
+// Charges listed as fees paid (fines and stakes lost in heists aren't fees)
+const FEE_REASONS = ['Payment fee', 'Market fee', 'Term deposit penalty'];
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+/**
+ * Reads the month a statement is for
+ * @param {Array} args - Command arguments: nothing (this month), "2024-05", or a month name or
+ *   number with an optional year ("may", "5 2024"); without a year it's the latest one that has started
+ * @param {Number} [now] - Current time
+ * @returns {Object|null} { year, month } (month 0-11), or null if it can't be read
+ */
+function parseStatementMonth(args, now = Date.now()) {
+  const today = new Date(now);
+  if (args.length === 0) {
+    return { year: today.getFullYear(), month: today.getMonth() };
+  }
+  
+  const isoMatch = args.length === 1 ? args[0].match(/^(\d{4})-(\d{1,2})$/) : null;
+  if (isoMatch) {
+    const month = parseInt(isoMatch[2]) - 1;
+    return month >= 0 && month < 12 ? { year: parseInt(isoMatch[1]), month } : null;
+  }
+  
+  const name = args[0].toLowerCase();
+  const month = /^\d{1,2}$/.test(name)
+    ? parseInt(name) - 1
+    : MONTH_NAMES.findIndex(monthName => name.length >= 3 && monthName.toLowerCase().startsWith(name));
+  if (month < 0 || month > 11) return null;
+  
+  if (args.length > 1) {
+    const year = /^\d{4}$/.test(args[1]) ? parseInt(args[1]) : NaN;
+    return isNaN(year) ? null : { year, month };
+  }
+  
+  const year = month > today.getMonth() ? today.getFullYear() - 1 : today.getFullYear();
+  return { year, month };
+}
+
+/**
+ * Gets a month's name and year
+ * @param {Number} year - Year
+ * @param {Number} month - Month (0-11)
+ * @returns {String} e.g. "May 2024"
+ */
+function formatMonth(year, month) {
+  return `${MONTH_NAMES[month]} ${year}`;
+}
+
+/**
+ * Works out how much a ledger entry changed a bank account by
+ * @param {Object} entry - Ledger entry
+ * @param {String} account - Bank account
+ * @returns {Number} Coins added (negative if taken out)
+ */
+function getBankChange(entry, account) {
+  if (entry.asset !== 'coins') return 0;
+  if (entry.to === account) return entry.amount;
+  if (entry.from === account) return -entry.amount;
+  return 0;
+}
+
+/**
+ * Builds a player's statement for a month
+ * @param {Object} user - User data
+ * @param {Number} year - Year
+ * @param {Number} month - Month (0-11, local time)
+ * @param {Number} [now] - Current time
+ * @returns {Object} Statement: { username, period, start, end, openingBalance, closingBalance, deposits,
+ *   withdrawals, interest, other, termInterest, upgrades, upgradeCost, fees, dailyBalances }
+ */
+function buildStatement(user, year, month, now = Date.now()) {
+  const start = new Date(year, month, 1).getTime();
+  const end = new Date(year, month + 1, 1).getTime();
+  const wallet = walletAccount(user.id);
+  const bank = bankAccount(user.id);
+  
+  // Newest first, so balances are worked back from what's in the bank now
+  const { entries } = getUserLedgerEntries(user.id, { limit: Infinity, since: start });
+  const changeSince = time => entries
+    .filter(entry => entry.timestamp >= time)
+    .reduce((total, entry) => total + getBankChange(entry, bank), 0);
+  
+  const statement = {
+    username: user.username,
+    period: formatMonth(year, month),
+    start,
+    end,
+    openingBalance: user.bankBalance - changeSince(start),
+    closingBalance: user.bankBalance - changeSince(end),
+    deposits: 0,
+    withdrawals: 0,
+    interest: 0,
+    other: 0,
+    termInterest: 0,
+    upgrades: 0,
+    upgradeCost: 0,
+    fees: 0,
+    dailyBalances: []
+  };
+  
+  const periodEntries = entries.filter(entry => entry.timestamp >= start && entry.timestamp < end && entry.asset === 'coins');
+  for (const entry of periodEntries) {
+    if (entry.from === wallet && entry.to === bank) {
+      statement.deposits += entry.amount;
+    } else if (entry.from === bank && entry.to === wallet) {
+      statement.withdrawals += entry.amount;
+    } else if (entry.from === LEDGER_ACCOUNTS.REWARDS && entry.to === bank) {
+      statement.interest += entry.amount;
+    } else if (entry.from === bank || entry.to === bank) {
+      // Loan installments collected from the bank
+      statement.other += getBankChange(entry, bank);
+    } else if (entry.reason === 'Term deposit interest') {
+      statement.termInterest += entry.amount;
+    } else if (entry.reason === 'Bank upgrade') {
+      statement.upgrades++;
+      statement.upgradeCost += entry.amount;
+    } else if (entry.to === LEDGER_ACCOUNTS.FEES && FEE_REASONS.includes(entry.reason)) {
+      statement.fees += entry.amount;
+    }
+  }
+  
+  // Balance at the end of each day so far
+  let balance = statement.openingBalance;
+  const changes = [...periodEntries].reverse();
+  for (let day = 1; new Date(year, month, day).getTime() < Math.min(end, now); day++) {
+    const dayEnd = new Date(year, month, day + 1).getTime();
+    while (changes.length > 0 && changes[0].timestamp < dayEnd) {
+      balance += getBankChange(changes.shift(), bank);
+    }
+    statement.dailyBalances.push(balance);
+  }
+  
+  return statement;
+}
+
+module.exports = {
+  parseStatementMonth,
+  formatMonth,
+  buildStatement
+};
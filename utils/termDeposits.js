@@ -0,0 +1,113 @@
+/**
+ * Term deposits
+ * Coins locked in the deposits account for one of the terms in config.termDeposits, at a
+ * higher rate than the bank pays. At maturity the deposit and its interest go back to the
+ * wallet; breaking a deposit early gives up the interest and config.termDepositEarlyPenalty
+ * of the amount. A player's deposits together can't be more than their bank capacity.
+ */
+const config = require('../config');
+const {
+  addTermDeposit,
+  getTermDeposit,
+  getAllTermDeposits,
+  getTermDepositsForUser,
+  removeTermDeposit,
+  transaction,
+  transferCoins,
+  walletAccount,
+  LEDGER_ACCOUNTS
+} = require('../database/db');
+
+/**
+ * Works out the interest a deposit earns over its term
+ * @param {Number} amount - Coins deposited
+ * @param {String} term - Term (a key of config.termDeposits)
+ * @returns {Number} Interest in coins
+ */
+function getTermDepositInterest(amount, term) {
+  return Math.floor(amount * config.termDeposits[term].rate);
+}
+
+/**
+ * Adds up the coins a player has in term deposits
+ * @param {String} userId - User ID
+ * @returns {Number} Coins locked
+ */
+function getLockedAmount(userId) {
+  return getTermDepositsForUser(userId).reduce((total, deposit) => total + deposit.amount, 0);
+}
+
+/**
+ * Locks coins from a player's wallet for a term
+ * @param {String} userId - User ID
+ * @param {String} term - Term (a key of config.termDeposits)
+ * @param {Number} amount - Coins to deposit
+ * @returns {Object} The new deposit
+ */
+function openTermDeposit(userId, term, amount) {
+  return transaction(() => {
+    const now = Date.now();
+    transferCoins(walletAccount(userId), LEDGER_ACCOUNTS.DEPOSITS, amount, { reason: `Term deposit (${term})` });
+    
+    return addTermDeposit({
+      userId,
+      term,
+      amount,
+      interest: getTermDepositInterest(amount, term),
+      openedAt: now,
+      maturesAt: now + config.termDeposits[term].duration
+    });
+  });
+}
+
+/**
+ * Pays out a deposit that has reached the end of its term
+ * @param {Number} depositId - Deposit ID
+ * @returns {Object} The deposit that was paid out
+ */
+function matureTermDeposit(depositId) {
+  return transaction(() => {
+    const deposit = getTermDeposit(depositId);
+    
+    transferCoins(LEDGER_ACCOUNTS.DEPOSITS, walletAccount(deposit.userId), deposit.amount, { reason: 'Term deposit matured' });
+    transferCoins(LEDGER_ACCOUNTS.REWARDS, walletAccount(deposit.userId), deposit.interest, { reason: 'Term deposit interest' });
+    removeTermDeposit(depositId);
+    return deposit;
+  });
+}
+
+/**
+ * Closes a deposit before the end of its term, keeping the penalty
+ * @param {Number} depositId - Deposit ID
+ * @returns {Object} { deposit, returned, penalty }
+ */
+function breakTermDeposit(depositId) {
+  return transaction(() => {
+    const deposit = getTermDeposit(depositId);
+    const penalty = Math.floor(deposit.amount * config.termDepositEarlyPenalty);
+    
+    // The penalty is paid from the wallet so it shows up in the player's history and statement
+    transferCoins(LEDGER_ACCOUNTS.DEPOSITS, walletAccount(deposit.userId), deposit.amount, { reason: 'Term deposit broken early' });
+    transferCoins(walletAccount(deposit.userId), LEDGER_ACCOUNTS.FEES, penalty, { reason: 'Term deposit penalty' });
+    removeTermDeposit(depositId);
+    return { deposit, returned: deposit.amount - penalty, penalty };
+  });
+}
+
+/**
+ * Gets every deposit that has reached the end of its term
+ * @param {Number} [now] - Current time
+ * @returns {Array} Deposits due to be paid out
+ */
+function getMaturedTermDeposits(now = Date.now()) {
+  return getAllTermDeposits().filter(deposit => deposit.maturesAt <= now);
+}
+
+module.exports = {
+  getTermDepositInterest,
+  getLockedAmount,
+  openTermDeposit,
+  matureTermDeposit,
+  breakTermDeposit,
+  getMaturedTermDeposits
+};